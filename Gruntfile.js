@@ -40,6 +40,38 @@ module.exports = function (grunt) {
         src: ['./src/<%= pkg.name %>.js'],
         dest: './<%= pkg.name %>.js',
       },
+      // ES module for browsers (through a bundler). Node.js modules are only required when files
+      // are accessed so they are replaced by a function that reports they are not available. The
+      // fonts of the hersheytext module are embedded.
+      esm: {
+        options: {
+          process: function(src) {
+            let fonts = {};
+            grunt.file.expand({cwd: './node_modules/hersheytext/svg_fonts'}, '*').forEach(file => {
+              fonts[file] = grunt.file.read('./node_modules/hersheytext/svg_fonts/' + file);
+            });
+            return src
+              .replace(
+                "const EventEmitter = require('events').EventEmitter;",
+                () => "import {EventEmitter} from 'events';\n\n" +
+                "const require = function(module) {\n" +
+                "  throw new Error(\"The '\" + module + \"' module is not available in the ES module build.\");\n" +
+                "};\n" +
+                "require.resolve = require;\n\n" +
+                "const BUNDLED_FONT_FILES = " + JSON.stringify(fonts) + ";"
+              )
+              .replace(
+                "StrokeFont._readBundledFile = function(file) {\n",
+                "StrokeFont._readBundledFile = function(file) {\n" +
+                "  if (BUNDLED_FONT_FILES.hasOwnProperty(file)) return BUNDLED_FONT_FILES[file];\n"
+              )
+              .replace("module.exports = {};\n", "")
+              .replace(/^module\.exports\.(\w+) = \w+;$/gm, "export {$1};");
+          }
+        },
+        src: ['./src/<%= pkg.name %>.js'],
+        dest: './<%= pkg.name %>.esm.js',
+      },
     },
 
     // Generate doc
@@ -65,7 +97,7 @@ module.exports = function (grunt) {
           noStatus: false
         },
         files: {
-          src: ['<%= pkg.name %>.js', 'docs']
+          src: ['<%= pkg.name %>.js', '<%= pkg.name %>.esm.js', 'docs']
         }
       }
     },
@@ -30,8 +30,17 @@ CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
 'use strict';
 
 const EventEmitter = require('events').EventEmitter;
-const fs = require("fs-extra");
-const util = require('util');
+
+// Modules needed to plot files. They cannot be required in the ES module build (browsers), in
+// which case the error is reported when a file is plotted.
+let fs, crypto, fileAccessError;
+
+try {
+  fs = require("fs-extra");
+  crypto = require("crypto");
+} catch (e) {
+  fileAccessError = e;
+}
 
 module.exports = {};
 
@@ -44,6 +53,101 @@ const ORIENTATIONS = ["portrait", "landscape"];
 // End of text (ETX) character that acts as a label terminator
 const LABEL_TERMINATOR = String.fromCharCode(3);
 
+// Escape character that starts RS-232-C device-control instructions
+const ESCAPE = String.fromCharCode(27);
+
+// Characters exchanged by the software handshakes (Xon/Xoff and ENQ/ACK)
+const XON = String.fromCharCode(17);
+const XOFF = String.fromCharCode(19);
+const ENQ = String.fromCharCode(5);
+const ACK = String.fromCharCode(6);
+
+// Strategies available to avoid overflowing the device's buffer
+const HANDSHAKES = ["polling", "xonxoff", "enqack", "hardware"];
+
+// Telnet commands and options used to configure serial device servers (RFC 854 and RFC 2217)
+const TELNET = {
+  IAC: 255, SB: 250, SE: 240, WILL: 251, WONT: 252, DO: 253, DONT: 254,
+  BINARY: 0, SUPPRESS_GO_AHEAD: 3, COM_PORT_OPTION: 44,
+  SET_BAUDRATE: 1, SET_DATASIZE: 2, SET_PARITY: 3, SET_STOPSIZE: 4, SET_CONTROL: 5
+};
+
+// Instructions whose parameter is a text terminated by the label terminator
+const LABEL_INSTRUCTIONS = ["LB", "BL", "WD"];
+
+// Default pen colors used when rendering HP-GL to SVG
+const RENDERER_PEN_COLORS = {
+  1: "black", 2: "red", 3: "green", 4: "blue", 5: "orange", 6: "purple", 7: "brown", 8: "gray"
+};
+
+// Instructions after which the position of the pen cannot be predicted
+const UNPREDICTABLE_INSTRUCTIONS = [
+  "AA", "AF", "AH", "AR", "CP", "IN", "IP", "LB", "PB", "PE", "PG", "RO", "SC", "UC"
+];
+
+// Instructions whose effect lasts until they are sent again, in the order in which they must be
+// sent again when a job is resumed
+const STATE_INSTRUCTIONS = [
+  "PS", "RO", "IP", "SC", "IW", "PT", "VS", "SP", "LT", "FT", "DT", "CS", "CA", "SI", "SR", "DI",
+  "DR", "SL", "LO"
+];
+
+// Default (and maximum) velocity of the pen on most devices, in cm/s
+const DEFAULT_VELOCITY = 38.1;
+
+// Approximate time it takes to store a pen in the carousel and pick up another one, in seconds
+const PEN_CHANGE_DURATION = 4;
+
+// Approximate acceleration of the pen on most devices, in cm/s²
+const DEFAULT_ACCELERATION = 2000;
+
+// Instructions that physically move the pen (as simulated by the HpglRenderer)
+const MOVING_INSTRUCTIONS = [
+  "PA", "PR", "PU", "PD", "CI", "AA", "AR", "EA", "ER", "LB", "CP", "UC"
+];
+
+// Number of instructions after which the device is asked for its position (in resilience mode) so
+// that those it confirmed receiving need not be sent again after a reconnection
+const RECONNECTION_SYNC_INTERVAL = 50;
+
+// What can be done with drawings that extend outside of the plottable area
+const BOUNDS_POLICIES = ["warn", "throw", "clip"];
+
+// Instructions after which the window set with IW is no longer in effect
+const WINDOW_RESETTING_INSTRUCTIONS = ["IN", "DF", "RO", "IW"];
+
+// Named colors recognized when mapping SVG colors to pens
+const SVG_COLORS = {
+  black: "#000000", white: "#ffffff", red: "#ff0000", lime: "#00ff00", green: "#008000",
+  blue: "#0000ff", yellow: "#ffff00", cyan: "#00ffff", aqua: "#00ffff", magenta: "#ff00ff",
+  fuchsia: "#ff00ff", orange: "#ffa500", purple: "#800080", brown: "#a52a2a", gray: "#808080",
+  grey: "#808080", navy: "#000080", maroon: "#800000", olive: "#808000", teal: "#008080",
+  silver: "#c0c0c0", pink: "#ffc0cb"
+};
+
+// Dash patterns of the LT instruction (in percentage of the pattern length). Line type 0 has no
+// pattern: only the points the pen goes through are dotted.
+const RENDERER_LINE_TYPES = {
+  0: [],
+  1: [0, 100],
+  2: [50, 50],
+  3: [70, 30],
+  4: [80, 10, 0, 10],
+  5: [70, 10, 10, 10],
+  6: [50, 10, 10, 10, 10, 10],
+  7: [70, 10, 0, 10, 0, 10],
+  8: [50, 10, 0, 10, 10, 10, 0, 10]
+};
+
+// Stroke fonts loaded or registered so far (see StrokeFont.load() and StrokeFont.register())
+const STROKE_FONTS = {};
+
+// Stroke font used for characters missing from the device's character sets
+const DEFAULT_STROKE_FONT = "hershey_sans_1";
+
+// Default proportions (width / height) of the characters drawn by drawText()
+const CHARACTER_ASPECT_RATIO = .187 / .269;
+
 const PAPER_SIZES = {
   A: {short: 21.59, long: 27.94},
   B: {short: 27.94, long: 43.18},
@@ -58,214 +162,211 @@ const PAPER_SIZES = {
   A0: {short: 84.1, long: 118.9}
 };
 
-const CHARACTERS = {
-
-  // Character Set 0 (ANSI/ASCII)
-  " ": {code: 32, charset: 0},
-  "!": {code: 33, charset: 0},
-  '"': {code: 34, charset: 0},
-  "#": {code: 35, charset: 0},
-  "$": {code: 36, charset: 0},
-  "%": {code: 37, charset: 0},
-  "&": {code: 38, charset: 0},
-  "'": {code: 39, charset: 0},
-  "(": {code: 40, charset: 0},
-  ")": {code: 41, charset: 0},
-  "*": {code: 42, charset: 0},
-  "+": {code: 43, charset: 0},
-  ",": {code: 44, charset: 0},
-  "-": {code: 45, charset: 0},
-  ".": {code: 46, charset: 0},
-  "/": {code: 47, charset: 0},
-  "0": {code: 48, charset: 0},
-  "1": {code: 49, charset: 0},
-  "2": {code: 50, charset: 0},
-  "3": {code: 51, charset: 0},
-  "4": {code: 52, charset: 0},
-  "5": {code: 53, charset: 0},
-  "6": {code: 54, charset: 0},
-  "7": {code: 55, charset: 0},
-  "8": {code: 56, charset: 0},
-  "9": {code: 57, charset: 0},
-  ":": {code: 58, charset: 0},
-  ";": {code: 59, charset: 0},
-  "<": {code: 60, charset: 0},
-  "=": {code: 61, charset: 0},
-  ">": {code: 62, charset: 0},
-  "?": {code: 63, charset: 0},
-  "@": {code: 64, charset: 0},
-  "A": {code: 65, charset: 0},
-  "B": {code: 66, charset: 0},
-  "C": {code: 67, charset: 0},
-  "D": {code: 68, charset: 0},
-  "E": {code: 69, charset: 0},
-  "F": {code: 70, charset: 0},
-  "G": {code: 71, charset: 0},
-  "H": {code: 72, charset: 0},
-  "I": {code: 73, charset: 0},
-  "J": {code: 74, charset: 0},
-  "K": {code: 75, charset: 0},
-  "L": {code: 76, charset: 0},
-  "M": {code: 77, charset: 0},
-  "N": {code: 78, charset: 0},
-  "O": {code: 79, charset: 0},
-  "P": {code: 80, charset: 0},
-  "Q": {code: 81, charset: 0},
-  "R": {code: 82, charset: 0},
-  "S": {code: 83, charset: 0},
-  "T": {code: 84, charset: 0},
-  "U": {code: 85, charset: 0},
-  "V": {code: 86, charset: 0},
-  "W": {code: 87, charset: 0},
-  "X": {code: 88, charset: 0},
-  "Y": {code: 89, charset: 0},
-  "Z": {code: 90, charset: 0},
-  "[": {code: 91, charset: 0},
-  "\\": {code: 92, charset: 0},
-  "]": {code: 93, charset: 0},
-  "^": {code: 94, charset: 0},
-  "_": {code: 95, charset: 0},
-  "`": {code: 96, charset: 0},
-  "a": {code: 97, charset: 0},
-  "b": {code: 98, charset: 0},
-  "c": {code: 99, charset: 0},
-  "d": {code: 100, charset: 0},
-  "e": {code: 101, charset: 0},
-  "f": {code: 102, charset: 0},
-  "g": {code: 103, charset: 0},
-  "h": {code: 104, charset: 0},
-  "i": {code: 105, charset: 0},
-  "j": {code: 106, charset: 0},
-  "k": {code: 107, charset: 0},
-  "l": {code: 108, charset: 0},
-  "m": {code: 109, charset: 0},
-  "n": {code: 110, charset: 0},
-  "o": {code: 111, charset: 0},
-  "p": {code: 112, charset: 0},
-  "q": {code: 113, charset: 0},
-  "r": {code: 114, charset: 0},
-  "s": {code: 115, charset: 0},
-  "t": {code: 116, charset: 0},
-  "u": {code: 117, charset: 0},
-  "v": {code: 118, charset: 0},
-  "w": {code: 119, charset: 0},
-  "x": {code: 120, charset: 0},
-  "y": {code: 121, charset: 0},
-  "z": {code: 122, charset: 0},
-  "{": {code: 123, charset: 0},
-  "|": {code: 124, charset: 0},
-  "}": {code: 125, charset: 0},
-  "~": {code: 126, charset: 0},
-
-  // Character Set 7 (Roman Extensions)
-  "À": {code: 33, charset: 7},
-  "Â": {code: 34, charset: 7},
-  "È": {code: 35, charset: 7},
-  "Ê": {code: 36, charset: 7},
-  "Ë": {code: 37, charset: 7},
-  "Î": {code: 38, charset: 7},
-  "Ï": {code: 39, charset: 7},
-  "´": {code: 40, charset: 7},
-  // 41 is duplicate
-  "ˆ": {code: 42, charset: 7},
-  "¨": {code: 43, charset: 7},
-  "˜": {code: 44, charset: 7},
-  "Ù": {code: 45, charset: 7},
-  "Û": {code: 46, charset: 7},
-  "£": {code: 47, charset: 7},
-  "¯": {code: 48, charset: 7},
-  // 49 is unused
-  // 50 is unused
-  "˚": {code: 51, charset: 7},
-  "Ç": {code: 52, charset: 7},
-  "ç": {code: 53, charset: 7},
-  "Ñ": {code: 54, charset: 7},
-  "ñ": {code: 55, charset: 7},
-  "¡": {code: 56, charset: 7},
-  "¿": {code: 57, charset: 7},
-  "¤": {code: 58, charset: 7},
-  // 59 is duplicate of 47
-  "¥": {code: 60, charset: 7},
-  "§": {code: 61, charset: 7},
-  // 62: not sure... ƒ
-  "¢": {code: 63, charset: 7},
-  "â": {code: 64, charset: 7},
-  "ê": {code: 65, charset: 7},
-  "ô": {code: 66, charset: 7},
-  "û": {code: 67, charset: 7},
-  "á": {code: 68, charset: 7},
-  "é": {code: 69, charset: 7},
-  "ó": {code: 70, charset: 7},
-  "ú": {code: 71, charset: 7},
-  "à": {code: 72, charset: 7},
-  "è": {code: 73, charset: 7},
-  "ò": {code: 74, charset: 7},
-  "ù": {code: 75, charset: 7},
-  "ä": {code: 76, charset: 7},
-  "ë": {code: 77, charset: 7},
-  "ö": {code: 78, charset: 7},
-  "ü": {code: 79, charset: 7},
-  "Á": {code: 80, charset: 7},
-  // "?": 81,
-  // "?": 82,
-  "Æ": {code: 83, charset: 7},
-  // "?": 84,
-  "í": {code: 85, charset: 7},
-  // "?": 86,
-  // "?": 87,
-  // "?": 88,
-  "ì": {code: 89, charset: 7},
-  // "?": 90,
-  "Ü": {code: 91, charset: 7},
-  "É": {code: 92, charset: 7},
-  // "": 93,
-  // "": 94,
-  "Ô": {code: 95, charset: 7},
-  // same as 80
-  "Ã": {code: 97, charset: 7},
-  "ã": {code: 98, charset: 7},
-  // "?": 99,
-  // "?": 100,
-  "Í": {code: 101, charset: 7},
-  // "?": 102,
-  "Ó": {code: 103, charset: 7},
-  "Ò": {code: 104, charset: 7},
-  "Õ": {code: 105, charset: 7},
-  "õ": {code: 106, charset: 7},
-  "Š": {code: 107, charset: 7},
-  "š": {code: 108, charset: 7},
-  "Ú": {code: 109, charset: 7},
-  // "?": 110,
-  // "?": 111,
-  "þ": {code: 112, charset: 7},
-  "Þ": {code: 113, charset: 7},
-  // 114 is unused,
-  // 115 is unused,
-  // 116 is unused,
-  // 117 is unused,
-  // "?": 118,
-  "¼": {code: 119, charset: 7},
-  "½": {code: 120, charset: 7},
-  // "?": 121,
-  // "?": 122,
-  // "?": 123,
-  // "": 124,
-  // "?": 125,
-  "±": {code: 126, charset: 7}
-
-  // "µ": {code: 96, charset: 34}
-
-  // // circumflex (we send "a", then "backspace" and then the circumflex accent)
-  // "â": [97, 8, 94],
-  // "ê": [101, 8, 94],
-  // "ô": [111, 8, 94],
-  // "û": [117, 8, 94],
-  //
-  // // diaresis (we send "a", then "backspace" and then the diaresis mark)
-  // "ä": [97, 8, 126],
-  // "ë": [101, 8, 126],
-  // "ö": [111, 8, 126],
-  // "ü": [117, 8, 126]
+// Character sets that can be designated with CS (standard) and CA (alternate). The ANSI/ASCII
+// characters are also found in all sets except Set 7 and Set 8, so only the characters that differ
+// are listed.
+//
+// The HP sets 1 to 5 (9825, French/German, Scandinavian, Spanish/Latin American and special
+// symbols) and the line-drawing sets are deliberately left out: their content varies from one model
+// to the next and the European characters they hold are all found in Set 7 and the ISO sets.
+const CHARACTER_SETS = {
+
+  // Character Set 0 (ANSI ASCII)
+  0: {},
+
+  // Character Set 6 (JIS ASCII)
+  6: {"¥": 92, "‾": 126},
+
+  // Character Set 7 (Roman Extensions). Code 41 is a duplicate of the grave accent (Set 0) while
+  // codes 49, 50 and 114 to 117 are unused.
+  7: {
+    "À": 33, "Â": 34, "È": 35, "Ê": 36, "Ë": 37, "Î": 38,
+    "Ï": 39, "´": 40, "ˆ": 42, "¨": 43, "˜": 44, "Ù": 45,
+    "Û": 46, "₤": 47, "¯": 48, "°": 51, "Ç": 52, "ç": 53,
+    "Ñ": 54, "ñ": 55, "¡": 56, "¿": 57, "¤": 58, "£": 59,
+    "¥": 60, "§": 61, "ƒ": 62, "¢": 63, "â": 64, "ê": 65,
+    "ô": 66, "û": 67, "á": 68, "é": 69, "ó": 70, "ú": 71,
+    "à": 72, "è": 73, "ò": 74, "ù": 75, "ä": 76, "ë": 77,
+    "ö": 78, "ü": 79, "Å": 80, "î": 81, "Ø": 82, "Æ": 83,
+    "å": 84, "í": 85, "ø": 86, "æ": 87, "Ä": 88, "ì": 89,
+    "Ö": 90, "Ü": 91, "É": 92, "ï": 93, "ß": 94, "Ô": 95,
+    "Á": 96, "Ã": 97, "ã": 98, "Ð": 99, "ð": 100, "Í": 101,
+    "Ì": 102, "Ó": 103, "Ò": 104, "Õ": 105, "õ": 106, "Š": 107,
+    "š": 108, "Ú": 109, "Ÿ": 110, "ÿ": 111, "Þ": 112, "þ": 113,
+    "—": 118, "¼": 119, "½": 120, "ª": 121, "º": 122, "«": 123,
+    "■": 124, "»": 125, "±": 126
+  },
+
+  // Character Set 8 (Katakana)
+  8: {
+    "｡": 33, "｢": 34, "｣": 35, "､": 36, "･": 37, "ｦ": 38,
+    "ｧ": 39, "ｨ": 40, "ｩ": 41, "ｪ": 42, "ｫ": 43, "ｬ": 44,
+    "ｭ": 45, "ｮ": 46, "ｯ": 47, "ｰ": 48, "ｱ": 49, "ｲ": 50,
+    "ｳ": 51, "ｴ": 52, "ｵ": 53, "ｶ": 54, "ｷ": 55, "ｸ": 56,
+    "ｹ": 57, "ｺ": 58, "ｻ": 59, "ｼ": 60, "ｽ": 61, "ｾ": 62,
+    "ｿ": 63, "ﾀ": 64, "ﾁ": 65, "ﾂ": 66, "ﾃ": 67, "ﾄ": 68,
+    "ﾅ": 69, "ﾆ": 70, "ﾇ": 71, "ﾈ": 72, "ﾉ": 73, "ﾊ": 74,
+    "ﾋ": 75, "ﾌ": 76, "ﾍ": 77, "ﾎ": 78, "ﾏ": 79, "ﾐ": 80,
+    "ﾑ": 81, "ﾒ": 82, "ﾓ": 83, "ﾔ": 84, "ﾕ": 85, "ﾖ": 86,
+    "ﾗ": 87, "ﾘ": 88, "ﾙ": 89, "ﾚ": 90, "ﾛ": 91, "ﾜ": 92,
+    "ﾝ": 93, "ﾞ": 94, "ﾟ": 95
+  },
+
+  // Character Set 9 (ISO IRV)
+  9: {"¤": 36, "‾": 126},
+
+  // Character Set 30 (ISO Swedish)
+  30: {
+    "¤": 36, "Ä": 91, "Ö": 92, "Å": 93, "ä": 123,
+    "ö": 124, "å": 125, "‾": 126
+  },
+
+  // Character Set 31 (ISO Swedish for Names)
+  31: {
+    "¤": 36, "É": 64, "Ä": 91, "Ö": 92, "Å": 93,
+    "Ü": 94, "é": 96, "ä": 123, "ö": 124, "å": 125,
+    "ü": 126
+  },
+
+  // Character Set 32 (ISO Norway, Version 1)
+  32: {
+    "Æ": 91, "Ø": 92, "Å": 93, "æ": 123, "ø": 124,
+    "å": 125, "‾": 126
+  },
+
+  // Character Set 33 (ISO German)
+  33: {
+    "§": 64, "Ä": 91, "Ö": 92, "Ü": 93, "ä": 123,
+    "ö": 124, "ü": 125, "ß": 126
+  },
+
+  // Character Set 34 (ISO French)
+  34: {
+    "£": 35, "à": 64, "°": 91, "ç": 92, "§": 93,
+    "µ": 96, "é": 123, "ù": 124, "è": 125, "¨": 126
+  },
+
+  // Character Set 35 (ISO United Kingdom)
+  35: {"£": 35, "‾": 126},
+
+  // Character Set 36 (ISO Italian)
+  36: {
+    "£": 35, "§": 64, "°": 91, "ç": 92, "é": 93,
+    "ù": 96, "à": 123, "ò": 124, "è": 125, "ì": 126
+  },
+
+  // Character Set 37 (ISO Spanish)
+  37: {
+    "£": 35, "§": 64, "¡": 91, "Ñ": 92, "¿": 93,
+    "°": 123, "ñ": 124, "ç": 125
+  },
+
+  // Character Set 38 (ISO Portuguese)
+  38: {
+    "§": 64, "Ã": 91, "Ç": 92, "Õ": 93, "ã": 123,
+    "ç": 124, "õ": 125, "°": 126
+  },
+
+  // Character Set 39 (ISO Norway, Version 2)
+  39: {
+    "§": 35, "Æ": 91, "Ø": 92, "Å": 93, "æ": 123,
+    "ø": 124, "å": 125, "|": 126
+  }
+
+};
+
+// Character sets which do not contain the ANSI/ASCII characters (other than the space)
+const NON_ASCII_CHARACTER_SETS = [7, 8];
+
+// The sets in which each character is found, along with its code in that set. Compatibility
+// equivalents (such as full-width katakana) are also listed.
+const CHARACTERS = {};
+
+Object.keys(CHARACTER_SETS).forEach(key => {
+
+  let charset = parseInt(key);
+  let replaced = Object.values(CHARACTER_SETS[key]);
+  let ascii = !NON_ASCII_CHARACTER_SETS.includes(charset);
+
+  for (let code = 32; code < 127; code++) {
+    if (code === 32 || (ascii && !replaced.includes(code))) {
+      let char = String.fromCharCode(code);
+      CHARACTERS[char] = (CHARACTERS[char] || []).concat({code: code, charset: charset});
+    }
+  }
+
+  Object.keys(CHARACTER_SETS[key]).forEach(char => {
+    let entry = {code: CHARACTER_SETS[key][char], charset: charset};
+    CHARACTERS[char] = (CHARACTERS[char] || []).concat(entry);
+  });
+
+});
+
+Object.keys(CHARACTERS).forEach(char => {
+  let equivalent = char.normalize("NFKC");
+  if (equivalent.length === 1 && equivalent.charCodeAt(0) > 127 && !CHARACTERS[equivalent]) {
+    CHARACTERS[equivalent] = CHARACTERS[char];
+  }
+});
+
+// Character drawn in place of those that cannot be represented with the character sets
+const REPLACEMENT_CHARACTER = "?";
+
+// Spacing accents drawn over a character (after a backspace) to compose accented characters that
+// are missing from the character sets.
+const OVERSTRIKE_ACCENTS = {
+  "\u0300": "`", // grave
+  "\u0301": "´", // acute
+  "\u0302": "^", // circumflex
+  "\u0303": "~", // tilde
+  "\u0304": "¯", // macron
+  "\u0308": "¨", // diaeresis
+  "\u030A": "°" // ring
+};
+
+/**
+ * Recursively subdivides a cubic Bézier curve until it is flat enough and appends the resulting
+ * points (excluding the starting point) to the specified array. This is shared by the classes
+ * drawing curves with line segments.
+ *
+ * @private
+ * @param {Object} p0 The starting point.
+ * @param {Object} p1 The first control point.
+ * @param {Object} p2 The second control point.
+ * @param {Object} p3 The end point.
+ * @param {number} tolerance The maximum distance between the line segments and the curve (in the
+ * units of the points).
+ * @param {Object[]} points The array to append the points to.
+ * @param {number} [depth=0] The number of subdivisions made so far.
+ */
+let flattenCubic = function(p0, p1, p2, p3, tolerance, points, depth = 0) {
+
+  // Distance of the control points from the chord
+  let dx = p3.x - p0.x, dy = p3.y - p0.y;
+  let length = Math.sqrt(dx * dx + dy * dy);
+  let d1, d2;
+
+  if (length > 0) {
+    d1 = Math.abs((p1.x - p3.x) * dy - (p1.y - p3.y) * dx) / length;
+    d2 = Math.abs((p2.x - p3.x) * dy - (p2.y - p3.y) * dx) / length;
+  } else {
+    d1 = Math.sqrt(Math.pow(p1.x - p0.x, 2) + Math.pow(p1.y - p0.y, 2));
+    d2 = Math.sqrt(Math.pow(p2.x - p0.x, 2) + Math.pow(p2.y - p0.y, 2));
+  }
+
+  if (depth >= 16 || Math.max(d1, d2) * 0.75 <= tolerance) {
+    points.push(p3);
+    return;
+  }
+
+  // Split in two (de Casteljau)
+  let mid = (a, b) => ({x: (a.x + b.x) / 2, y: (a.y + b.y) / 2});
+  let p01 = mid(p0, p1), p12 = mid(p1, p2), p23 = mid(p2, p3);
+  let p012 = mid(p01, p12), p123 = mid(p12, p23);
+  let center = mid(p012, p123);
+
+  flattenCubic(p0, p01, p012, center, tolerance, points, depth + 1);
+  flattenCubic(center, p123, p23, p3, tolerance, points, depth + 1);
 
 };
 
@@ -285,6 +386,53 @@ let Rectangle = function (x = 0, y = 0, width = 0, height = 0) {
   this.height = height;
 };
 
+/**
+ * A single HP-GL or RS-232-C instruction, as produced by [HpglParser]{@link HpglParser}.
+ *
+ * @typedef {object} Instruction
+ * @property type {String} - The type of instruction: `"hpgl"` or `"rs232"` (device-control).
+ * @property mnemonic {String} - The uppercase two-letter mnemonic (for example, `"PA"`) or, for
+ * device-control instructions, the character following `ESC.` (for example, `"B"`).
+ * @property parameters {Number[]} - The numeric parameters. Omitted device-control parameters are
+ * `null`.
+ * @property text {String} - The label of the `LB`, `BL` and `WD` instructions or the character
+ * parameter of the `DT` and `SM` instructions (`undefined` otherwise).
+ * @property start {Number} - Offset of the instruction's first character in the parsed text.
+ * @property end {Number} - Offset following the instruction's last character (terminator
+ * included) in the parsed text.
+ */
+let Instruction = function(type, mnemonic, parameters = [], text = undefined, start = 0, end = 0) {
+  this.type = type;
+  this.mnemonic = mnemonic;
+  this.parameters = parameters;
+  this.text = text;
+  this.start = start;
+  this.end = end;
+};
+
+/**
+ * Returns the instruction in its canonical (unterminated) form. This is the form expected by
+ * [Plotter.send()]{@link Plotter#send}.
+ *
+ * @returns {string}
+ */
+Instruction.prototype.toString = function() {
+
+  let numbers = this.parameters.map(p => {
+    if (p === null) return "";
+    let str = String(p);
+    return str.includes("e") ? p.toFixed(4) : str;
+  });
+
+  if (this.type === "rs232") return ESCAPE + "." + this.mnemonic + numbers.join(";");
+
+  let str = this.mnemonic + (this.text !== undefined ? this.text : "");
+  if (numbers.length > 0) str += (this.text !== undefined ? "," : "") + numbers.join(",");
+
+  return str;
+
+};
+
 /**
  * The `Models` class is basically an enumeration class that provides information about all the
  * devices (only a few plotters for now) that are supported by the library.
@@ -699,6 +847,192 @@ let Models = {
 
  */
 
+/**
+ * The `HpglParser` class turns HP-GL text into a list of [Instruction]{@link Instruction} objects.
+ * It is used internally by [Plotter.queue()]{@link Plotter#queue} and
+ * [Plotter.plotFile()]{@link Plotter#plotFile} but it can also be used on its own:
+ *
+ * ```
+ * const HpglParser = require("hpgl").HpglParser;
+ * let instructions = new HpglParser().parse("in;sp1;pa 100 100;pd;lbHello; World\u0003");
+ * ```
+ *
+ * The parser is lenient regarding the syntax: mnemonics are case-insensitive, parameters can be
+ * separated by commas, whitespace or signs and the terminating semicolon can be omitted (an
+ * instruction ends where the next one starts). Labels (`LB`, `BL` and `WD`) are terminated by the
+ * label terminator, which is `ETX` by default and can be changed with the `DT` instruction. Since
+ * that terminator remains in effect until changed again, the parser keeps track of it from one call
+ * to [parse()]{@link HpglParser#parse} to the next. RS-232-C device-control instructions (`ESC.`
+ * followed by a character and optional parameters terminated by a colon) are also recognized.
+ *
+ * @class
+ */
+let HpglParser = function() {
+
+  /**
+   * The character currently terminating labels.
+   *
+   * @type {String}
+   * @default "\u0003" (ETX)
+   */
+  this.labelTerminator = LABEL_TERMINATOR;
+
+};
+
+/**
+ * Parses the specified HP-GL text.
+ *
+ * @param {string} text - The HP-GL text to parse. It can contain any number of instructions.
+ * @returns {Instruction[]} An array of instructions, in the order they were found.
+ * @throws {SyntaxError} The text contains characters that cannot be part of a valid instruction.
+ * The error's `offset` property holds the position of the offending character.
+ */
+HpglParser.prototype.parse = function(text = "") {
+
+  let instructions = [];
+  let terminator = this.labelTerminator;
+  let i = 0;
+
+  let fail = (message) => {
+    let error = new SyntaxError(message + " (at offset " + i + ").");
+    error.offset = i;
+    throw error;
+  };
+
+  // Reads numeric parameters starting at the current position
+  let readNumbers = () => {
+
+    let numbers = [];
+    let number = /[+-]?(\d+\.?\d*|\.\d+)/y;
+
+    while (i < text.length) {
+
+      // Skip separators
+      while (i < text.length && /[\s,]/.test(text[i])) i++;
+
+      number.lastIndex = i;
+      let match = number.exec(text);
+      if (!match) break;
+
+      numbers.push(parseFloat(match[0]));
+      i = number.lastIndex;
+
+    }
+
+    return numbers;
+
+  };
+
+  while (i < text.length) {
+
+    let start = i;
+    let char = text[i];
+
+    // Separators between instructions
+    if (/[\s;]/.test(char)) {
+      i++;
+      continue;
+    }
+
+    // RS-232-C device-control instructions
+    if (char === ESCAPE) {
+
+      if (text[i + 1] !== ".") {
+        i++;
+        fail("Escape character must be followed by a period");
+      }
+
+      if (i + 2 >= text.length) {
+        i += 2;
+        fail("Device-control instruction is incomplete");
+      }
+
+      let mnemonic = text[i + 2];
+      i += 3;
+
+      // Parameters are separated by semicolons and terminated by a colon. Omitted parameters are
+      // kept (as null) since their position matters.
+      let parameters = [];
+      let match = /[\d;]*/y;
+      match.lastIndex = i;
+      let params = match.exec(text)[0];
+      i = match.lastIndex;
+      if (params.length > 0) {
+        parameters = params.split(";").map(p => p.length > 0 ? parseInt(p, 10) : null);
+      }
+      if (text[i] === ":") i++;
+
+      instructions.push(new Instruction("rs232", mnemonic, parameters, undefined, start, i));
+      continue;
+
+    }
+
+    // HP-GL mnemonics are made of two letters
+    if (!/[a-z]/i.test(char)) fail("Unexpected character '" + char + "'");
+    if (!/[a-z]/i.test(text[i + 1] || "")) {
+      i++;
+      fail("Incomplete mnemonic '" + char + "'");
+    }
+
+    let mnemonic = text.substring(i, i + 2).toUpperCase();
+    let parameters = [];
+    let label = undefined;
+    i += 2;
+
+    if (LABEL_INSTRUCTIONS.includes(mnemonic)) {
+
+      // Labels run until the terminator (or the end of the input)
+      let end = text.indexOf(terminator, i);
+      if (end === -1) end = text.length;
+      label = text.substring(i, end);
+      i = Math.min(end + 1, text.length);
+      instructions.push(new Instruction("hpgl", mnemonic, parameters, label, start, i));
+      continue;
+
+    }
+
+    // The first parameter of DT and SM is a character
+    if (mnemonic === "DT" || mnemonic === "SM") {
+
+      if (i < text.length && text[i] !== ";") {
+        label = text[i];
+        i++;
+      }
+
+      if (mnemonic === "DT") terminator = label !== undefined ? label : LABEL_TERMINATOR;
+
+    }
+
+    // Initialization restores the default terminator
+    if (mnemonic === "IN" || mnemonic === "DF") terminator = LABEL_TERMINATOR;
+
+    parameters = readNumbers();
+
+    // An instruction is terminated by a semicolon or by the start of the next instruction
+    if (text[i] === ";") {
+      i++;
+    } else if (i < text.length && !/[a-z]/i.test(text[i]) && text[i] !== ESCAPE) {
+      fail("Unexpected character '" + text[i] + "' in " + mnemonic + " instruction");
+    }
+
+    instructions.push(new Instruction("hpgl", mnemonic, parameters, label, start, i));
+
+  }
+
+  // The terminator is only updated if the whole text could be parsed
+  this.labelTerminator = terminator;
+
+  return instructions;
+
+};
+
+/**
+ * Resets the parser's state (the label terminator).
+ */
+HpglParser.prototype.reset = function() {
+  this.labelTerminator = LABEL_TERMINATOR;
+};
+
 /**
  * The `Plotter` class provides methods to interact with an HPGL-compatible plotter such as those
  * made by HP. Various other makers also use or support the HPGL protocol (Calcomp, for example).
@@ -739,6 +1073,21 @@ let Models = {
  * });
  * ```
  *
+ * The asynchronous methods (`connect()`, `initialize()`, `getModel()`, `getStatus()`,
+ * `getRs232Error()`, `wait()`, `plotFile()`, `abort()`, `disconnect()` and `destroy()`) call their
+ * callback with an error (or `null`) followed by the result and return the `Plotter` object. When
+ * no callback is passed, they return a promise instead. They accept an `AbortSignal` through their
+ * `options` parameter:
+ *
+ * ```
+ * await plotter.connect(transport, {orientation: "portrait"});
+ * await plotter.plotFile("test.hpgl", {signal: controller.signal});
+ * ```
+ *
+ * In a browser that supports the [Web Serial API](https://developer.mozilla.org/docs/Web/API/Web_Serial_API),
+ * the port selected by the user can be used through a
+ * [WebSerialTransport]{@link WebSerialTransport}.
+ *
  * If you are using NW.js, you need to change the first three lines of code to this:
  *
  * ```
@@ -752,7 +1101,6 @@ let Models = {
  * @todo Create a getter that returns the size of the plottable area.
  * @todo Instructions queued with waitForResponse should timeout if the response does not come`
  * @todo The queue() function should validate if the instruction(s) is actually valid.
- * @todo Implement penThickness.
  * @todo ?? The buffer must be flushed during connect because some devices (7440A) will keep commands in the buffer
  *
  * @class
@@ -795,6 +1143,38 @@ let Plotter = function() {
     value: 100
   });
 
+  /**
+   * The shortest delay to wait for before asking the device for its free buffer space again. The
+   * actual delay adapts to the device: it is halved each time instructions can be sent and doubled
+   * (up to [MAX_QUEUE_DELAY]{@link Plotter#MAX_QUEUE_DELAY}) each time the buffer is too full.
+   *
+   * @member {Number}
+   * @name Plotter#MIN_QUEUE_DELAY
+   * @constant
+   * @default 10
+   * @private
+   */
+  Object.defineProperty(this, "MIN_QUEUE_DELAY", {
+    enumerable: true,
+    writable: false,
+    value: 10
+  });
+
+  /**
+   * The longest delay to wait for before asking the device for its free buffer space again.
+   *
+   * @member {Number}
+   * @name Plotter#MAX_QUEUE_DELAY
+   * @constant
+   * @default 1000
+   * @private
+   */
+  Object.defineProperty(this, "MAX_QUEUE_DELAY", {
+    enumerable: true,
+    writable: false,
+    value: 1000
+  });
+
   /**
    * Prefix for the RS-232 instructions. It is typically made up of the `escape` character followed
    * by a period.
@@ -811,7 +1191,7 @@ let Plotter = function() {
   });
 
   /**
-   * Queue of command objects that will be sent (one by one) to the plotter when the device's buffer
+   * Queue of command objects that will be sent (in batches) to the plotter when the device's buffer
    * has enough space.
    *
    * @private
@@ -828,101 +1208,310 @@ let Plotter = function() {
   this._queueTimeOutId = 0;
 
   /**
-   * ID of the timeout used to reattempte communication (when lost)
+   * Current delay (in milliseconds) between two requests for the device's free buffer space. It
+   * varies between `MIN_QUEUE_DELAY` and `MAX_QUEUE_DELAY`.
    *
    * @private
    * @member {Number}
    */
-  this._retryTimeoutId = 0;
+  this._queueDelay = this.MIN_QUEUE_DELAY;
 
   /**
-   * Serial input buffer
+   * Identifies the current queue processing cycle. Responses belonging to a cycle that was
+   * interrupted (for example, by `abort()`) are ignored.
    *
    * @private
-   * @member {String}
+   * @member {Number}
    */
-  this._buffer  = "";
+  this._queueCycle = 0;
 
   /**
-   * Path to a file were hpgl commands should be savec.
+   * Dispatches the device's responses to the instructions waiting for them (`response` event).
+   * Unlike the public `data` event, waiting instructions can be released when a response will
+   * never come (see `_releaseResponses()`).
    *
    * @private
-   * @member {String}
+   * @member {EventEmitter}
    */
-  this._outputFile = undefined;
+  this._responses = new EventEmitter();
 
   /**
-   * Plotter pen's nib size
+   * Whether the queue is being processed (i.e. a cycle is waiting for the device to answer).
    *
    * @private
-   * @member {Number}
+   * @member {Boolean}
    */
-  this._penThickness = 0.3;
+  this._queueProcessing = false;
 
   /**
-   * The thickness of the drawing pen's nib in millimiters. The value must be between 0.1 and 5.
-   * Specifying an invalid value will set the thickness to the default value of 0.3.
-   *
-   * Specifying the pen's thickness is particularly important when trying to shade shapes.
+   * Maximum number of bytes sent at once when a software or hardware handshake is used.
    *
-   * @member {Number} Plotter#penThickness
+   * @private
+   * @member {Number}
    */
-  Object.defineProperty(this, 'penThickness', {
-
-    get: () => { return this._penThickness; },
-
-    set: (value) => {
-      if (value >= 0.1 && value <= 5) {
-        this._penThickness = value;
-      } else {
-        this._penThickness = 0.3
-      }
-    }
-
-  });
+  this._blockSize = 80;
 
   /**
-   * The paper orientation currently selected (portrait or landscape). Paper orientation is assigned
-   * during the connection to the device (with the [connect()]{@link Plotter#connect} function) or
-   * when saving to file (with the [connect()]{@link Plotter#startCapturingToFile} function).
+   * Whether the device asked us to stop sending (Xon/Xoff handshake).
    *
-   * @type {String}
-   * @default "landscape"
-   * @readonly
+   * @private
+   * @member {Boolean}
    */
-  this.orientation = "landscape";
+  this._xoff = false;
 
   /**
-   * Whether the drawing should be flipped along the x-axis.
+   * Function to call when the device acknowledges an enquiry (ENQ/ACK handshake).
    *
-   * @type {Boolean}
-   * @default false
-   * @readonly
+   * @private
+   * @member {Function}
    */
-  this.flipX = false;
+  this._acknowledge = undefined;
 
   /**
-   * Whether the drawing should be flipped along the y-axis.
+   * Maximum time (in milliseconds) to wait for the device to acknowledge an enquiry (ENQ/ACK
+   * handshake).
    *
-   * @type {Boolean}
-   * @default false
-   * @readonly
+   * @private
+   * @member {Number}
    */
-  this.flipY = false;
+  this._acknowledgeTimeout = 10000;
 
   /**
-   * Indicates whether a successful serial connection has been established or not. This does not
-   * necessarily mean the device is ready to receive commands.
-   *
-   * To know when the device is ready to receive commands, you can check out the `ready` property or
-   * listen to the [ready]{@link Plotter#event:ready} event
+   * ID of the timeout used to reattempte communication (when lost)
    *
-   * @member {Number} Plotter#connected
-   * @readOnly
+   * @private
+   * @member {Number}
    */
-  Object.defineProperty(this, 'connected', {
-
-    get: () => {
+  this._retryTimeoutId = 0;
+
+  /**
+   * State of the resilience mode (see the `reconnect` option of [connect()]{@link Plotter#connect})
+   * or `undefined` when it is not enabled.
+   *
+   * @private
+   * @member {Object}
+   */
+  this._reconnection = undefined;
+
+  /**
+   * Queued commands written to the device since it last answered (in resilience mode). Their
+   * reception has not been confirmed yet.
+   *
+   * @private
+   * @member {Object[]}
+   */
+  this._unacknowledged = [];
+
+  /**
+   * Pen state (`{position, absolute, pen, down}`) after the queued commands written to the device
+   * (in resilience mode).
+   *
+   * @private
+   * @member {Object}
+   */
+  this._sentState = {position: null, absolute: true, pen: undefined, down: false};
+
+  /**
+   * Pen state after the queued commands that the device confirmed receiving (in resilience mode).
+   *
+   * @private
+   * @member {Object}
+   */
+  this._acknowledgedState = this._sentState;
+
+  /**
+   * Parser used to break down queued instructions.
+   *
+   * @private
+   * @member {HpglParser}
+   */
+  this._parser = new HpglParser();
+
+  /**
+   * Character terminating labels sent to the device (as last set by a `DT` instruction).
+   *
+   * @private
+   * @member {String}
+   */
+  this._labelTerminator = LABEL_TERMINATOR;
+
+  /**
+   * Instructions held back while optimizing (see `startOptimizing()`). `undefined` when not
+   * optimizing.
+   *
+   * @private
+   * @member {Object}
+   */
+  this._optimization = undefined;
+
+  /**
+   * Simulation used to check drawings against the plottable area (see `startValidating()`).
+   * `undefined` when not validating.
+   *
+   * @private
+   * @member {Object}
+   */
+  this._validation = undefined;
+
+  /**
+   * Position of the pen (in plotter units) after the instructions queued so far or `null` when it
+   * cannot be known (for example, after a label has been drawn).
+   *
+   * @private
+   * @member {Object}
+   */
+  this._penPosition = null;
+
+  /**
+   * Whether the coordinates of the instructions queued so far are absolute (`PA`) or relative
+   * (`PR`).
+   *
+   * @private
+   * @member {Boolean}
+   */
+  this._absolutePlotting = true;
+
+  /**
+   * Serial input buffer
+   *
+   * @private
+   * @member {String}
+   */
+  this._buffer  = "";
+
+  /**
+   * Path to a file were hpgl commands should be savec.
+   *
+   * @private
+   * @member {String}
+   */
+  this._outputFile = undefined;
+
+  /**
+   * Plotter pen's nib size
+   *
+   * @private
+   * @member {Number}
+   */
+  this._penThickness = 0.3;
+
+  /**
+   * Pen thickness last sent to the device with `PT` (`undefined` if it was not sent since the
+   * device was initialized).
+   *
+   * @private
+   * @member {Number}
+   */
+  this._devicePenThickness = undefined;
+
+  /**
+   * The label origin (`LO`) last sent to the device (1 is the device's default).
+   *
+   * @private
+   * @member {Number}
+   */
+  this._labelOrigin = 1;
+
+  /**
+   * Fill type used by filled shapes, in the form `{type, spacing, angle}` (see
+   * [setFillType()]{@link Plotter#setFillType}).
+   *
+   * @private
+   * @member {Object}
+   */
+  this._fill = {type: "solid", spacing: 0, angle: 0};
+
+  /**
+   * Transform applied to the coordinates passed to the drawing methods, in the form
+   * `[a, b, c, d, e, f]` (in cm, in the top-left coordinates system).
+   *
+   * @private
+   * @member {number[]}
+   */
+  this._transform = [1, 0, 0, 1, 0, 0];
+
+  /**
+   * Transforms saved by [pushTransform()]{@link Plotter#pushTransform}.
+   *
+   * @private
+   * @member {Array.<number[]>}
+   */
+  this._transforms = [];
+
+  /**
+   * The `UC` instructions used to draw the characters defined with
+   * [defineCharacter()]{@link Plotter#defineCharacter}.
+   *
+   * @private
+   * @member {Object}
+   */
+  this._userCharacters = {};
+
+  /**
+   * The thickness of the drawing pen's nib in millimiters. The value must be between 0.1 and 5.
+   * Specifying an invalid value will set the thickness to the default value of 0.3.
+   *
+   * Specifying the pen's thickness is particularly important when trying to shade shapes: solid
+   * fills are made of lines spaced by the pen's thickness.
+   *
+   * @member {Number} Plotter#penThickness
+   */
+  Object.defineProperty(this, 'penThickness', {
+
+    get: () => { return this._penThickness; },
+
+    set: (value) => {
+      if (value >= 0.1 && value <= 5) {
+        this._penThickness = value;
+      } else {
+        this._penThickness = 0.3
+      }
+    }
+
+  });
+
+  /**
+   * The paper orientation currently selected (portrait or landscape). Paper orientation is assigned
+   * during the connection to the device (with the [connect()]{@link Plotter#connect} function) or
+   * when saving to file (with the [connect()]{@link Plotter#startCapturingToFile} function).
+   *
+   * @type {String}
+   * @default "landscape"
+   * @readonly
+   */
+  this.orientation = "landscape";
+
+  /**
+   * Whether the drawing should be flipped along the x-axis.
+   *
+   * @type {Boolean}
+   * @default false
+   * @readonly
+   */
+  this.flipX = false;
+
+  /**
+   * Whether the drawing should be flipped along the y-axis.
+   *
+   * @type {Boolean}
+   * @default false
+   * @readonly
+   */
+  this.flipY = false;
+
+  /**
+   * Indicates whether a successful serial connection has been established or not. This does not
+   * necessarily mean the device is ready to receive commands.
+   *
+   * To know when the device is ready to receive commands, you can check out the `ready` property or
+   * listen to the [ready]{@link Plotter#event:ready} event
+   *
+   * @member {Number} Plotter#connected
+   * @readOnly
+   */
+  Object.defineProperty(this, 'connected', {
+
+    get: () => {
 
       if (this.transport && typeof this.transport.isOpen === 'function') {
         return this.transport.isOpen(); // browser-serialport
@@ -947,6 +1536,26 @@ let Plotter = function() {
    */
   this.paper = "A";
 
+  /**
+   * The strategy used to avoid overflowing the device's buffer. It is selected with the
+   * `handshake` option of [connect()]{@link Plotter#connect}:
+   *
+   *   - **polling**: the free buffer space is requested (`ESC.B`) before sending instructions;
+   *   - **xonxoff**: the device sends `XOFF` when its buffer is almost full and `XON` when it can
+   *   accept data again;
+   *   - **enqack**: an `ENQ` character is sent before each block of data and the device answers
+   *   with `ACK` when it has room for that block;
+   *   - **hardware**: the device uses its DTR line to stop the transport (which must have been
+   *   opened with hardware flow control).
+   *
+   * If the device does not accept the requested handshake, polling is used.
+   *
+   * @type {String}
+   * @default "polling"
+   * @readonly
+   */
+  this.handshake = "polling";
+
   /**
    * @type {PlotterCharacteristics}
    * @readonly
@@ -988,7 +1597,7 @@ let Plotter = function() {
 
 };
 
-util.inherits(Plotter, EventEmitter);
+Object.setPrototypeOf(Plotter.prototype, EventEmitter.prototype);
 
 /**
  * Opens a serial connection to the device using the specified serial transport layer. The following
@@ -1014,171 +1623,717 @@ util.inherits(Plotter, EventEmitter);
  * *portrait*.
  * @param {number} [options.penThickness=0.3] - The drawing pen's thickness in millimiters (between
  * 0.1mm and 5mm).
+ * @param {string} [options.handshake="polling"] - The strategy used to avoid overflowing the
+ * device's buffer: *polling*, *xonxoff*, *enqack* or *hardware*. See
+ * [handshake]{@link Plotter#handshake} for details. When using *hardware*, the transport must be
+ * opened with hardware flow control (for example, the `rtscts` option of `serialport`).
+ * @param {number} [options.blockSize] - The maximum number of bytes sent at once when a handshake
+ * other than *polling* is used. By default, this is a quarter of the device's buffer (it cannot be
+ * more than half of it).
+ * @param {number} [options.acknowledgeTimeout=10000] - The maximum time (in milliseconds) to wait
+ * for the device to acknowledge an enquiry with the *enqack* handshake. The device only answers
+ * once there is room for a block in its buffer, so this must be longer than the time it takes to
+ * plot a block. When the time runs out, the queued instructions are discarded, an `error` event is
+ * emitted and pending [wait()]{@link Plotter#wait} calls are rejected.
+ * @param {Boolean} [options.reconnect=false] - Whether to reestablish the connection if the
+ * transport is lost (for example, when a USB-to-Serial adapter hiccups). The transport is
+ * reopened and the device is initialized again without being reset. The pen is then brought back
+ * to where it was after the last instructions the device confirmed receiving and the following
+ * instructions are sent again. The device confirms reception each time it answers a request. With
+ * the *xonxoff* and *hardware* handshakes, which do not poll the device, its position is requested
+ * every 50 instructions for that purpose. Instructions are not lost while the connection is down:
+ * they are sent once it is reestablished.
+ * @param {number} [options.reconnectAttempts=5] - The number of attempts made to reopen the
+ * transport before giving up (in which case an `error` event is emitted).
+ * @param {number} [options.reconnectDelay=1000] - The delay (in milliseconds) before the first
+ * attempt to reopen the transport. The delay doubles after each failed attempt.
+ * @param {AbortSignal} [options.signal] - A signal that can be used to cancel the connection
+ * attempt. When aborted, the transport is closed and the returned promise is rejected.
  * @param {Function} [callback=null] - A function to trigger when the connect operation has
- * completed. This function will receive an `error` parameter if an error occured.
+ * completed. This function will receive an `error` parameter if an error occured (`null`
+ * otherwise).
  *
  * @fires Plotter#connected
  * @fires Plotter#ready
+ * @fires Plotter#reconnecting
+ * @fires Plotter#reconnected
  *
- * @returns {Plotter} Returns the `Plotter` object to allow method chaining.
+ * @returns {Promise<Plotter>|Plotter} A promise fulfilled with the `Plotter` object once the
+ * device is ready or rejected with an `Error` if the connection failed. If a callback is
+ * specified, the `Plotter` object is returned instead to allow method chaining.
  */
 Plotter.prototype.connect = function(transport, options = {}, callback = null) {
 
-  this.transport = transport;
+  return this._toPromise((resolve, reject) => {
 
-  // Terminate any ongoing file capture session (if the connection works or not)
-  this.stopCapturingToFile();
+    let cancelled = false;
+    let timeout = 0;
 
-  // Try to open transport layer
-  this.transport.open((error) => {
+    // The resilience mode is only enabled once the device is ready
+    this._setReconnection();
+
+    this.transport = transport;
+    this.handshake = "polling";
+    this._xoff = false;
+
+    // Terminate any ongoing file capture session (if the connection works or not)
+    this.stopCapturingToFile();
 
     // Prepare listeners for later
     let onDataListener = this._onData.bind(this);
     let onErrorListener = this._onError.bind(this);
 
     // Tear down function when connection fails
-    function fail(err) {
+    let fail = (err) => {
+      clearTimeout(timeout);
       if (this.connected) this.transport.close();
       this.transport.removeListener('data', onDataListener);
       this.transport.removeListener('error', onErrorListener);
-      if (typeof callback === "function") callback(err);
-      // this._onError(err);
-    }
-
-    // If the serial connection attempt was unsuccessful, we are done!
-    if (error) {
-      fail.call(this, new Error("Failed to open serial port (" + this.transport.path + ")."));
-      return;
-    }
+      reject(err);
+    };
 
-    // Install listeners
-    this.transport.on('data', onDataListener);
-    this.transport.on('error', onErrorListener);
+    // Try to open transport layer
+    this.transport.open((error) => {
 
-    // Check if RS-232-C communication with plotter works properly. This is to prevent the case
-    // where we are connected to a serial port which is not a compatible device. To do that we set a
-    // maximum time to receive a response.
-    let timeout = setTimeout(() => {
-      fail.call(
-        this,
-        new Error(`RS-232-C communication attempt with plotter timed out (${this.transport.path}).`)
-      );
-    }, this.DEVICE_RS232_DELAY);
+      // If the attempt was cancelled in the meantime, we simply close what we opened.
+      if (cancelled) {
+        if (this.connected) this.transport.close();
+        return;
+      }
 
-    this.getRs232Error((err) => {
+      // If the serial connection attempt was unsuccessful, we are done!
+      if (error) {
+        fail(new Error("Failed to open serial port (" + this.transport.path + ")."));
+        return;
+      }
 
-      clearTimeout(timeout);
+      // Install listeners
+      this.transport.on('data', onDataListener);
+      this.transport.on('error', onErrorListener);
 
-      // If an error occured, we're done!
-      if (err.code !== 0) {
-        fail.call(
-          this,
-          new Error(
-            `Plotter initialization attempt failed (${this.transport.path}). Device returned ` +
-            `the following error: ${err.message}.`
-          )
+      // Check if RS-232-C communication with plotter works properly. This is to prevent the case
+      // where we are connected to a serial port which is not a compatible device. To do that we
+      // set a maximum time to receive a response.
+      timeout = setTimeout(() => {
+        fail(
+          new Error(`RS-232-C communication attempt with plotter timed out (${this.transport.path}).`)
         );
-        return;
-      }
+      }, this.DEVICE_RS232_DELAY);
+
+      this.getRs232Error((err) => {
+
+        clearTimeout(timeout);
+        if (cancelled) return;
+
+        // If an error occured, we're done!
+        if (err instanceof Error) {
+          fail(err);
+          return;
+        } else if (err.code !== 0) {
+          fail(
+            new Error(
+              `Plotter initialization attempt failed (${this.transport.path}). Device returned ` +
+              `the following error: ${err.message}.`
+            )
+          );
+          return;
+        }
 
-      // console.log("rs2323 err code", err.code);
+        this.initialize(options, (err) => {
+          if (err) {
+            fail(err);
+          } else {
+            this._setReconnection(options);
+            resolve(this);
+          }
+        });
 
-      this.initialize(options, callback);
+      });
 
     });
 
-  });
+    // When the signal is aborted, we stop the pending instructions and close the transport.
+    return (err) => {
+      cancelled = true;
+      this._stopAndEmptyQueue();
+      fail(err);
+    };
 
-  return this;
+  }, options, callback);
 
 };
 
 /**
- * Reset the device to its 'power on' status using the `IN` instruction (same as `DF` plus: pen is
- * raised, errors are cleared, rotation set to 0, scaling points reset). This function can also
- * configure the plotting environments according to the `options` parameter. This operation is
- * asynchronous.
+ * Looks for plotters on the serial ports of the host. Each candidate port is opened in turn and
+ * the same RS-232-C check as [connect()]{@link Plotter#connect} is performed, followed by a model
+ * and buffer size query. Only output instructions (`OI` and RS-232-C queries) are sent, so the
+ * drawing state of the devices is left as is.
+ * Ports that cannot be opened or that do not answer in time are skipped. Ports are closed once
+ * probed.
  *
- * Note: a call to this function is automatically performed when calling `connect()`.
+ * The library does not enumerate ports by itself. The functions listing the ports and creating
+ * their transport must be provided. With the [serialport](https://www.npmjs.com/package/serialport)
+ * module, this would look like:
  *
- * @param {Object} [options={}] Options to use while setting up the device.
- * @param {string} [options.paper="A"] - The paper size to use. Choices are:
- *   - **A**: ANSI A (8.5"x11", a.k.a "letter")
- *   - **B**: ANSI B (11"x17", a.k.a "tabloid")
- *   - **A4**: ISO A4 (210mm × 297mm)
- *   - **A3**: ISO A3 (297mm × 420mm)
- * @param {string} [options.orientation="landscape"] - The orientation of the paper: *landscape* or
- * *portrait*.
- * @param {number} [options.penThickness=0.3] - The drawing pen's thickness in millimiters (between
- * 0.1mm and 5mm).
- * @param {Function} [callback=undefined]  A function to call once the device has been initialized.
- * In case of error, the function will receive an `Error` object
+ * ```javascript
+ * let devices = await Plotter.discover({
+ *   list: () => SerialPort.list(),
+ *   transport: path => new SerialPort(path, {autoOpen: false})
+ * });
+ * ```
+ *
+ * @param {Object} options - Options to use while looking for devices.
+ * @param {Function} options.list - A function returning an array of ports (or a promise fulfilled
+ * with such an array). Each port is either a path or an object with a `path` property.
+ * @param {Function} options.transport - A function receiving the path and the port (as returned by
+ * `list`) and returning an unopened transport object (see [connect()]{@link Plotter#connect}).
+ * @param {number} [options.timeout=2000] - The maximum time (in milliseconds) to wait for a device
+ * to answer on each port.
+ * @param {AbortSignal} [options.signal] - A signal that can be used to stop looking for devices.
+ * The port being probed is closed and the returned promise is rejected.
+ * @param {Function} [callback=null] - A function to trigger once all ports have been probed. This
+ * function receives an `error` parameter (if an error occured, `null` otherwise) and the array of
+ * devices found.
+ *
+ * @returns {Promise<Object[]>|Plotter} A promise fulfilled with an array of objects describing the
+ * devices that were found, in the order of the ports. Each object has a `path`, a `model` and a
+ * `bufferSize` (in bytes) property. If a callback is specified, the `Plotter` class is returned
+ * instead.
  */
-Plotter.prototype.initialize = function(options, callback) {
+Plotter.discover = function(options = {}, callback = null) {
 
-  // Abort any lingering device instructions
-  this.send(this.RS232_PREFIX + "J");
+  return Plotter.prototype._toPromise.call(this, (resolve, reject) => {
 
-  // Abort any lingering HP-GL instructions
-  this.send(this.RS232_PREFIX + "K");
+    let cancelled = false;
+    let devices = [];
 
-  this._configurePlottingEnvironment(options, callback);
+    if (typeof options.list !== "function" || typeof options.transport !== "function") {
+      throw new TypeError("The 'list' and 'transport' options must be functions.");
+    }
 
-};
+    let probe = (ports, index) => {
 
-/**
- * Retrieves any RS-232-C errors that might have occured and passes it to the specified callback
- * function.
- *
- * @param {Function} callback A function to call once the error has been obtained from the
- * device. This function receives an object with various properties which are detailed below.
- * @param {Boolean} callback.code The error code.
- * @param {Boolean} callback.message The error message.
- *
- * @returns {Plotter} Returns the `Plotter` object to allow method chaining.
- */
-Plotter.prototype.getRs232Error = function(callback) {
-
-  this.send(this.RS232_PREFIX + "E", (data) => {
-
-    // If there is no callback, we are done!
-    if (typeof callback !== "function") return;
-
-    // Parse returned code
-    let code = parseInt(data);
-    let error = {};
-
-    // We should only be checking for 0 but, despite what the documentation says, we sometines
-    // receive an empty string (\r terminated) when there are no errors...
-    if (data.length === 0) code = 0;
-
-    if (code === 0 ) {
-      error.message = "No error."
-    } else if (code === 10) {
-      error.message = "New output generated before previous output finished being transmitted."
-    } else if (code === 11) {
-      error.message = "Invalid character received after first two characters (ESC.)."
-    } else if (code === 12) {
-      error.message = "Invalid character received while parsing instruction."
-    } else if (code === 13) {
-      error.message = "Parameter out-of-range."
-    } else if (code === 14) {
-      error.message = "Too many parameters received."
-    } else if (code === 15) {
-      error.message = "Framing, parity or overrun error."
-    } else if (code === 16) {
-      error.message = "Input buffer has overflowed."
-    } else {
-      code = 99;
-      error.message = "Unknown error"
-    }
-    error.code = code;
+      if (cancelled) return;
 
-    callback(error);
+      if (index >= ports.length) {
+        resolve(devices);
+        return;
+      }
 
-  }, true);
+      let port = ports[index];
+      let path = typeof port === "string" ? port : port.path;
 
-  return this;
+      Promise.resolve()
+        .then(() => new Plotter()._probe(options.transport(path, port), options))
+        .then(device => { if (device) devices.push(device); }, () => {})
+        .then(() => probe(ports, index + 1));
+
+    };
+
+    Promise.resolve()
+      .then(() => options.list())
+      .then(ports => probe(Array.from(ports || []), 0), reject);
+
+    return () => cancelled = true;
+
+  }, options, callback);
+
+};
+
+/**
+ * Opens the specified transport, checks that a device answers and retrieves its model and buffer
+ * size. The transport is closed afterwards. The returned promise is fulfilled with `undefined` if
+ * no device answered in time.
+ *
+ * @param {Object} transport - An unopened transport object
+ * @param {Object} [options={}]
+ * @param {number} [options.timeout=2000]
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<Object|undefined>}
+ * @private
+ */
+Plotter.prototype._probe = function(transport, options = {}) {
+
+  let {timeout = 2000} = options;
+
+  return this._toPromise((resolve) => {
+
+    let done = false;
+    let onDataListener = this._onData.bind(this);
+    let onErrorListener = () => finish();
+
+    this.transport = transport;
+    this.handshake = "polling";
+    this._xoff = false;
+
+    // Whatever the outcome, pending instructions are dropped and the port is closed.
+    let finish = (device) => {
+      if (done) return;
+      done = true;
+      clearTimeout(timeoutId);
+      this._stopAndEmptyQueue();
+      this.transport.removeListener('data', onDataListener);
+      this.transport.removeListener('error', onErrorListener);
+      if (this.connected) {
+        this.transport.close(() => resolve(device));
+      } else {
+        resolve(device);
+      }
+    };
+
+    let timeoutId = setTimeout(() => finish(), timeout);
+
+    this.transport.open((error) => {
+
+      if (done) {
+        if (this.connected) this.transport.close();
+        return;
+      }
+
+      if (error) {
+        finish();
+        return;
+      }
+
+      this.transport.on('data', onDataListener);
+      this.transport.on('error', onErrorListener);
+
+      // A device reporting an RS-232-C error is still a device, so the code is not checked.
+      this.getRs232Error(() => {
+        this.getModel((model) => {
+          this.getRs232Error(() => {
+            this.queue(this.RS232_PREFIX + "L", data => {
+              finish({path: this.transport.path, model: model, bufferSize: parseInt(data)});
+            }, {waitForResponse: true});
+          });
+        });
+      });
+
+    });
+
+    return () => finish();
+
+  }, options);
+
+};
+
+/**
+ * Enables the resilience mode for the current transport (if the `reconnect` option is set) or
+ * disables it (if it is not).
+ *
+ * @private
+ * @param {Object} [options={}] The options passed to [connect()]{@link Plotter#connect}.
+ */
+Plotter.prototype._setReconnection = function(options = {}) {
+
+  if (this._reconnection) {
+    clearTimeout(this._reconnection.timeoutId);
+    this._reconnection.transport.removeListener("close", this._reconnection.listener);
+    this._reconnection = undefined;
+  }
+
+  this._unacknowledged = [];
+
+  if (!options.reconnect) return;
+
+  let attempts = parseInt(options.reconnectAttempts);
+
+  this._reconnection = {
+    transport: this.transport,
+    listener: this._reconnect.bind(this),
+    attempts: attempts >= 0 ? attempts : 5,
+    delay: parseInt(options.reconnectDelay) || 1000,
+    options: Object.assign({}, options, {reset: false, signal: undefined}),
+    active: false,
+    held: [],
+    state: undefined,
+    timeoutId: 0
+  };
+
+  this._sentState = this._acknowledgedState;
+  this.transport.on("close", this._reconnection.listener);
+
+};
+
+/**
+ * Reestablishes the connection after the transport was lost (in resilience mode). The transport
+ * is reopened (waiting twice as long after each failed attempt) and the device is initialized
+ * again without being reset. The pen is then brought back to the state it was in after the last
+ * instructions the device confirmed receiving and the instructions that followed are sent again.
+ *
+ * @private
+ */
+Plotter.prototype._reconnect = function() {
+
+  let reconnection = this._reconnection;
+
+  if (!reconnection || reconnection.active || this.connected) return;
+
+  reconnection.active = true;
+  this.ready = false;
+
+  // The commands that may not have been received go back in front of the queue. The callbacks of
+  // those that were not waiting for a response were already executed.
+  reconnection.held = this._unacknowledged
+    .map(command => {
+      if (command.waitForResponse) return command;
+      return {instruction: command.instruction, parsed: command.parsed};
+    })
+    .concat(this._queue);
+  reconnection.state = this._acknowledgedState;
+  this._sentState = this._acknowledgedState;
+  this._unacknowledged = [];
+  this._stopAndEmptyQueue();
+
+  // Release the callbacks waiting for responses that will never come
+  this._buffer = "";
+  this._releaseResponses();
+
+  let attempt = (count, delay) => {
+
+    // The instructions held back are given up on. The error is emitted directly because
+    // _onError() would start reconnecting again.
+    if (count > reconnection.attempts) {
+      let error = new Error(
+        `The connection to the device could not be reestablished (${this.transport.path}).`
+      );
+      this._queue = reconnection.held.concat(this._queue);
+      reconnection.held = [];
+      reconnection.active = false;
+      this._discardQueue(error);
+      this.emit("error", error);
+      return;
+    }
+
+    reconnection.timeoutId = setTimeout(() => {
+
+      /**
+       * Event emitted before each attempt to reopen the transport after the connection to the
+       * device was lost (see the `reconnect` option of [connect()]{@link Plotter#connect}).
+       *
+       * @event Plotter#reconnecting
+       * @param {number} attempt The number of the attempt (starting at 1).
+       */
+      this.emit("reconnecting", count);
+
+      // Instructions queued while the connection was down go after the ones held back
+      reconnection.held.push(...this._queue);
+      this._queue = [];
+
+      this._reopen(reconnection.options, (error) => {
+
+        // The plotter may have been disconnected in the meantime
+        if (reconnection !== this._reconnection) return;
+
+        if (error) {
+          this._stopAndEmptyQueue();
+          if (this.connected) this.transport.close();
+          attempt(count + 1, delay * 2);
+          return;
+        }
+
+        this._resume(reconnection);
+
+      });
+
+    }, delay);
+
+  };
+
+  attempt(1, reconnection.delay);
+
+};
+
+/**
+ * Reopens the transport, checks that the device answers and initializes it (with the specified
+ * options).
+ *
+ * @private
+ * @param {Object} options The options to pass to [initialize()]{@link Plotter#initialize}.
+ * @param {Function} callback A function to call once done. It receives an `Error` object if the
+ * device could not be reached.
+ */
+Plotter.prototype._reopen = function(options, callback) {
+
+  this.transport.open((error) => {
+
+    if (error) {
+      callback(new Error("Failed to open serial port (" + this.transport.path + ")."));
+      return;
+    }
+
+    let timedOut = false;
+
+    let timeoutId = setTimeout(() => {
+      timedOut = true;
+      this._releaseResponses();
+      callback(
+        new Error(`RS-232-C communication attempt with plotter timed out (${this.transport.path}).`)
+      );
+    }, this.DEVICE_RS232_DELAY);
+
+    // The error reported by the device (if any) is a consequence of the interruption. Reading it
+    // clears it.
+    this.getRs232Error(() => {
+      clearTimeout(timeoutId);
+      if (!timedOut) this.initialize(options, callback);
+    });
+
+  });
+
+};
+
+/**
+ * Puts back the pen in the state it was in after the last instructions the device confirmed
+ * receiving and resumes sending the queued instructions.
+ *
+ * @private
+ * @param {Object} reconnection The state of the resilience mode.
+ */
+Plotter.prototype._resume = function(reconnection) {
+
+  let state = reconnection.state;
+  let instructions = [];
+
+  if (state.pen !== undefined) instructions.push("SP" + state.pen);
+  instructions.push("PU");
+  if (state.position) instructions.push("PA" + state.position.x + "," + state.position.y);
+  if (state.down) instructions.push("PD");
+  instructions.push(state.absolute ? "PA" : "PR");
+
+  let commands = this._parser.parse(instructions.join(";")).map(parsed => {
+    return {instruction: parsed.toString(), parsed: parsed};
+  });
+
+  this._queue = commands.concat(reconnection.held, this._queue);
+  reconnection.held = [];
+  reconnection.active = false;
+
+  if (this._queueTimeOutId === 0 && !this._queueProcessing) {
+    this._scheduleQueue(this.QUEUE_DELAY);
+  }
+
+  /**
+   * Event emitted when the connection to the device has been reestablished (see the `reconnect`
+   * option of [connect()]{@link Plotter#connect}). The instructions that were interrupted are then
+   * sent again.
+   *
+   * @event Plotter#reconnected
+   */
+  this.emit("reconnected");
+
+};
+
+/**
+ * Reset the device to its 'power on' status using the `IN` instruction (same as `DF` plus: pen is
+ * raised, errors are cleared, rotation set to 0, scaling points reset). This function can also
+ * configure the plotting environments according to the `options` parameter. This operation is
+ * asynchronous.
+ *
+ * Note: a call to this function is automatically performed when calling `connect()`.
+ *
+ * @param {Object} [options={}] Options to use while setting up the device.
+ * @param {string} [options.paper="A"] - The paper size to use. Choices are:
+ *   - **A**: ANSI A (8.5"x11", a.k.a "letter")
+ *   - **B**: ANSI B (11"x17", a.k.a "tabloid")
+ *   - **A4**: ISO A4 (210mm × 297mm)
+ *   - **A3**: ISO A3 (297mm × 420mm)
+ * @param {string} [options.orientation="landscape"] - The orientation of the paper: *landscape* or
+ * *portrait*.
+ * @param {number} [options.penThickness=0.3] - The drawing pen's thickness in millimiters (between
+ * 0.1mm and 5mm).
+ * @param {string} [options.handshake] - The strategy used to avoid overflowing the device's buffer
+ * (see [connect()]{@link Plotter#connect}). By default, the current one is kept.
+ * @param {number} [options.blockSize] - See [connect()]{@link Plotter#connect}.
+ * @param {number} [options.acknowledgeTimeout=10000] - See [connect()]{@link Plotter#connect}.
+ * @param {Boolean} [options.reset=true] - Whether to reset the device (`IN`) and discard the
+ * instructions waiting in its buffer. When `false`, the device keeps its drawing state (selected
+ * pen, position, line type, etc.) and goes on with the instructions it already received.
+ * @param {AbortSignal} [options.signal] - A signal that can be used to cancel the initialization.
+ * When aborted, pending instructions are discarded and the returned promise is rejected.
+ * @param {Function} [callback=undefined]  A function to call once the device has been initialized.
+ * In case of error, the function will receive an `Error` object (`null` otherwise).
+ *
+ * @returns {Promise|Plotter} A promise fulfilled once the device is ready or rejected with an
+ * `Error`. If a callback is specified, the `Plotter` object is returned instead to allow method
+ * chaining.
+ */
+Plotter.prototype.initialize = function(options = {}, callback = null) {
+
+  return this._toPromise((resolve, reject) => {
+
+    // Abort any lingering device instructions
+    this.send(this.RS232_PREFIX + "J");
+
+    if (options.reset !== false) {
+
+      // Abort any lingering HP-GL instructions
+      this.send(this.RS232_PREFIX + "K");
+
+      // The device is about to be reset (IN) which restores the default label terminator and
+      // absolute plotting
+      this._parser.reset();
+      this._penPosition = null;
+      this._absolutePlotting = true;
+      this._sentState = {position: null, absolute: true, pen: undefined, down: false};
+      this._acknowledgedState = this._sentState;
+
+      // The device also goes back to its default fill type and pen thickness
+      this._fill = {type: "solid", spacing: 0, angle: 0};
+      this._devicePenThickness = undefined;
+      this._labelOrigin = 1;
+
+    }
+
+    if (options.penThickness !== undefined) this.penThickness = parseFloat(options.penThickness);
+
+    this._configurePlottingEnvironment(options, (error) => {
+      if (error) {
+        reject(error);
+      } else {
+        resolve();
+      }
+    });
+
+    return () => this._stopAndEmptyQueue();
+
+  }, options, callback);
+
+};
+
+/**
+ * Retrieves any RS-232-C errors that might have occured and passes it to the specified callback
+ * function.
+ *
+ * @param {Function} [callback] A function to call once the error has been obtained from the
+ * device. This function receives an object with various properties which are detailed below (or an
+ * `Error` object if the device could not be queried).
+ * @param {Boolean} callback.code The error code.
+ * @param {Boolean} callback.message The error message.
+ * @param {Object} [options={}] Additional options
+ * @param {AbortSignal} [options.signal] A signal that can be used to stop waiting for the device's
+ * answer.
+ *
+ * @returns {Promise<Object>|Plotter} A promise fulfilled with the same object passed to the
+ * callback. If a callback is specified, the `Plotter` object is returned instead to allow method
+ * chaining.
+ */
+Plotter.prototype.getRs232Error = function(callback = null, options = {}) {
+
+  // The options can be passed as the only parameter
+  if (callback && typeof callback === "object") [callback, options] = [null, callback];
+
+  return this._toPromise(resolve => {
+
+    this.send(this.RS232_PREFIX + "E", (data) => {
+
+      // Parse returned code
+      let code = parseInt(data);
+      let error = {};
+
+      // We should only be checking for 0 but, despite what the documentation says, we sometines
+      // receive an empty string (\r terminated) when there are no errors...
+      if (data.length === 0) code = 0;
+
+      if (code === 0 ) {
+        error.message = "No error."
+      } else if (code === 10) {
+        error.message = "New output generated before previous output finished being transmitted."
+      } else if (code === 11) {
+        error.message = "Invalid character received after first two characters (ESC.)."
+      } else if (code === 12) {
+        error.message = "Invalid character received while parsing instruction."
+      } else if (code === 13) {
+        error.message = "Parameter out-of-range."
+      } else if (code === 14) {
+        error.message = "Too many parameters received."
+      } else if (code === 15) {
+        error.message = "Framing, parity or overrun error."
+      } else if (code === 16) {
+        error.message = "Input buffer has overflowed."
+      } else {
+        code = 99;
+        error.message = "Unknown error"
+      }
+      error.code = code;
+
+      resolve(error);
+
+    }, true);
+
+  }, options, this._toLegacyCallback(callback));
+
+};
+
+/**
+ * Configures the device for the requested handshake. If the device reports an error, polling is
+ * used instead.
+ *
+ * @private
+ * @param {Object} options - The options passed to [connect()]{@link Plotter#connect} or
+ * [initialize()]{@link Plotter#initialize}.
+ * @param {Function} callback - A function to call once the handshake is configured.
+ */
+Plotter.prototype._configureHandshake = function(options, callback) {
+
+  let handshake = this.handshake;
+  let buffer = parseInt(this.characteristics.buffer);
+  let previous = this.handshake;
+
+  if (options.handshake && options.handshake.toLowerCase) {
+    handshake = options.handshake.toLowerCase();
+  }
+
+  if (!HANDSHAKES.includes(handshake)) handshake = "polling";
+
+  // A block must leave some room in the buffer (the Xon/Xoff threshold is twice the block size)
+  this._blockSize = Math.max(
+    1,
+    Math.min(parseInt(options.blockSize) || Math.floor(buffer / 4), Math.floor(buffer / 2))
+  );
+
+  this._acknowledgeTimeout = parseInt(options.acknowledgeTimeout) > 0 ?
+    parseInt(options.acknowledgeTimeout) :
+    10000;
+
+  this.handshake = "polling";
+  this._xoff = false;
+  this._acknowledge = undefined;
+
+  if (handshake === "polling" && previous === "polling") {
+    callback();
+    return;
+  }
+
+  // Go back to the default configuration before enabling the requested handshake. Those
+  // instructions cannot be queued (because that would trigger a buffer size verification).
+  this.send(this.RS232_PREFIX + "R");
+  if (handshake === "polling") {
+    callback();
+    return;
+  }
+
+  if (handshake === "hardware") {
+    this.send(this.RS232_PREFIX + "@;1");
+  } else {
+    this.send(this.RS232_PREFIX + "@;0");
+  }
+
+  if (handshake === "xonxoff") {
+    let threshold = Math.min(this._blockSize * 2, buffer);
+    this.send(this.RS232_PREFIX + "I" + threshold + ";;" + XON.charCodeAt(0));
+    this.send(this.RS232_PREFIX + "N;" + XOFF.charCodeAt(0));
+  } else if (handshake === "enqack") {
+    this.send(
+      this.RS232_PREFIX + "H" + this._blockSize + ";" + ENQ.charCodeAt(0) + ";" + ACK.charCodeAt(0)
+    );
+  }
+
+  // Fall back to polling if the device did not accept the configuration
+  this.getRs232Error((err) => {
+    if (!(err instanceof Error) && err.code === 0) this.handshake = handshake;
+    callback();
+  });
 
 };
 
@@ -1195,6 +2350,8 @@ Plotter.prototype.getRs232Error = function(callback) {
  *  4- Retrieve the device's actual buffer size. On some devices, optional modules can be added to
  *     increase buffer and add additional functionalities (such as extra instructions).
  *
+ *  5- Configure the requested handshake mode (which depends on the buffer size).
+ *
  * @param [options={}] {Object}
  * @param [callback=null] {Function}
  * @private
@@ -1205,6 +2362,11 @@ Plotter.prototype._configurePlottingEnvironment = function(options = {}, callbac
   // `characteristics` property being set.
   this.getModel((data) => {
 
+    if (data instanceof Error) {
+      if (typeof callback === "function") callback(data);
+      return;
+    }
+
     // Assign model (or GENERIC if model cannot be found)
     if (Models[data]) {
       this.characteristics = Models[data];
@@ -1235,8 +2397,10 @@ Plotter.prototype._configurePlottingEnvironment = function(options = {}, callbac
     // response before sending an ESC.L to retrieve buffer size.
     this.getRs232Error((err) => {
 
-      if (err.code !== 0) {
-        if (typeof callback === "function") callback(new Error(err.message));
+      if (err instanceof Error || err.code !== 0) {
+        if (typeof callback === "function") {
+          callback(err instanceof Error ? err : new Error(err.message));
+        }
         return;
       }
 
@@ -1244,46 +2408,55 @@ Plotter.prototype._configurePlottingEnvironment = function(options = {}, callbac
 
         this.characteristics.buffer = data;
 
-        // FIRST HP-GL INSTRUCTIONS START HERE!! IT IS IMPORTANT THAT THOSE INSTRUCTIONS HAPPEN
-        // AFTER ESC.L BECAUSE THE HP7440A DOES NOT RETURN THE BUFFER SIZE UNLESS THE BUFFER IS
-        // EMPTY!!
-
-        // Cannot be queued (because that would trigger a buffer size verification)
-        this.send("IN");
-
-        // The device's default orientation changes according to paper size. For example, on the
-        // HP7475A, paper sizes A (letter) and A4 use a 'landscape' orientation by default whereas
-        // paper sizes B (tabloid) and A3 use a 'portrait' orientation by default...
-        //
-        // So, if we want some sort of standard we must rotate the orientation to whatever is
-        // requested (no matter the paper size). Other devices (7470A, for example) only have one
-        // orientation.
-        //
-        // Inform device of the paper size we wish to use. This is not necessary on devices that use
-        // the same orientation for all paper sizes.
-        if ( this.characteristics.papers[this.paper].hasOwnProperty("psCode") ) {
-          this.queue("PS" + this.characteristics.papers[this.paper].psCode);
-        }
-
-        // Check if the user-requested orientation, matches the device's default orientation
-        // (landscape).
-        if (this.orientation === "landscape") {
+        // The handshake can only be configured once the buffer size is known
+        this._configureHandshake(options, () => {
+
+          // FIRST HP-GL INSTRUCTIONS START HERE!! IT IS IMPORTANT THAT THOSE INSTRUCTIONS HAPPEN
+          // AFTER ESC.L BECAUSE THE HP7440A DOES NOT RETURN THE BUFFER SIZE UNLESS THE BUFFER IS
+          // EMPTY!!
+
+          // Cannot be queued (because that would trigger a buffer size verification)
+          if (options.reset !== false) this.send("IN");
+
+          // The device's default orientation changes according to paper size. For example, on the
+          // HP7475A, paper sizes A (letter) and A4 use a 'landscape' orientation by default whereas
+          // paper sizes B (tabloid) and A3 use a 'portrait' orientation by default...
+          //
+          // So, if we want some sort of standard we must rotate the orientation to whatever is
+          // requested (no matter the paper size). Other devices (7470A, for example) only have one
+          // orientation.
+          //
+          // Inform device of the paper size we wish to use. This is not necessary on devices that
+          // use the same orientation for all paper sizes.
+          if ( this.characteristics.papers[this.paper].hasOwnProperty("psCode") ) {
+            this.queue("PS" + this.characteristics.papers[this.paper].psCode);
+          }
 
-          this.queue("RO0");    // do not rotate (or rotate back to default)
+          // Check if the user-requested orientation, matches the device's default orientation
+          // (landscape).
+          if (this.orientation === "landscape") {
 
-        } else {
+            this.queue("RO0");    // do not rotate (or rotate back to default)
 
-          // Check if the device supports rotation (not all do)
-          if ( this.characteristics.instructions.includes("RO") ) {
-            this.queue("RO90");   // rotate to other orientation
           } else {
-            throw new Error("The device does not support the '" + this.orientation + "' orientation.");
+
+            // Check if the device supports rotation (not all do)
+            if ( this.characteristics.instructions.includes("RO") ) {
+              this.queue("RO90");   // rotate to other orientation
+            } else {
+              let error = new Error(
+                "The device does not support the '" + this.orientation + "' orientation."
+              );
+              if (typeof callback === "function") callback(error);
+              return;
+            }
+
           }
 
-        }
+          this.queue("IP");                                       // reassign P1 and P2
+          this.queue("IW", this._onReady.bind(this, callback));   // reset plotting window
 
-        this.queue("IP");                                       // reassign P1 and P2
-        this.queue("IW", this._onReady.bind(this, callback));   // reset plotting window
+        });
 
       }, {waitForResponse: true});
 
@@ -1328,43 +2501,57 @@ Plotter.prototype.getPaperSize = function(metric = true) {
 /**
  * Retrieves the model from the device using RS-232-C or HP-GL (depending on the model).
  *
- * @param callback A function to trigger once the model has been fetched. This function receives a
- * string containing the model name.
+ * @param {Function} [callback] A function to trigger once the model has been fetched. This
+ * function receives a string containing the model name (or an `Error` object if the model could
+ * not be fetched).
+ * @param {Object} [options={}] Additional options
+ * @param {AbortSignal} [options.signal] A signal that can be used to stop waiting for the device's
+ * answer.
+ *
+ * @returns {Promise<string>|Plotter} A promise fulfilled with the model name. If a callback is
+ * specified, the `Plotter` object is returned instead to allow method chaining.
  */
-Plotter.prototype.getModel = function(callback) {
+Plotter.prototype.getModel = function(callback = null, options = {}) {
 
-  let cancel = false;
+  // The options can be passed as the only parameter
+  if (callback && typeof callback === "object") [callback, options] = [null, callback];
 
-  // Advanced devices (HP7475A) will be able to respond to OI instructions even if the plotter is
-  // not in "ready" state. Other devices (HP7440A), will cue such instructions for execution only
-  // after the device has entered "ready" state. However, on those devices, we can use ESC.A to
-  // retrieve the model. So, what we do is first try ESC.A and, if no response is received within a
-  // certain timeframe, we try OI. We cannot do it the other way around because the instruction
-  // would be queued for execution at a later time which is probably not a good idea.
-  let timeoutId = setTimeout(() => {
+  return this._toPromise((resolve) => {
 
-    // If the timeout is triggered, the function set previously must not be carried out.
-    cancel = true;
+    let cancel = false;
 
-    // Since the ESC.A instruction does not exist on all devices, it triggers an error which we must
-    // get rid of before proceeding. It is important to wait for the response even if we do not use
-    // it because otherwise, it will pollute the next data handler.
-    this.send(this.RS232_PREFIX + "E", () => {
+    // Advanced devices (HP7475A) will be able to respond to OI instructions even if the plotter is
+    // not in "ready" state. Other devices (HP7440A), will cue such instructions for execution only
+    // after the device has entered "ready" state. However, on those devices, we can use ESC.A to
+    // retrieve the model. So, what we do is first try ESC.A and, if no response is received within
+    // a certain timeframe, we try OI. We cannot do it the other way around because the instruction
+    // would be queued for execution at a later time which is probably not a good idea.
+    let timeoutId = setTimeout(() => {
 
-      // We don't care about the actual error. We just need to flush it from the device.
-      this.queue("OI", (data) => {
-        if (typeof callback === "function") callback(data);
-      }, {waitForResponse: true});
+      // If the timeout is triggered, the function set previously must not be carried out.
+      cancel = true;
 
-    }, true);
+      // Since the ESC.A instruction does not exist on all devices, it triggers an error which we
+      // must get rid of before proceeding. It is important to wait for the response even if we do
+      // not use it because otherwise, it will pollute the next data handler.
+      this.send(this.RS232_PREFIX + "E", () => {
 
-  }, this.DEVICE_RS232_DELAY);
+        // We don't care about the actual error. We just need to flush it from the device.
+        this.queue("OI", resolve, {waitForResponse: true});
+
+      }, true);
+
+    }, this.DEVICE_RS232_DELAY);
+
+    this.queue(this.RS232_PREFIX + "A", (data) => {
+      clearTimeout(timeoutId);
+      let [model] = data.split(",");
+      if (!cancel) resolve(model);
+    }, {waitForResponse: true});
 
-  this.queue(this.RS232_PREFIX + "A", (data) => {
-    clearTimeout(timeoutId);
-    let [model] = data.split(",");
-    if (typeof callback === "function" && !cancel) callback(model);
-  }, {waitForResponse: true});
+    return () => clearTimeout(timeoutId);
+
+  }, options, this._toLegacyCallback(callback));
 
 };
 
@@ -1374,10 +2561,15 @@ Plotter.prototype.getModel = function(callback) {
  */
 Plotter.prototype._onReady = function(callback = null) {
 
+  // When the connection is reestablished, the job simply goes on
+  let resumed = this._reconnection && this._reconnection.active;
+
   this.ready = true;
 
   if (typeof callback === "function") { callback.call(this); }
 
+  if (resumed) return;
+
   /**
    * Event emitted when the device is ready to receive plotting instructions.
    * @event Plotter#ready
@@ -1387,53 +2579,188 @@ Plotter.prototype._onReady = function(callback = null) {
 };
 
 /**
- * Immediately abort any ongoing and upcoming plotting instructions. This empties the queue of any
- * pending instructions.
+ * Wraps an asynchronous operation in a promise that can be cancelled with an `AbortSignal`.
  *
- * @param [callback] {Function} - A function to execute once the abort command has been sent to the
- * device.
- * @returns {Plotter}
+ * The `executor` function receives `resolve` and `reject` functions. It may return a function
+ * which will be called (with the abort error) if the signal is aborted before the operation
+ * settles.
+ *
+ * If a `callback` is specified, no promise is returned. Instead, the callback is called exactly
+ * once, node-style, with an error (or `null`) and the value. It is called after the operation
+ * settles, outside of it, so an exception it throws is reported as uncaught. In that case, `this`
+ * is returned so calls can be chained.
+ *
+ * @param {Function} executor - The function starting the operation.
+ * @param {Object} [options={}] - Options of the calling method.
+ * @param {AbortSignal} [options.signal] - A signal that can be used to cancel the operation.
+ * @param {Function} [callback=null] - The callback passed to the calling method (if any). It is
+ * called with `this` as its context.
+ * @returns {Promise|Plotter} A promise or, if a callback is specified, `this`.
+ * @private
  */
-Plotter.prototype.abort = function(callback = null) {
+Plotter.prototype._toPromise = function(executor, options = {}, callback = null) {
 
-  /**
-   * Event emitted when the current job is aborted.
-   * @event Plotter#abort
-   */
-  // This is listened to (at least) when an instruction must trigger a callback and this instruction
-  // is currently being processed.
-  this.emit("aborted");
+  let signal = options ? options.signal : undefined;
+  let hasCallback = typeof callback === "function";
 
-  // If more queued instructions contain callbacks specified to execute on `Plotter.abort()`, we
-  // trigger them (with `undefined` as data).
-  this._queue.forEach(command => {
-    if (command.executeCallbackOnAbort && typeof command.callback === "function" ) {
-      command.callback();
-    }
-  });
+  let promise = new Promise((resolve, reject) => {
 
-  // Clear any timeout set to trigger the processing of the queue and empty it
-  this._stopAndEmptyQueue();
+    let settled = false;
+    let onAbort = undefined;
 
-  // Abort graphics and device-control instructions, in turn.
-  this.send(this.RS232_PREFIX + "K", () => {
+    let settle = (error, value) => {
+      if (settled) return;
+      settled = true;
+      if (signal) signal.removeEventListener("abort", abortListener);
+      if (error) {
+        reject(error);
+      } else {
+        resolve(value);
+      }
+      // The callback is called on its own so the errors it throws are not swallowed
+      if (hasCallback) queueMicrotask(() => callback.call(this, error || null, value));
+    };
+
+    let abortListener = () => {
+      if (settled) return;
+      let error = signal.reason instanceof Error ? signal.reason : new Error("Operation aborted.");
+      if (error.name === "Error") error.name = "AbortError";
+      if (typeof onAbort === "function") onAbort(error);
+      settle(error);
+    };
 
-    this.send(this.RS232_PREFIX + "J", () => {
+    if (signal && signal.aborted) {
+      abortListener();
+      return;
+    }
 
-      setTimeout(() => {
-        if (typeof callback === "function") callback();
-      }, 500); // not sure if this is the right number but it seems to work
+    if (signal) signal.addEventListener("abort", abortListener);
 
-    })
+    try {
+      onAbort = executor(value => settle(undefined, value), error => settle(error));
+    } catch (error) {
+      settle(error);
+    }
 
   });
 
-  return this;
+  // Callers using a callback do not see the promise so its rejection is handled here
+  if (hasCallback) {
+    promise.catch(() => {});
+    return this;
+  }
+
+  return promise;
+
+};
+
+/**
+ * Adapts a callback taking a single argument, as the methods that predate promises called them,
+ * to the node-style signature expected by [_toPromise()]{@link Plotter#_toPromise}. The callback
+ * receives the value or, if the operation failed, the `Error` object.
+ *
+ * @param {Function} [callback=null] - The callback passed to the calling method (if any).
+ * @returns {Function|null} A node-style callback or `null` if none was specified.
+ * @private
+ */
+Plotter.prototype._toLegacyCallback = function(callback = null) {
+  if (typeof callback !== "function") return null;
+  return (error, value) => callback.call(this, error || value);
+};
+
+/**
+ * Immediately abort any ongoing and upcoming plotting instructions. This empties the queue of any
+ * pending instructions.
+ *
+ * @param [callback] {Function} - A function to execute once the abort command has been sent to the
+ * device. It receives an `Error` object if waiting was cancelled (`null` otherwise).
+ * @param [options={}] {Object} - Additional options
+ * @param [options.signal] {AbortSignal} - A signal that can be used to stop waiting for the abort
+ * operation to complete.
+ * @returns {Promise|Plotter} A promise fulfilled once the abort command has been sent to the
+ * device. If a callback is specified, the `Plotter` object is returned instead to allow method
+ * chaining.
+ */
+Plotter.prototype.abort = function(callback = null, options = {}) {
+
+  // The options can be passed as the only parameter
+  if (callback && typeof callback === "object") [callback, options] = [null, callback];
+
+  return this._toPromise((resolve) => {
+
+    let timeoutId = 0;
+
+    /**
+     * Event emitted when the current job is aborted.
+     * @event Plotter#abort
+     */
+    // This is listened to (at least) when an instruction must trigger a callback and this
+    // instruction is currently being processed.
+    this.emit("aborted");
+
+    // If more queued instructions contain callbacks specified to execute on `Plotter.abort()`, we
+    // trigger them (with `undefined` as data).
+    this._queue.forEach(command => {
+      if (command.executeCallbackOnAbort && typeof command.callback === "function" ) {
+        command.callback();
+      }
+    });
+
+    // Clear any timeout set to trigger the processing of the queue and empty it
+    this._stopAndEmptyQueue();
+
+    // Abort graphics and device-control instructions, in turn.
+    this.send(this.RS232_PREFIX + "K", () => {
+
+      this.send(this.RS232_PREFIX + "J", () => {
+
+        // not sure if this is the right number but it seems to work
+        timeoutId = setTimeout(resolve, 500);
+
+      })
+
+    });
+
+    return () => clearTimeout(timeoutId);
+
+  }, options, callback);
+
+};
+
+/**
+ * Discards the queued instructions because the device stopped communicating. The callbacks meant
+ * to be executed on abort receive the error, which is also emitted.
+ *
+ * @private
+ * @param {Error} error - The reason why the instructions are discarded.
+ */
+Plotter.prototype._failQueue = function(error) {
+  this._discardQueue(error);
+  this._onError(error);
+};
+
+/**
+ * Empties the queue and passes the specified error to the callbacks meant to be executed on abort.
+ *
+ * @private
+ * @param {Error} error - The reason why the instructions are discarded.
+ */
+Plotter.prototype._discardQueue = function(error) {
+
+  let queue = this._queue;
+  this._stopAndEmptyQueue();
+
+  queue.forEach(command => {
+    if (command.executeCallbackOnAbort && typeof command.callback === "function") {
+      command.callback(error);
+    }
+  });
 
 };
 
 /**
- * Stops the queue and empties it.
+ * Stops the queue and empties it. The label terminator expected by the parser is brought back to
+ * the one last sent to the device.
  * @private
  */
 Plotter.prototype._stopAndEmptyQueue = function() {
@@ -1444,8 +2771,13 @@ Plotter.prototype._stopAndEmptyQueue = function() {
   this._queueTimeOutId = 0;
   this._retryTimeoutId = 0;
 
-
+  this._queueCycle++;
+  this._queueProcessing = false;
   this._queue = [];
+
+  // A label terminator set by a discarded instruction never reached the device, so parsing goes on
+  // with the one the device uses.
+  this._parser.labelTerminator = this._labelTerminator;
 };
 
 /**
@@ -1453,15 +2785,16 @@ Plotter.prototype._stopAndEmptyQueue = function() {
  * paper size and orientation defined in the file have precedence over the same properties defined
  * during connection with the [connect()]{@link Plotter#connect} function (if any).
  *
- * The format for the instructions must be the HP-recommended syntax. That is:
- *
- *  * Two-letter uppercase mnemonic
- *  * Optionnally followed by comma-separated parameters
- *  * Followed by a semicolon (or the `CTX` character, in the case of the `LB` instruction)
+ * The file is parsed with an [HpglParser]{@link HpglParser} before anything is sent. Mnemonics
+ * may be uppercase or lowercase, parameters may be separated by commas or whitespace and
+ * terminating semicolons may be omitted. Labels are terminated by the `ETX` character or by the
+ * terminator defined with the `DT` instruction. If the file cannot be parsed, nothing is plotted.
+ * Also note that all HPGL **output** instructions (those starting with "O") will be discarded. The
+ * file **cannot** include RS-232-C escape sequences.
  *
- * Newline (`\n`) characters may be used after the semicolons for readability. No other format is
- * supported. Also note that all HPGL **output** instructions (those starting with "O") will be
- * discarded. The file **cannot** include RS-232-C escape sequences.
+ * Files are read with the `fs-extra` module. This function is therefore not available in the ES
+ * module build (the returned promise is rejected): send the content of the file with
+ * [queue()]{@link Plotter#queue} instead.
  *
  * #### Example
  *
@@ -1479,1374 +2812,10540 @@ Plotter.prototype._stopAndEmptyQueue = function() {
  *
  * ```
  *
+ * The returned promise can also be used:
+ *
+ * ```
+ * let controller = new AbortController();
+ * let status = await plotter.plotFile("test.hpgl", {signal: controller.signal});
+ * ```
+ *
+ * The [progress]{@link Plotter#event:progress} event reports how much of the file has been sent
+ * and drawn, along with an estimate of the time remaining:
+ *
+ * ```
+ * plotter.on("progress", p => console.log(p.sent + "/" + p.total, Math.round(p.eta) + "s left"));
+ * ```
+ *
  * @param file {String} - The path to the file that will be sent to the plotter.
- * @param [callback] {Plotter~statusCallback} - A function to execute when all the instructions have
- * been sent to the plotter's buffer. Depending on the size of the file and of the device's buffer,
- * this may take a while.
+ * @param [options={}] {Object} - Additional options
+ * @param [options.signal] {AbortSignal} - A signal that can be used to cancel the job. When
+ * aborted, the plotting is stopped (as with [abort()]{@link Plotter#abort}) and the returned
+ * promise is rejected.
+ * @param [options.optimize=false] {Boolean|Object} - Whether to reorder the strokes of the file to
+ * minimize the distance travelled with the pen raised. An object can be used to pass options to
+ * the [HpglOptimizer]{@link HpglOptimizer}.
+ * @param [options.checkpoint] {String} - The path to a file where the progress of the job is saved
+ * (see [resumeJob()]{@link Plotter#resumeJob}). The file is saved each time the device confirms
+ * having executed a portion of the job. It is written in the background, without holding the job
+ * back, and is up to date when the returned promise settles.
+ * @param [options.syncInterval=200] {Number} - The number of instructions sent between two
+ * confirmations (`OA`) when a `checkpoint` is used. The device empties its buffer before
+ * answering, so a small interval slows plotting down.
+ * @param [options.validate] {String} - Checks the whole file against the plottable area before
+ * anything is sent and applies the specified policy (see
+ * [startValidating()]{@link Plotter#startValidating}): `warn`, `throw` (nothing is plotted if
+ * the file extends outside of the plottable area) or `clip`.
+ * @param [callback] {Function} - A function to execute when all the instructions have been plotted
+ * by the device. Depending on the size of the file and of the device's buffer, this may take a
+ * while. The function receives an `Error` object (if the file could not be plotted, `null`
+ * otherwise) and the status object described in
+ * [Plotter~statusCallback]{@link Plotter~statusCallback}.
+ *
+ * @returns {Promise<Object>|Plotter} A promise fulfilled with the device's status once the whole
+ * file has been plotted or rejected with an `Error` if the file could not be plotted. If a callback
+ * is specified, the `Plotter` object is returned instead to allow method chaining.
  *
  * @fires Plotter#fileplotted
+ * @fires Plotter#fileaborted
+ * @fires Plotter#checkpoint
+ * @fires Plotter#progress
+ * @fires Plotter#outofbounds
  */
-Plotter.prototype.plotFile = function(file, callback = null) {
+Plotter.prototype.plotFile = function(file, options = {}, callback = null) {
 
-  fs.readFile(file, 'utf8', (err, data) => {
+  // The options can be omitted
+  if (typeof options === "function") [options, callback] = [{}, options];
 
-    if (err)  {
-      throw new Error("Could not read requested file: " + file);
-    }
+  return this._plotFile(file, undefined, options, callback);
 
-    if ( data.match(new RegExp(this.RS232_PREFIX)) ) {
-      throw new Error("The file to plot cannot contain RS-232-C escape sequences.")
-    }
+};
+
+/**
+ * Resumes the plotting of a file from a checkpoint saved by [plotFile()]{@link Plotter#plotFile}
+ * (see its `checkpoint` option). This can be used after [abort()]{@link Plotter#abort}, a paper
+ * jam or a power cycle (in which case the device must first be connected again).
+ *
+ * Plotting restarts after the last instruction the device confirmed having executed. Some of the
+ * instructions that followed may therefore be drawn a second time. Before that, the device is
+ * brought back to the state it was in at that point: the pen, line type, scaling, window, velocity
+ * and character settings in effect are sent again and the pen is moved back to its position.
+ *
+ * ```
+ * plotter.on("checkpoint", checkpoint => console.log(checkpoint.finished, checkpoint.total));
+ * plotter.plotFile("test.hpgl", {checkpoint: "test.json"});
+ *
+ * // Later on...
+ * plotter.resumeJob("test.hpgl", "test.json");
+ * ```
+ *
+ * @param file {String} - The path to the file that was being plotted. It must not have changed
+ * (its content is compared with the hash saved in the checkpoint).
+ * @param checkpoint {String|Object} - The path to the checkpoint file or a checkpoint object (as
+ * received with the [checkpoint]{@link Plotter#event:checkpoint} event).
+ * @param [options={}] {Object} - Additional options. They are the same as those of
+ * [plotFile()]{@link Plotter#plotFile} except for `optimize`: the file is optimized if it was when
+ * the job started. By default, the progress keeps being saved to the checkpoint file.
+ * @param [callback] {Function} - A function to execute when the remaining instructions have been
+ * plotted by the device (see [plotFile()]{@link Plotter#plotFile}).
+ *
+ * @returns {Promise<Object>|Plotter} A promise fulfilled with the device's status once the whole
+ * file has been plotted or rejected with an `Error` if the file could not be plotted. If a callback
+ * is specified, the `Plotter` object is returned instead to allow method chaining.
+ *
+ * @fires Plotter#fileplotted
+ * @fires Plotter#fileaborted
+ * @fires Plotter#checkpoint
+ * @fires Plotter#progress
+ * @fires Plotter#outofbounds
+ */
+Plotter.prototype.resumeJob = function(file, checkpoint, options = {}, callback = null) {
+
+  // The options can be omitted
+  if (typeof options === "function") [options, callback] = [{}, options];
+
+  if (typeof checkpoint === "string" && options.checkpoint === undefined) {
+    options = Object.assign({}, options, {checkpoint: checkpoint});
+  }
+
+  return this._plotFile(file, checkpoint, options, callback);
+
+};
+
+/**
+ * Plots a file from the start or from a checkpoint.
+ *
+ * @private
+ * @param {string} file - The path to the file.
+ * @param {string|Object} [checkpoint] - The checkpoint to resume from (or its path).
+ * @param {Object} options - See [plotFile()]{@link Plotter#plotFile}.
+ * @param {Function} [callback] - See [_toPromise()]{@link Plotter#_toPromise}.
+ * @returns {Promise<Object>|Plotter}
+ */
+Plotter.prototype._plotFile = function(file, checkpoint, options, callback) {
+
+  return this._toPromise((resolve, reject) => {
+
+    let cancelled = false;
+    let job = undefined;
+
+    let fail = (err) => {
+
+      /**
+       * Event emitted when the attempt to plot a file failed.
+       * @event Plotter#fileaborted
+       * @param err {Error} - The error that occured
+       */
+      this.emit("fileaborted", err);
+
+      // The progress recorded so far is saved before giving up
+      if (job) {
+        job.active = false;
+        this._writeCheckpoint(job, () => reject(err));
+      } else {
+        reject(err);
+      }
+
+    };
 
     if (!this.ready) {
-      throw new Error("The plotFile() function can only be called after the device is ready.");
+      fail(new Error("The plotFile() function can only be called after the device is ready."));
+      return;
+    }
+
+    // Files cannot be read in the ES module build (browsers)
+    if (fileAccessError) {
+      fail(
+        new Error("Files cannot be plotted in this environment (" + fileAccessError.message + ")")
+      );
+      return;
     }
 
+    // When resuming, the checkpoint may have to be read first
+    let load = (callback) => {
+      if (typeof checkpoint !== "string") {
+        callback(undefined, checkpoint);
+      } else {
+        fs.readJson(checkpoint, (err, data) => {
+          if (err) err = new Error("Could not read requested checkpoint: " + checkpoint);
+          callback(err, data);
+        });
+      }
+    };
+
+    load((err, resumed) => fs.readFile(file, 'utf8', (error, data) => {
 
+      if (cancelled) return;
 
-    this.getStatus((status) => {
+      if (err) {
+        fail(err);
+        return;
+      }
+
+      if (error)  {
+        fail(new Error("Could not read requested file: " + file));
+        return;
+      }
 
-      if (!status.ready) {
+      if ( data.match(new RegExp(this.RS232_PREFIX)) ) {
+        fail(new Error("The file to plot cannot contain RS-232-C escape sequences."));
+        return;
+      }
 
-        if (typeof callback === "function") {
+      // The file is identified by its content, which must not have changed when resuming
+      let hash = crypto.createHash("sha1").update(data).digest("hex");
 
-          let err = new Error("Device not ready!");
-          callback(err);
+      if (resumed && resumed.hash !== hash) {
+        fail(new Error("The checkpoint does not match the file: " + file));
+        return;
+      }
 
-          /**
-           * Event emitted when the attempt to plot a file failed.
-           * @event Plotter#fileaborted
-           * @param err {Error} - The error that occured
-           */
-          this.emit("fileaborted", err);
+      this.getStatus((status) => {
 
+        if (cancelled) return;
+
+        if (status instanceof Error) {
+          fail(status);
+          return;
         }
 
-      } else {
+        if (!status.ready) {
+          fail(new Error("Device not ready!"));
+          return;
+        }
 
-        // Queue the whole file
-        this.queue(data, null, {ignoreOutputInstructions: true});
+        let optimize = resumed ? resumed.optimize : options.optimize;
+        let instructions;
+
+        // Parse the whole file (optimizing it first, if requested)
+        try {
+          if (optimize) data = this._getOptimizer(optimize).optimize(data);
+          instructions = this._parser.parse(data).filter(parsed => {
+            return !(parsed.type === "hpgl" && parsed.mnemonic.startsWith("O"));
+          });
+        } catch (err) {
+          fail(err);
+          return;
+        }
 
-        // Wait for the whole file to have been plotted
-        this.wait(status => {
+        if (resumed && resumed.total !== instructions.length) {
+          fail(new Error("The checkpoint does not match the file: " + file));
+          return;
+        }
 
-          if (typeof callback === "function") callback(undefined, status);
+        // Nothing is sent if the file must be rejected for extending outside of the plottable area
+        let clipping = undefined;
 
-          /**
-           * Event emitted when a file has been completely drawn by the device.
-           * @event Plotter#fileplotted
-           * @param status {Object} - Additional information
-           * @param status.x {Object} - The ending `x` position of the pen (in cm).
-           * @param status.y {Object} - The ending `y` position of the pen (in cm).
-           * @param status.penDown {Boolean} - Whether the pen is down or not.
-           */
-          this.emit("fileplotted", status);
+        try {
+          if (options.validate) clipping = this._validateFile(instructions, file, options.validate);
+        } catch (err) {
+          fail(err);
+          return;
+        }
 
-        });
+        let start = 0;
+        if (resumed) start = Math.min(Math.max(parseInt(resumed.finished) || 0, 0), resumed.total);
+
+        job = {
+          instructions: instructions,
+          path: options.checkpoint,
+          interval: Math.max(parseInt(options.syncInterval) || 200, 1),
+          active: true,
+          measures: this._measureJob(instructions),
+          start: start,
+          executed: start,
+          clipping: clipping,
+          started: Date.now(),
+          writing: false,
+          saving: [],
+          checkpoint: {
+            file: file,
+            hash: hash,
+            total: instructions.length,
+            sent: start,
+            finished: start,
+            optimize: optimize || false
+          }
+        };
 
-      }
+        // Nothing is sent until the checkpoint file could be written
+        this._saveCheckpoint(job, (err) => {
 
-    });
+          if (cancelled) return;
 
+          if (err) {
+            fail(err);
+            return;
+          }
 
+          // Queue the file (or what remains of it) after restoring the state of the device
+          try {
 
+            if (resumed) {
+              let restoring = this._getRestoringInstructions(instructions, start);
+              restoring.forEach(parsed => this._trackPosition(parsed));
+              if (clipping) restoring = this._addClipping(restoring, clipping);
+              this._queueInstructions(restoring);
+            } else if (clipping) {
+              this._queueInstructions([this._getClippingWindow(clipping.rotation)]);
+            }
 
-  });
+            this._queueJob(job);
+            this._emitProgress(job);
 
-};
+          } catch (err) {
+            fail(err);
+            return;
+          }
 
-/**
- * Waits for the device to finish processing and/or drawing all previously queued instructions and
- * then executes the specified callback function.
- *
- * @param callback {Plotter~statusCallback} - The function to execute.
- */
-Plotter.prototype.wait = function(callback) {
+          // Wait for the whole file to have been plotted
+          this.wait((status) => {
 
-  // If the plotter is not connected we simply wait for the queue to be empty
-  if (!this.connected) {
+            if (cancelled) return;
 
-    if (this._queue.length < 1) {
-      callback();
-    } else {
-      setTimeout(this.wait.bind(this, callback), 0)
-    }
+            if (status instanceof Error) {
+              fail(status);
+              return;
+            }
 
-    return;
+            // Receiving `undefined` means that `abort()` was called (possibly because the progress
+            // could not be saved).
+            if (!status) {
+              fail(job.error || new Error("The plotting of the file was aborted."));
+              return;
+            }
 
-  }
+            job.active = false;
+            job.checkpoint.finished = job.checkpoint.total;
 
-  // Send a request for actual pen position and status. This means the device will have to finish
-  // all queued instructions before being able to reply.
-  this.queue("OA", data => {
+            this._saveCheckpoint(job, (err) => {
 
-    let status = undefined;
+              if (err) {
+                fail(err);
+                return;
+              }
 
-    // Check if data was actually received. Receiving `undefined` usually means that `abort()` was
-    // called.
-    if (data) {
+              this._emitProgress(job);
 
-      let [x, y, penDown] = data.split(",");
+              /**
+               * Event emitted when a file has been completely drawn by the device.
+               * @event Plotter#fileplotted
+               * @param status {Object} - Additional information
+               * @param status.x {Object} - The ending `x` position of the pen (in cm).
+               * @param status.y {Object} - The ending `y` position of the pen (in cm).
+               * @param status.penDown {Boolean} - Whether the pen is down or not.
+               */
+              this.emit("fileplotted", status);
+              resolve(status);
 
-      status = {
-        x: this._fromPlotterUnits(x),
-        y: this._fromPlotterUnits(y),
-        penDown: penDown === "1"
-      };
+            });
 
-    }
+          });
 
-    if (typeof callback === "function") callback(status);
+        });
 
-  }, {waitForResponse: true, executeCallbackOnAbort: true});
+      });
 
-};
+    }));
 
-/**
- * Defines the expected signature of functions used in a `statusCallback` context. Such functions
- * basically receive a `status` object detailing the current status of the hardware device.
- *
- * @callback Plotter~statusCallback
- * @param status {Object} Hardware status information
- * @param status.x {Number} Position of the pen of the `x` axis (in plotter units)
- * @param status.y {Number} Position of the pen of the `y` axis (in plotter units)
- * @param status.penDown {Boolean} Whether the pen is down or not
- */
+    return (err) => {
+      cancelled = true;
+      if (job) job.active = false;
+      this.emit("fileaborted", err);
+      if (this.connected) this.abort();
+    };
+
+  }, options, callback);
+
+};
 
 /**
- * Converts a centimeter or inches value to its plotter units equivalent.
- *
- * The device's reported resolution is used to do the conversion. Since the reported resolution can
- * be a little different than the actual resolution there may be very small differences in the
- * rendering. For example, the HP7475A reports an `x` resolution of 40 units / millimiter while the
- * actual resolution is about 40.2 units / millimiter.
+ * Queues the instructions of a job that remain to be sent, in chunks. When the progress of the
+ * job is saved, each chunk is followed by an `OA` instruction which the device only answers once
+ * it has executed everything before it.
  *
  * @private
- * @param {number} value The value to convert.
- * @param {Boolean} [metric=true] If true, value is considered to be in centimeters. Otherwise, it
- * is considered to be in decimal inches.
- * @return {Number} The converted value rounded to the closest **integer**.
+ * @param {Object} job - The job, as prepared by [_plotFile()]{@link Plotter#_plotFile}.
  */
-Plotter.prototype._toPlotterUnits = function(value, metric = true) {
+Plotter.prototype._queueJob = function(job) {
 
-  let res = 40;
+  let {instructions, checkpoint, interval} = job;
 
-  if (
-    this.characteristics &&
-    this.characteristics.resolution &&
-    this.characteristics.resolution.x
-  )
-  {
-    res = this.characteristics.resolution.x;
-  }
+  // Instructions held back while optimizing go first
+  if (this._optimization) this._queueOptimized();
+
+  for (let start = checkpoint.sent; start < instructions.length; start += interval) {
+
+    let end = Math.min(start + interval, instructions.length);
+    let chunk = instructions.slice(start, end);
+
+    chunk.forEach(parsed => this._trackPosition(parsed));
+    if (job.clipping) chunk = this._addClipping(chunk, job.clipping);
+
+    this._queueInstructions(chunk, () => {
+      checkpoint.sent = end;
+      if (job.active) this._emitProgress(job);
+    });
+
+    if (!job.path) continue;
+
+    this._queueInstructions(this._parser.parse("OA"), (data) => {
+
+      if (!job.active || !data) return;
+
+      checkpoint.finished = end;
+
+      // The job is aborted if the progress cannot be saved
+      this._saveCheckpoint(job, (err) => {
+        if (!err || !job.active) return;
+        job.error = err;
+        this.abort();
+      });
+
+      // The end of the job is reported once the device is done
+      if (end < instructions.length) this._emitProgress(job);
+
+    }, {waitForResponse: true});
 
-  if (metric) {
-    return Math.round(value * 10 * res);
-  } else {
-    return Math.round(value * 25.4 * res);
   }
 
+  // Once the job is over, the device may draw anywhere again
+  if (job.clipping) this._queueInstructions(this._parser.parse("IW"));
+
 };
 
 /**
+ * Saves the progress of a job (if a checkpoint file was specified) and emits the `checkpoint`
+ * event.
  *
- * @param value
- * @param metric
- * @returns {number}
  * @private
+ * @param {Object} job - The job, as prepared by [_plotFile()]{@link Plotter#_plotFile}.
+ * @param {Function} [callback] - A function to call once the progress has been saved. It receives
+ * an `Error` object if the checkpoint file could not be written.
  */
-Plotter.prototype._fromPlotterUnits = function(value, metric = true) {
+Plotter.prototype._saveCheckpoint = function(job, callback = null) {
 
-  if (metric) {
-    return value / (10 * this.characteristics.resolution.x);
-  } else {
-    return value / (25.4 * this.characteristics.resolution.x);
-  }
+  this._writeCheckpoint(job, callback);
+
+  /**
+   * Event emitted when the progress of a file being plotted is recorded: when the job starts, each
+   * time the device confirms having executed a portion of it (when the `checkpoint` option of
+   * [plotFile()]{@link Plotter#plotFile} is used) and when it ends.
+   *
+   * @event Plotter#checkpoint
+   * @param checkpoint {Object} - The progress of the job (as saved in the checkpoint file)
+   * @param checkpoint.file {String} - The path to the file.
+   * @param checkpoint.hash {String} - The SHA-1 hash of the content of the file (a job cannot be
+   * resumed if the file changed).
+   * @param checkpoint.total {Number} - The number of instructions in the file (output
+   * instructions excluded).
+   * @param checkpoint.sent {Number} - The number of instructions sent to the device.
+   * @param checkpoint.finished {Number} - The number of instructions the device confirmed having
+   * executed.
+   * @param checkpoint.optimize {Boolean|Object} - Whether the file was optimized (see
+   * [plotFile()]{@link Plotter#plotFile}).
+   */
+  this.emit("checkpoint", Object.assign({}, job.checkpoint));
 
 };
 
 /**
- * Disconnects from the hardware device. This will cancel ongoing and upcoming plotting instructions
- * and close the serial connection. The device will be returned to its default state.
+ * Writes the progress of a job to its checkpoint file (if one was specified). A single write is in
+ * flight at any time: the progress recorded in the meantime is written once it completes, in a
+ * single write for all the calls made in between.
  *
- * @param {Function} callback A function to execute once the disconnection is complete. If an error
- * occurs, this function will receive an error object as its parameter.
+ * @private
+ * @param {Object} job - The job, as prepared by [_plotFile()]{@link Plotter#_plotFile}.
+ * @param {Function} [callback] - A function to call once the progress has been written. It
+ * receives an `Error` object if the checkpoint file could not be written.
  */
-Plotter.prototype.disconnect = function(callback = null) {
-
-  if (!this._outputFile) {
-    this.characteristics = undefined;
-    this.orientation = "landscape";
-    this.paper = "A";
-  }
+Plotter.prototype._writeCheckpoint = function(job, callback = null) {
 
-  if ( !this.connected ) {
+  if (!job.path) {
     if (typeof callback === "function") callback();
     return;
   }
 
-  this.ready = false;
+  job.saving.push(callback);
+  if (job.writing) return;
 
-  this.abort(() => {
+  let write = () => {
 
-    this.send("IN", () => {
+    let callbacks = job.saving;
+    job.saving = [];
+    job.writing = true;
 
-      setTimeout(() => {
+    fs.outputJson(job.path, Object.assign({}, job.checkpoint), (err) => {
 
-        this.transport.close((error) => {
-          this.transport = undefined;
-          if (typeof callback === "function") { callback(error); }
-        });
+      job.writing = false;
+
+      if (err) err = new Error("Could not save checkpoint to specified file (" + job.path + ").");
+      callbacks.forEach(callback => {
+        if (typeof callback === "function") callback(err || undefined);
+      });
 
-      }, 500); // not sure if this is the right number but it seems to work
+      // A callback may have started the next write already
+      if (job.saving.length > 0 && !job.writing) write();
 
     });
 
-  });
+  };
 
-  /**
-   * Event emitted when the serial connection has been successfully closed.
-   *
-   * @event Plotter#connected
-   */
-  this.emit("disconnected");
+  write();
 
 };
 
 /**
- * Disconnects from the hardware device. This will cancel ongoing and upcoming plotting instructions
- * and close the serial connection. The device will be returned to its default state.
+ * Returns the instructions that bring the device back to the state it was in after the specified
+ * number of instructions were executed: the last occurrence of each of the `STATE_INSTRUCTIONS`
+ * (in the order they appeared) and the position of the pen.
  *
- * @param {Function} callback A function to execute once the disconnection is complete. If an error
- * occurs, this function will receive an error object as its parameter.
+ * The pen is left up. If it was down, the next instruction moving it lowers it instead (a `PA` or
+ * `PR` instruction is changed to `PD`): lowering it on the spot would leave a dot.
+ *
+ * @private
+ * @param {Instruction[]} instructions - The instructions of a job. The one that lowers the pen
+ * again may be replaced.
+ * @param {number} count - The number of instructions that were executed.
+ * @returns {Instruction[]}
  */
-Plotter.prototype.destroy = function(callback = null) {
+Plotter.prototype._getRestoringInstructions = function(instructions, count) {
 
-  // Terminate any ongoing file capture session
-  this.stopCapturingToFile();
+  let found = {};
+  let state = {position: null, absolute: true, pen: undefined, down: false};
 
-  // Stop and empty queue
-  this._stopAndEmptyQueue();
+  instructions.slice(0, count).forEach((parsed, index) => {
 
-  // Disconnect connection to hardware
-  if (this.connected) {
+    if (parsed.type !== "hpgl") return;
 
-    this.disconnect(() => {
-      // Plotter = null;
-      if (typeof callback === "function") callback();
-    });
+    // IN resets everything. DF does not reset the paper, P1 and P2 and the selected pen.
+    if (parsed.mnemonic === "IN") {
+      found = {};
+    } else if (parsed.mnemonic === "DF") {
+      found = {PS: found.PS, RO: found.RO, IP: found.IP, SP: found.SP};
+    }
 
-  } else {
-    if (typeof callback === "function") callback();
-  }
+    if (STATE_INSTRUCTIONS.includes(parsed.mnemonic)) {
+      found[parsed.mnemonic] = {parsed: parsed, index: index};
+    }
+
+    state = this._getPenState(state, parsed);
+
+  });
+
+  // The device goes back to its default state first (P1 and P2 included). The default P1 and P2
+  // depend on the rotation.
+  let parser = new HpglParser();
+  let restoring = parser.parse("DF");
+  if (!found.IP) found.IP = {parsed: parser.parse("IP")[0], index: found.RO ? found.RO.index : -1};
+
+  Object.keys(found)
+    .filter(mnemonic => found[mnemonic])
+    .map(mnemonic => found[mnemonic])
+    .sort((a, b) => a.index - b.index)
+    .forEach(entry => restoring.push(entry.parsed));
+
+  let moves = ["PU"];
+  if (state.position) moves.push("PA" + state.position.x + "," + state.position.y);
+  moves.push(state.absolute ? "PA" : "PR");
+
+  restoring = restoring.concat(parser.parse(moves.join(";")));
+
+  if (!state.down) return restoring;
+
+  // Instructions that do not depend on the pen being down are skipped. Those that raise or lower
+  // it make it irrelevant.
+  let raising = ["PU", "PD", "SP", "IN"];
+  let index = instructions.findIndex((parsed, i) => {
+    return i >= count && parsed.type === "hpgl" &&
+      ["PA", "PR", "AA", "AR"].concat(raising).includes(parsed.mnemonic);
+  });
+
+  let next = instructions[index];
+
+  if (next && ["PA", "PR"].includes(next.mnemonic) && next.parameters.length > 0) {
+    restoring[restoring.length - 1] = parser.parse(next.mnemonic)[0];
+    instructions[index] = parser.parse("PD" + next.parameters.join(","))[0];
+  } else if (next && !raising.includes(next.mnemonic)) {
+    // An arc (or a move that only sets the plotting mode) starts where the pen already is
+    restoring.push(parser.parse("PD")[0]);
+  }
+
+  return restoring;
 
 };
 
 /**
- * Converts a position (in plotter units) whose reference origin is in the top-left corner of the
- * paper sheet (+x going right, +y going down) to the HPGL coordinates system which has its origin
- * in the bottom-left corner (+x going right, +y going up).
+ * Estimates what plotting a job involves without sending anything to a device: the length drawn
+ * by each pen, the distance travelled with the pen raised, the number of pen changes, the area
+ * covered and the time it should take. This can be used to quote a job or to plan pen
+ * replacements.
  *
- * Beware that the resulting position might be outside the plottable area.
+ * The job is simulated with the characteristics (resolution, paper sizes and margins) of the
+ * specified model. The duration takes into account the velocity set with `VS`, the acceleration
+ * of the pen (each segment is assumed to start and end at rest) and the time it takes to change
+ * pens. It does not include the time needed to transfer the data to the device.
  *
- * @todo Add the option to use the native HPGL coordinates system (bypass this)
+ * ```
+ * let estimate = Plotter.estimateJob(fs.readFileSync("job.hpgl", "utf8"), "7475A");
+ * console.log(estimate.penDown[1], estimate.duration);
+ * ```
  *
- * @private
- * @param {number} x The `x` coordinate of the point in plotter units.
- * @param {number} y The `y` coordinate of the point in plotter units.
- * @return {Object} An object whose **x** and **y** properties have been transformed.
+ * A function can also be passed. It receives a `Plotter` object that is not connected to any
+ * device and on which the usual drawing methods can be called:
+ *
+ * ```
+ * Plotter.estimateJob(plotter => plotter.moveTo(5, 5).drawCircle(2), "7475A", {paper: "A4"});
+ * ```
+ *
+ * @param job {String|Instruction[]|Function} - HP-GL instructions (as text or as parsed by an
+ * [HpglParser]{@link HpglParser}) or a function that draws the job.
+ * @param [model="7475A"] {String} - The model of the device. This must be one of the entries
+ * found in [Models]{@link Models}.
+ * @param [options={}] {Object} - Additional options
+ * @param [options.paper="A"] {String} - The paper size.
+ * @param [options.orientation] {String} - The orientation of the paper: *landscape* or
+ * *portrait*. By default, HP-GL instructions use the orientation set by their first `RO`
+ * instruction (if any) and functions draw in *landscape* orientation.
+ *
+ * @returns {Object} An object with the following properties: `penDown` (an object holding the
+ * length drawn by each pen, in cm, keyed by pen number), `penUp` (the distance travelled with the
+ * pen raised, in cm), `penChanges` (the number of times a pen is picked up), `bounds` (a
+ * [Rectangle]{@link Rectangle} covering what is drawn, in cm, in the coordinate system of the
+ * drawing methods, or `null` if nothing is drawn) and `duration` (in seconds).
+ * @throws {Error} The model or the paper size is not supported.
+ * @throws {SyntaxError} The HP-GL instructions cannot be parsed.
  */
-Plotter.prototype._toAbsoluteHpglCoordinates = function(x, y) {
+Plotter.estimateJob = function(job, model = "7475A", options = {}) {
 
-  let p = this.characteristics.papers[this.paper];
+  let plotter = Plotter._createOffline(model, options);
+  let orientation = options.orientation ? plotter.orientation : undefined;
 
+  let instructions = job;
 
+  if (typeof job === "string") {
 
+    instructions = plotter._parser.parse(job);
 
-  // Check if image should be flipped
-  if (this.flipX) {
+  } else if (typeof job === "function") {
 
-    if (this.orientation === "landscape") {
-      x = this._toPlotterUnits(PAPER_SIZES[this.paper].long) - x;
-    } else {
-      x = this._toPlotterUnits(PAPER_SIZES[this.paper].short) - x;
+    orientation = plotter.orientation;
+
+    // Since no device is connected, the instructions simply pile up in the queue
+    try {
+      job(plotter);
+      if (plotter._optimization) plotter.stopOptimizing();
+      instructions = plotter._queue.filter(command => command.parsed).map(command => {
+        return command.parsed;
+      });
+    } finally {
+      plotter._stopAndEmptyQueue();
+    }
+
+    // A device set up in portrait orientation is rotated when it is initialized
+    if (orientation === "portrait") {
+      instructions = plotter._parser.parse("RO90;IP").concat(instructions);
     }
 
   }
 
-  if (this.flipY) {
+  return plotter._measureJob(instructions, orientation).estimate;
 
-    if (this.orientation === "landscape") {
-      y = this._toPlotterUnits(PAPER_SIZES[this.paper].short) - y;
-    } else {
-      y = this._toPlotterUnits(PAPER_SIZES[this.paper].long) - y;
-    }
+};
 
-  }
+/**
+ * Checks a job against the plottable area without sending anything to a device. This is a dry run
+ * of what [startValidating()]{@link Plotter#startValidating} does while drawing: moves, circles,
+ * arcs, rectangles and labels are simulated and those that extend outside of the plottable area
+ * are reported.
+ *
+ * ```
+ * let issues = Plotter.validateJob(plotter => plotter.moveTo(5, 5).drawCircle(10), "7475A");
+ * issues.forEach(issue => console.log(issue.method, issue.source));
+ * ```
+ *
+ * HP-GL instructions that the model does not support are also reported, since the device would
+ * not execute them.
+ *
+ * @param job {String|Instruction[]|Function} - HP-GL instructions (as text or as parsed by an
+ * [HpglParser]{@link HpglParser}) or a function that draws the job on the `Plotter` object it
+ * receives (see [estimateJob()]{@link Plotter.estimateJob}).
+ * @param [model="7475A"] {String} - The model of the device. This must be one of the entries
+ * found in [Models]{@link Models}.
+ * @param [options={}] {Object} - Additional options
+ * @param [options.paper="A"] {String} - The paper size.
+ * @param [options.orientation] {String} - The orientation of the paper: *landscape* or
+ * *portrait*. By default, HP-GL instructions use the orientation set by their first `RO`
+ * instruction (if any) and functions draw in *landscape* orientation.
+ *
+ * @returns {Object[]} The offending instructions, as described by the
+ * [outofbounds]{@link Plotter#event:outofbounds} event. Instructions passed as HP-GL have an
+ * `offset` instead of a `method` and a `source`. Unsupported instructions have an `unsupported`
+ * property set to `true` instead of an `extent`.
+ *
+ * @throws {Error} The model or the paper size is not supported.
+ * @throws {SyntaxError} The HP-GL instructions cannot be parsed.
+ */
+Plotter.validateJob = function(job, model = "7475A", options = {}) {
 
+  let plotter = Plotter._createOffline(model, options);
+  let issues = [];
 
+  if (typeof job === "function") {
 
+    plotter.on("outofbounds", issue => issues.push(issue));
+    plotter.startValidating();
+    plotter._validation.unsupported = issues;
 
-  // Compensate for margins
-  x -= p.margins[this.orientation].left;
-  y -= p.margins[this.orientation].top;
+    try {
+      job(plotter);
+    } finally {
+      plotter._stopAndEmptyQueue();
+    }
 
-  if (this.orientation === "landscape") {
-    y = this.characteristics.papers[this.paper].short - y;
   } else {
-    x = this.characteristics.papers[this.paper].short - x;
-  }
-
 
+    let instructions = typeof job === "string" ? plotter._parser.parse(job) : job;
+    let orientation = options.orientation ? plotter.orientation : undefined;
+    let validation = plotter._createValidation("warn", orientation, instructions);
+    plotter.orientation = validation.renderer.getOrientation();
 
+    let found = plotter._checkBounds(validation, instructions).concat(
+      plotter._findUnsupported(instructions).map(parsed => ({parsed: parsed}))
+    );
 
+    found.sort((a, b) => a.parsed.start - b.parsed.start).forEach(item => {
+      let issue = {instruction: item.parsed.toString(), offset: item.parsed.start};
+      if (item.extent) {
+        issue.extent = item.extent;
+      } else {
+        issue.unsupported = true;
+      }
+      issues.push(issue);
+    });
 
+  }
 
-  return {x: x, y: y};
+  return issues;
 
 };
 
 /**
- * Converts a vector in 2D space (x, y) whose origin is in the top-left corner (+x going right, +y
- * going down) to the HPGL coordinates system which has its origin in the bottom-left corner (+x
- * going right, + y going up).
- *
- * @todo Add the option to use the native HPGL coordinates system (bypass this)
+ * Returns a `Plotter` object that is not connected to any device but has the characteristics of
+ * the specified model.
  *
  * @private
- * @param {number} x The `x` coordinate of the point.
- * @param {number} y The `y` coordinate of the point.
- * @return {Object} An object whose **x** and **y** properties have been transformed.
+ * @param {string} model - The model of the device.
+ * @param {Object} options - Options with the `paper` and `orientation` (see
+ * [estimateJob()]{@link Plotter.estimateJob}).
+ * @returns {Plotter}
+ * @throws {Error} The model or the paper size is not supported.
  */
-Plotter.prototype._toRelativeHpglCoordinates = function(x, y) {
+Plotter._createOffline = function(model, options) {
 
-  // Check if image has been flipped
-  if (this.flipX) x = -x;
-  if (this.flipY) y = -y;
+  if (!Models[model] || !Models[model].papers) {
+    throw new Error("The specified model (" + model + ") cannot be simulated.");
+  }
 
-  if (this.orientation === "landscape") {
-    y = -y;
-  } else {
-    x = -x;
+  let plotter = new Plotter();
+  plotter.characteristics = Models[model];
+  plotter.paper = (options.paper || "A").toUpperCase();
+
+  if (!plotter.characteristics.papers.list.includes(plotter.paper)) {
+    throw new Error("The '" + plotter.paper + "' paper is not supported by the " + model + ".");
   }
 
-  return {x: x, y: y};
+  if (options.orientation && ORIENTATIONS.includes(options.orientation.toLowerCase())) {
+    plotter.orientation = options.orientation.toLowerCase();
+  }
+
+  return plotter;
 
 };
 
 /**
- * This method is called when new data comes in from the serial port. Each time a \r is received, a
- * "data" event is dispatched. This event contains all the data that was buffered since the previous
- * dispatch.
+ * Measures the instructions of a job by simulating their execution (the movements of the pen are
+ * obtained from an [HpglRenderer]{@link HpglRenderer}). The returned arrays are cumulative: the
+ * value at index `i` is the total for the first `i` instructions. Durations are the time the device
+ * should take (see [estimateJob()]{@link Plotter.estimateJob}). They do not account for the time
+ * it takes to transfer the data.
  *
  * @private
- * @param {Object} data
+ * @param {Instruction[]} instructions - The instructions of a job.
+ * @param {string} [orientation] - The orientation of the paper (deduced from the instructions by
+ * default).
+ * @returns {Object} An object with `bytes`, `distance` (pen-down distance, in cm) and `duration`
+ * (in seconds) arrays and with the `estimate` of the whole job (as returned by
+ * [estimateJob()]{@link Plotter.estimateJob}).
  */
-Plotter.prototype._onData = function(data) {
+Plotter.prototype._measureJob = function(instructions, orientation) {
 
-  data.toString().split("").forEach((char) => {
+  let renderer = new HpglRenderer({
+    model: this.characteristics.model,
+    paper: this.paper,
+    orientation: orientation
+  });
 
-    if (char === "\r") {
+  let estimate = {penDown: {}, penUp: 0, penChanges: 0, bounds: null, duration: 0};
+  let measures = {bytes: [0], distance: [0], duration: [0], estimate: estimate};
+  let box = {left: Infinity, top: Infinity, right: -Infinity, bottom: -Infinity};
+  let velocities = {};
+  let pen = 0;
+  let drawn = 0, bytes = 0;
 
-      /**
-       * Event emitted when data is received from the device.
-       * @event Plotter#data
-       * @param {string} data The data received.
-       */
-      this.emit("data", this._buffer);
-      this._buffer = "";
+  // The pen accelerates up to the velocity and decelerates to a stop along each segment
+  let move = (from, to, down, velocity) => {
+
+    let length = this._fromPlotterUnits(Math.hypot(to.x - from.x, to.y - from.y));
+    if (length <= 0) return;
 
+    let ramp = velocity * velocity / DEFAULT_ACCELERATION;
+
+    if (length >= ramp) {
+      estimate.duration += length / velocity + velocity / DEFAULT_ACCELERATION;
     } else {
-      this._buffer += char;
+      estimate.duration += 2 * Math.sqrt(length / DEFAULT_ACCELERATION);
     }
 
-  })
+    if (down) {
+      drawn += length;
+    } else {
+      estimate.penUp += length;
+    }
 
-};
+  };
 
-/**
- * @private
- * @param {Object} error An object containing information about the error.
- */
-Plotter.prototype._onError = function(error) {
+  let cursor = renderer.startMeasuring(instructions).getPosition();
 
-  /**
-   * Event emitted when an error occurs. The specified function will receive an object with
-   * information about the error.
-   *
-   * @event Plotter#error
-   * @param {Object} error object containing details about the error
-   */
-  this.emit("error", error);
+  instructions.forEach(parsed => {
 
-};
+    let {strokes, position} = renderer.measure(parsed);
 
-/**
- * Immediately sends a single raw HPGL or RS-232-C instruction down the serial port. The validity of
- * the instruction's syntax is not checked at all. If you need validation, use the
- * [queue()]{@link Plotter#queue} function.
- *
- * Unless you are very familiar with HPGL, this method should not be used directly. Instead, you can
- * use friendlier methods such as: [drawLines()]{@link Plotter#drawLines},
- * [drawText()]{@link Plotter#drawText}, [drawCircle()]{@link Plotter#drawCircle}, etc.
- *
- * Note: only instructions supported by the target device will be transmitted. Unsupported
- * instructions will be silently ignored and the callback will not be executed.
- *
- * @param {string} instruction The raw instruction to send (unterminated).
- * @param {Function} [callback=null] A function to call once the data has been sent to the device
- * (default) or when an answer has been received from the device. If `waitForResponse` is `true`,
- * the callback function will receive a single parameter containing the data received from the
- * device.
- * @param {boolean} [waitForResponse=false] Whether to execute the callback function immediately
- * after the data has been sent or only after an answer has been received from the device.
- * @returns {Plotter} Returns the `Plotter` object to allow method chaining.
- */
-Plotter.prototype.send = function(instruction, callback = null, waitForResponse = false) {
+    // Each stroke is reached with the pen up and then drawn
+    strokes.forEach(stroke => {
 
-  // Check if the plotter is connected or an output file has been specified
-  if (!this.connected && !this._outputFile) {
-    throw new Error(
-      "The Plotter must be connected or an output file specified before sending instructions."
-    );
-  }
+      let velocity = velocities[stroke.pen] || velocities.all || DEFAULT_VELOCITY;
+      let before = drawn;
 
-  // Add termination character. A semicolon is used for HP-GL instructions unless we are printing a
-  // label (which requires a special termination char: ETX). RS-232-C isntructions only need a
-  // termination character when parameters are used. In this case the terminator is the colon.
-  if (instruction.substring(0, 2) === "LB") {
-    instruction += LABEL_TERMINATOR; // ETX character is label delimiter
-  } else if (instruction.substring(0, 2) === this.RS232_PREFIX) {
-    if (instruction.length > 3) instruction += ":";
-  } else {
-    instruction += ";";
-  }
+      move(cursor, stroke.points[0], false, DEFAULT_VELOCITY);
 
-  // All HPGL instructions are appended to the output file (if specified)
-  if (instruction.match(/^[A-Z]{2}/)) {
-    this._appendToOutputFile(instruction);
-  }
+      for (let i = 1; i < stroke.points.length; i++) {
+        move(stroke.points[i - 1], stroke.points[i], true, velocity);
+      }
 
-  // We actually send data to the device only if there is a connection. Otherwise, we assume we are
-  // sending the data to the output file and simply trigger the callback.
-  if (this.connected) {
+      stroke.points.forEach(point => {
+        box.left = Math.min(box.left, point.x);
+        box.top = Math.min(box.top, point.y);
+        box.right = Math.max(box.right, point.x);
+        box.bottom = Math.max(box.bottom, point.y);
+      });
 
-    // Check maximum instruction length (we must first check if the buffer size is available because
-    // it will not be for the very first instructions.
-    if (
-      this.characteristics &&
-      this.characteristics.buffer &&
-      instruction.length > this.characteristics.buffer
-    ) {
-      this._stopAndEmptyQueue();
-      throw new RangeError(
-        `Maximum HP-GL instruction length cannot be larger than device buffer. Instruction is ` +
-        `${instruction.length} characters long but buffer is only ${this.characteristics.buffer}.`
-      );
-    }
+      estimate.penDown[stroke.pen] = (estimate.penDown[stroke.pen] || 0) + drawn - before;
+      cursor = stroke.points[stroke.points.length - 1];
 
-    // Send the instruction. Wait for plotter response if required
-    if (waitForResponse) {
+    });
 
-      // console.info("Send and wait for response: " + instruction);
+    // The pen ends up at the current position (other instructions only change the coordinates)
+    if (parsed.type === "hpgl" && MOVING_INSTRUCTIONS.includes(parsed.mnemonic)) {
+      move(cursor, position, false, DEFAULT_VELOCITY);
+    }
+    cursor = position;
 
-      this.once("data", (data) => {
-        // console.info("Received response: " + data);
-        if (typeof callback === "function") callback(data);
-      });
-      this.transport.write(instruction);
+    if (parsed.type === "hpgl") {
 
-    } else {
+      let values = parsed.parameters;
 
-      // console.info("Send: " + instruction);
+      // VS applies to all pens unless a pen is specified
+      if (parsed.mnemonic === "VS" && values.length > 1) {
+        velocities[Math.trunc(values[1])] = values[0] > 0 ? values[0] : undefined;
+      } else if (parsed.mnemonic === "VS") {
+        velocities = {all: values[0] > 0 ? values[0] : undefined};
+      } else if (parsed.mnemonic === "IN" || parsed.mnemonic === "DF") {
+        velocities = {};
+      }
 
-      this.transport.write(instruction, (results) => {
-        if (typeof callback === "function") callback(results);
-      });
+      let selected = parsed.mnemonic === "SP" && values.length > 0 ? Math.trunc(values[0]) : 0;
+
+      if (parsed.mnemonic === "SP" && selected !== pen) {
+        if (selected !== 0) estimate.penChanges++;
+        estimate.duration += PEN_CHANGE_DURATION;
+        pen = selected;
+      }
 
     }
 
-  } else {
+    bytes += parsed.toString().length + 1;
 
-    if (typeof callback === "function") callback();
+    measures.bytes.push(bytes);
+    measures.distance.push(drawn);
+    measures.duration.push(estimate.duration);
 
+  });
+
+  if (box.left <= box.right) {
+    estimate.bounds = new Rectangle(
+      this._fromPlotterUnits(box.left),
+      this._fromPlotterUnits(box.top),
+      this._fromPlotterUnits(box.right - box.left),
+      this._fromPlotterUnits(box.bottom - box.top)
+    );
   }
 
-  return this;
+  return measures;
 
 };
 
 /**
- * Draws the specified text at the current pen position. The reference point is at the text's bottom
- * left.
- *
- * Currently, all of the ANSI/ASCII characters are supported as well as most of the characters in
- * the **Roman Extensions** character set (Set 7) which covers most european languages. I'm still
- * missing some characters because I'm not sure what they are...
- *
- * @todo text direction (double check with orientation)
- * @todo Add missing characters
+ * Emits the `progress` event for a job. The number of instructions executed by the device is
+ * estimated from the number of bytes sent and the size of its buffer (unless it confirmed having
+ * executed more). The estimated time remaining is corrected by comparing the time elapsed with the
+ * expected duration of what was executed.
  *
- * @param {string} text A UTF-8 string to plot.
- * @param {Object} [options={}] Options to control how the text is drawn.
- * @param {number} [options.characterWidth=0.187] The width, in centimeters, of a single character
- * of text. A negative value mirrors the text for that dimension.
- * @param {number} [options.characterHeight=0.269] The height, in centimeters, of a single character
- * of text. A negative value mirrors the text for that dimension.
- * @param {number} [options.rotation=0] The counter-clockwise rotation to apply to the text (in
- * degrees).
- * @param {number} [options.scale=0] The scale factor used to size the characters. For example, a
- * `scale` value of 2.0 doubles the character size while a `scale` of 0.5 makes it half as big.
- * Scaling is applied after the `characterWidth` and `characterHeight` parameters are applied (if
- * any). A negative value mirrors the character across both dimensions.
- * @param {number} [options.slant=0] The slant (italic) with which characters are lettered (in
- * degrees). A typical range of values is between -45° and +45°.
- * @param {Function} [callback] A function to execute when the instruction has been sent to the
- * device.
- * @returns {Plotter} Returns the `Plotter` object to allow method chaining.
+ * @private
+ * @param {Object} job - The job, as prepared by [_plotFile()]{@link Plotter#_plotFile}.
  */
-Plotter.prototype.drawText = function(text, options = {}, callback) {
-
-  // Defaults
-  options.characterWidth = parseFloat(options.characterWidth) || .187;
-  options.characterHeight = parseFloat(options.characterHeight) || .269;
-  options.rotation = parseFloat(options.rotation) || 0;
-  options.scale = parseFloat(options.scale) || 1;
-  options.slant = parseFloat(options.slant) || 0;
-
-  // Define select the standard character set
-  this.queue("SS");
-
-  // Assign character width and height
-  this.queue(
-    "SI" +
-    this._toHpglDecimal(options.characterWidth * options.scale) + "," +
-    this._toHpglDecimal(options.characterHeight * options.scale)
-  );
-
-  // If a 'rotation' is requested, it must be adjusted for the paper's orientation
-  let radRotation = options.rotation * Math.PI / 180;
+Plotter.prototype._emitProgress = function(job) {
 
-  // If we are in portrait mode, we must flip the text 180°.
-  if (this.orientation !== "landscape") radRotation += Math.PI;
-
-  this.queue(
-    "DI" +
-    this._toHpglDecimal( Math.cos(radRotation) ) + "," +
-    this._toHpglDecimal( Math.sin(radRotation) )
-  );
+  let {checkpoint, measures} = job;
+  let total = checkpoint.total;
+  let buffer = parseInt(this.characteristics.buffer) || 0;
 
-  // Assign correct slant
-  let radSlant = options.slant * Math.PI / 180;
-  this.queue("SL" + this._toHpglDecimal( Math.tan(radSlant) ) );
+  // Once the job is over, everything has been executed
+  if (checkpoint.finished >= total) {
+    job.executed = total;
+  } else {
+    job.executed = Math.max(job.executed, checkpoint.finished);
+    while (
+      job.executed < checkpoint.sent &&
+      measures.bytes[job.executed + 1] <= measures.bytes[checkpoint.sent] - buffer
+    ) {
+      job.executed++;
+    }
+  }
 
-  // Send label command
-  this.queue(this.utf8toHpgl(text), callback);
+  let expected = measures.duration[job.executed] - measures.duration[job.start];
+  let ratio = expected > 0 ? (Date.now() - job.started) / 1000 / expected : 1;
+  let remaining = measures.duration[total] - measures.duration[job.executed];
 
-  return this;
+  /**
+   * Event emitted while a file is being plotted by [plotFile()]{@link Plotter#plotFile} or
+   * [resumeJob()]{@link Plotter#resumeJob}: each time a portion of it is sent to the device or
+   * confirmed as executed and when it ends.
+   *
+   * @event Plotter#progress
+   * @param progress {Object} - The progress of the job
+   * @param progress.file {String} - The path to the file.
+   * @param progress.sent {Number} - The number of instructions sent to the device.
+   * @param progress.total {Number} - The number of instructions in the file (output instructions
+   * excluded).
+   * @param progress.bytesSent {Number} - The number of bytes sent to the device.
+   * @param progress.bytesTotal {Number} - The number of bytes in the whole job.
+   * @param progress.distance {Number} - The pen-down distance (in cm) the device is estimated to
+   * have completed.
+   * @param progress.totalDistance {Number} - The pen-down distance (in cm) of the whole job.
+   * @param progress.eta {Number} - The estimated time remaining (in seconds). It is computed from
+   * the velocity set with `VS` and adjusted to the throughput measured since the job started.
+   */
+  this.emit("progress", {
+    file: checkpoint.file,
+    sent: checkpoint.sent,
+    total: total,
+    bytesSent: measures.bytes[checkpoint.sent],
+    bytesTotal: measures.bytes[total],
+    distance: measures.distance[job.executed],
+    totalDistance: measures.distance[total],
+    eta: remaining * ratio
+  });
 
 };
 
 /**
- * Converts all characters in the UTF-8 input string to equivalent HPGL instruction(s). The function
- * will switch character set as needed in an attempt to reproduce as many characters as possible.
- *
- * If a character is not found, it will be drawn as is using Set 0 (ANSI/ASCII).
+ * Waits for the device to finish processing and/or drawing all previously queued instructions and
+ * then executes the specified callback function.
  *
- * @param {string} text A UTF-8 formatted string
- * @returns {string} The resulting HPGL instruction(s)
+ * @param [callback] {Plotter~statusCallback} - The function to execute. It receives the status
+ * object (or an `Error` object if waiting failed).
+ * @param [options={}] {Object} - Additional options
+ * @param [options.signal] {AbortSignal} - A signal that can be used to stop waiting. Aborting it
+ * does not affect queued instructions.
+ * @returns {Promise<Object>} A promise fulfilled with the status object described in
+ * [Plotter~statusCallback]{@link Plotter~statusCallback}. The status is `undefined` when the wait
+ * was interrupted by [abort()]{@link Plotter#abort}. The promise is rejected if the device stopped
+ * acknowledging enquiries (see the `acknowledgeTimeout` option of
+ * [connect()]{@link Plotter#connect}) or if a lost connection could not be reestablished (see its
+ * `reconnect` option). If a callback is specified, the `Plotter` object is returned instead to
+ * allow method chaining.
  */
-Plotter.prototype.utf8toHpgl = function(text) {
+Plotter.prototype.wait = function(callback = null, options = {}) {
 
-  let converted = text.split("").map(char => {
+  // The options can be passed as the only parameter
+  if (callback && typeof callback === "object") [callback, options] = [null, callback];
 
-    let found = CHARACTERS[char];
+  return this._toPromise((resolve, reject) => {
 
-    if (found) {
-      return "CS" + found.charset + ";LB" + String.fromCharCode(found.code) + LABEL_TERMINATOR;
-    } else {
-      return "CS0;LB" + char + LABEL_TERMINATOR;
-    }
+    // If the plotter is not connected we simply wait for the queue to be empty. While a lost
+    // connection is being reestablished, the queued instructions are held back and the device is
+    // asked once it is back.
+    if (!this.connected && !(this._reconnection && this._reconnection.active)) {
 
-  });
+      let timeoutId = 0;
 
-  return converted.join("");
+      let check = () => {
+        if (this._queue.length < 1) {
+          resolve();
+        } else {
+          timeoutId = setTimeout(check, 0);
+        }
+      };
 
-};
+      check();
 
-/**
- * Converts a numerical value to an integer that matches HPGL's requirements (must be between
- * -32768 and 32767).
- *
- * @private
- * @param {number} value The text to write
- * @returns {int} The converted integer.
- */
-Plotter.prototype._toHpglInteger = function(value) {
+      return () => clearTimeout(timeoutId);
 
-  value = parseInt(value, 10);
+    }
 
-  if (value > 32767) {
-    value = 32767;
-  } else if (value < -32768) {
-    value = -32768;
-  }
+    // Send a request for actual pen position and status. This means the device will have to finish
+    // all queued instructions before being able to reply.
+    this.queue("OA", data => {
 
-  return value;
+      // The device stopped communicating (see the `acknowledgeTimeout` option of connect())
+      if (data instanceof Error) {
+        reject(data);
+        return;
+      }
 
-};
+      let status = undefined;
 
-/**
- * Converts a numerical value to floating-point decimal value respecting HPGL's requirements (must
- * be between -128 and 127.9999 and must have a maximum of 4 decimal places). The return value is
- * actually a string.
- *
- * @private
- * @param {number} value The text to write
- * @returns {string} The converted float.
- */
-Plotter.prototype._toHpglDecimal = function(value) {
+      // Check if data was actually received. Receiving `undefined` usually means that `abort()` was
+      // called.
+      if (data) {
 
-  value = parseFloat(value);
+        let [x, y, penDown] = data.split(",");
 
-  if (value < -128) {
-    value = -128;
-  } else if (value > 127.9999) {
-    value = 127.9999;
-  }
+        status = {
+          x: this._fromPlotterUnits(x),
+          y: this._fromPlotterUnits(y),
+          penDown: penDown === "1"
+        };
 
-  return value.toFixed(4);
+      }
+
+      resolve(status);
+
+    }, {waitForResponse: true, executeCallbackOnAbort: true});
+
+  }, options, this._toLegacyCallback(callback));
 
 };
 
 /**
- * Selects the requested pen from the carousel or stall. If no pen is specified, selects the pen at
- * position 1. If the pen designated for selection is not in its stall, the plotter will attempt to
- * select a pen beginning in stall 1 and move up until a pen is found.
- *
- * Specifying a pen number of 0, stores the current pen. This is the equivalent of calling
- * [`storePen()`]{@link Plotter#storePen}.
- *
- * If the plotter does not have a carousel/stall or the specified pen number is out of range, this
- * instruction is ignored.
+ * Defines the expected signature of functions used in a `statusCallback` context. Such functions
+ * basically receive a `status` object detailing the current status of the hardware device.
  *
- * @param {Number} [penNumber=1] The number of the pen to select.
- * @param {Function} [callback] A function to execute when the instruction has been sent to the
- * device.
- * @returns {Plotter} Returns the `Plotter` object to allow method chaining.
+ * @callback Plotter~statusCallback
+ * @param status {Object} Hardware status information
+ * @param status.x {Number} Position of the pen of the `x` axis (in plotter units)
+ * @param status.y {Number} Position of the pen of the `y` axis (in plotter units)
+ * @param status.penDown {Boolean} Whether the pen is down or not
  */
-Plotter.prototype.selectPen = function(penNumber = 1, callback) {
-  this.queue("SP" + parseInt(penNumber), callback);
-  return this;
-};
 
 /**
- * Stores the pen back in the carousel or stall. The plotter will try to put the pen away in the
- * appropriate stall. If the stall is occupied, the plotter will attempt to store the pen in pen
- * stall 1, then 2, then 3, etc. If all the stalls are full, the pen holder will return to its
- * previous location.
+ * Converts a centimeter or inches value to its plotter units equivalent.
  *
- * If the plotter does not support pen storage, this instruction is ignored.
+ * The device's reported resolution is used to do the conversion. Since the reported resolution can
+ * be a little different than the actual resolution there may be very small differences in the
+ * rendering. For example, the HP7475A reports an `x` resolution of 40 units / millimiter while the
+ * actual resolution is about 40.2 units / millimiter.
  *
- * @param {Function} [callback] A function to execute when the instruction has been sent to the
- * device.
- * @returns {Plotter} Returns the `Plotter` object to allow method chaining.
+ * @private
+ * @param {number} value The value to convert.
+ * @param {Boolean} [metric=true] If true, value is considered to be in centimeters. Otherwise, it
+ * is considered to be in decimal inches.
+ * @return {Number} The converted value rounded to the closest **integer**.
  */
-Plotter.prototype.storePen = function(callback) {
-  return this.selectPen(0, callback);
+Plotter.prototype._toPlotterUnits = function(value, metric = true) {
+
+  let res = 40;
+
+  if (
+    this.characteristics &&
+    this.characteristics.resolution &&
+    this.characteristics.resolution.x
+  )
+  {
+    res = this.characteristics.resolution.x;
+  }
+
+  if (metric) {
+    return Math.round(value * 10 * res);
+  } else {
+    return Math.round(value * 25.4 * res);
+  }
+
 };
 
 /**
- * Draws a circle whose center is at the current location of the pen.
  *
- * @param {number} [radius=1] The circle's radius (in centimeters).
- * @param {number} [angle=5]  An integer between -180° and 180° representing the chord angle. The
- * most commonly used values are 0-180. In this case, the smaller the angle is, the smoother the
- * circle will be. Negative values make the circle start at 180° instead of 0°.
- * @param {Object} [options={}] Additional options (none for now)
- * @param {Function} [callback] A function to execute when the instruction has been sent to the
- * device.
- * @returns {Plotter} Returns the `Plotter` object to allow method chaining.
+ * @param value
+ * @param metric
+ * @returns {number}
+ * @private
  */
-Plotter.prototype.drawCircle = function(radius = 1, angle = 5, options = {}, callback) {
-  this.queue("CI" + this._toPlotterUnits(radius) + "," + Math.round(angle), callback);
-  return this;
+Plotter.prototype._fromPlotterUnits = function(value, metric = true) {
+
+  if (metric) {
+    return value / (10 * this.characteristics.resolution.x);
+  } else {
+    return value / (25.4 * this.characteristics.resolution.x);
+  }
+
 };
 
 /**
- * Draws a line from the current pen position to the specified destination position (x, y).
+ * Disconnects from the hardware device. This will cancel ongoing and upcoming plotting instructions
+ * and close the serial connection. The device will be returned to its default state.
  *
- * @param {number} x The `x` coordinate of the point where the the line should end (in cm).
- * @param {number} y The `y` coordinate of the point where the the line should end (in cm).
+ * @param {Function} [callback] A function to execute once the disconnection is complete. If an
+ * error occurs, this function will receive an error object as its parameter.
  * @param {Object} [options={}] Additional options
- * @param {number} [options.linePattern=7] Integer between `0` and `7`. Value `0` prints dots at
- * line extremities only. Values `1` to `6` prints various types of dotted lines. Value `7`
- * (default) is a solid line.
- * @param {number} [options.penUp=true] Whether the pen should be lifted off the paper at the end of
- * the line.
- * @param {number} [options.penDown=true] Whether the pen should be lowered on the paper before
- * starting to draw a line;
- * @param {Function} [callback] A function to execute when the instruction has been sent to the
- * device.
- * @returns {Plotter} Returns the `Plotter` object to allow method chaining.
+ * @param {AbortSignal} [options.signal] A signal that can be used to stop waiting for the
+ * disconnection to complete.
+ * @returns {Promise|Plotter} A promise fulfilled once the disconnection is complete or rejected
+ * with an `Error` if the transport could not be closed. If a callback is specified, the `Plotter`
+ * object is returned instead to allow method chaining.
  */
-Plotter.prototype.drawLine = function(x, y, options = {}, callback) {
+Plotter.prototype.disconnect = function(callback = null, options = {}) {
 
-  this.drawLines([x, y], options, callback);
-  return this;
+  // The options can be passed as the only parameter
+  if (callback && typeof callback === "object") [callback, options] = [null, callback];
 
-};
+  return this._toPromise((resolve, reject) => {
 
-// Plotter.prototype.drawLine = function(x, y, options = {}, callback) {
-//
-//   // Assign defaults
-//   options.penDown = (options.penDown !== false);
-//   options.penUp = (options.penUp !== false);
-//
-//   // // Check validity of line pattern
-//   // options.linePattern = parseInt(options.linePattern);
-//   //
-//   // if (isNaN(options.linePattern) || options.linePattern < 0 || options.linePattern > 7) {
-//   //   options.linePattern = 7;
-//   // }
-//   //
-//   // // Assign desired line pattern
-//   // if (options.linePattern === 7) {
-//   //   this.queue("LT");
-//   // } else {
-//   //   this.queue("LT" + options.linePattern);
-//   // }
-//
-//   // Convert poisition to plotter units
-//   let p = this._toAbsoluteHpglCoordinates(this._toPlotterUnits(x), this._toPlotterUnits(y));
-//
-//   // Lower pen (if requested)
-//   if (options.penDown) this.queue("PD");
-//
-//   // Send instruction and lift pen (if requested)
-//   if (options.penUp) {
-//     this.queue("PA" + p.x + "," + p.y);
-//     this.queue("PU", callback);
-//   } else {
-//     this.queue("PA" + p.x + "," + p.y, callback);
-//   }
-//
-//   return this;
-//
-// };
+    // Closing the transport must not be mistaken for a lost connection
+    this._setReconnection();
+
+    if (!this._outputFile) {
+      this.characteristics = undefined;
+      this.orientation = "landscape";
+      this.paper = "A";
+    }
+
+    if ( !this.connected ) {
+      resolve();
+      return;
+    }
+
+    this.ready = false;
+
+    this.abort(() => {
+
+      this.send("IN", () => {
+
+        setTimeout(() => {
+
+          this.transport.close((error) => {
+            this.transport = undefined;
+            if (error) {
+              reject(error);
+            } else {
+              resolve();
+            }
+          });
+
+        }, 500); // not sure if this is the right number but it seems to work
+
+      });
+
+    });
+
+    /**
+     * Event emitted when the serial connection has been successfully closed.
+     *
+     * @event Plotter#connected
+     */
+    this.emit("disconnected");
+
+  }, options, callback);
+
+};
 
 /**
- * Draws a series of lines starting at the current pen position and going, in turn, to all x/y pairs
- * specified in the array.
+ * Disconnects from the hardware device. This will cancel ongoing and upcoming plotting instructions
+ * and close the serial connection. The device will be returned to its default state.
  *
- * @param {number[]} [positions=[]] An array of line-end positions in the form
- * `[x1, y1, x2, y2, ...]`.
+ * @param {Function} [callback] A function to execute once the disconnection is complete. It
+ * receives an `Error` object if waiting was cancelled (`null` otherwise).
  * @param {Object} [options={}] Additional options
- * @param {number} [options.linePattern=7] Integer between `0` and `7`. Value `0` only prints dots
- * at line extremities only. Values `1` to `6` prints various types of dotted lines. Value `7`
- * (default) is a solid line.
- * @param {number} [options.penUp=true] Whether the pen should be lifted off the paper after drawing
- * all the lines.
- * @param {number} [options.penDown=true] Whether the pen should be lowered on the paper before
- * drawing all the lines.
- * @param {Function} [callback] A function to execute when all the instruction(s) have been sent to
- * the device.
- * @returns {Plotter} Returns the `Plotter` object to allow method chaining.
- *
- * @todo add linePatternLength option
+ * @param {AbortSignal} [options.signal] A signal that can be used to stop waiting for the
+ * disconnection to complete.
+ * @returns {Promise|Plotter} A promise fulfilled once the object has been destroyed. If a callback
+ * is specified, the `Plotter` object is returned instead to allow method chaining.
  */
-Plotter.prototype.drawLines = function(positions = [], options = {}, callback) {
-
-  // Since this command can be very long, we break it into chunks no larger than the buffer size
-  let chunks = [[]], current = 0;
-
-  // Check validity of line pattern
-  // options.linePattern = options.linePattern || 7;
-  options.linePattern = parseInt(options.linePattern);
+Plotter.prototype.destroy = function(callback = null, options = {}) {
 
-  if (isNaN(options.linePattern) || options.linePattern < 0 || options.linePattern > 7) {
-    options.linePattern = 7;
-  }
+  // The options can be passed as the only parameter
+  if (callback && typeof callback === "object") [callback, options] = [null, callback];
 
-  if (options.linePattern === 7) {
-    this.queue("LT");
-  } else {
-    this.queue("LT" + options.linePattern);
-  }
+  return this._toPromise((resolve) => {
 
-  // Positions are converted to plotter units and pushed in chunks no larger than the buffer
-  for (let i = 0; i < positions.length; i += 2) {
+    // Terminate any ongoing file capture session
+    this.stopCapturingToFile();
 
-    let x = this._toPlotterUnits(positions[i]);
-    let y = this._toPlotterUnits(positions[i+1]);
-    let p = this._toAbsoluteHpglCoordinates(x, y);
+    // Stop and empty queue
+    this._stopAndEmptyQueue();
 
-    // Chunks must be smaller than the total buffer size. So, before adding a new position, we must
-    // make sure that this new position does no bring the chunk above the buffer's size. If it
-    // exceeds the buffer's size, we create a new chunk. Warning: if no device is connected, we rely
-    // on the device's buffer size reported in the characteristics.
-    if (!this.connected && !this.characteristics.buffer) {
-      throw new Error(
-        "The drawLines() function cannot properly chunk the instructions since the device's " +
-        "buffer size has not been defined in the characteristics."
-      );
+    // Disconnect connection to hardware. Errors while closing the transport are ignored.
+    if (this.connected) {
+      this.disconnect(() => resolve());
+    } else {
+      resolve();
     }
 
-    // Simulate final instruction to verify length
-    let instruction = "PA" + chunks[current].concat([p.x, p.y]).join(",") + ";";
+  }, options, callback);
 
-    if (instruction.length > this.characteristics.buffer) {
-      current++;
-      chunks[current] = [];
-    }
-    chunks[current].push(p.x, p.y);
+};
+
+/**
+ * Converts a position (in plotter units) whose reference origin is in the top-left corner of the
+ * paper sheet (+x going right, +y going down) to the HPGL coordinates system which has its origin
+ * in the bottom-left corner (+x going right, +y going up).
+ *
+ * Beware that the resulting position might be outside the plottable area.
+ *
+ * @todo Add the option to use the native HPGL coordinates system (bypass this)
+ *
+ * @private
+ * @param {number} x The `x` coordinate of the point in plotter units.
+ * @param {number} y The `y` coordinate of the point in plotter units.
+ * @return {Object} An object whose **x** and **y** properties have been transformed.
+ */
+Plotter.prototype._toAbsoluteHpglCoordinates = function(x, y) {
+
+  let p = this.characteristics.papers[this.paper];
+
+  // Check if image should be flipped
+  if (this.flipX) {
+
+    if (this.orientation === "landscape") {
+      x = this._toPlotterUnits(PAPER_SIZES[this.paper].long) - x;
+    } else {
+      x = this._toPlotterUnits(PAPER_SIZES[this.paper].short) - x;
+    }
+
+  }
+
+  if (this.flipY) {
+
+    if (this.orientation === "landscape") {
+      y = this._toPlotterUnits(PAPER_SIZES[this.paper].short) - y;
+    } else {
+      y = this._toPlotterUnits(PAPER_SIZES[this.paper].long) - y;
+    }
+
+  }
+
+  // Compensate for margins (those that are not known are considered to be nil)
+  let margins = p.margins ? p.margins[this.orientation] : {};
+  x -= margins.left || 0;
+  y -= margins.top || 0;
+
+  if (this.orientation === "landscape") {
+    y = this.characteristics.papers[this.paper].short - y;
+  } else {
+    x = this.characteristics.papers[this.paper].short - x;
+  }
+
+  return {x: x, y: y};
+
+};
+
+/**
+ * Converts a vector in 2D space (x, y) whose origin is in the top-left corner (+x going right, +y
+ * going down) to the HPGL coordinates system which has its origin in the bottom-left corner (+x
+ * going right, + y going up).
+ *
+ * @todo Add the option to use the native HPGL coordinates system (bypass this)
+ *
+ * @private
+ * @param {number} x The `x` coordinate of the point.
+ * @param {number} y The `y` coordinate of the point.
+ * @return {Object} An object whose **x** and **y** properties have been transformed.
+ */
+Plotter.prototype._toRelativeHpglCoordinates = function(x, y) {
+
+  // Check if image has been flipped
+  if (this.flipX) x = -x;
+  if (this.flipY) y = -y;
+
+  if (this.orientation === "landscape") {
+    y = -y;
+  } else {
+    x = -x;
+  }
+
+  return {x: x, y: y};
+
+};
+
+/**
+ * Applies the current transform (see [pushTransform()]{@link Plotter#pushTransform}) to a point
+ * and converts it to absolute HPGL coordinates.
+ *
+ * @private
+ * @param {number} x The `x` coordinate of the point (in cm).
+ * @param {number} y The `y` coordinate of the point (in cm).
+ * @return {Object} An object with **x** and **y** properties (in plotter units).
+ */
+Plotter.prototype._toHpglPoint = function(x, y) {
+
+  let [a, b, c, d, e, f] = this._transform;
+
+  return this._toAbsoluteHpglCoordinates(
+    this._toPlotterUnits(a * x + c * y + e),
+    this._toPlotterUnits(b * x + d * y + f)
+  );
+
+};
+
+/**
+ * Returns the linear part of the current transform expressed along the HPGL axes, in the form
+ * `[a, b, c, d]`. It applies to vectors returned by
+ * [_toRelativeHpglCoordinates()]{@link Plotter#_toRelativeHpglCoordinates}.
+ *
+ * @private
+ * @return {number[]}
+ */
+Plotter.prototype._getHpglMatrix = function() {
+
+  let [a, b, c, d] = this._transform;
+
+  // The HPGL axes only differ by their direction so the off-diagonal terms may change sign
+  let axes = this._toRelativeHpglCoordinates(1, 1);
+  let sign = axes.x * axes.y;
+
+  return [a, b * sign, c * sign, d];
+
+};
+
+/**
+ * Applies the linear part of the current transform to a vector along the HPGL axes.
+ *
+ * @private
+ * @param {Object} vector An object with `x` and `y` properties (in plotter units).
+ * @return {Object} The transformed vector (not rounded).
+ */
+Plotter.prototype._transformVector = function(vector) {
+  let m = this._getHpglMatrix();
+  return {x: m[0] * vector.x + m[2] * vector.y, y: m[1] * vector.x + m[3] * vector.y};
+};
+
+/**
+ * Reverses [_transformVector()]{@link Plotter#_transformVector}.
+ *
+ * @private
+ * @param {Object} vector An object with `x` and `y` properties (in plotter units).
+ * @return {Object} The vector before the transform was applied.
+ */
+Plotter.prototype._untransformVector = function(vector) {
+  let m = this._getHpglMatrix();
+  let det = m[0] * m[3] - m[1] * m[2];
+  return {
+    x: (m[3] * vector.x - m[2] * vector.y) / det,
+    y: (m[0] * vector.y - m[1] * vector.x) / det
+  };
+};
+
+/**
+ * Indicates whether the current transform preserves the shape of circles (i.e. it is only made of
+ * translations, rotations, uniform scaling and mirroring). When it does not, arcs, circles and
+ * wedges must be drawn with line segments.
+ *
+ * @private
+ * @return {Boolean}
+ */
+Plotter.prototype._isConformal = function() {
+
+  let [a, b, c, d] = this._transform;
+  let epsilon = 1e-9;
+
+  return (
+    (Math.abs(a - d) < epsilon && Math.abs(b + c) < epsilon) ||
+    (Math.abs(a + d) < epsilon && Math.abs(b - c) < epsilon)
+  );
+
+};
+
+/**
+ * Returns the largest factor by which the current transform stretches distances.
+ *
+ * @private
+ * @return {number}
+ */
+Plotter.prototype._getTransformScale = function() {
+
+  let [a, b, c, d] = this._transform;
+  let sum = a * a + b * b + c * c + d * d;
+  let det = a * d - b * c;
+
+  return Math.sqrt((sum + Math.sqrt(Math.max(sum * sum - 4 * det * det, 0))) / 2);
+
+};
+
+/**
+ * Converts an angle measured counterclockwise (as seen on the paper) from the `x` axis of the
+ * top-left coordinates system to the equivalent angle in the HPGL coordinates system.
+ *
+ * @private
+ * @param {number} angle The angle (in degrees).
+ * @return {number} The converted angle (in degrees).
+ */
+Plotter.prototype._toHpglAngle = function(angle) {
+  let radians = angle * Math.PI / 180;
+  let v = this._toRelativeHpglCoordinates(Math.cos(radians), -Math.sin(radians));
+  return Math.atan2(v.y, v.x) * 180 / Math.PI;
+};
+
+/**
+ * Converts a sweep angle that is positive when counterclockwise (as seen on the paper) to the HPGL
+ * coordinates system (where the direction depends on the orientation and flipping).
+ *
+ * @private
+ * @param {number} sweep The sweep angle (in degrees).
+ * @return {number} The converted sweep angle (in degrees).
+ */
+Plotter.prototype._toHpglSweep = function(sweep) {
+  let a = this._toRelativeHpglCoordinates(1, 0);
+  let b = this._toRelativeHpglCoordinates(0, -1);
+  return (a.x * b.y - a.y * b.x) > 0 ? sweep : -sweep;
+};
+
+/**
+ * Returns the chord angle to use when drawing an arc of the specified radius. When a `tolerance`
+ * is specified, the angle is calculated so the chords never stray farther than that from the
+ * actual arc.
+ *
+ * @private
+ * @param {number} radius The radius of the arc (in cm).
+ * @param {Object} options
+ * @param {number} [options.chordAngle=5] The chord angle (in degrees).
+ * @param {number} [options.tolerance] The maximum distance between the chords and the arc (in cm).
+ * @return {number} A chord angle between 0.5° and 180°.
+ */
+Plotter.prototype._getChordAngle = function(radius, options = {}) {
+
+  let angle = parseFloat(options.chordAngle) || 5;
+  let tolerance = parseFloat(options.tolerance);
+
+  if (tolerance > 0 && radius > 0) {
+    angle = 2 * Math.acos(Math.max(-1, 1 - tolerance / radius)) * 180 / Math.PI;
+  }
+
+  return Math.round(Math.min(Math.max(Math.abs(angle), 0.5), 180) * 100) / 100;
+
+};
+
+/**
+ * Keeps track of the pen position (and of the absolute or relative plotting mode) as instructions
+ * are queued. The position becomes unknown after instructions whose effect cannot be predicted
+ * (labels, for example).
+ *
+ * @private
+ * @param {Instruction} instruction The queued instruction.
+ */
+Plotter.prototype._trackPosition = function(instruction) {
+
+  let state = this._getPenState(
+    {position: this._penPosition, absolute: this._absolutePlotting},
+    instruction
+  );
+
+  this._penPosition = state.position;
+  this._absolutePlotting = state.absolute;
+
+};
+
+/**
+ * Returns the state of the pen after the specified instruction has been executed.
+ *
+ * @private
+ * @param {Object} state The state of the pen before the instruction, in the form
+ * `{position, absolute, pen, down}`: the position (in plotter units, `null` when unknown), whether
+ * absolute plotting is used, the selected pen and whether it is down.
+ * @param {Instruction} instruction The instruction.
+ * @returns {Object} The new state (the specified object is not modified).
+ */
+Plotter.prototype._getPenState = function(state, instruction) {
+
+  state = Object.assign({}, state);
+
+  if (instruction.type !== "hpgl") return state;
+
+  let values = instruction.parameters;
+  let position = state.position;
+
+  switch (instruction.mnemonic) {
+
+    case "PA":
+    case "PR":
+    case "PU":
+    case "PD":
+
+      if (instruction.mnemonic === "PA") state.absolute = true;
+      if (instruction.mnemonic === "PR") state.absolute = false;
+      if (instruction.mnemonic === "PU") state.down = false;
+      if (instruction.mnemonic === "PD") state.down = true;
+
+      for (let i = 0; i + 1 < values.length; i += 2) {
+        if (state.absolute) {
+          position = {x: values[i], y: values[i + 1]};
+        } else if (position) {
+          position = {x: position.x + values[i], y: position.y + values[i + 1]};
+        }
+      }
+      break;
+
+    case "AA":
+    case "AR":
+
+      if (position && values.length >= 3) {
+
+        let cx = values[0], cy = values[1];
+        if (instruction.mnemonic === "AR") {
+          cx += position.x;
+          cy += position.y;
+        }
+
+        let sweep = values[2] * Math.PI / 180;
+        let dx = position.x - cx, dy = position.y - cy;
+        position = {
+          x: Math.round(cx + dx * Math.cos(sweep) - dy * Math.sin(sweep)),
+          y: Math.round(cy + dx * Math.sin(sweep) + dy * Math.cos(sweep))
+        };
+
+      }
+      break;
+
+    case "SP":
+      state.pen = values.length > 0 ? values[0] : 0;
+      state.down = false;
+      break;
+
+    case "IN":
+    case "DF":
+      state.absolute = true;
+      if (instruction.mnemonic === "IN") {
+        position = null;
+        state.down = false;
+      }
+      break;
+
+    default:
+      if (UNPREDICTABLE_INSTRUCTIONS.includes(instruction.mnemonic)) position = null;
+
+  }
+
+  state.position = position;
+  return state;
+
+};
+
+/**
+ * Queues a path whose points are relative to the current pen position. Relative plotting (`PR`)
+ * is used so the current position does not need to be known. Absolute plotting is restored and the
+ * pen is lifted at the end.
+ *
+ * @private
+ * @param {Object[]} points Points in the form `{x, y, penDown}` where `x` and `y` are offsets (in
+ * plotter units, along the HPGL axes) from the pen position at the start of the path.
+ * @param {Function} [callback] A function to execute when all the instruction(s) have been sent to
+ * the device.
+ */
+Plotter.prototype._queueRelativePath = function(points, callback) {
+
+  let x = 0, y = 0, mnemonic, values = [];
+
+  // Instructions are broken into chunks no larger than the buffer size
+  let flush = () => {
+    if (values.length > 0) this.queue(mnemonic + values.join(","));
+    values = [];
+  };
+
+  this.queue("PR");
+
+  points.forEach(point => {
+
+    let px = Math.round(point.x), py = Math.round(point.y);
+    let current = point.penDown ? "PD" : "PU";
+    let pair = [px - x, py - y];
+
+    if (
+      current !== mnemonic ||
+      (mnemonic + values.concat(pair).join(",")).length + 1 > this.characteristics.buffer
+    ) {
+      flush();
+      mnemonic = current;
+    }
+
+    values.push(...pair);
+    x = px;
+    y = py;
+
+  });
+
+  flush();
+  this.queue("PU");
+  this.queue("PA", callback);
+
+};
+
+/**
+ * Queues an instruction whose parameters are coordinate pairs, breaking it into several
+ * instructions no larger than the buffer size.
+ *
+ * @private
+ * @param {string} mnemonic The instruction's mnemonic.
+ * @param {number[]} values The coordinates in the form `[x1, y1, x2, y2, ...]`.
+ * @param {Function} [callback] A function to execute when all the instruction(s) have been sent to
+ * the device.
+ */
+Plotter.prototype._queueChunked = function(mnemonic, values, callback) {
+
+  let chunk = [];
+
+  for (let i = 0; i + 1 < values.length; i += 2) {
+    let pair = [values[i], values[i + 1]];
+    if (
+      chunk.length > 0 &&
+      (mnemonic + chunk.concat(pair).join(",")).length + 1 > this.characteristics.buffer
+    ) {
+      this.queue(mnemonic + chunk.join(","));
+      chunk = [];
+    }
+    chunk.push(...pair);
+  }
+
+  this.queue(mnemonic + chunk.join(","), callback);
+
+};
+
+/**
+ * Fills a shape with the device's fill instruction or, if the device cannot produce the selected
+ * fill type, with lines generated by the library.
+ *
+ * @private
+ * @param {string} [instruction] The fill instruction (`RR`, `WG` or `FP`). When `undefined`, the
+ * lines are always generated.
+ * @param {Array.<Object[]>} rings The rings (arrays of `{x, y}` points, in plotter units along the
+ * HPGL axes) delimiting the shape, relative to the current pen position. Areas covered by an odd
+ * number of rings are filled.
+ */
+Plotter.prototype._queueFill = function(instruction, rings) {
+
+  let instructions = this.characteristics.instructions;
+
+  if (
+    instruction &&
+    instructions.includes(instruction.substring(0, 2)) &&
+    (this._fill.type === "solid" || instructions.includes("FT"))
+  ) {
+
+    // The device spaces the lines of solid fills according to the pen thickness
+    if (
+      this._fill.type === "solid" &&
+      instructions.includes("PT") &&
+      this._devicePenThickness !== this.penThickness
+    ) {
+      this.queue("PT" + this.penThickness);
+      this._devicePenThickness = this.penThickness;
+    }
+
+    this.queue(instruction);
+    return;
+
+  }
+
+  let angle = this._toHpglAngle(this._fill.angle);
+  let spacing = this._toPlotterUnits(
+    this._fill.type === "solid" ? this.penThickness / 10 : this._fill.spacing
+  );
+  let segments = this._getHatchSegments(rings, angle, spacing);
+
+  if (this._fill.type === "crosshatch") {
+    segments = segments.concat(this._getHatchSegments(rings, angle + 90, spacing));
+  }
+
+  let path = [];
+  segments.forEach(segment => {
+    path.push({x: segment[0].x, y: segment[0].y, penDown: false});
+    path.push({x: segment[1].x, y: segment[1].y, penDown: true});
+  });
+  path.push({x: 0, y: 0, penDown: false});
+
+  this._queueRelativePath(path);
+
+};
+
+/**
+ * Returns the parallel line segments needed to hatch the area delimited by the specified rings.
+ * Areas covered by an odd number of rings are hatched. Every other segment is reversed so the pen
+ * goes back and forth.
+ *
+ * @private
+ * @param {Array.<Object[]>} rings The rings (arrays of `{x, y}` points) delimiting the area.
+ * @param {number} angle The angle of the lines (in degrees).
+ * @param {number} spacing The distance between the lines.
+ * @returns {Array.<Object[]>} An array of segments (pairs of `{x, y}` points).
+ */
+Plotter.prototype._getHatchSegments = function(rings, angle, spacing) {
+
+  let radians = angle * Math.PI / 180;
+  let cos = Math.cos(radians), sin = Math.sin(radians);
+  let segments = [];
+
+  if (!(spacing > 0)) return segments;
+
+  // Rotate the rings so the lines are horizontal
+  let rotated = rings.map(ring => ring.map(p => {
+    return {x: p.x * cos + p.y * sin, y: p.y * cos - p.x * sin};
+  }));
+
+  let ys = [].concat(...rotated.map(ring => ring.map(p => p.y)));
+  let min = Math.min(...ys), max = Math.max(...ys);
+  let reverse = false;
+
+  // The lines are aligned on multiples of the spacing so adjacent shapes match
+  for (let y = Math.floor(min / spacing + 1) * spacing; y < max; y += spacing) {
+
+    let xs = [];
+
+    rotated.forEach(ring => {
+      ring.forEach((p, index) => {
+        let q = ring[(index + 1) % ring.length];
+        if ((p.y <= y) !== (q.y <= y)) xs.push(p.x + (y - p.y) * (q.x - p.x) / (q.y - p.y));
+      });
+    });
+
+    xs.sort((a, b) => a - b);
+
+    let row = [];
+    for (let i = 0; i + 1 < xs.length; i += 2) row.push([xs[i], xs[i + 1]]);
+    if (reverse) row = row.reverse().map(pair => [pair[1], pair[0]]);
+    reverse = !reverse;
+
+    // Rotate back
+    row.forEach(pair => {
+      segments.push(pair.map(x => ({x: x * cos - y * sin, y: x * sin + y * cos})));
+    });
+
+  }
+
+  return segments;
+
+};
+
+/**
+ * This method is called when new data comes in from the serial port. Each time a \r is received, a
+ * "data" event is dispatched. This event contains all the data that was buffered since the previous
+ * dispatch. Characters used by the current [handshake]{@link Plotter#handshake} (XON, XOFF or ACK)
+ * are not part of the data.
+ *
+ * @private
+ * @param {Object} data
+ */
+Plotter.prototype._onData = function(data) {
+
+  data.toString().split("").forEach((char) => {
+
+    if (this.handshake === "xonxoff" && (char === XON || char === XOFF)) {
+
+      this._xoff = (char === XOFF);
+
+      // Resume sending if the queue was waiting for XON
+      if (
+        !this._xoff &&
+        this._queueTimeOutId === 0 &&
+        !this._queueProcessing &&
+        this._queue.length > 0
+      ) {
+        this._scheduleQueue(this.MIN_QUEUE_DELAY);
+      }
+
+    } else if (this.handshake === "enqack" && char === ACK) {
+
+      this._confirmReception();
+      if (typeof this._acknowledge === "function") this._acknowledge();
+
+    } else if (char === "\r") {
+
+      this._confirmReception();
+
+      /**
+       * Event emitted when data is received from the device.
+       * @event Plotter#data
+       * @param {string} data The data received.
+       */
+      this.emit("data", this._buffer);
+      this._responses.emit("response", this._buffer);
+      this._buffer = "";
+
+    } else {
+      this._buffer += char;
+    }
+
+  })
+
+};
+
+/**
+ * Releases the callbacks waiting for a response from the device when it will never come (because
+ * it was lost or because the connection was). They receive `-1` instead of the response.
+ *
+ * @private
+ */
+Plotter.prototype._releaseResponses = function() {
+  this._responses.emit("response", -1);
+};
+
+/**
+ * Called when the device answers. Since it answers requests in order, this means all the data
+ * written before the request was received.
+ *
+ * @private
+ */
+Plotter.prototype._confirmReception = function() {
+  this._unacknowledged = [];
+  this._acknowledgedState = this._sentState;
+};
+
+/**
+ * @private
+ * @param {Object} error An object containing information about the error.
+ */
+Plotter.prototype._onError = function(error) {
+
+  // In resilience mode, a lost transport is reopened
+  if (this._reconnection && !this.connected) this._reconnect();
+
+  /**
+   * Event emitted when an error occurs. The specified function will receive an object with
+   * information about the error.
+   *
+   * @event Plotter#error
+   * @param {Object} error object containing details about the error
+   */
+  this.emit("error", error);
+
+};
+
+/**
+ * Immediately sends a single raw HPGL or RS-232-C instruction down the serial port. The validity of
+ * the instruction's syntax is not checked at all. If you need validation, use the
+ * [queue()]{@link Plotter#queue} function.
+ *
+ * Unless you are very familiar with HPGL, this method should not be used directly. Instead, you can
+ * use friendlier methods such as: [drawLines()]{@link Plotter#drawLines},
+ * [drawText()]{@link Plotter#drawText}, [drawCircle()]{@link Plotter#drawCircle}, etc.
+ *
+ * Note: only instructions supported by the target device will be transmitted. Unsupported
+ * instructions will be silently ignored and the callback will not be executed.
+ *
+ * @param {string} instruction The raw instruction to send (unterminated).
+ * @param {Function} [callback=null] A function to call once the data has been sent to the device
+ * (default) or when an answer has been received from the device. If `waitForResponse` is `true`,
+ * the callback function will receive a single parameter containing the data received from the
+ * device.
+ * @param {boolean} [waitForResponse=false] Whether to execute the callback function immediately
+ * after the data has been sent or only after an answer has been received from the device.
+ * @returns {Plotter} Returns the `Plotter` object to allow method chaining.
+ */
+Plotter.prototype.send = function(instruction, callback = null, waitForResponse = false) {
+
+  // Check if the plotter is connected or an output file has been specified
+  if (!this.connected && !this._outputFile) {
+    throw new Error(
+      "The Plotter must be connected or an output file specified before sending instructions."
+    );
+  }
+
+  instruction = this._prepare(instruction);
+
+  // We actually send data to the device only if there is a connection. Otherwise, we assume we are
+  // sending the data to the output file and simply trigger the callback.
+  if (this.connected) {
+
+    // Send the instruction. Wait for plotter response if required
+    if (waitForResponse) {
+
+      // console.info("Send and wait for response: " + instruction);
+
+      this._responses.once("response", (data) => {
+        // console.info("Received response: " + data);
+        if (typeof callback === "function") callback(data);
+      });
+      this.transport.write(instruction);
+
+    } else {
+
+      // console.info("Send: " + instruction);
+
+      this.transport.write(instruction, (results) => {
+        if (typeof callback === "function") callback(results);
+      });
+
+    }
+
+  } else {
+
+    if (typeof callback === "function") callback();
+
+  }
+
+  return this;
+
+};
+
+/**
+ * Adds the appropriate terminator to an instruction, keeps track of the label terminator in effect
+ * and appends the instruction to the output file (if any).
+ *
+ * @private
+ * @param {string} instruction - The unterminated instruction.
+ * @returns {string} The terminated instruction.
+ * @throws {RangeError} The instruction is longer than the device's buffer.
+ */
+Plotter.prototype._prepare = function(instruction) {
+
+  let mnemonic = instruction.substring(0, 2).toUpperCase();
+
+  // Add termination character. A semicolon is used for HP-GL instructions unless we are printing a
+  // label (which requires a special termination char: ETX unless changed with DT). RS-232-C
+  // isntructions only need a termination character when parameters are used. In this case the
+  // terminator is the colon.
+  if (LABEL_INSTRUCTIONS.includes(mnemonic)) {
+    instruction += this._labelTerminator;
+  } else if (instruction.substring(0, 2) === this.RS232_PREFIX) {
+    if (instruction.length > 3) instruction += ":";
+  } else {
+    instruction += ";";
+  }
+
+  // Keep track of the label terminator in effect on the device
+  if (mnemonic === "DT") {
+    let char = instruction[2];
+    this._labelTerminator = (char && char !== ";") ? char : LABEL_TERMINATOR;
+  } else if (mnemonic === "IN" || mnemonic === "DF") {
+    this._labelTerminator = LABEL_TERMINATOR;
+  }
+
+  // All HPGL instructions are appended to the output file (if specified)
+  if (instruction.match(/^[A-Z]{2}/i)) {
+    this._appendToOutputFile(instruction);
+  }
+
+  // Check maximum instruction length (we must first check if the buffer size is available because
+  // it will not be for the very first instructions.
+  if (this.connected) {
+
+    if (
+      this.characteristics &&
+      this.characteristics.buffer &&
+      instruction.length > this.characteristics.buffer
+    ) {
+      this._stopAndEmptyQueue();
+      throw new RangeError(
+        `Maximum HP-GL instruction length cannot be larger than device buffer. Instruction is ` +
+        `${instruction.length} characters long but buffer is only ${this.characteristics.buffer}.`
+      );
+    }
+
+  }
+
+  return instruction;
+
+};
+
+/**
+ * Draws the specified text at the current pen position. By default, the reference point is at the
+ * left end of the first line's baseline (see the `align` and `verticalAlign` options).
+ *
+ * The characters are drawn with the device's character sets: ANSI/ASCII, **Roman Extensions**
+ * (Set 7), Katakana (Set 8), JIS ASCII, ISO IRV and the ISO national sets (Sets 30 to 39). The
+ * sets are switched as needed (see [utf8toHpgl()]{@link Plotter#utf8toHpgl}). Accented characters
+ * found in none of them are composed by drawing the accent over the character.
+ *
+ * Characters that are not in the device's character sets are drawn with lines using a
+ * [StrokeFont]{@link StrokeFont} (see the `fallbackFont` option) instead of being printed as the
+ * wrong character. The whole text can also be drawn with a stroke font by using the `font`
+ * option. In this case, any character found in the font can be drawn, the font's own proportions
+ * and kerning are used and the `characterHeight` is the height of capital letters.
+ *
+ * Characters defined with [defineCharacter()]{@link Plotter#defineCharacter} are drawn by the
+ * device using the `UC` instruction (unless the `font` option is used).
+ *
+ * Line feeds (`\n`) start new lines and lines longer than `maxWidth` are wrapped between words.
+ * Lines are separated with carriage returns (`CP`). On devices that support the `LO` instruction,
+ * the device aligns the lines horizontally. Use [measureText()]{@link Plotter#measureText} to find
+ * out how much room the text takes.
+ *
+ * The text follows the current transform (see [pushTransform()]{@link Plotter#pushTransform}):
+ * it is rotated, scaled and slanted along with the rest of the drawing.
+ *
+ * @todo text direction (double check with orientation)
+ * @todo Add missing characters
+ *
+ * @param {string} text A UTF-8 string to plot.
+ * @param {Object} [options={}] Options to control how the text is drawn.
+ * @param {number} [options.characterWidth=0.187] The width, in centimeters, of a single character
+ * of text. A negative value mirrors the text for that dimension.
+ * @param {number} [options.characterHeight=0.269] The height, in centimeters, of a single character
+ * of text. A negative value mirrors the text for that dimension.
+ * @param {number} [options.rotation=0] The counter-clockwise rotation to apply to the text (in
+ * degrees).
+ * @param {number} [options.scale=0] The scale factor used to size the characters. For example, a
+ * `scale` value of 2.0 doubles the character size while a `scale` of 0.5 makes it half as big.
+ * Scaling is applied after the `characterWidth` and `characterHeight` parameters are applied (if
+ * any). A negative value mirrors the character across both dimensions.
+ * @param {number} [options.slant=0] The slant (italic) with which characters are lettered (in
+ * degrees). A typical range of values is between -45° and +45°.
+ * @param {string} [options.align="left"] The horizontal alignment of each line relative to the
+ * pen position: *left*, *center* or *right*.
+ * @param {string} [options.verticalAlign="baseline"] The vertical alignment of the text relative
+ * to the pen position: *baseline* (the first line's baseline), *top* (the top of the first line's
+ * capital letters), *middle* (halfway between the two others) or *bottom* (the last line's
+ * baseline).
+ * @param {number} [options.maxWidth] The maximum width (in cm) of the lines. Longer lines are
+ * wrapped between words (words that are too long are broken).
+ * @param {number} [options.lineSpacing=1] The distance between lines, in multiples of the normal
+ * line spacing (which is twice the character height).
+ * @param {string|StrokeFont} [options.font] The stroke font used to draw the text (for example,
+ * `"hershey_serif_med"`). See [StrokeFont.getNames()]{@link StrokeFont.getNames} for the available
+ * fonts. By default, the device's character sets are used.
+ * @param {string|StrokeFont|Boolean} [options.fallbackFont="hershey_sans_1"] The stroke font used
+ * for characters missing from the device's character sets. Use `false` to have the device print a
+ * question mark instead.
+ * @param {number} [options.letterSpacing=0] Additional space (in cm) between characters. This
+ * only applies to text drawn with the `font` option.
+ * @param {Boolean} [options.kerning=true] Whether to use the kerning pairs of the font. This only
+ * applies to text drawn with the `font` option.
+ * @param {Function} [callback] A function to execute when the instruction has been sent to the
+ * device.
+ * @returns {Plotter} Returns the `Plotter` object to allow method chaining.
+ * @throws {Error} The requested font is not available.
+ */
+Plotter.prototype.drawText = function(text, options = {}, callback) {
+
+  return this._drawAtomically(() => {
+
+    options = this._getTextOptions(options);
+
+    let layout = this._layoutText(text, options);
+    let lines = layout.lines;
+
+    // Offsets of the reference point along the baseline (for each line) and towards the top of the
+    // characters (for the first line).
+    let factor = {left: 0, center: 0.5, right: 1}[options.align];
+    let height = options.characterHeight * options.scale;
+    let top = {
+      baseline: 0,
+      top: -height,
+      middle: ((lines.length - 1) * layout.lineHeight - height) / 2,
+      bottom: (lines.length - 1) * layout.lineHeight
+    }[options.verticalAlign];
+
+    if (options.font) {
+      lines = lines.map((line, index) => {
+        return {text: line.text, u: -factor * line.width, v: top - index * layout.lineHeight};
+      });
+      this._queueStrokeText(lines, options.font, options, callback);
+      return this;
+    }
+
+    // Each line is split in runs of characters drawn by the device and characters drawn with the
+    // fallback font.
+    let fallback = false;
+
+    lines = lines.map(line => {
+
+      let runs = [];
+
+      Array.from(line.text).forEach(char => {
+        let device = options.fallbackFont === false || this._isDeviceCharacter(char);
+        let run = runs[runs.length - 1];
+        if (run && run.device === device) {
+          run.text += char;
+        } else {
+          runs.push({device: device, text: char});
+        }
+        if (!device) fallback = true;
+      });
+
+      return {runs: runs, width: line.width, cells: this._countCharacterCells(line.text)};
+
+    });
+
+    // The device can only align the text if it draws all of it as labels
+    let custom = Array.from(String(text)).some(char => this._userCharacters.hasOwnProperty(char));
+    let origin = this.characteristics.instructions.includes("LO") ? 1 : undefined;
+    if (origin && !fallback && !custom) origin += 3 * 2 * factor;
+
+    // Instructions are gathered first so the callback can be attached to the last one
+    let steps = [];
+    let queue = instruction => steps.push(done => this.queue(instruction, done));
+
+    // If a 'rotation' is requested, it must be adjusted for the paper's orientation
+    let radRotation = options.rotation * Math.PI / 180;
+
+    // If we are in portrait mode, we must flip the text 180°.
+    if (this.orientation !== "landscape") radRotation += Math.PI;
+
+    // The current transform moves the baseline (run, rise) and the top of the characters (which
+    // ends up 'along' and 'across' the new baseline). This rotates, scales and slants the text.
+    let m = this._getHpglMatrix();
+    let cos = Math.cos(radRotation), sin = Math.sin(radRotation);
+    let run = m[0] * cos + m[2] * sin;
+    let rise = m[1] * cos + m[3] * sin;
+    let length = Math.sqrt(run * run + rise * rise);
+    let upX = m[2] * cos - m[0] * sin;
+    let upY = m[3] * cos - m[1] * sin;
+    let along = (upX * run + upY * rise) / length;
+    let across = (upY * run - upX * rise) / length;
+
+    // Define select the standard character set
+    queue("SS");
+
+    // Assign character width and height
+    queue(
+      "SI" +
+      this._toHpglDecimal(options.characterWidth * options.scale * length) + "," +
+      this._toHpglDecimal(options.characterHeight * options.scale * across)
+    );
+
+    queue(
+      "DI" +
+      this._toHpglDecimal(run / length) + "," +
+      this._toHpglDecimal(rise / length)
+    );
+
+    // Assign correct slant
+    let radSlant = options.slant * Math.PI / 180;
+    queue("SL" + this._toHpglDecimal((along + Math.tan(radSlant) * length) / across));
+
+    // The label origin stays in effect on the device so it is only sent when it changes
+    if (origin && origin !== this._labelOrigin) {
+      queue("LO" + origin);
+      this._labelOrigin = origin;
+    }
+
+    // Move to the reference point of the first line
+    let shift = origin > 1 ? 0 : -factor * lines[0].width;
+
+    if (shift !== 0 || top !== 0) {
+      let v = this._toTextVector(shift, top, options.rotation);
+      steps.push(done => this._queueRelativePath([{x: v.x, y: v.y, penDown: false}], done));
+    }
+
+    // Send label commands. The fallback glyphs are centered in character cells as wide as the
+    // device's (1.5 times the character width).
+    let cell = 1.5 * options.characterWidth * options.scale;
+
+    lines.forEach((line, index) => {
+
+      line.runs.forEach(run => {
+        if (run.device) {
+          queue(this.utf8toHpgl(run.text));
+        } else {
+          let font = StrokeFont.load(options.fallbackFont || DEFAULT_STROKE_FONT);
+          let settings = Object.assign({}, options, {cell: cell});
+          let line = {text: run.text, u: 0, v: 0};
+          steps.push(done => this._queueStrokeText([line], font, settings, done));
+        }
+      });
+
+      if (index === lines.length - 1) return;
+
+      // When the device aligns the lines, a plain carriage return (and line feed) is used.
+      // Otherwise, the pen is moved back by the number of characters drawn and to the next line's
+      // start.
+      if (origin > 1) {
+        queue("CP");
+        if (options.lineSpacing !== 1) queue("CP0," + this._toHpglDecimal(1 - options.lineSpacing));
+      } else {
+        let next = -factor * (lines[index + 1].width - line.width) / cell;
+        queue(
+          "CP" + this._toHpglDecimal(next - line.cells) + "," +
+          this._toHpglDecimal(-options.lineSpacing)
+        );
+      }
+
+    });
+
+    steps.forEach((step, index) => step(index === steps.length - 1 ? callback : undefined));
+
+    return this;
+
+  });
+
+};
+
+/**
+ * Returns the size of the specified text as it would be drawn by
+ * [drawText()]{@link Plotter#drawText} with the same options (before the current transform is
+ * applied). The width includes the overhang caused by the slant. The height goes from the top of
+ * the first line's capital letters to the last line's baseline.
+ *
+ * ```
+ * let size = plotter.measureText("Section A-A", {scale: 2});
+ * plotter.drawRectangle(size.width + 1, size.height + 1);
+ * ```
+ *
+ * @param {string} text The text to measure.
+ * @param {Object} [options={}] The options that will be passed to
+ * [drawText()]{@link Plotter#drawText}.
+ * @returns {Object} An object with the `width` and `height` of the text (in cm) and its `lines`
+ * (after wrapping), each one an object with `text` and `width` properties.
+ * @throws {Error} The requested font is not available.
+ */
+Plotter.prototype.measureText = function(text, options = {}) {
+
+  let layout = this._layoutText(text, this._getTextOptions(options));
+
+  return {width: layout.width, height: layout.height, lines: layout.lines};
+
+};
+
+/**
+ * Defines how a character is drawn by [drawText()]{@link Plotter#drawText}. The character is then
+ * drawn by the device itself (with the `UC` instruction) at the current character size,
+ * direction and slant, just like the other characters. This can be used to plot logos, symbols
+ * or characters missing from the device's character sets.
+ *
+ * The strokes are defined on the grid used by the device for its own characters: a capital
+ * letter is 4 units wide and 8 units tall. The origin is at the left end of the baseline, `x`
+ * goes along the baseline and `y` goes towards the top of the character. Negative values can be
+ * used (for descenders, for example). Once the character is drawn, the pen moves to the next
+ * character cell (which is 6 units wide).
+ *
+ * ```
+ * // An arrow pointing right
+ * plotter.defineCharacter("→", [[0, 4, 4, 4], [2, 6, 4, 4, 2, 2]]);
+ * plotter.drawText("A → B");
+ * ```
+ *
+ * @param {string} char The character to define.
+ * @param {Array.<number[]>|null} strokes An array of strokes, each one in the form
+ * `[x1, y1, x2, y2, ...]` (in grid units). Coordinates are rounded to whole units. Use `null` to
+ * remove the definition.
+ * @returns {Plotter} Returns the `Plotter` object to allow method chaining.
+ * @throws {TypeError} A single character must be specified.
+ */
+Plotter.prototype.defineCharacter = function(char, strokes = []) {
+
+  char = String(char);
+
+  if (Array.from(char).length !== 1 || char.charCodeAt(0) < 32) {
+    throw new TypeError("A single printable character must be specified.");
+  }
+
+  if (strokes === null) {
+    delete this._userCharacters[char];
+    return this;
+  }
+
+  // The pen is raised when the instruction starts and it is moved with increments that cannot be
+  // larger than 98 units. Pen control values (99 and -99) lower and raise the pen.
+  let parameters = [];
+  let position = {x: 0, y: 0};
+
+  let moveTo = point => {
+    let dx = Math.round(point.x) - position.x, dy = Math.round(point.y) - position.y;
+    let steps = Math.max(1, Math.ceil(Math.max(Math.abs(dx), Math.abs(dy)) / 98));
+    for (let i = 1; i <= steps; i++) {
+      parameters.push(
+        Math.round(dx * i / steps) - Math.round(dx * (i - 1) / steps),
+        Math.round(dy * i / steps) - Math.round(dy * (i - 1) / steps)
+      );
+    }
+    position = {x: position.x + dx, y: position.y + dy};
+  };
+
+  strokes.forEach(stroke => {
+
+    let points = this._toPoints(stroke).filter(p => isFinite(p.x) && isFinite(p.y));
+    if (points.length < 1) return;
+
+    if (parameters.length > 0) parameters.push(-99);
+    moveTo(points[0]);
+    parameters.push(99);
+    points.slice(1).forEach(moveTo);
+
+  });
+
+  this._userCharacters[char] = "UC" + parameters.join(",");
+
+  return this;
+
+};
+
+/**
+ * Returns a copy of the options of [drawText()]{@link Plotter#drawText} with the defaults assigned.
+ *
+ * @private
+ * @param {Object} [options={}]
+ * @returns {Object}
+ */
+Plotter.prototype._getTextOptions = function(options = {}) {
+
+  return Object.assign({}, options, {
+    characterWidth: parseFloat(options.characterWidth) || .187,
+    characterHeight: parseFloat(options.characterHeight) || .269,
+    rotation: parseFloat(options.rotation) || 0,
+    scale: parseFloat(options.scale) || 1,
+    slant: parseFloat(options.slant) || 0,
+    align: ["center", "right"].includes(options.align) ? options.align : "left",
+    verticalAlign: ["top", "middle", "bottom"].includes(options.verticalAlign) ?
+      options.verticalAlign :
+      "baseline",
+    maxWidth: parseFloat(options.maxWidth) > 0 ? parseFloat(options.maxWidth) : Infinity,
+    lineSpacing: parseFloat(options.lineSpacing) > 0 ? parseFloat(options.lineSpacing) : 1,
+    letterSpacing: parseFloat(options.letterSpacing) || 0,
+    font: options.font ? StrokeFont.load(options.font) : undefined
+  });
+
+};
+
+/**
+ * Splits text in lines (at line feeds and, when a `maxWidth` is specified, between words) and
+ * measures them.
+ *
+ * @private
+ * @param {string} text
+ * @param {Object} options The options of [drawText()]{@link Plotter#drawText} with the defaults
+ * assigned.
+ * @returns {Object} An object with the `lines` (objects with `text` and `width` properties), the
+ * overall `width` and `height` and the `lineHeight` (all in cm).
+ */
+Plotter.prototype._layoutText = function(text, options) {
+
+  let measure = line => this._measureLine(line, options);
+  let lines = [];
+
+  String(text).split("\n").forEach(paragraph => {
+
+    let current;
+
+    paragraph.split(" ").forEach(word => {
+
+      let candidate = current === undefined ? word : current + " " + word;
+
+      if (current !== undefined && measure(candidate) > options.maxWidth) {
+        lines.push(current);
+        candidate = word;
+      }
+
+      // Words that do not fit on a line of their own are broken
+      while (measure(candidate) > options.maxWidth && Array.from(candidate).length > 1) {
+        let chars = Array.from(candidate), count = chars.length - 1;
+        while (count > 1 && measure(chars.slice(0, count).join("")) > options.maxWidth) count--;
+        lines.push(chars.slice(0, count).join(""));
+        candidate = chars.slice(count).join("");
+      }
+
+      current = candidate;
+
+    });
+
+    lines.push(current);
+
+  });
+
+  let height = Math.abs(options.characterHeight * options.scale);
+  let lineHeight = 2 * height * options.lineSpacing;
+  let overhang = Math.abs(height * Math.tan(options.slant * Math.PI / 180));
+
+  lines = lines.map(line => ({text: line, width: measure(line)}));
+
+  return {
+    lines: lines,
+    width: Math.max(...lines.map(line => line.width)) + overhang,
+    height: height + (lines.length - 1) * lineHeight,
+    lineHeight: lineHeight
+  };
+
+};
+
+/**
+ * Returns the width (in cm) of a single line of text, without slant.
+ *
+ * @private
+ * @param {string} line
+ * @param {Object} options The options of [drawText()]{@link Plotter#drawText} with the defaults
+ * assigned.
+ * @returns {number}
+ */
+Plotter.prototype._measureLine = function(line, options) {
+
+  if (options.font) {
+    let scale = this._getStrokeFontScale(options.font, options);
+    let layout = options.font.layout(line, {
+      kerning: options.kerning,
+      letterSpacing: options.letterSpacing / scale.x
+    });
+    return Math.abs(layout.width * scale.x);
+  }
+
+  // The characters take 2/3 of their cell
+  let width = Math.abs(options.characterWidth * options.scale);
+  let cells = this._countCharacterCells(line);
+
+  return cells > 0 ? (cells - 0.5) * 1.5 * width : 0;
+
+};
+
+/**
+ * Returns the number of character cells the device moves by when drawing a line of text.
+ *
+ * @private
+ * @param {string} line
+ * @returns {number}
+ */
+Plotter.prototype._countCharacterCells = function(line) {
+
+  // Characters composed by overstriking move back by one cell
+  return Array.from(line).reduce((count, char) => {
+    if (this._userCharacters.hasOwnProperty(char)) return count + 1;
+    let chars = this._encodeCharacter(char) || [char];
+    return chars.reduce((count, char) => {
+      if (char === "\b") return count - 1;
+      return char.charCodeAt(0) >= 32 ? count + 1 : count;
+    }, count);
+  }, 0);
+
+};
+
+/**
+ * Returns the size of a font unit (in cm) when drawing text with a stroke font. The vertical scale
+ * makes capital letters as tall as the character height. The horizontal scale follows the
+ * requested character proportions.
+ *
+ * @private
+ * @param {StrokeFont} font
+ * @param {Object} options The options of [drawText()]{@link Plotter#drawText} with the defaults
+ * assigned.
+ * @returns {Object} An object with `x` and `y` properties.
+ */
+Plotter.prototype._getStrokeFontScale = function(font, options) {
+  let y = options.characterHeight * options.scale / font.capHeight;
+  return {x: y * options.characterWidth / options.characterHeight / CHARACTER_ASPECT_RATIO, y: y};
+};
+
+/**
+ * Converts a distance along the baseline of text (`u`) and towards the top of its characters
+ * (`v`) to a vector along the HPGL axes (with the current transform applied).
+ *
+ * @private
+ * @param {number} u The distance along the baseline (in cm).
+ * @param {number} v The distance towards the top of the characters (in cm).
+ * @param {number} rotation The counterclockwise rotation of the text (in degrees).
+ * @returns {Object} An object with `x` and `y` properties (in plotter units, not rounded).
+ */
+Plotter.prototype._toTextVector = function(u, v, rotation) {
+
+  let radians = rotation * Math.PI / 180;
+  let cos = Math.cos(radians), sin = Math.sin(radians);
+
+  return this._transformVector(this._toRelativeHpglCoordinates(
+    this._toPlotterUnits(u * cos - v * sin),
+    this._toPlotterUnits(-u * sin - v * cos)
+  ));
+
+};
+
+/**
+ * Indicates whether a character can be drawn with the device's character sets.
+ *
+ * @private
+ * @param {string} char A single character.
+ * @returns {Boolean}
+ */
+Plotter.prototype._isDeviceCharacter = function(char) {
+
+  // Control characters (such as line feeds) are interpreted by the device
+  if (this._userCharacters.hasOwnProperty(char)) return true;
+  return this._encodeCharacter(char) !== undefined;
+
+};
+
+/**
+ * Queues the line segments needed to draw lines of text with a stroke font. The pen is left where
+ * the next character of the last line would go.
+ *
+ * @private
+ * @param {Object[]} lines The lines to draw. Each one is an object with the `text` and the
+ * position of its reference point relative to the current pen position: `u` (along the baseline)
+ * and `v` (towards the top of the characters), in cm.
+ * @param {StrokeFont} font The font to use.
+ * @param {Object} options The options of [drawText()]{@link Plotter#drawText} with the defaults
+ * assigned.
+ * @param {number} [options.cell] When specified, characters are centered in cells of that width
+ * (in cm) instead of using the font's proportions.
+ * @param {Function} [callback] A function to execute when all the instruction(s) have been sent to
+ * the device.
+ */
+Plotter.prototype._queueStrokeText = function(lines, font, options, callback) {
+
+  let scale = this._getStrokeFontScale(font, options);
+  let slant = Math.tan(options.slant * Math.PI / 180);
+  let points = [], end;
+
+  lines.forEach(line => {
+
+    let layout = font.layout(line.text, {
+      kerning: options.kerning,
+      letterSpacing: options.letterSpacing / scale.x,
+      advance: options.cell ? options.cell / scale.x : undefined
+    });
+
+    // Glyphs are slanted, then rotated with the rest of the text
+    let toVector = (p, penDown) => {
+      let vector = this._toTextVector(
+        line.u + p.x * scale.x + p.y * scale.y * slant,
+        line.v + p.y * scale.y,
+        options.rotation
+      );
+      return {x: vector.x, y: vector.y, penDown: penDown};
+    };
+
+    layout.strokes.forEach(stroke => {
+      stroke.forEach((p, index) => points.push(toVector(p, index > 0)));
+    });
+
+    end = toVector(layout.end, false);
+
+  });
+
+  points.push(end);
+  this._queueRelativePath(points, callback);
+
+};
+
+/**
+ * Converts all characters in the UTF-8 input string to equivalent HPGL instruction(s). The function
+ * designates the character sets needed to reproduce as many characters as possible (`CS` for the
+ * standard set and `CA` for the alternate set) and switches between them (`SS` and `SA`) only when
+ * needed. Consecutive characters from the same set are grouped in a single label. The standard set
+ * is selected when the function is done.
+ *
+ * Accented characters missing from all sets are composed by drawing the accent over the character
+ * (with a backspace). Characters defined with [defineCharacter()]{@link Plotter#defineCharacter}
+ * are drawn with the `UC` instruction. Other characters that are not found (such as `€` or the
+ * CJK ideographs) are replaced by a question mark. Characters are read by code point, so those
+ * outside the Basic Multilingual Plane are replaced by a single question mark.
+ *
+ * The sets used are Set 0 (ANSI/ASCII), Set 6 (JIS ASCII), Set 7 (Roman Extensions), Set 8
+ * (Katakana), Set 9 (ISO IRV) and the ISO sets 30 to 39. The HP sets 1 to 5 and the line-drawing
+ * sets are never designated.
+ *
+ * @param {string} text A UTF-8 formatted string
+ * @returns {string} The resulting HPGL instruction(s)
+ */
+Plotter.prototype.utf8toHpgl = function(text) {
+
+  let terminator = this._parser.labelTerminator;
+
+  let chars = [];
+
+  Array.from(text).forEach(char => {
+    if (this._userCharacters.hasOwnProperty(char)) {
+      chars.push(char);
+    } else {
+      chars.push(...(this._encodeCharacter(char) || [REPLACEMENT_CHARACTER]));
+    }
+  });
+
+  // The sets in which a character can be drawn (control characters and user-defined characters
+  // can be used with any set)
+  let getEntries = char => {
+    if (char.charCodeAt(0) < 32 || this._userCharacters.hasOwnProperty(char)) return undefined;
+    return CHARACTERS[char];
+  };
+
+  // Number of consecutive characters (starting at 'index') that can be drawn with a set
+  let countAvailable = (charset, index) => {
+    let count = 0;
+    while (index + count < chars.length) {
+      let entries = getEntries(chars[index + count]);
+      if (entries && !entries.some(entry => entry.charset === charset)) break;
+      count++;
+    }
+    return count;
+  };
+
+  // Group characters in runs drawn with the same set. The current set is kept as long as possible
+  // and the set that can draw the most upcoming characters is picked when a change is needed.
+  let runs = [{charset: 0, text: ""}];
+
+  chars.forEach((char, index) => {
+
+    let run = runs[runs.length - 1];
+    let entries = getEntries(char);
+
+    // User-defined characters are drawn by their own instruction
+    if (this._userCharacters.hasOwnProperty(char)) {
+      runs.push({instruction: this._userCharacters[char]}, {charset: run.charset, text: ""});
+      return;
+    }
+
+    if (!entries) {
+      run.text += char;
+      return;
+    }
+
+    let entry = entries.find(entry => entry.charset === run.charset);
+
+    if (!entry) {
+      entry = entries.reduce((best, candidate) => {
+        let count = countAvailable(candidate.charset, index);
+        return count > countAvailable(best.charset, index) ? candidate : best;
+      });
+      run = {charset: entry.charset, text: ""};
+      runs.push(run);
+    }
+
+    run.text += String.fromCharCode(entry.code);
+
+  });
+
+  // Set 0 stays designated as the standard set while the other sets are designated as the
+  // alternate set when needed.
+  let instructions = ["CS0"];
+  let alternate, useAlternate = false;
+
+  runs.filter(run => run.instruction || run.text.length > 0).forEach(run => {
+
+    if (run.instruction) {
+      instructions.push(run.instruction);
+      return;
+    }
+
+    if (run.charset === 0) {
+      if (useAlternate) instructions.push("SS");
+      useAlternate = false;
+    } else {
+      if (run.charset !== alternate) instructions.push("CA" + run.charset);
+      if (!useAlternate || run.charset !== alternate) instructions.push("SA");
+      alternate = run.charset;
+      useAlternate = true;
+    }
+
+    instructions.push("LB" + run.text + terminator);
+
+  });
+
+  if (useAlternate) instructions.push("SS");
+
+  // Label instructions are already terminated
+  return instructions.reduce((output, instruction) => {
+    return output + (output && !output.endsWith(terminator) ? ";" : "") + instruction;
+  }, "");
+
+};
+
+/**
+ * Returns the characters to send to the device (in the character sets listed in `CHARACTERS`) in
+ * order to draw a single character. Accented characters that are missing from the character sets
+ * are composed with a backspace and a spacing accent. Control characters are returned as is.
+ *
+ * @private
+ * @param {string} char A single character.
+ * @returns {string[]|undefined} The characters to send or `undefined` if the character cannot be
+ * drawn by the device.
+ */
+Plotter.prototype._encodeCharacter = function(char) {
+
+  if (CHARACTERS.hasOwnProperty(char) || char.charCodeAt(0) < 32) return [char];
+
+  let parts = Array.from(char.normalize("NFD"));
+  if (parts.length < 2 || !CHARACTERS.hasOwnProperty(parts[0])) return undefined;
+
+  let encoded = [parts[0]];
+
+  for (let mark of parts.slice(1)) {
+
+    // Some marks (such as the katakana voicing marks) are characters of their own
+    if (CHARACTERS.hasOwnProperty(mark)) {
+      encoded.push(mark);
+    } else if (OVERSTRIKE_ACCENTS[mark]) {
+      encoded.push("\b", OVERSTRIKE_ACCENTS[mark]);
+    } else {
+      return undefined;
+    }
+
+  }
+
+  return encoded;
+
+};
+
+/**
+ * Converts a numerical value to an integer that matches HPGL's requirements (must be between
+ * -32768 and 32767).
+ *
+ * @private
+ * @param {number} value The text to write
+ * @returns {int} The converted integer.
+ */
+Plotter.prototype._toHpglInteger = function(value) {
+
+  value = parseInt(value, 10);
+
+  if (value > 32767) {
+    value = 32767;
+  } else if (value < -32768) {
+    value = -32768;
+  }
+
+  return value;
+
+};
+
+/**
+ * Converts a numerical value to floating-point decimal value respecting HPGL's requirements (must
+ * be between -128 and 127.9999 and must have a maximum of 4 decimal places). The return value is
+ * actually a string.
+ *
+ * @private
+ * @param {number} value The text to write
+ * @returns {string} The converted float.
+ */
+Plotter.prototype._toHpglDecimal = function(value) {
+
+  value = parseFloat(value);
+
+  if (value < -128) {
+    value = -128;
+  } else if (value > 127.9999) {
+    value = 127.9999;
+  }
+
+  return value.toFixed(4);
+
+};
+
+/**
+ * Selects the requested pen from the carousel or stall. If no pen is specified, selects the pen at
+ * position 1. If the pen designated for selection is not in its stall, the plotter will attempt to
+ * select a pen beginning in stall 1 and move up until a pen is found.
+ *
+ * Specifying a pen number of 0, stores the current pen. This is the equivalent of calling
+ * [`storePen()`]{@link Plotter#storePen}.
+ *
+ * If the plotter does not have a carousel/stall or the specified pen number is out of range, this
+ * instruction is ignored.
+ *
+ * @param {Number} [penNumber=1] The number of the pen to select.
+ * @param {Function} [callback] A function to execute when the instruction has been sent to the
+ * device.
+ * @returns {Plotter} Returns the `Plotter` object to allow method chaining.
+ */
+Plotter.prototype.selectPen = function(penNumber = 1, callback) {
+  this.queue("SP" + parseInt(penNumber), callback);
+  return this;
+};
+
+/**
+ * Stores the pen back in the carousel or stall. The plotter will try to put the pen away in the
+ * appropriate stall. If the stall is occupied, the plotter will attempt to store the pen in pen
+ * stall 1, then 2, then 3, etc. If all the stalls are full, the pen holder will return to its
+ * previous location.
+ *
+ * If the plotter does not support pen storage, this instruction is ignored.
+ *
+ * @param {Function} [callback] A function to execute when the instruction has been sent to the
+ * device.
+ * @returns {Plotter} Returns the `Plotter` object to allow method chaining.
+ */
+Plotter.prototype.storePen = function(callback) {
+  return this.selectPen(0, callback);
+};
+
+/**
+ * Draws a circle whose center is at the current location of the pen. If the current transform
+ * (see [pushTransform()]{@link Plotter#pushTransform}) scales unevenly or skews, the resulting
+ * ellipse is drawn with line segments.
+ *
+ * @param {number} [radius=1] The circle's radius (in centimeters).
+ * @param {number} [angle=5]  An integer between -180° and 180° representing the chord angle. The
+ * most commonly used values are 0-180. In this case, the smaller the angle is, the smoother the
+ * circle will be. Negative values make the circle start at 180° instead of 0°.
+ * @param {Object} [options={}] Additional options (none for now)
+ * @param {Function} [callback] A function to execute when the instruction has been sent to the
+ * device.
+ * @returns {Plotter} Returns the `Plotter` object to allow method chaining.
+ */
+Plotter.prototype.drawCircle = function(radius = 1, angle = 5, options = {}, callback) {
+
+  return this._drawAtomically(() => {
+
+    if (this._isConformal()) {
+      let r = this._toPlotterUnits(radius * this._getTransformScale());
+      this.queue("CI" + r + "," + Math.round(angle), callback);
+      return this;
+    }
+
+    // The transform turns the circle into an ellipse which is drawn with line segments
+    let start = angle < 0 ? 180 : 0;
+    let chord = Math.min(Math.abs(Math.round(angle)), 180) || 5;
+    let points = this._getArcPoints(this._toPlotterUnits(radius), start, 360, chord).map(p => {
+      let v = this._transformVector(p);
+      return {x: v.x, y: v.y, penDown: true};
+    });
+
+    points[0].penDown = false;
+    points.push({x: 0, y: 0, penDown: false});
+    this._queueRelativePath(points, callback);
+
+    return this;
+
+  });
+
+};
+
+/**
+ * Draws an arc starting at the current pen position and going around the specified center point.
+ * The pen ends up at the end of the arc.
+ *
+ * On devices that do not support the `AA` instruction (or when the current transform scales
+ * unevenly or skews), the arc is drawn with line segments. In this case, the current pen position
+ * must be known: the pen must have been moved with
+ * [moveTo()]{@link Plotter#moveTo} or a drawing method since the last label was drawn. Otherwise,
+ * use [drawArcRelative()]{@link Plotter#drawArcRelative}.
+ *
+ * @param {number} cx The `x` coordinate of the arc's center (in cm).
+ * @param {number} cy The `y` coordinate of the arc's center (in cm).
+ * @param {number} sweep The angle (in degrees) covered by the arc. Positive values draw
+ * counterclockwise and negative values draw clockwise (as seen on the paper).
+ * @param {Object} [options={}] Additional options
+ * @param {number} [options.chordAngle=5] The angle (in degrees) covered by each of the line
+ * segments used to draw the arc. The smaller the angle is, the smoother the arc will be.
+ * @param {number} [options.tolerance] The maximum distance (in cm) between the line segments and
+ * the actual arc. When specified, this has precedence over `chordAngle`.
+ * @param {Function} [callback] A function to execute when all the instruction(s) have been sent to
+ * the device.
+ * @returns {Plotter} Returns the `Plotter` object to allow method chaining.
+ * @throws {Error} The arc must be drawn with line segments but the pen position is unknown.
+ */
+Plotter.prototype.drawArc = function(cx, cy, sweep, options = {}, callback) {
+
+  return this._drawAtomically(() => {
+
+    let center = this._toHpglPoint(cx, cy);
+
+    if (this.characteristics.instructions.includes("AA") && this._isConformal()) {
+      this._queueArc("AA", center, sweep, options, callback);
+      return this;
+    }
+
+    if (!this._penPosition) {
+      throw new Error(
+        "The arc cannot be drawn with line segments because the pen position is unknown."
+      );
+    }
+
+    let offset = {x: center.x - this._penPosition.x, y: center.y - this._penPosition.y};
+    this._queueArc("AR", offset, sweep, options, callback);
+
+    return this;
+
+  });
+
+};
+
+/**
+ * Draws an arc starting at the current pen position and going around a center point located at the
+ * specified distance from the current pen position. The pen ends up at the end of the arc.
+ *
+ * On devices that do not support the `AR` instruction (or when the current transform scales
+ * unevenly or skews), the arc is drawn with line segments.
+ *
+ * @param {number} dx The horizontal distance (in cm) between the current pen position and the
+ * arc's center.
+ * @param {number} dy The vertical distance (in cm) between the current pen position and the arc's
+ * center.
+ * @param {number} sweep The angle (in degrees) covered by the arc. Positive values draw
+ * counterclockwise and negative values draw clockwise (as seen on the paper).
+ * @param {Object} [options={}] Additional options (see [drawArc()]{@link Plotter#drawArc})
+ * @param {Function} [callback] A function to execute when all the instruction(s) have been sent to
+ * the device.
+ * @returns {Plotter} Returns the `Plotter` object to allow method chaining.
+ */
+Plotter.prototype.drawArcRelative = function(dx, dy, sweep, options = {}, callback) {
+
+  return this._drawAtomically(() => {
+
+    let offset = this._transformVector(
+      this._toRelativeHpglCoordinates(this._toPlotterUnits(dx), this._toPlotterUnits(dy))
+    );
+    offset = {x: Math.round(offset.x), y: Math.round(offset.y)};
+    this._queueArc("AR", offset, sweep, options, callback);
+    return this;
+
+  });
+
+};
+
+/**
+ * Draws a wedge (a pie slice) whose tip is at the current pen position. When drawing is done, the
+ * pen is returned to the starting point.
+ *
+ * On devices that do not support the `EW` instruction (or when the current transform scales
+ * unevenly or skews), the wedge is drawn with line segments.
+ * Filled wedges use the fill type selected with [setFillType()]{@link Plotter#setFillType}. On
+ * devices that do not support the `WG` instruction (or the `FT` instruction, for fill types other
+ * than solid), the fill is drawn with lines generated by the library.
+ *
+ * @param {number} radius The wedge's radius (in cm).
+ * @param {number} start The angle (in degrees) of the wedge's first side. It is measured
+ * counterclockwise (as seen on the paper) from the `x` axis.
+ * @param {number} sweep The angle (in degrees) covered by the wedge. Positive values go
+ * counterclockwise and negative values go clockwise.
+ * @param {Object} [options={}] Additional options
+ * @param {Boolean} [options.fill=false] Whether to fill the wedge (before drawing its edges).
+ * @param {number} [options.chordAngle=5] The angle (in degrees) covered by each of the line
+ * segments used to draw the arc. The smaller the angle is, the smoother the arc will be.
+ * @param {number} [options.tolerance] The maximum distance (in cm) between the line segments and
+ * the actual arc. When specified, this has precedence over `chordAngle`.
+ * @param {Function} [callback] A function to execute when all the instruction(s) have been sent to
+ * the device.
+ * @returns {Plotter} Returns the `Plotter` object to allow method chaining.
+ */
+Plotter.prototype.drawWedge = function(radius, start, sweep, options = {}, callback) {
+
+  return this._drawAtomically(() => {
+
+    radius = Math.abs(parseFloat(radius)) || 0;
+    start = this._toHpglAngle(parseFloat(start) || 0);
+    sweep = this._toHpglSweep(parseFloat(sweep) || 0);
+
+    let scale = this._getTransformScale();
+    let chord = this._getChordAngle(radius * scale, options);
+    let round = value => Math.round(value * 100) / 100;
+
+    // The outline goes from the tip to the arc, along the arc and back to the tip
+    let outline = [{x: 0, y: 0}]
+      .concat(this._getArcPoints(this._toPlotterUnits(radius), start, sweep, chord))
+      .map(p => this._transformVector(p));
+
+    // The device can only draw the wedge if the transform preserves its shape. Rotations shift the
+    // start angle and mirroring reverses the direction of the sweep.
+    let conformal = this._isConformal();
+    let parameters;
+
+    if (conformal) {
+      let m = this._getHpglMatrix();
+      let rotation = Math.atan2(m[1], m[0]) * 180 / Math.PI;
+      let mirrored = (m[0] * m[3] - m[1] * m[2]) < 0;
+      parameters = [
+        this._toPlotterUnits(radius * scale),
+        round(mirrored ? rotation - start : rotation + start),
+        round(mirrored ? -sweep : sweep),
+        chord
+      ].join(",");
+    }
+
+    if (options.fill) this._queueFill(conformal ? "WG" + parameters : undefined, [outline]);
+
+    if (conformal && this.characteristics.instructions.includes("EW")) {
+      this.queue("EW" + parameters, callback);
+    } else {
+      this._queueRelativePath(
+        outline.slice(1).concat([outline[0]]).map(p => ({x: p.x, y: p.y, penDown: true})),
+        callback
+      );
+    }
+
+    return this;
+
+  });
+
+};
+
+/**
+ * Draws an ellipse whose center is at the current location of the pen. When drawing is done, the
+ * pen is returned to the center. HPGL has no ellipse instruction so the ellipse is always drawn
+ * with line segments.
+ *
+ * @param {number} rx The ellipse's horizontal radius (in cm), before rotation.
+ * @param {number} [ry] The ellipse's vertical radius (in cm), before rotation. By default, this
+ * is the same as `rx` (which draws a circle).
+ * @param {number} [rotation=0] The angle (in degrees) by which the ellipse is rotated
+ * counterclockwise (as seen on the paper).
+ * @param {Object} [options={}] Additional options
+ * @param {number} [options.chordAngle=5] The angle (in degrees) covered by each of the line
+ * segments. The smaller the angle is, the smoother the ellipse will be.
+ * @param {number} [options.tolerance] The maximum distance (in cm) between the line segments and
+ * the actual ellipse. When specified, this has precedence over `chordAngle`.
+ * @param {Function} [callback] A function to execute when all the instruction(s) have been sent to
+ * the device.
+ * @returns {Plotter} Returns the `Plotter` object to allow method chaining.
+ */
+Plotter.prototype.drawEllipse = function(rx, ry, rotation = 0, options = {}, callback) {
+
+  return this._drawAtomically(() => {
+
+    rx = Math.abs(parseFloat(rx)) || 0;
+    ry = parseFloat(ry) >= 0 ? parseFloat(ry) : rx;
+
+    // The chord angle is calculated for the largest radius (where the curve is the flattest)
+    let chord = this._getChordAngle(Math.max(rx, ry) * this._getTransformScale(), options);
+    let steps = Math.max(Math.ceil(360 / chord), 4);
+    let angle = (parseFloat(rotation) || 0) * Math.PI / 180;
+    let points = [];
+
+    for (let i = 0; i <= steps; i++) {
+
+      let t = 2 * Math.PI * i / steps;
+      let x = rx * Math.cos(t), y = -ry * Math.sin(t);
+
+      // Rotate (counterclockwise on the paper means clockwise in the top-left coordinates system)
+      let p = this._transformVector(this._toRelativeHpglCoordinates(
+        this._toPlotterUnits(x * Math.cos(angle) + y * Math.sin(angle)),
+        this._toPlotterUnits(y * Math.cos(angle) - x * Math.sin(angle))
+      ));
+
+      points.push({x: p.x, y: p.y, penDown: i > 0});
+
+    }
+
+    points.push({x: 0, y: 0, penDown: false});
+    this._queueRelativePath(points, callback);
+
+    return this;
+
+  });
+
+};
+
+/**
+ * Queues an `AA` or `AR` instruction (surrounded by `PD` and `PU`) or, if the device does not
+ * support it, the equivalent line segments.
+ *
+ * @private
+ * @param {string} mnemonic `AA` or `AR`.
+ * @param {Object} center The arc's center (in plotter units, transformed): absolute for `AA` and
+ * relative to the current pen position for `AR`.
+ * @param {number} sweep The sweep angle (in degrees, counterclockwise as seen on the paper) before
+ * the transform is applied.
+ * @param {Object} options See [drawArc()]{@link Plotter#drawArc}.
+ * @param {Function} [callback]
+ */
+Plotter.prototype._queueArc = function(mnemonic, center, sweep, options, callback) {
+
+  sweep = this._toHpglSweep(parseFloat(sweep) || 0);
+
+  let round = value => Math.round(value * 100) / 100;
+  let offset = center;
+
+  if (mnemonic === "AA" && this._penPosition) {
+    offset = {x: center.x - this._penPosition.x, y: center.y - this._penPosition.y};
+  }
+
+  let r = Math.sqrt(offset.x * offset.x + offset.y * offset.y);
+  let chord = this._getChordAngle(this._fromPlotterUnits(r), options);
+
+  if (this.characteristics.instructions.includes(mnemonic) && this._isConformal()) {
+
+    // Mirroring reverses the direction of the arc
+    let m = this._getHpglMatrix();
+    if ((m[0] * m[3] - m[1] * m[2]) < 0) sweep = -sweep;
+
+    this.queue("PD");
+    this.queue(mnemonic + [center.x, center.y, round(sweep), chord].join(","));
+    this.queue("PU", callback);
+    return;
+
+  }
+
+  // The arc is calculated before the transform is applied. It starts at the current position which
+  // is at `-offset` from the center.
+  offset = this._untransformVector(offset);
+  r = Math.sqrt(offset.x * offset.x + offset.y * offset.y);
+  let start = Math.atan2(-offset.y, -offset.x) * 180 / Math.PI;
+  let points = this._getArcPoints(r, start, sweep, chord).map(p => {
+    let v = this._transformVector({x: p.x + offset.x, y: p.y + offset.y});
+    return {x: v.x, y: v.y, penDown: true};
+  });
+  this._queueRelativePath(points.slice(1), callback);
+
+};
+
+/**
+ * Returns points along an arc centered on the origin. The first point is at the start of the arc.
+ *
+ * @private
+ * @param {number} radius The arc's radius (in plotter units).
+ * @param {number} start The start angle (in degrees) in the HPGL coordinates system.
+ * @param {number} sweep The sweep angle (in degrees) in the HPGL coordinates system.
+ * @param {number} chord The maximum angle (in degrees) covered by each segment.
+ * @returns {Object[]} An array of `{x, y}` objects (in plotter units).
+ */
+Plotter.prototype._getArcPoints = function(radius, start, sweep, chord) {
+
+  let steps = Math.max(Math.ceil(Math.abs(sweep) / chord), 1);
+  let points = [];
+
+  for (let i = 0; i <= steps; i++) {
+    let angle = (start + sweep * i / steps) * Math.PI / 180;
+    points.push({x: radius * Math.cos(angle), y: radius * Math.sin(angle)});
+  }
+
+  return points;
+
+};
+
+/**
+ * Draws a line from the current pen position to the specified destination position (x, y).
+ *
+ * @param {number} x The `x` coordinate of the point where the the line should end (in cm).
+ * @param {number} y The `y` coordinate of the point where the the line should end (in cm).
+ * @param {Object} [options={}] Additional options
+ * @param {number} [options.linePattern=7] Integer between `0` and `7`. Value `0` prints dots at
+ * line extremities only. Values `1` to `6` prints various types of dotted lines. Value `7`
+ * (default) is a solid line.
+ * @param {number} [options.penUp=true] Whether the pen should be lifted off the paper at the end of
+ * the line.
+ * @param {number} [options.penDown=true] Whether the pen should be lowered on the paper before
+ * starting to draw a line;
+ * @param {Function} [callback] A function to execute when the instruction has been sent to the
+ * device.
+ * @returns {Plotter} Returns the `Plotter` object to allow method chaining.
+ */
+Plotter.prototype.drawLine = function(x, y, options = {}, callback) {
+
+  this.drawLines([x, y], options, callback);
+  return this;
+
+};
+
+// Plotter.prototype.drawLine = function(x, y, options = {}, callback) {
+//
+//   // Assign defaults
+//   options.penDown = (options.penDown !== false);
+//   options.penUp = (options.penUp !== false);
+//
+//   // // Check validity of line pattern
+//   // options.linePattern = parseInt(options.linePattern);
+//   //
+//   // if (isNaN(options.linePattern) || options.linePattern < 0 || options.linePattern > 7) {
+//   //   options.linePattern = 7;
+//   // }
+//   //
+//   // // Assign desired line pattern
+//   // if (options.linePattern === 7) {
+//   //   this.queue("LT");
+//   // } else {
+//   //   this.queue("LT" + options.linePattern);
+//   // }
+//
+//   // Convert poisition to plotter units
+//   let p = this._toAbsoluteHpglCoordinates(this._toPlotterUnits(x), this._toPlotterUnits(y));
+//
+//   // Lower pen (if requested)
+//   if (options.penDown) this.queue("PD");
+//
+//   // Send instruction and lift pen (if requested)
+//   if (options.penUp) {
+//     this.queue("PA" + p.x + "," + p.y);
+//     this.queue("PU", callback);
+//   } else {
+//     this.queue("PA" + p.x + "," + p.y, callback);
+//   }
+//
+//   return this;
+//
+// };
+
+/**
+ * Draws a series of lines starting at the current pen position and going, in turn, to all x/y pairs
+ * specified in the array.
+ *
+ * @param {number[]} [positions=[]] An array of line-end positions in the form
+ * `[x1, y1, x2, y2, ...]`.
+ * @param {Object} [options={}] Additional options
+ * @param {number} [options.linePattern=7] Integer between `0` and `7`. Value `0` only prints dots
+ * at line extremities only. Values `1` to `6` prints various types of dotted lines. Value `7`
+ * (default) is a solid line.
+ * @param {number} [options.penUp=true] Whether the pen should be lifted off the paper after drawing
+ * all the lines.
+ * @param {number} [options.penDown=true] Whether the pen should be lowered on the paper before
+ * drawing all the lines.
+ * @param {Function} [callback] A function to execute when all the instruction(s) have been sent to
+ * the device.
+ * @returns {Plotter} Returns the `Plotter` object to allow method chaining.
+ *
+ * @todo add linePatternLength option
+ */
+Plotter.prototype.drawLines = function(positions = [], options = {}, callback) {
+
+  return this._drawAtomically(() => {
+
+    let points = [];
+
+    for (let i = 0; i < positions.length; i += 2) {
+      points.push(this._toHpglPoint(positions[i], positions[i+1]));
+    }
+
+    this._queueLines(points, options, callback);
+
+    return this;
+
+  });
+
+};
+
+/**
+ * Queues the instructions to draw lines from the current pen position through the specified
+ * points (see [drawLines()]{@link Plotter#drawLines}).
+ *
+ * @private
+ * @param {Object[]} points Absolute positions in the form `{x, y}` (in HPGL coordinates).
+ * @param {Object} [options={}] See [drawLines()]{@link Plotter#drawLines}.
+ * @param {Function} [callback] A function to execute when all the instruction(s) have been sent to
+ * the device.
+ */
+Plotter.prototype._queueLines = function(points, options = {}, callback) {
+
+  // Since this command can be very long, we break it into chunks no larger than the buffer size
+  let chunks = [[]], current = 0;
+
+  // Check validity of line pattern
+  // options.linePattern = options.linePattern || 7;
+  options.linePattern = parseInt(options.linePattern);
+
+  if (isNaN(options.linePattern) || options.linePattern < 0 || options.linePattern > 7) {
+    options.linePattern = 7;
+  }
+
+  if (options.linePattern === 7) {
+    this.queue("LT");
+  } else {
+    this.queue("LT" + options.linePattern);
+  }
+
+  // Positions are pushed in chunks no larger than the buffer
+  points.forEach(p => {
+
+    // Chunks must be smaller than the total buffer size. So, before adding a new position, we must
+    // make sure that this new position does no bring the chunk above the buffer's size. If it
+    // exceeds the buffer's size, we create a new chunk. Warning: if no device is connected, we rely
+    // on the device's buffer size reported in the characteristics.
+    if (!this.connected && !this.characteristics.buffer) {
+      throw new Error(
+        "The drawLines() function cannot properly chunk the instructions since the device's " +
+        "buffer size has not been defined in the characteristics."
+      );
+    }
+
+    // Simulate final instruction to verify length
+    let instruction = "PA" + chunks[current].concat([p.x, p.y]).join(",") + ";";
+
+    if (instruction.length > this.characteristics.buffer) {
+      current++;
+      chunks[current] = [];
+    }
+    chunks[current].push(p.x, p.y);
+
+  });
+
+  // Only queue if there is actual data in the array. We lower the pen, go through each chunk and
+  // then lift the pen up.
+  if (chunks[0].length > 0) {
+
+    this.queue("PD");
+
+    chunks.forEach((chunk) => {
+      this.queue("PA" + chunk.join(","));
+    });
+
+    // We attach the callback to the very last instruction
+    this.queue("PU", callback);
+
+  }
+
+};
+// Plotter.prototype.drawLines = function(positions = [], options = {}, callback) {
+//
+//   // Assign defaults
+//   options.penDown = (options.penDown !== false);
+//   options.penUp = (options.penUp !== false);
+//
+//   if (options.penDown) this.queue("PD");
+//
+//   // Draw all lines
+//   for (let i = 0; i < positions.length; i += 2) {
+//
+//     // We attach the callback to the last instruction (if no penUp has been specified)
+//     if (!options.penUp && i+1 >= positions.length) {
+//       this.drawLine(positions[i], positions[i+1], {penUp: false, penDown: false}, callback);
+//     } else {
+//       this.drawLine(positions[i], positions[i+1], {penUp: false, penDown: false});
+//     }
+//
+//   }
+//
+//   if (options.penUp) this.queue("PU", callback);
+//
+//
+//   return this;
+//
+// };
+
+/**
+ * Draws a series of Bézier curves. The pen is lifted and moved to the first point before drawing.
+ * Each curve starts where the previous one ends.
+ *
+ * Curves are flattened into line segments which never stray farther than `tolerance` from the
+ * actual curve. Since the segments are as long as this allows, smooth parts of the curves are
+ * drawn with few instructions.
+ *
+ * @param {number[]} [points=[]] An array of positions (in cm): the starting point followed by the
+ * control points and end point of each curve. For cubic curves, this is
+ * `[x0, y0, c1x, c1y, c2x, c2y, x1, y1, ...]`. For quadratic curves, this is
+ * `[x0, y0, cx, cy, x1, y1, ...]`. Incomplete curves at the end of the array are ignored.
+ * @param {Object} [options={}] Additional options
+ * @param {Boolean} [options.quadratic=false] Whether the curves are quadratic (one control point)
+ * instead of cubic (two control points).
+ * @param {number} [options.tolerance=1] The maximum distance (in plotter units) between the line
+ * segments and the actual curve. The default value is the device's resolution.
+ * @param {number} [options.linePattern=7] The line pattern (see
+ * [drawLines()]{@link Plotter#drawLines}).
+ * @param {Function} [callback] A function to execute when all the instruction(s) have been sent to
+ * the device.
+ * @returns {Plotter} Returns the `Plotter` object to allow method chaining.
+ */
+Plotter.prototype.drawBezier = function(points = [], options = {}, callback) {
+
+  return this._drawAtomically(() => {
+
+    points = this._toPoints(points);
+
+    let step = options.quadratic ? 2 : 3;
+    let segments = [];
+
+    for (let i = 1; i + step - 1 < points.length; i += step) {
+
+      if (options.quadratic) {
+
+        // A quadratic curve is a cubic curve whose control points are 2/3 of the way to the
+        // quadratic control point.
+        let [p0, c, p1] = [points[i - 1], points[i], points[i + 1]];
+        segments.push([
+          {x: p0.x + 2 * (c.x - p0.x) / 3, y: p0.y + 2 * (c.y - p0.y) / 3},
+          {x: p1.x + 2 * (c.x - p1.x) / 3, y: p1.y + 2 * (c.y - p1.y) / 3},
+          p1
+        ]);
+
+      } else {
+        segments.push(points.slice(i, i + 3));
+      }
+
+    }
+
+    this._queueCurves(points[0], segments, options, callback);
+
+    return this;
+
+  });
+
+};
+
+/**
+ * Draws a Catmull-Rom spline: a smooth curve going through all the specified points. The pen is
+ * lifted and moved to the first point before drawing.
+ *
+ * The curve is flattened like the curves drawn by [drawBezier()]{@link Plotter#drawBezier}.
+ *
+ * @param {number[]} [points=[]] An array of positions in the form `[x1, y1, x2, y2, ...]` (in cm).
+ * @param {Object} [options={}] Additional options
+ * @param {number} [options.tension=0.5] How far the curve bulges out between the points. A value
+ * of `0` draws straight lines.
+ * @param {Boolean} [options.closed=false] Whether the curve goes back to the first point (making a
+ * smooth loop).
+ * @param {number} [options.tolerance=1] The maximum distance (in plotter units) between the line
+ * segments and the actual curve.
+ * @param {number} [options.linePattern=7] The line pattern (see
+ * [drawLines()]{@link Plotter#drawLines}).
+ * @param {Function} [callback] A function to execute when all the instruction(s) have been sent to
+ * the device.
+ * @returns {Plotter} Returns the `Plotter` object to allow method chaining.
+ */
+Plotter.prototype.drawCatmullRom = function(points = [], options = {}, callback) {
+
+  return this._drawAtomically(() => {
+
+    points = this._toPoints(points);
+
+    let tension = parseFloat(options.tension);
+    if (isNaN(tension)) tension = 0.5;
+
+    let count = points.length;
+    let segments = [];
+
+    // Open curves use their end points as the missing neighbours
+    let get = index => {
+      if (options.closed) return points[(index + count) % count];
+      return points[Math.min(Math.max(index, 0), count - 1)];
+    };
+
+    for (let i = 0; i < (options.closed ? count : count - 1); i++) {
+
+      let [p0, p1, p2, p3] = [get(i - 1), get(i), get(i + 1), get(i + 2)];
+
+      // The tangent at each point is parallel to the line joining its neighbours
+      segments.push([
+        {x: p1.x + (p2.x - p0.x) * tension / 3, y: p1.y + (p2.y - p0.y) * tension / 3},
+        {x: p2.x - (p3.x - p1.x) * tension / 3, y: p2.y - (p3.y - p1.y) * tension / 3},
+        p2
+      ]);
+
+    }
+
+    this._queueCurves(points[0], segments, options, callback);
+
+    return this;
+
+  });
+
+};
+
+/**
+ * Draws a uniform cubic B-spline: a smooth curve pulled towards the specified control points. The
+ * pen is lifted and moved to the start of the curve before drawing. Unless the curve is closed, it
+ * starts at the first control point and ends at the last one.
+ *
+ * The curve is flattened like the curves drawn by [drawBezier()]{@link Plotter#drawBezier}.
+ *
+ * @param {number[]} [points=[]] An array of control points in the form `[x1, y1, x2, y2, ...]`
+ * (in cm).
+ * @param {Object} [options={}] Additional options
+ * @param {Boolean} [options.closed=false] Whether the curve is a loop.
+ * @param {number} [options.tolerance=1] The maximum distance (in plotter units) between the line
+ * segments and the actual curve.
+ * @param {number} [options.linePattern=7] The line pattern (see
+ * [drawLines()]{@link Plotter#drawLines}).
+ * @param {Function} [callback] A function to execute when all the instruction(s) have been sent to
+ * the device.
+ * @returns {Plotter} Returns the `Plotter` object to allow method chaining.
+ */
+Plotter.prototype.drawBSpline = function(points = [], options = {}, callback) {
+
+  return this._drawAtomically(() => {
+
+    points = this._toPoints(points);
+
+    // Repeating the end points three times makes the curve go through them
+    let controls = points;
+    if (!options.closed && points.length > 0) {
+      let first = points[0], last = points[points.length - 1];
+      controls = [first, first].concat(points, [last, last]);
+    }
+
+    let count = controls.length;
+    let spans = options.closed ? count : count - 3;
+    let segments = [], start;
+
+    // Each span of the B-spline is converted to a cubic Bézier curve
+    for (let i = 0; i < spans && count > 2; i++) {
+
+      let [q0, q1, q2, q3] = [0, 1, 2, 3].map(k => controls[(i + k) % count]);
+
+      // Weighted average of control points
+      let mix = (weights, ...q) => {
+        let total = weights.reduce((sum, w) => sum + w, 0);
+        return {
+          x: weights.reduce((sum, w, k) => sum + w * q[k].x, 0) / total,
+          y: weights.reduce((sum, w, k) => sum + w * q[k].y, 0) / total
+        };
+      };
+
+      if (i === 0) start = mix([1, 4, 1], q0, q1, q2);
+
+      segments.push([mix([2, 1], q1, q2), mix([1, 2], q1, q2), mix([1, 4, 1], q1, q2, q3)]);
+
+    }
+
+    this._queueCurves(start, segments, options, callback);
+
+    return this;
+
+  });
+
+};
+
+/**
+ * Converts an array in the form `[x1, y1, x2, y2, ...]` to an array of `{x, y}` objects. An
+ * incomplete pair at the end of the array is ignored.
+ *
+ * @private
+ * @param {number[]} values
+ * @returns {Object[]}
+ */
+Plotter.prototype._toPoints = function(values = []) {
+
+  let points = [];
+
+  for (let i = 0; i + 1 < values.length; i += 2) {
+    points.push({x: parseFloat(values[i]), y: parseFloat(values[i + 1])});
+  }
+
+  return points;
+
+};
+
+/**
+ * Flattens a series of cubic Bézier curves and queues the resulting line segments.
+ *
+ * @private
+ * @param {Object} start The starting point of the first curve (in cm).
+ * @param {Array.<Object[]>} segments The control points and end point of each curve (in cm).
+ * @param {Object} [options={}]
+ * @param {number} [options.tolerance=1] The maximum distance (in plotter units) between the line
+ * segments and the actual curves.
+ * @param {Function} [callback]
+ */
+Plotter.prototype._queueCurves = function(start, segments, options = {}, callback) {
+
+  if (!start || segments.length < 1) return;
+
+  // The curves are flattened before the transform is applied, so the tolerance is reduced by the
+  // largest factor by which the transform stretches distances.
+  let tolerance = parseFloat(options.tolerance) > 0 ? parseFloat(options.tolerance) : 1;
+  tolerance = this._fromPlotterUnits(tolerance) / this._getTransformScale();
+
+  let flattened = [], from = start;
+
+  segments.forEach(([c1, c2, end]) => {
+    flattenCubic(from, c1, c2, end, tolerance, flattened);
+    from = end;
+  });
+
+  // Consecutive points that end up at the same position are dropped
+  let first = this._toHpglPoint(start.x, start.y);
+  let points = [], previous = first;
+
+  flattened.forEach(p => {
+    let point = this._toHpglPoint(p.x, p.y);
+    if (point.x !== previous.x || point.y !== previous.y) points.push(point);
+    previous = point;
+  });
+
+  this.queue("PU" + first.x + "," + first.y);
+  this._queueLines(points, options, callback);
+
+};
+
+/**
+ * Draws a rectangle with the specified `width` and `height` starting at the current pen position.
+ * When drawing is done, the pen is returned to the starting point.
+ *
+ * If no `height` is specified, the `height` will be equal to the `width`, thus drawing a square.
+ *
+ * If the current transform (see [pushTransform()]{@link Plotter#pushTransform}) rotates or skews
+ * the rectangle, it is drawn as a polygon (with line segments).
+ *
+ * Filled rectangles use the fill type selected with [setFillType()]{@link Plotter#setFillType}.
+ * On devices that do not support the `RR` instruction (or the `FT` instruction, for fill types
+ * other than solid), the fill is drawn with lines generated by the library.
+ *
+ * @param {number} width The width of the rectangle (in cm).
+ * @param {number} [height] The height of the rectangle (in cm).
+ * @param {Object} [options={}] Additional options
+ * @param {Boolean} [options.fill=false] Whether to fill the rectangle (before drawing its edges).
+ * @param {Function} [callback] A function to execute when the instruction has been sent to the
+ * device.
+ * @returns {Plotter} Returns the `Plotter` object to allow method chaining.
+ */
+Plotter.prototype.drawRectangle = function(width, height, options = {}, callback) {
+
+  return this._drawAtomically(() => {
+
+    if ( parseFloat(width) ) {
+      if ( !parseFloat(height) ) { height = width; }
+    } else {
+      throw new Error ("The width must be specified.")
+    }
+
+    let corner = this._toRelativeHpglCoordinates(
+      this._toPlotterUnits(width),
+      this._toPlotterUnits(height)
+    );
+    let outline = [{x: 0, y: 0}, {x: corner.x, y: 0}, corner, {x: 0, y: corner.y}]
+      .map(p => this._transformVector(p));
+    let target = {x: Math.round(outline[2].x), y: Math.round(outline[2].y)};
+
+    // Rotated or skewed rectangles are no longer aligned with the axes: they are drawn as polygons
+    let m = this._getHpglMatrix();
+    let epsilon = 1e-9;
+    let aligned =
+      (Math.abs(m[1]) < epsilon && Math.abs(m[2]) < epsilon) ||
+      (Math.abs(m[0]) < epsilon && Math.abs(m[3]) < epsilon);
+
+    if (options.fill) {
+      this._queueFill(aligned ? "RR" + target.x + "," + target.y : undefined, [outline]);
+    }
+
+    if (aligned && this.characteristics.instructions.includes("ER")) {
+      this.queue("ER" + target.x + "," + target.y, callback);
+    } else {
+      this._queueRelativePath(
+        outline.slice(1).concat([outline[0]]).map(p => ({x: p.x, y: p.y, penDown: true})),
+        callback
+      );
+    }
+
+    return this;
+
+  });
+
+};
+
+/**
+ * Draws a closed polygon going through the specified points. The pen is lifted and moved to the
+ * first point before drawing and is left there when drawing is done.
+ *
+ * Filled polygons use the fill type selected with [setFillType()]{@link Plotter#setFillType}. Holes
+ * can be made by passing several rings: areas covered by an odd number of rings are filled. On
+ * devices that do not support polygon mode (`PM`, `FP` and `EP` instructions), the fill is drawn
+ * with lines generated by the library.
+ *
+ * @param {number[]|Array.<number[]>} points An array of positions in the form
+ * `[x1, y1, x2, y2, ...]` (in cm) or an array of such arrays (one per ring).
+ * @param {Object} [options={}] Additional options
+ * @param {Boolean} [options.fill=false] Whether to fill the polygon (before drawing its edges).
+ * @param {Function} [callback] A function to execute when all the instruction(s) have been sent to
+ * the device.
+ * @returns {Plotter} Returns the `Plotter` object to allow method chaining.
+ */
+Plotter.prototype.drawPolygon = function(points = [], options = {}, callback) {
+
+  return this._drawAtomically(() => {
+
+    let rings = (Array.isArray(points[0]) ? points : [points])
+      .filter(ring => ring.length >= 4)
+      .map(ring => {
+        let converted = [];
+        for (let i = 0; i + 1 < ring.length; i += 2) {
+          converted.push(this._toHpglPoint(ring[i], ring[i + 1]));
+        }
+        return converted;
+      });
+
+    if (rings.length < 1) return this;
+
+    let first = rings[0][0];
+    let native = ["PM", "FP", "EP"].every(m => this.characteristics.instructions.includes(m));
+
+    this.queue("PU" + first.x + "," + first.y);
+
+    if (native) {
+
+      // Each ring is a subpolygon
+      this.queue("PM0");
+      rings.forEach((ring, index) => {
+        if (index > 0) {
+          this.queue("PM1");
+          this.queue("PU" + ring[0].x + "," + ring[0].y);
+        }
+        this._queueChunked("PD", [].concat(...ring.slice(1).map(p => [p.x, p.y])));
+      });
+      this.queue("PM2");
+
+      if (options.fill) this._queueFill("FP", []);
+      this.queue("EP");
+
+    } else {
+
+      let offsets = rings.map(ring => ring.map(p => ({x: p.x - first.x, y: p.y - first.y})));
+
+      if (options.fill) this._queueFill(undefined, offsets);
+
+      // Draw the edges of each ring
+      let path = [];
+      offsets.forEach(ring => {
+        path.push({x: ring[0].x, y: ring[0].y, penDown: false});
+        ring.slice(1).concat([ring[0]]).forEach(p => path.push({x: p.x, y: p.y, penDown: true}));
+      });
+      path.push({x: 0, y: 0, penDown: false});
+      this._queueRelativePath(path);
+
+    }
+
+    this.queue("PU" + first.x + "," + first.y, callback);
+
+    return this;
+
+  });
+
+};
+
+/**
+ * Selects how shapes drawn with the `fill` option ([drawRectangle()]{@link Plotter#drawRectangle},
+ * [drawWedge()]{@link Plotter#drawWedge} and [drawPolygon()]{@link Plotter#drawPolygon}) are
+ * filled:
+ *
+ *   - **solid**: lines spaced according to the [penThickness]{@link Plotter#penThickness};
+ *   - **hatch**: parallel lines;
+ *   - **crosshatch**: two sets of parallel lines, perpendicular to each other.
+ *
+ * The fill type is sent to the device with the `FT` instruction. On devices that do not support
+ * it, the library generates the fill lines itself.
+ *
+ * @param {string} [type="solid"] The fill type: *solid*, *hatch* or *crosshatch*. Any other value
+ * selects *solid*.
+ * @param {Object} [options={}] Additional options
+ * @param {number} [options.spacing] The distance between hatch lines (in cm). By default, this is
+ * 1% of the diagonal of the plottable area. This does not apply to solid fills.
+ * @param {number} [options.angle=0] The angle of the lines (in degrees), counterclockwise (as seen
+ * on the paper) from the `x` axis.
+ * @returns {Plotter} Returns the `Plotter` object to allow method chaining.
+ */
+Plotter.prototype.setFillType = function(type = "solid", options = {}) {
+
+  let area = this.getPlottableArea();
+
+  type = String(type).toLowerCase();
+  if (!["solid", "hatch", "crosshatch"].includes(type)) type = "solid";
+
+  this._fill = {
+    type: type,
+    spacing: parseFloat(options.spacing) > 0 ?
+      parseFloat(options.spacing) :
+      Math.sqrt(area.width * area.width + area.height * area.height) / 100,
+    angle: parseFloat(options.angle) || 0
+  };
+
+  if (this.characteristics.instructions.includes("FT")) {
+
+    if (type === "solid") {
+      this.queue("FT1");
+    } else {
+      let angle = Math.round(((this._toHpglAngle(this._fill.angle) % 180) + 180) % 180);
+      let spacing = this._toPlotterUnits(this._fill.spacing);
+      this.queue("FT" + (type === "hatch" ? 3 : 4) + "," + spacing + "," + angle);
+    }
+
+  }
+
+  return this;
+
+};
+
+/**
+ * Draws an SVG document. Paths, lines, polylines, polygons, rectangles, circles and ellipses are
+ * converted to line segments (curves are flattened to the device's resolution) and the artwork is
+ * scaled to fit inside the plottable area. Each stroke color is drawn with its own pen. See
+ * [SvgConverter]{@link SvgConverter} for details about the conversion.
+ *
+ * The device model, the paper size and the paper orientation must be known (i.e. the plotter must
+ * be connected or capturing to a file).
+ *
+ * @param {string} svg The SVG document.
+ * @param {Object} [options={}] Options to control how the artwork is drawn. All the options of
+ * the [SvgConverter]{@link SvgConverter} constructor can also be used.
+ * @param {Object} [options.area] The area (an object with `x`, `y`, `width` and `height`
+ * properties, in centimeters) in which to draw the artwork. By default, this is the plottable
+ * area.
+ * @param {Boolean} [options.fit=true] Whether to scale the artwork so it fits inside the area.
+ * @param {Object} [options.pens] An object mapping colors (for example, `"#ff0000"` or `"red"`) to
+ * pen numbers. Colors that are not mapped are assigned the next unused pen number.
+ * @param {Boolean} [options.selectPens=true] Whether to select the pen assigned to each color.
+ * When `false`, the whole artwork is drawn with the current pen.
+ * @param {Boolean|Object} [options.optimize=false] Whether to reorder the strokes to minimize the
+ * distance travelled with the pen raised (see [startOptimizing()]{@link Plotter#startOptimizing}).
+ * An object can be used to pass options to the [HpglOptimizer]{@link HpglOptimizer}.
+ * @param {Function} [callback] A function to execute when all the instruction(s) have been sent to
+ * the device.
+ * @returns {Plotter} Returns the `Plotter` object to allow method chaining.
+ * @throws {SyntaxError} The document does not contain an `<svg>` element.
+ */
+Plotter.prototype.drawSvg = function(svg, options = {}, callback) {
+
+  return this._drawAtomically(() => {
+
+    let converter = new SvgConverter(Object.assign({
+      model: this.characteristics.model,
+      area: this.getPlottableArea(),
+      tolerance: this._fromPlotterUnits(1)
+    }, options));
+
+    let pen;
+    let optimize = options.optimize && !this._optimization;
+
+    if (optimize) {
+      this.startOptimizing(typeof options.optimize === "object" ? options.optimize : {});
+    }
+
+    converter.convert(svg).paths.forEach(path => {
+
+      if (options.selectPens !== false && path.pen !== pen) {
+        pen = path.pen;
+        this.selectPen(pen);
+      }
+
+      this.moveTo(path.points[0], path.points[1]);
+      this.drawLines(path.points.slice(2));
+
+    });
+
+    this.queue("PU", callback);
+    if (optimize) this.stopOptimizing();
+
+    return this;
+
+  });
+
+};
+
+/**
+ * Returns a [PlotterContext]{@link PlotterContext}: an object that mimics the path and transform
+ * API of the browser's `CanvasRenderingContext2D` so code written for a canvas can draw on the
+ * plotter. Coordinates are in centimeters (use [scale()]{@link PlotterContext#scale} to work in
+ * other units).
+ *
+ * ```
+ * let ctx = plotter.getContext("2d", {pens: {red: 2}});
+ * ctx.strokeStyle = "red";
+ * ctx.beginPath();
+ * ctx.arc(10, 10, 5, 0, 2 * Math.PI);
+ * ctx.stroke();
+ * ```
+ *
+ * The device model, the paper size and the paper orientation must be known (i.e. the plotter must
+ * be connected or capturing to a file).
+ *
+ * @param {string} [type="2d"] The type of context. For compatibility with `canvas.getContext()`,
+ * only `"2d"` is supported. This parameter can be omitted.
+ * @param {Object} [options={}] Options passed to the [PlotterContext]{@link PlotterContext}
+ * constructor.
+ * @returns {PlotterContext}
+ * @throws {Error} The type of context is not supported.
+ */
+Plotter.prototype.getContext = function(type = "2d", options = {}) {
+
+  // The options can be passed as the only parameter
+  if (type && typeof type === "object") [type, options] = ["2d", type];
+
+  if (type !== "2d") {
+    throw new Error("The '" + type + "' context type is not supported.");
+  }
+
+  return new PlotterContext(this, options);
+
+};
+
+/**
+ * Lifts the pen and moves it to the specified `x` and `y` coordinates.
+ *
+ * @param x {number} - Position along the `x` axis
+ * @param y {number} - Position along the `y` axis
+ * @param metric {Boolean} - Whether the coordinates are in centimeters (default) or decimal inches.
+ * @returns {Plotter} Returns the `Plotter` object to allow method chaining.
+ */
+Plotter.prototype.moveTo = function(x = 0, y = 0, metric = true) {
+
+  // The transform is expressed in centimeters
+  if (!metric) {
+    x *= 2.54;
+    y *= 2.54;
+  }
+
+  let point = this._toHpglPoint(x, y);
+  this.queue("PU" + point.x + "," + point.y);
+  return this;
+
+};
+
+/**
+ * Saves the current transform and combines it with a new one. Until
+ * [popTransform()]{@link Plotter#popTransform} is called, the transform applies to the coordinates
+ * and distances passed to all the drawing methods (including [moveTo()]{@link Plotter#moveTo} and
+ * [drawText()]{@link Plotter#drawText}). This makes it possible to reuse a drawing routine at
+ * several positions and angles on the same sheet:
+ *
+ * ```
+ * plotter.pushTransform({translate: [10, 5], rotate: 45});
+ * drawLogo(plotter);
+ * plotter.popTransform();
+ * ```
+ *
+ * Shapes are transformed as a whole. Rectangles that are rotated or skewed are drawn as polygons.
+ * Circles, arcs and wedges that are scaled unevenly or skewed are drawn with line segments. Text
+ * is rotated, scaled and slanted along with the rest of the drawing.
+ *
+ * The operations are combined in this order: `translate`, `rotate`, `scale`, `skew` and `matrix`.
+ * Just like with the SVG `transform` attribute, this means that `matrix` is applied to the
+ * coordinates first and `translate` last. The transform is applied when the drawing methods are
+ * called, not when the instructions are sent to the device.
+ *
+ * @param {Object|number[]} [transform={}] The transform to combine with the current one or a
+ * matrix (see `transform.matrix`).
+ * @param {number[]} [transform.translate] The distance (in cm) to move by, in the form `[x, y]`.
+ * @param {number} [transform.rotate] The angle (in degrees) to rotate by, counterclockwise (as seen
+ * on the paper).
+ * @param {number|number[]} [transform.scale] The factor to scale by or, to scale unevenly, the
+ * factors in the form `[x, y]`. Negative values mirror the drawing.
+ * @param {number[]} [transform.skew] The angles (in degrees) to skew by along the `x` and `y` axes,
+ * in the form `[x, y]` (same as the SVG `skewX()` and `skewY()` transforms).
+ * @param {number[]} [transform.matrix] A matrix in the form `[a, b, c, d, e, f]` which moves `x, y`
+ * to `a * x + c * y + e, b * x + d * y + f` (in cm).
+ * @returns {Plotter} Returns the `Plotter` object to allow method chaining.
+ * @throws {RangeError} The transform cannot be inverted (for example, it scales by 0).
+ */
+Plotter.prototype.pushTransform = function(transform = {}) {
+
+  if (Array.isArray(transform)) transform = {matrix: transform};
+
+  let multiply = SvgConverter.prototype._multiply;
+  let matrix = this._transform;
+  let values = value => [].concat(value).map(v => parseFloat(v));
+
+  if (transform.translate !== undefined) {
+    let [x = 0, y = 0] = values(transform.translate);
+    matrix = multiply(matrix, [1, 0, 0, 1, x, y]);
+  }
+
+  if (transform.rotate !== undefined) {
+    // Counterclockwise on the paper means clockwise in the top-left coordinates system
+    let radians = parseFloat(transform.rotate) * Math.PI / 180;
+    let cos = Math.cos(radians), sin = Math.sin(radians);
+    matrix = multiply(matrix, [cos, -sin, sin, cos, 0, 0]);
+  }
+
+  if (transform.scale !== undefined) {
+    let [x, y = x] = values(transform.scale);
+    matrix = multiply(matrix, [x, 0, 0, y, 0, 0]);
+  }
+
+  if (transform.skew !== undefined) {
+    let [x = 0, y = 0] = values(transform.skew);
+    matrix = multiply(matrix, [1, 0, Math.tan(x * Math.PI / 180), 1, 0, 0]);
+    matrix = multiply(matrix, [1, Math.tan(y * Math.PI / 180), 0, 1, 0, 0]);
+  }
+
+  if (transform.matrix !== undefined) {
+    matrix = multiply(matrix, values(transform.matrix));
+  }
+
+  if (
+    !matrix.every(value => isFinite(value)) ||
+    Math.abs(matrix[0] * matrix[3] - matrix[1] * matrix[2]) < 1e-12
+  ) {
+    throw new RangeError("The transform must be made of finite values and be invertible.");
+  }
+
+  this._transforms.push(this._transform);
+  this._transform = matrix;
+
+  return this;
+
+};
+
+/**
+ * Restores the transform that was current before the last call to
+ * [pushTransform()]{@link Plotter#pushTransform}.
+ *
+ * @returns {Plotter} Returns the `Plotter` object to allow method chaining.
+ * @throws {Error} There is no transform to restore.
+ */
+Plotter.prototype.popTransform = function() {
+
+  if (this._transforms.length < 1) {
+    throw new Error("There is no transform to restore (popTransform() called too many times).");
+  }
+
+  this._transform = this._transforms.pop();
+  return this;
+
+};
+
+/**
+ * Sets the velocity of the plotting pen. When the velocity `parameter` is set to `1`, the velocity
+ * will be at its maximum of 38.1cm/s (default). So, if you set the `velocity` parameter to `0.1`,
+ * the actual velocity will be 3.81cm/s.
+ *
+ * Any value equal or lower than `0` and any value above `1` will trigger the use of the default
+ * velocity.
+ *
+ * @param {number} [velocity=1.0] A decimal number between `0` and `1`.
+ * @returns {Plotter} Returns the `Plotter` object to allow method chaining.
+ */
+Plotter.prototype.setVelocity = function(velocity = 1.0) {
+
+  velocity = parseFloat(velocity) * 38.1;
+
+  if (isNaN(velocity) || velocity <= 0 || velocity > 38.1) {
+    velocity = 38.1;
+  }
+
+  this.queue("VS" + this._toHpglDecimal(velocity));
+
+  return this;
+
+};
+
+/**
+ * @param content {String}
+ * @param [newline=true] {Boolean} Whether to add a newline after the content
+ * @private
+ */
+Plotter.prototype._appendToOutputFile = function(content, newline = true) {
+
+  // If no output file has been defined, simply return.
+  if (!this._outputFile) { return; }
+
+  try {
+    let fs = require("fs-extra");
+    fs.ensureFileSync(this._outputFile);
+    fs.appendFileSync(this._outputFile, content + (newline ? "\n" : ""));
+  } catch (e) {
+    throw new Error("Could not append to specified output file (" + this._outputFile + ").");
+  }
+
+};
+
+/**
+ * Starts appending all sent HPGL commands to the specified file. Unless a device has been
+ * previously connected, it is necessary to specify the device model, the paper size and the
+ * orientation in the options object.
+ *
+ * If you want to both plot and save at the same time, you must wait for the device to be ready
+ * before calling the `startCapturingToFile()` function:
+ *
+ * ```
+ * plotter
+ *   .on("ready", function() {
+ *     this.startCapturingToFile("test.hpgl");
+ *   })
+ *
+ *   .on("error", function (err) {
+ *     console.log(err);
+ *   })
+ *   .connect(transport);
+ *
+ * ```
+ *
+ * @param [path="job.hpgl"] {String} - The path of the file to append to.
+ * @param [options] {Object} - Options affecting how the commands are captured to file.
+ * @param [options.model="GENERIC"] {String} - The target device's model.
+ * @param [options.orientation="landscape"] {String} The orientation of the paper: *landscape* or
+ * *portrait*.
+ * @param [options.paper="A"] {String} - The targeted paper size. Choices vary depending on the
+ * device. Typical choices are:
+ *   - **A**: ANSI A (8.5"x11", a.k.a "letter")
+ *   - **B**: ANSI B (11"x17", a.k.a "tabloid")
+ *   - **A4**: ISO A4 (210mm × 297mm)
+ *   - **A3**: ISO A3 (297mm × 420mm)
+ * @returns {Plotter} Returns the `Plotter` object to allow method chaining.
+ */
+Plotter.prototype.startCapturingToFile = function(path = "job.hpgl", options = {}) {
+
+  this._outputFile = path;
+
+  // Any specified model, paper and orientation parameters are ignored if a connection is already
+  // open.
+  if (!this.connected) {
+
+    // Model
+    if (Models[options.model]) {
+      this.characteristics = Models[options.model];
+    } else {
+      this.characteristics = Models["GENERIC"];
+    }
+
+    // Paper
+    if (
+      options.paper &&
+      this.characteristics.papers.list.includes(options.paper.toUpperCase())
+    ) {
+      this.paper = options.paper.toUpperCase();
+    }
+
+    // Orientation
+    if (
+      options.orientation &&
+      ORIENTATIONS.includes(options.orientation.toLowerCase())
+    ) {
+      this.orientation = options.orientation.toLowerCase();
+    }
+
+  }
+
+  // Inform device of the paper size we wish to use. This is not necessary on devices that use the
+  // same orientation for all paper sizes. It should be noted that, on some devices, this affects
+  // orientation (see below).
+  if ( this.characteristics.papers[this.paper].hasOwnProperty("psCode") ) {
+    this._appendToOutputFile("PS" + this.characteristics.papers[this.paper].psCode + ";");
+  }
+
+  // Orientation
+  if (this.orientation === "landscape") {
+
+    this._appendToOutputFile("RO0;");    // do not rotate (or rotate back to default)
+
+  } else {
+
+    // Check if the device supports the rotation (not all do)
+    if ( this.characteristics.instructions.includes("RO") ) {
+      this._appendToOutputFile("RO90;");   // rotate to other orientation
+    } else {
+      throw new Error("The device does not support the '" + this.orientation + "' orientation.");
+    }
+
+  }
+
+  // Reassign P1 and P2 and reset plotting window
+  this._appendToOutputFile("IP;");
+  this._appendToOutputFile("IW;");
+
+};
+
+/**
+ * Stops hpgl commands from being saved to file.
+ *
+ * @returns {Plotter} Returns the `Plotter` object to allow method chaining.
+ */
+Plotter.prototype.stopCapturingToFile = function() {
+
+  if (!this.connected) {
+    this.characteristics = undefined;
+    this.orientation = "landscape";
+    this.paper = "A";
+  }
+
+  this._outputFile = undefined;
+
+};
+
+/**
+ * Starts holding back drawing instructions so they can be reordered to minimize the distance
+ * travelled with the pen raised. Nothing is sent to the device until
+ * [stopOptimizing()]{@link Plotter#stopOptimizing} is called. At that point, the polylines drawn
+ * in the meantime (for example, with [drawLines()]{@link Plotter#drawLines}) are reordered,
+ * reversed and joined as needed and grouped by pen. See [HpglOptimizer]{@link HpglOptimizer} for
+ * details.
+ *
+ * ```
+ * plotter.startOptimizing();
+ * strokes.forEach(stroke => plotter.moveTo(stroke[0], stroke[1]).drawLines(stroke.slice(2)));
+ * plotter.stopOptimizing(() => console.log("All strokes queued!"));
+ * ```
+ *
+ * Instructions that wait for a response from the device (such as
+ * [getStatus()]{@link Plotter#getStatus}) cannot be held back. When such an instruction is queued,
+ * the instructions held back so far are optimized and queued before it.
+ *
+ * @param {Object} [options={}] Options passed to the [HpglOptimizer]{@link HpglOptimizer}
+ * constructor.
+ * @returns {Plotter} Returns the `Plotter` object to allow method chaining.
+ */
+Plotter.prototype.startOptimizing = function(options = {}) {
+  if (this._optimization) this._queueOptimized();
+  this._optimization = {options: options, instructions: [], callbacks: []};
+  return this;
+};
+
+/**
+ * Stops holding back drawing instructions (see
+ * [startOptimizing()]{@link Plotter#startOptimizing}). The instructions held back are optimized
+ * and queued.
+ *
+ * @param {Function} [callback] A function to execute when all the optimized instructions have been
+ * sent to the device. The callbacks passed to drawing methods while optimizing are also executed
+ * at that time.
+ * @returns {Plotter} Returns the `Plotter` object to allow method chaining.
+ */
+Plotter.prototype.stopOptimizing = function(callback) {
+
+  if (this._optimization) {
+    if (typeof callback === "function") this._optimization.callbacks.push(callback);
+    this._queueOptimized();
+    this._optimization = undefined;
+  } else if (typeof callback === "function") {
+    this.queue("PU", callback);
+  }
+
+  return this;
+
+};
+
+/**
+ * Optimizes the instructions held back so far and queues them. The callbacks that were passed
+ * along with them are attached to the last instruction.
+ *
+ * @private
+ */
+Plotter.prototype._queueOptimized = function() {
+
+  let batch = this._optimization;
+  let callbacks = batch.callbacks;
+
+  let instructions = this._getOptimizer(batch.options).optimizeInstructions(batch.instructions);
+  this._optimization = {options: batch.options, instructions: [], callbacks: []};
+
+  // If no instruction remains, the callbacks are executed right away
+  if (instructions.length < 1) {
+    callbacks.forEach(cb => cb.call(this));
+    return;
+  }
+
+  this._queueInstructions(instructions, function() {
+    callbacks.forEach(cb => cb.apply(this, arguments));
+  });
+
+};
+
+/**
+ * Returns an optimizer whose generated instructions fit in the device's buffer.
+ *
+ * @private
+ * @param {Object|Boolean} [options={}] Options passed to the
+ * [HpglOptimizer]{@link HpglOptimizer} constructor (`true` uses the defaults).
+ * @returns {HpglOptimizer}
+ */
+Plotter.prototype._getOptimizer = function(options = {}) {
+
+  return new HpglOptimizer(Object.assign({
+    maxLength: this.characteristics && this.characteristics.buffer ?
+      this.characteristics.buffer - 1 :
+      undefined
+  }, typeof options === "object" ? options : {}));
+
+};
+
+/**
+ * Starts checking the drawings against the plottable area (see
+ * [getPlottableArea()]{@link Plotter#getPlottableArea}) before their instructions are queued. The
+ * moves, circles, arcs, rectangles and labels are simulated (as the
+ * [HpglRenderer]{@link HpglRenderer} would draw them) and those that extend outside of the
+ * plottable area are reported along with the method that was called and where it was called from.
+ *
+ * What happens to them depends on the `policy`:
+ *
+ *   - **warn**: they are queued and the [outofbounds]{@link Plotter#event:outofbounds} event is
+ *     emitted;
+ *   - **throw**: nothing is queued and the drawing method throws a `RangeError`;
+ *   - **clip**: they are queued and the event is emitted but the device is told (with `IW`) to
+ *     only draw inside the plottable area.
+ *
+ * ```
+ * plotter.on("outofbounds", issue => console.log(issue.method + "() at " + issue.source));
+ * plotter.startValidating({policy: "clip"});
+ * ```
+ *
+ * Files can be checked with the `validate` option of [plotFile()]{@link Plotter#plotFile}. Jobs can
+ * also be checked without a device with [validateJob()]{@link Plotter.validateJob}.
+ *
+ * @param {Object} [options={}] Options to control validation.
+ * @param {string} [options.policy="warn"] What to do with drawings that extend outside of the
+ * plottable area: `warn`, `throw` or `clip`.
+ * @returns {Plotter} Returns the `Plotter` object to allow method chaining.
+ * @throws {Error} The device model is unknown or it does not support clipping.
+ */
+Plotter.prototype.startValidating = function(options = {}) {
+
+  if (!this.characteristics) {
+    throw new Error(
+      "The plotter must be connected, or an output file specified, before validating drawings."
+    );
+  }
+
+  this._validation = this._createValidation(options.policy, this.orientation);
+
+  if (this._validation.policy === "clip") {
+    this._queueInstructions([this._getClippingWindow(this._validation.rotation)]);
+  }
+
+  return this;
+
+};
+
+/**
+ * Stops checking the drawings against the plottable area (see
+ * [startValidating()]{@link Plotter#startValidating}). When the `clip` policy was used, the
+ * device is allowed to draw anywhere again.
+ *
+ * @returns {Plotter} Returns the `Plotter` object to allow method chaining.
+ */
+Plotter.prototype.stopValidating = function() {
+
+  let validation = this._validation;
+  this._validation = undefined;
+
+  if (validation && validation.policy === "clip") this.queue("IW");
+
+  return this;
+
+};
+
+/**
+ * Prepares the simulation used to check instructions against the plottable area. The simulation
+ * starts from the current position of the pen (if known).
+ *
+ * @private
+ * @param {string} [policy="warn"] - The policy (see
+ * [startValidating()]{@link Plotter#startValidating}).
+ * @param {string} [orientation] - The orientation of the paper (deduced from the instructions by
+ * default).
+ * @param {Instruction[]} [instructions=[]] - The instructions that will be checked.
+ * @returns {Object}
+ * @throws {Error} The device does not support clipping.
+ */
+Plotter.prototype._createValidation = function(policy, orientation, instructions = []) {
+
+  if (!BOUNDS_POLICIES.includes(policy)) policy = "warn";
+
+  if (policy === "clip" && !this.characteristics.instructions.includes("IW")) {
+    throw new Error("The device does not support clipping (IW instruction).");
+  }
+
+  let renderer = new HpglRenderer({
+    model: this.characteristics.model,
+    paper: this.paper,
+    orientation: orientation
+  });
+
+  // A device set up in portrait orientation is rotated when it is initialized
+  let rotation = orientation === "portrait" ? this._parser.parse("RO90;IP") : [];
+  renderer.startMeasuring(rotation.concat(instructions));
+  rotation.forEach(parsed => renderer.measure(parsed));
+
+  let state = {position: this._penPosition, absolute: this._absolutePlotting};
+
+  // The simulation moves the pen to where it is (without drawing)
+  if (state.position) {
+    let hpgl = "PA;PU" + state.position.x + "," + state.position.y + (state.absolute ? "" : ";PR");
+    this._parser.parse(hpgl).forEach(parsed => renderer.measure(parsed));
+  }
+
+  return {
+    policy: policy,
+    renderer: renderer,
+    state: state,
+    known: !!state.position,
+    rotation: orientation === "portrait" ? 90 : 0
+  };
+
+};
+
+/**
+ * Simulates instructions and returns those that extend outside of the plottable area. Nothing is
+ * checked until the position of the pen is known.
+ *
+ * @private
+ * @param {Object} validation - The simulation, as prepared by
+ * [_createValidation()]{@link Plotter#_createValidation}.
+ * @param {Instruction[]} instructions - The instructions to check.
+ * @returns {Object[]} The offending instructions, as objects with `parsed` (the instruction) and
+ * `extent` (a [Rectangle]{@link Rectangle} in cm) properties.
+ */
+Plotter.prototype._checkBounds = function(validation, instructions) {
+
+  let renderer = validation.renderer;
+  let found = [];
+
+  // The limits (in cm) are computed once, when the orientation is settled
+  if (!validation.limits) {
+    let area = this.getPlottableArea();
+    let tolerance = this._fromPlotterUnits(0.5);
+    validation.limits = {
+      left: area.x - tolerance,
+      top: area.y - tolerance,
+      right: area.x + area.width + tolerance,
+      bottom: area.y + area.height + tolerance
+    };
+  }
+
+  let limits = validation.limits;
+
+  instructions.forEach(parsed => {
+
+    let known = validation.known;
+    let points = [];
+
+    let measured = renderer.measure(parsed);
+    if (known) measured.strokes.forEach(stroke => points.push(stroke.points));
+
+    if (parsed.type === "hpgl") {
+
+      // Only absolute moves make the position known after it was lost (IN does not move the pen)
+      validation.state = this._getPenState(validation.state, parsed);
+      validation.known = (known && parsed.mnemonic !== "IN") || !!validation.state.position;
+
+      if (validation.known && MOVING_INSTRUCTIONS.includes(parsed.mnemonic)) {
+        points.push([measured.position]);
+      }
+
+    }
+
+    if (points.length < 1) return;
+
+    let min = {x: Infinity, y: Infinity}, max = {x: -Infinity, y: -Infinity};
+
+    points.forEach(list => list.forEach(point => {
+      min.x = Math.min(min.x, point.x);
+      min.y = Math.min(min.y, point.y);
+      max.x = Math.max(max.x, point.x);
+      max.y = Math.max(max.y, point.y);
+    }));
+
+    let extent = new Rectangle(
+      this._fromPlotterUnits(min.x),
+      this._fromPlotterUnits(min.y),
+      this._fromPlotterUnits(max.x - min.x),
+      this._fromPlotterUnits(max.y - min.y)
+    );
+
+    if (
+      extent.x < limits.left ||
+      extent.y < limits.top ||
+      extent.x + extent.width > limits.right ||
+      extent.y + extent.height > limits.bottom
+    ) {
+      found.push({parsed: parsed, extent: extent});
+    }
+
+  });
+
+  return found;
+
+};
+
+/**
+ * Returns the HP-GL instructions that the device does not support.
+ *
+ * @private
+ * @param {Instruction[]} instructions - The instructions to check.
+ * @returns {Instruction[]}
+ */
+Plotter.prototype._findUnsupported = function(instructions) {
+  return instructions.filter(parsed => {
+    return parsed.type === "hpgl" && !this.characteristics.instructions.includes(parsed.mnemonic);
+  });
+};
+
+/**
+ * Checks instructions about to be queued by a drawing method (see
+ * [startValidating()]{@link Plotter#startValidating}) and applies the validation policy.
+ *
+ * @private
+ * @param {Instruction[]} instructions - The instructions to check.
+ * @returns {Instruction[]} The instructions to queue.
+ * @throws {RangeError} The instructions extend outside of the plottable area and the `throw`
+ * policy is used.
+ */
+Plotter.prototype._validate = function(instructions) {
+
+  let validation = this._validation;
+
+  // When queue() is called directly, it is a drawing method of its own
+  if (validation.policy === "throw" && !validation.saved) {
+    return this._drawAtomically(() => this._validate(instructions));
+  }
+
+  let found = this._checkBounds(validation, instructions);
+
+  // Unsupported instructions are only collected by validateJob()
+  let unsupported = validation.unsupported ? this._findUnsupported(instructions) : [];
+
+  // Looking at the call stack is costly so it is only done when there is something to report
+  let site = found.length + unsupported.length > 0 ? this._getCallSite() : undefined;
+
+  unsupported.forEach(parsed => {
+    let issue = Object.assign({instruction: parsed.toString()}, site, {unsupported: true});
+    validation.unsupported.push(issue);
+  });
+
+  let issues = found.map(item => {
+    return Object.assign({instruction: item.parsed.toString()}, site, {extent: item.extent});
+  });
+
+  if (issues.length > 0 && validation.policy === "throw") throw this._getBoundsError(issues);
+
+  issues.forEach(issue => this._emitOutOfBounds(issue));
+
+  if (validation.policy === "clip") instructions = this._addClipping(instructions, validation);
+
+  return instructions;
+
+};
+
+/**
+ * Runs the body of a drawing method, which may queue its instructions in several steps, so that,
+ * if it throws while the `throw` policy is used (see
+ * [startValidating()]{@link Plotter#startValidating}), none of the instructions it queued before
+ * are left in the queue and the simulation ignores them. Drawing methods called by other ones are
+ * part of the outermost call.
+ *
+ * @private
+ * @param {Function} draw - The body of the drawing method.
+ * @returns {*} What `draw` returns.
+ */
+Plotter.prototype._drawAtomically = function(draw) {
+
+  let validation = this._validation;
+
+  if (!validation || validation.policy !== "throw" || validation.saved) return draw();
+
+  let optimization = this._optimization;
+
+  validation.saved = {
+    queue: this._queue.length,
+    held: optimization ? optimization.instructions.length : 0,
+    callbacks: optimization ? optimization.callbacks.length : 0,
+    position: this._penPosition,
+    absolute: this._absolutePlotting,
+    renderer: validation.renderer.getState(),
+    state: validation.state,
+    known: validation.known
+  };
+
+  try {
+    return draw();
+  } catch (error) {
+    let saved = validation.saved;
+    this._queue.splice(saved.queue);
+    if (optimization && optimization === this._optimization) {
+      optimization.instructions.splice(saved.held);
+      optimization.callbacks.splice(saved.callbacks);
+    }
+    this._penPosition = saved.position;
+    this._absolutePlotting = saved.absolute;
+    validation.renderer.setState(saved.renderer);
+    validation.state = saved.state;
+    validation.known = saved.known;
+    throw error;
+  } finally {
+    validation.saved = undefined;
+  }
+
+};
+
+/**
+ * Checks the instructions of a file against the plottable area (see the `validate` option of
+ * [plotFile()]{@link Plotter#plotFile}) and applies the validation policy.
+ *
+ * @private
+ * @param {Instruction[]} instructions - The instructions of the file.
+ * @param {string} file - The path to the file.
+ * @param {string} policy - The policy (see [startValidating()]{@link Plotter#startValidating}).
+ * @returns {Object} When clipping, an object to pass to
+ * [_addClipping()]{@link Plotter#_addClipping}. Otherwise, `undefined`.
+ * @throws {RangeError} The file extends outside of the plottable area and the `throw` policy is
+ * used.
+ */
+Plotter.prototype._validateFile = function(instructions, file, policy) {
+
+  let validation = this._createValidation(policy, this.orientation);
+
+  let issues = this._checkBounds(validation, instructions).map(found => {
+    return {
+      instruction: found.parsed.toString(),
+      source: file,
+      offset: found.parsed.start,
+      extent: found.extent
+    };
+  });
+
+  if (issues.length > 0 && validation.policy === "throw") throw this._getBoundsError(issues);
+
+  issues.forEach(issue => this._emitOutOfBounds(issue));
+
+  if (validation.policy === "clip") {
+    return {rotation: this.orientation === "portrait" ? 90 : 0};
+  }
+
+};
+
+/**
+ * Emits the `outofbounds` event.
+ *
+ * @private
+ * @param {Object} issue - The offending instruction.
+ */
+Plotter.prototype._emitOutOfBounds = function(issue) {
+
+  /**
+   * Event emitted when a drawing extends outside of the plottable area while validating (see
+   * [startValidating()]{@link Plotter#startValidating}) or when a file checked with the `validate`
+   * option of [plotFile()]{@link Plotter#plotFile} does.
+   *
+   * @event Plotter#outofbounds
+   * @param issue {Object} - The offending instruction
+   * @param issue.instruction {String} - The HP-GL instruction.
+   * @param issue.extent {Rectangle} - The area covered by the instruction (in cm, in the coordinate
+   * system used by the drawing methods).
+   * @param [issue.method] {String} - The name of the `Plotter` method that was called.
+   * @param [issue.source] {String} - Where the method was called from (in the form
+   * `path:line:column`, when available) or the path to the file.
+   * @param [issue.offset] {Number} - The offset of the instruction in the file.
+   */
+  this.emit("outofbounds", issue);
+
+};
+
+/**
+ * Returns an error describing the instructions that extend outside of the plottable area. The
+ * issues are available in its `issues` property.
+ *
+ * @private
+ * @param {Object[]} issues - The offending instructions (see
+ * [outofbounds]{@link Plotter#event:outofbounds}).
+ * @returns {RangeError}
+ */
+Plotter.prototype._getBoundsError = function(issues) {
+
+  let issue = issues[0];
+  let details = [
+    issue.method ? issue.method + "()" : undefined,
+    issue.source,
+    issue.offset !== undefined ? "offset " + issue.offset : undefined
+  ].filter(detail => detail !== undefined);
+
+  let message = "The drawing extends outside of the plottable area: " + issue.instruction;
+  if (details.length > 0) message += " (" + details.join(", ") + ")";
+  if (issues.length > 1) message += " and " + (issues.length - 1) + " more";
+
+  let error = new RangeError(message + ".");
+  error.issues = issues;
+  return error;
+
+};
+
+/**
+ * Returns the name of the `Plotter` method called from outside of the library and where it was
+ * called from, according to the call stack.
+ *
+ * @private
+ * @returns {Object} An object with `method` and `source` properties (either can be `undefined`).
+ */
+Plotter.prototype._getCallSite = function() {
+
+  // Frames look like "at Plotter.moveTo (/path/file.js:12:3)" or "moveTo@/path/file.js:12:3"
+  let pattern = /^\s*(?:at (?:async )?(?:new )?(?:(\S+) \()?|(\S*)@)(.+):(\d+):(\d+)\)?$/;
+
+  // The call may be deeply nested in the library
+  let limit = Error.stackTraceLimit;
+  Error.stackTraceLimit = 50;
+  let stack = new Error().stack || "";
+  Error.stackTraceLimit = limit;
+
+  let frames = stack.split("\n").map(line => {
+    let match = line.match(pattern);
+    if (!match) return undefined;
+    return {name: match[1] || match[2], file: match[3], location: match.slice(3).join(":")};
+  }).filter(frame => frame);
+
+  if (frames.length < 1) return {method: undefined, source: undefined};
+
+  let library = frames[0].file;
+  let index = frames.findIndex(frame => frame.file !== library);
+  let name = (frames[index < 0 ? frames.length - 1 : index - 1].name || "").split(".").pop();
+
+  return {
+    method: name && !name.startsWith("_") ? name : undefined,
+    source: index < 0 ? undefined : frames[index].location
+  };
+
+};
+
+/**
+ * Adds an `IW` instruction limiting drawing to the plottable area after each instruction that
+ * changes or resets the window. The orientation of the coordinate system is tracked along the way.
+ *
+ * @private
+ * @param {Instruction[]} instructions - The instructions.
+ * @param {Object} clipping - An object whose `rotation` property holds the rotation (as set with
+ * `RO`) in effect before the instructions. It is updated.
+ * @returns {Instruction[]}
+ */
+Plotter.prototype._addClipping = function(instructions, clipping) {
+
+  let result = [];
+
+  instructions.forEach(parsed => {
+
+    result.push(parsed);
+
+    if (parsed.type !== "hpgl" || !WINDOW_RESETTING_INSTRUCTIONS.includes(parsed.mnemonic)) return;
+
+    if (parsed.mnemonic === "IN") clipping.rotation = 0;
+    if (parsed.mnemonic === "RO") {
+      clipping.rotation = parsed.parameters.length > 0 ? parsed.parameters[0] : 0;
+    }
+
+    result.push(this._getClippingWindow(clipping.rotation));
+
+  });
+
+  return result;
+
+};
+
+/**
+ * Returns an `IW` instruction that limits drawing to the plottable area (as returned by
+ * [getPlottableArea()]{@link Plotter#getPlottableArea} and checked while validating).
+ *
+ * @private
+ * @param {Number} rotation - The rotation of the coordinate system (as set with `RO`).
+ * @returns {Instruction}
+ */
+Plotter.prototype._getClippingWindow = function(rotation) {
+
+  let area = this.getPlottableArea();
+
+  // The area is expressed in the same coordinate system as the renderer's image
+  let renderer = new HpglRenderer({
+    model: this.characteristics.model,
+    paper: this.paper,
+    orientation: this.orientation
+  }).startMeasuring();
+
+  let corners = [
+    {x: area.x, y: area.y},
+    {x: area.x + area.width, y: area.y + area.height}
+  ].map(corner => renderer.toHpglCoordinates({
+    x: this._toPlotterUnits(corner.x),
+    y: this._toPlotterUnits(corner.y)
+  }, rotation));
+
+  let xs = corners.map(corner => corner.x), ys = corners.map(corner => corner.y);
+  let window = [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)];
+
+  return this._parser.parse("IW" + window.join(","))[0];
+
+};
+
+/**
+ * Returns the plottable area for the current paper and orientation.
+ *
+ * @param {Boolean} [metric=true] Whether to use metric (cm, default) or imperial values (inches).
+ * @returns {Rectangle} A `Rectangle` object which contains information about the width, the height
+ * and the position (x, y) of the plottable area.
+ */
+Plotter.prototype.getPlottableArea = function(metric = true) {
+
+  let paper = this.characteristics.papers[this.paper],
+    x = 0,
+    y = 0,
+    width = 0,
+    height = 0;
+
+  if (this.orientation === "portrait") {
+    width = this._fromPlotterUnits(paper.short, metric);
+    height = this._fromPlotterUnits(paper.long, metric);
+  } else {
+    width = this._fromPlotterUnits(paper.long, metric);
+    height = this._fromPlotterUnits(paper.short, metric);
+  }
+
+  // If margins are defined
+  if (paper.margins) {
+    x = this._fromPlotterUnits(paper.margins[this.orientation].left || 0);
+    y = this._fromPlotterUnits(paper.margins[this.orientation].top || 0);
+  }
+
+  return new Rectangle(x, y, width, height);
+
+};
+
+/**
+ * Returns an object with `top`, `right`, `bottom` and `left` properties each containing the size of
+ * the corresponding margin. The device model, the paper size and the paper orientation must have
+ * been defined before calling this function, otherwise the function will return `undefined`.
+ *
+ * @param metric {Boolean} Whether the margin values should be returned in cm (default) or decimal
+ * inches.
+ * @returns {Object} An object with `top`, `right`, `bottom` and `left` properties.
+ */
+Plotter.prototype.getMargins = function(metric = true) {
+
+  let paper, margins = {};
+
+  try {
+    paper = this.characteristics.papers[this.paper];
+  } catch (e) {
+    return undefined;
+  }
+
+  if (!paper || !ORIENTATIONS.includes(this.orientation)) return undefined;
+
+  // Margins that are not known are considered to be nil
+  let known = paper.margins ? paper.margins[this.orientation] : {};
+  margins.top = this._fromPlotterUnits(known.top || 0, metric);
+  margins.right = this._fromPlotterUnits(known.right || 0, metric);
+  margins.bottom = this._fromPlotterUnits(known.bottom || 0, metric);
+  margins.left = this._fromPlotterUnits(known.left || 0, metric);
+
+  return margins;
+
+};
+
+/**
+ * Fetches status information about the device. Once retrieved, the status information is packaged
+ * in an object that is passed to the specified callback.
+ *
+ * The status request is not queued. It is being answered by the device in an immediate fashion. It
+ * still takes a little while but does not wait for previous drawing instructions to complete. It
+ * does not affect drawing in any way.
+ *
+ * @param {Function} [callback] A function to call once the status data has been obtained from the
+ * device. This function receives an object with various properties which are detailed below (or an
+ * `Error` object if the device could not be queried).
+ * @param {Boolean} callback.rollPaper Whether roll paper or sheet paper is being used.
+ * @param {Boolean} callback.cleanPaper Whether the paper is "clean" (set after being sensed). The
+ * paper is considered to not be clean if:
+ *  * No paper is loaded or advanced
+ *  * The pen has touched the paper
+ *  * No paper was sensed before or after paper advance (end of roll)
+ * @param {Boolean} callback.paperAdvance Whether a paper advance instruction has been received
+ * since the last time the status was retrieved.
+ * @param {Boolean} callback.bufferEmpty Whether the buffer is currently empty or not.
+ * @param {Boolean} callback.ready Whether the device is ready to receive instructions or not.
+ * @param {Boolean} callback.viewEngaged Whether "view" mode is currently engaged.
+ * @param {Boolean} callback.coverOpen Whether the cover is currently open.
+ * @param {Boolean} callback.emulateMode Whether the device is in emulate or normal mode.
+ * @param {Boolean} callback.expandMode Whether expand mode is activated or not.
+ * @param {Object} [options={}] Additional options
+ * @param {AbortSignal} [options.signal] A signal that can be used to stop waiting for the device's
+ * answer.
+ *
+ * @returns {Promise<Object>|Plotter} A promise fulfilled with the same status object passed to the
+ * callback. If a callback is specified, the `Plotter` object is returned instead to allow method
+ * chaining.
+ */
+Plotter.prototype.getStatus = function(callback = null, options = {}) {
+
+  // The options can be passed as the only parameter
+  if (callback && typeof callback === "object") [callback, options] = [null, callback];
+
+  return this._toPromise((resolve) => {
+
+    this.send(this.RS232_PREFIX + "O", (data) => {
+
+      let n = parseInt(data);
+
+      let status = {
+        rollPaper:    (n & 0b000000001) === 1,
+        cleanPaper:   (n & 0b000000010) !== 2,
+        paperAdvance: (n & 0b000000100) === 4,
+        bufferEmpty:  (n & 0b000001000) === 8,
+        ready:        (n & 0b000110000) === 0,
+        viewEngaged:  (n & 0b000110000) === 16,
+        coverOpen:    (n & 0b001000000) === 64,
+        emulateMode:  (n & 0b010000000) === 128,
+        expandMode:   (n & 0b100000000) === 256
+      };
+
+      resolve(status);
+
+    }, true);
+
+  }, options, this._toLegacyCallback(callback));
+
+};
+
+/**
+ * Queues a single HPGL instruction, a series of HPGL instructions concatenated in a string or a
+ * single RS-232-C device control command. The instructions will be sent as soon as the device's
+ * buffer can accept them.
+ *
+ * Unless you are very familiar with HPGL or RS-232-C, you should not use this method directly.
+ * Instead, you can use friendlier methods such as: [drawLines()]{@link Plotter#drawLines},
+ * [drawText()]{@link Plotter#drawText}, [drawCircle()]{@link Plotter#drawCircle}, etc.
+ *
+ * The instructions are broken down with an [HpglParser]{@link HpglParser}. Mnemonics may be
+ * lowercase, parameters may be separated by commas or whitespace and the terminating semicolon may
+ * be omitted.
+ *
+ * @param {string} instruction - Any valid HPGL instruction(s) or RS-232-C command.
+ * @param {Function} [callback=null] A function to call once the data has been sent to the device
+ * (default) or when an answer has been received from the device (when `waitForResponse` is true).
+ * Note that if `waitForResponse` is `true`, the callback function will receive a single parameter
+ * containing the data received from the device. Also note that if the instruction string contains
+ * multiple commands, the callback will be fired after each command.
+ * @param {Object} [options=Object] Additional options
+ * @param {Boolean} [options.waitForResponse=false] Whether to execute the callback function
+ * after the data has been sent or only after an answer has been received from the device.
+ * @param {Boolean} [options.executeCallbackOnAbort=false] Whether the specified callback (if any)
+ * should be executed or simply ignored when `Plotter.abort()` is called.
+ * @param {Boolean} [options.ignoreOutputInstructions=false] Whether to ignore HPGL output
+ * instructions (instructions starting with "O"). This is useful when plotting a whole file.
+ * @returns {Plotter} Returns the `Plotter` object to allow method chaining.
+ * @throws {SyntaxError} The instruction string cannot be parsed. In this case, none of the
+ * instructions it contains are queued.
+ */
+Plotter.prototype.queue = function(instruction, callback = null, options = {}) {
+
+  // Break the string down into individual instructions and filter out the ones that should be
+  // ignored.
+  let instructions = this._parser.parse(instruction)
+    .filter(parsed => {
+      return !(
+        options.ignoreOutputInstructions &&
+        parsed.type === "hpgl" &&
+        parsed.mnemonic.startsWith("O")
+      );
+    });
+
+  // Drawings are checked against the plottable area before being queued (see startValidating())
+  if (this._validation) instructions = this._validate(instructions);
+
+  instructions.forEach(parsed => this._trackPosition(parsed));
+
+  // While optimizing, instructions are held back. Instructions waiting for a response cannot be
+  // delayed so the instructions held back so far are optimized and queued before them.
+  if (this._optimization) {
+
+    if (!options.waitForResponse) {
+      this._optimization.instructions.push(...instructions);
+      if (typeof callback === "function") this._optimization.callbacks.push(callback);
+      return this;
+    }
+
+    this._queueOptimized();
+
+  }
+
+  return this._queueInstructions(instructions, callback, options);
+
+};
+
+/**
+ * Adds parsed instructions to the queue. The callback is attached to the last one.
+ *
+ * @private
+ * @param {Instruction[]} instructions - The instructions to queue.
+ * @param {Function} [callback=null] - See [queue()]{@link Plotter#queue}.
+ * @param {Object} [options={}] - See [queue()]{@link Plotter#queue}.
+ * @returns {Plotter} Returns the `Plotter` object to allow method chaining.
+ */
+Plotter.prototype._queueInstructions = function(instructions, callback = null, options = {}) {
+
+  let commands = instructions.map(parsed => parsed.toString());
+
+  // The callback is only added to the last element (if many instructions are concatenated together)
+  for (let i = 0; i < commands.length; i++) {
+
+    // Make sure a single instruction is not bigger than the device's buffer. This is also checked
+    // in send() but must be checked here because a command that is larger than the maximum buffer
+    // size will never make it to the send() function. Important: we must add 1 to the length
+    // because of the termination character that will be added by send().
+    if (
+      this.characteristics &&
+      this.characteristics.buffer &&
+      commands[i].length + 1 > this.characteristics.buffer
+    ) {
+      this._stopAndEmptyQueue();
+      throw new RangeError(
+        `Maximum HP-GL instruction length cannot be larger than device buffer. Instruction is ` +
+        `${(commands[i].length + 1)} characters long but buffer is only ${this.characteristics.buffer}.`
+      );
+    }
+
+    let command = { instruction: commands[i], parsed: instructions[i] };
+
+    if (i === commands.length - 1) {
+      command.callback = callback;
+      command.waitForResponse = options.waitForResponse;
+      command.executeCallbackOnAbort = options.executeCallbackOnAbort;
+    }
+
+    this._queue.push(command);
+
+  }
+
+  // If the queue is not set for execution, set it.
+  if (this._queueTimeOutId === 0 && !this._queueProcessing) {
+    this._scheduleQueue(this.QUEUE_DELAY);
+  }
+
+  return this;
+
+};
+
+/**
+ * Processes the queue of pending instructions.
+ *
+ * The queue is comprised of objects with `instruction`, `parsed` (the parsed instruction),
+ * `callback`, `waitForResponse` and `executeCallbackOnAbort` properties. How much is sent at once
+ * depends on the [handshake]{@link Plotter#handshake} in use. With polling, each cycle asks the
+ * device for its free buffer space (`ESC.B`) and then sends, in a single write, as many queued
+ * instructions as fit in that space. The delay between cycles adapts to how fast the device
+ * empties its buffer. With the other handshakes, instructions are sent in blocks whenever the
+ * device allows it. In all cases, an instruction that waits for a response ends a batch: the queue
+ * is held until the response is received.
+ *
+ * @private
+ */
+Plotter.prototype._processQueue = function() {
+
+  // Make sure any pending timeout is cancelled. We will add a new one if necessary. Exit if no
+  // commands are pending.
+  clearTimeout(this._queueTimeOutId);
+  this._queueTimeOutId = 0;
+  this._queueProcessing = false;
+  if (this._queue.length < 1) { return; }
+
+  // Nothing can be sent until the connection is reestablished (see the `reconnect` option of
+  // connect()).
+  if (!this.connected && !this._outputFile) { return; }
+
+  // Are we connected to a device? If not, simply save to file and move along
+  if (!this.connected && this._outputFile) {
+
+    // Since we are not limited by the device's buffer, exhaust all commands at once and empty
+    // queue when done.
+    this._queue.forEach((command) => {
+      this.send(command.instruction, command.callback);
+    });
+    this._queue = [];
+
+    // Make sure the queue continues to be processed.
+    this._scheduleQueue(this.QUEUE_DELAY);
+
+  } else if (
+    this.handshake === "polling" ||
+    this._queue[0].instruction.length + 1 > this._blockSize
+  ) {
+
+    // An instruction that does not fit in a single block can only be sent after making sure there
+    // is enough room for it.
+    this._processQueueByPolling();
+
+  } else {
+
+    this._processQueueWithHandshake();
+
+  }
+
+};
+
+/**
+ * Schedules the next processing of the queue.
+ *
+ * @private
+ * @param {Number} delay - The delay (in milliseconds) before the queue is processed.
+ */
+Plotter.prototype._scheduleQueue = function(delay) {
+  this._queueProcessing = false;
+  this._queueTimeOutId = setTimeout(this._processQueue.bind(this), delay);
+};
+
+/**
+ * Asks the device for its free buffer space and sends as many queued instructions as fit in it.
+ *
+ * @private
+ */
+Plotter.prototype._processQueueByPolling = function() {
+
+  let cycle = this._queueCycle;
+
+  this._queueProcessing = true;
+
+  // Before sending the actual commands, we first send a request to know the available buffer
+  // space on the device. Since the response can sometimes be lost, we setup a timer that will
+  // retry should the response never come in.
+  this._retryTimeoutId = setTimeout(() => {
+
+    // Release the previous callback to prevent it from being executed and screwing things up
+    this._releaseResponses();
+    this._buffer = "";
+    this._scheduleQueue(this.QUEUE_DELAY);
+
+  }, this.DEVICE_RS232_DELAY);
+
+  this.send(this.RS232_PREFIX + "B", (data) => {
+
+    let freeSpace = parseInt(data);
+
+    // This is a special case when no data is received after a set amount of time and the callback
+    // is released in order to start again.
+    if (freeSpace === -1) return;
+
+    // Remove retry timeout
+    clearTimeout(this._retryTimeoutId);
+    this._retryTimeoutId = 0;
+
+    // If the cycle was interrupted in the meantime, this response is no longer relevant.
+    if (cycle !== this._queueCycle) return;
+
+    if (this._queue.length < 1) {
+      this._queueProcessing = false;
+      return;
+    }
+
+    let sent = this._sendQueued(freeSpace || 0, (responded) => {
+      this._scheduleQueue(responded ? this.MIN_QUEUE_DELAY : this._queueDelay);
+    });
+
+    // If there is not enough buffer space, we wait longer and longer before trying again
+    if (sent) {
+      this._queueDelay = Math.max(this._queueDelay / 2, this.MIN_QUEUE_DELAY);
+    } else {
+      this._queueDelay = Math.min(this._queueDelay * 2, this.MAX_QUEUE_DELAY);
+      this._scheduleQueue(this._queueDelay);
+    }
+
+  }, true);
+
+};
+
+/**
+ * Sends the next block of queued instructions when the device allows it (as per the current
+ * [handshake]{@link Plotter#handshake}).
+ *
+ * @private
+ */
+Plotter.prototype._processQueueWithHandshake = function() {
+
+  let cycle = this._queueCycle;
+
+  // Once a block has been written (and, if possible, actually transmitted), we move on to the next
+  // one.
+  let resume = () => {
+    if (typeof this.transport.drain === "function") {
+      this.transport.drain(() => {
+        if (cycle === this._queueCycle) this._scheduleQueue(0);
+      });
+    } else {
+      this._scheduleQueue(0);
+    }
+  };
+
+  this._queueProcessing = true;
+
+  if (this.handshake === "enqack") {
+
+    // The device answers the enquiry when it has room for a full block. Sending another enquiry
+    // could get two answers for the same room, so the queue is given up on if none comes.
+    this._retryTimeoutId = setTimeout(() => {
+      this._acknowledge = undefined;
+      this._failQueue(
+        new Error("The device did not acknowledge the enquiry in time (ENQ/ACK handshake).")
+      );
+    }, this._acknowledgeTimeout);
+
+    this._acknowledge = () => {
+      this._acknowledge = undefined;
+      clearTimeout(this._retryTimeoutId);
+      this._retryTimeoutId = 0;
+      if (cycle !== this._queueCycle) return;
+      if (!this._sendQueued(this._blockSize, resume)) this._queueProcessing = false;
+    };
+    this.transport.write(ENQ);
+
+  } else if (this.handshake === "xonxoff" && this._xoff) {
+
+    // The queue will be processed again when XON is received
+    this._queueProcessing = false;
+
+  } else if (!this._sendQueued(this._blockSize, resume)) {
+
+    this._queueProcessing = false;
+
+  }
+
+};
+
+/**
+ * Takes, from the front of the queue, as many instructions as fit in the specified space and sends
+ * them in a single write. An instruction that waits for a response always ends the batch.
+ *
+ * @private
+ * @param {Number} space - The number of bytes that can be sent.
+ * @param {Function} resume - A function to call once the batch has been written or, if the last
+ * instruction waits for a response, once the response has been received. It receives a boolean
+ * indicating whether a response was waited for. It is not called if the queue is stopped in the
+ * meantime.
+ * @returns {Boolean} Whether anything was sent.
+ */
+Plotter.prototype._sendQueued = function(space, resume) {
+
+  let cycle = this._queueCycle;
+
+  // Pack as many instructions as possible in the available space. The length includes the
+  // terminator that will be added by send().
+  let batch = [], size = 0;
+
+  while (this._queue.length > 0) {
+
+    // In resilience mode, the device answering a request confirms that it received everything
+    // written before. With handshakes that do not poll the device, such a request must be added
+    // regularly.
+    if (
+      this._reconnection &&
+      this._unacknowledged.length + batch.length >= RECONNECTION_SYNC_INTERVAL
+    ) {
+      if (size + 3 <= space) batch.push(this._getSyncCommand());
+      break;
+    }
+
+    let length = this._queue[0].instruction.length + 1;
+    if (size + length > space) break;
+
+    let command = this._queue.shift();
+    batch.push(command);
+    size += length;
+
+    if (command.waitForResponse) break;
+
+  }
+
+  if (batch.length < 1) return false;
+
+  let command = batch[batch.length - 1];
+
+  // If the last command must wait for a response, we have to hold the queue until then.
+  if (command.waitForResponse) {
+
+    // console.info("Wait for response.");
+
+    this._sendBatch(batch);
+
+    // Make sure the callback will be triggered if an abort call is made (if required)
+    let onAbort = () => {
+      if (
+        command.executeCallbackOnAbort &&
+        typeof command.callback === "function"
+      ) {
+        command.callback();
+      }
+    };
+    this.once("aborted", onAbort);
+
+    this._responses.once("response", () => {
+      this.removeListener("aborted", onAbort);
+      if (cycle === this._queueCycle) resume(true);
+    });
+
+  } else {
+
+    this._sendBatch(batch, () => {
+      if (cycle === this._queueCycle) resume(false);
+    });
+
+  }
+
+  return true;
+
+};
+
+/**
+ * Returns a command requesting the pen's position, whose only purpose is to find out when the
+ * device has received the data sent before it (in resilience mode).
+ *
+ * @private
+ * @returns {Object} A command that waits for the device's response.
+ */
+Plotter.prototype._getSyncCommand = function() {
+  let parsed = this._parser.parse("OA")[0];
+  return {instruction: parsed.toString(), parsed: parsed, waitForResponse: true};
+};
+
+/**
+ * Sends several queued commands to the device in a single write. The callbacks are executed in
+ * order once the data has been written except for a command that waits for a response (which can
+ * only be the last one): its callback receives the response.
+ *
+ * @private
+ * @param {Object[]} commands - Commands taken from the queue.
+ * @param {Function} [onWritten] - A function to call once the data has been written (after the
+ * commands' callbacks).
+ */
+Plotter.prototype._sendBatch = function(commands, onWritten) {
+
+  let last = commands[commands.length - 1];
+  let data = commands.map(command => this._prepare(command.instruction)).join("");
+
+  // In resilience mode, we keep track of what the device may not have received yet
+  if (this._reconnection) {
+    commands.forEach(command => {
+      this._unacknowledged.push(command);
+      if (command.parsed) this._sentState = this._getPenState(this._sentState, command.parsed);
+    });
+  }
+
+  if (last.waitForResponse) {
+    this._responses.once("response", (response) => {
+
+      // When the connection is lost, the command is sent again (see _reconnect())
+      if (response === -1 && this._reconnection && this._reconnection.active) return;
+
+      if (typeof last.callback === "function") last.callback(response);
+
+    });
+  }
+
+  this.transport.write(data, (results) => {
+    commands.forEach(command => {
+      if (!command.waitForResponse && typeof command.callback === "function") {
+        command.callback(results);
+      }
+    });
+    if (typeof onWritten === "function") onWritten();
+  });
+
+};
+
+/**
+ * The `VirtualPlotter` class emulates an HPGL-compatible device. It implements the same interface
+ * as the [serialport](https://www.npmjs.com/package/serialport) module (`open()`, `close()`,
+ * `write()`, `isOpen` and the `data` event) which means it can be passed to
+ * [Plotter.connect()]{@link Plotter#connect} in place of a real transport. This makes it possible
+ * to develop and test plotting code without access to the actual hardware.
+ *
+ * The emulator interprets what it receives. It answers the `ESC.A`, `ESC.B`, `ESC.E`, `ESC.L` and
+ * `ESC.O` device-control instructions as well as the `OA`, `OC`, `OE` and `OI` output
+ * instructions like the chosen entry of [Models]{@link Models} would. It simulates a finite buffer
+ * which drains over time and it keeps track of the pen's position, of the selected pen and of
+ * whether the pen is up or down. Instructions the model does not recognize, or that have the wrong
+ * number of parameters, are ignored and reported by `OE`. So are user-defined characters (`UC`)
+ * with out-of-range pen moves.
+ *
+ * ```
+ * const {Plotter, VirtualPlotter} = require("hpgl");
+ *
+ * let transport = new VirtualPlotter({model: "7475A"});
+ * let plotter = new Plotter();
+ *
+ * plotter.connect(transport, {}, function(error) {
+ *   this.moveTo(2, 2).drawRectangle(4, 3);
+ * });
+ * ```
+ *
+ * @param {Object} [options={}] Options to configure the emulated device.
+ * @param {string} [options.model="7475A"] - The model to emulate. This must be one of the entries
+ * found in [Models]{@link Models}.
+ * @param {string} [options.path="virtual"] - A name for the emulated port. It is used in error
+ * messages, just like the path of a real serial port would.
+ * @param {number} [options.drainRate=2000] - The number of bytes per second that the emulated
+ * device consumes from its buffer.
+ * @param {number} [options.responseDelay=5] - The delay (in milliseconds) after which the device
+ * answers output and device-control instructions.
+ *
+ * @class
+ * @fires VirtualPlotter#data
+ * @fires VirtualPlotter#instruction
+ */
+let VirtualPlotter = function(options = {}) {
+
+  EventEmitter.call(this);
+
+  /**
+   * The interval (in milliseconds) at which the emulated buffer is drained.
+   *
+   * @member {Number}
+   * @name VirtualPlotter#DRAIN_INTERVAL
+   * @constant
+   * @default 20
+   * @private
+   */
+  Object.defineProperty(this, "DRAIN_INTERVAL", {
+    enumerable: true,
+    writable: false,
+    value: 20
+  });
+
+  if (!Models[options.model || "7475A"]) {
+    throw new Error("The model to emulate (" + options.model + ") is not a supported model.");
+  }
+
+  /**
+   * @type {PlotterCharacteristics}
+   * @readonly
+   */
+  this.characteristics = Models[options.model || "7475A"];
+
+  /**
+   * The name of the emulated port.
+   *
+   * @type {String}
+   * @readonly
+   */
+  this.path = options.path || "virtual";
+
+  /**
+   * The total size (in bytes) of the emulated buffer.
+   *
+   * @type {Number}
+   * @readonly
+   */
+  this.bufferSize = parseInt(this.characteristics.buffer);
+
+  /**
+   * The number of bytes the emulated device consumes from its buffer every second.
+   *
+   * @type {Number}
+   */
+  this.drainRate = parseFloat(options.drainRate) || 2000;
+
+  /**
+   * The delay (in milliseconds) after which the device answers output and device-control
+   * instructions.
+   *
+   * @type {Number}
+   */
+  this.responseDelay = parseFloat(options.responseDelay) >= 0 ? parseFloat(options.responseDelay) : 5;
+
+  /**
+   * The current position of the pen (in plotter units).
+   *
+   * @type {Object}
+   * @readonly
+   */
+  this.position = {x: 0, y: 0};
+
+  /**
+   * Whether the pen is currently down.
+   *
+   * @type {Boolean}
+   * @readonly
+   */
+  this.penDown = false;
+
+  /**
+   * The number of the pen currently held (`0` means no pen).
+   *
+   * @type {Number}
+   * @readonly
+   */
+  this.pen = 0;
+
+  /**
+   * Values received through the RS-232-C device-control instructions that carry parameters
+   * (`ESC.@`, `ESC.H`, `ESC.I`, `ESC.M` and `ESC.N`). The keys are the instruction letters and
+   * omitted parameters are `undefined`. The handshakes configured this way (Xon/Xoff, ENQ/ACK and
+   * hardwire) are emulated.
+   *
+   * @type {Object}
+   * @readonly
+   */
+  this.configuration = {};
+
+  /**
+   * Whether the port is currently open.
+   *
+   * @private
+   * @member {Boolean}
+   */
+  this._open = false;
+
+  /**
+   * Complete HP-GL instructions waiting in the buffer, in the form `{instruction, size}`.
+   *
+   * @private
+   * @member {Array}
+   */
+  this._pending = [];
+
+  /**
+   * HP-GL instruction currently being received (not yet terminated).
+   *
+   * @private
+   * @member {String}
+   */
+  this._partial = "";
+
+  /**
+   * Device-control instruction currently being received (`undefined` when none is).
+   *
+   * @private
+   * @member {String}
+   */
+  this._escape = undefined;
+
+  /**
+   * Number of bytes currently used in the buffer.
+   *
+   * @private
+   * @member {Number}
+   */
+  this._used = 0;
+
+  /**
+   * Unused byte budget carried over from the previous drain.
+   *
+   * @private
+   * @member {Number}
+   */
+  this._budget = 0;
+
+  /**
+   * ID of the timeout used to drain the buffer.
+   *
+   * @private
+   * @member {Number}
+   */
+  this._drainTimeoutId = 0;
+
+  /**
+   * Data written but not yet accepted by the device (when the hardwire handshake holds it back),
+   * in the form `{data, callback}`.
+   *
+   * @private
+   * @member {Array}
+   */
+  this._incoming = [];
+
+  /**
+   * Whether an enquiry (ENQ/ACK handshake) is waiting to be acknowledged.
+   *
+   * @private
+   * @member {Boolean}
+   */
+  this._enquiry = false;
+
+  /**
+   * Whether XOFF was sent and XON has not been sent since (Xon/Xoff handshake).
+   *
+   * @private
+   * @member {Boolean}
+   */
+  this._xoff = false;
+
+  /**
+   * Last RS-232-C error code (reported and cleared by `ESC.E`).
+   *
+   * @private
+   * @member {Number}
+   */
+  this._error = 0;
+
+  /**
+   * Last HP-GL error number (reported and cleared by `OE`, cleared by `IN`).
+   *
+   * @private
+   * @member {Number}
+   */
+  this._hpglError = 0;
+
+  /**
+   * Whether coordinates passed to `PU` and `PD` are absolute (`PA`) or relative (`PR`).
+   *
+   * @private
+   * @member {Boolean}
+   */
+  this._absolute = true;
+
+  /**
+   * Character terminating labels (as set by `DT`).
+   *
+   * @private
+   * @member {String}
+   */
+  this._labelTerminator = LABEL_TERMINATOR;
+
+  /**
+   * Parser used to read the parameters of buffered instructions.
+   *
+   * @private
+   * @member {HpglParser}
+   */
+  this._parser = new HpglParser();
+
+  /**
+   * Whether the port is currently open. This mimics the `isOpen` property of the
+   * [serialport](https://www.npmjs.com/package/serialport) module.
+   *
+   * @member {Boolean} VirtualPlotter#isOpen
+   * @readOnly
+   */
+  Object.defineProperty(this, 'isOpen', {
+    get: () => { return this._open; }
+  });
+
+};
+
+Object.setPrototypeOf(VirtualPlotter.prototype, EventEmitter.prototype);
+
+/**
+ * Opens the emulated port.
+ *
+ * @param {Function} [callback] A function to call once the port is open.
+ */
+VirtualPlotter.prototype.open = function(callback) {
+
+  if (this._open) {
+    setImmediate(() => {
+      if (typeof callback === "function") callback(new Error("Port is already open."));
+    });
+    return;
+  }
+
+  this._open = true;
+
+  setImmediate(() => {
+    this.emit("open");
+    if (typeof callback === "function") callback();
+  });
+
+};
+
+/**
+ * Closes the emulated port. Instructions still waiting in the buffer are discarded.
+ *
+ * @param {Function} [callback] A function to call once the port is closed.
+ */
+VirtualPlotter.prototype.close = function(callback) {
+
+  this._open = false;
+  this._incoming = [];
+  this._reset();
+
+  setImmediate(() => {
+    this.emit("close");
+    if (typeof callback === "function") callback();
+  });
+
+};
+
+/**
+ * Writes data to the emulated device.
+ *
+ * @param {string|Buffer} data The data to write.
+ * @param {Function} [callback] A function to call once the data has been written (which, when the
+ * hardwire handshake is enabled, only happens once the device accepted all of it). If the port is
+ * not open, it receives an `Error` object.
+ */
+VirtualPlotter.prototype.write = function(data, callback) {
+
+  if (!this._open) {
+    setImmediate(() => {
+      let err = new Error("Port is not open.");
+      if (typeof callback === "function") {
+        callback(err);
+      } else {
+        this.emit("error", err);
+      }
+    });
+    return;
+  }
+
+  // Bytes are read as latin1 (one character per byte), just like the transports write them
+  if (typeof data !== "string") data = Buffer.from(data).toString("latin1");
+
+  this._incoming.push({data: data, callback: callback});
+  this._receiveIncoming();
+
+};
+
+/**
+ * Hands the written data over to the device. When the hardwire handshake is enabled, the data
+ * that does not fit in the buffer is held back until room is made.
+ *
+ * @private
+ */
+VirtualPlotter.prototype._receiveIncoming = function() {
+
+  while (this._incoming.length > 0) {
+
+    let item = this._incoming[0];
+    item.data = item.data.substring(this._receive(item.data));
+    if (item.data.length > 0) break;
+
+    this._incoming.shift();
+    setImmediate(() => {
+      if (typeof item.callback === "function") item.callback();
+    });
+
+  }
+
+};
+
+/**
+ * Discards the content of the buffer and any partially received instruction.
+ *
+ * @private
+ */
+VirtualPlotter.prototype._reset = function() {
+  clearTimeout(this._drainTimeoutId);
+  this._drainTimeoutId = 0;
+  this._pending = [];
+  this._partial = "";
+  this._escape = undefined;
+  this._used = 0;
+  this._budget = 0;
+  this._enquiry = false;
+};
+
+/**
+ * Parses incoming characters. Device-control instructions are executed immediately while HP-GL
+ * instructions are stored in the buffer.
+ *
+ * @private
+ * @param {string} data The received characters.
+ * @returns {Number} The number of characters received (less than the length of `data` if the
+ * hardwire handshake held back the rest).
+ */
+VirtualPlotter.prototype._receive = function(data) {
+
+  let i;
+
+  for (i = 0; i < data.length; i++) {
+
+    let char = data[i];
+
+    // Device-control instruction
+    if (this._escape !== undefined) {
+      if (!this._receiveEscape(char)) i--;
+      continue;
+    }
+
+    if (char === String.fromCharCode(27)) {
+      this._escape = "";
+      continue;
+    }
+
+    // Enquiry character of the ENQ/ACK handshake
+    if (char === this._getEnquiryCharacter()) {
+      this._enquiry = true;
+      continue;
+    }
+
+    // Separators between HP-GL instructions do not use buffer space
+    if (this._partial.length === 0 && /[\s;,]/.test(char)) continue;
+
+    // The hardwire handshake stops the host while the buffer is full
+    if (this._used >= this.bufferSize && this._isHardwired()) break;
+
+    if (this._used >= this.bufferSize) {
+      this._error = 16;
+      continue;
+    }
+
+    this._used++;
+    this._partial += char;
+
+    let terminator = ";";
+    if (LABEL_INSTRUCTIONS.includes(this._partial.substring(0, 2).toUpperCase())) {
+      terminator = this._labelTerminator;
+    }
+
+    if (this._partial.length > 2 && char === terminator) {
+
+      let instruction = this._partial.slice(0, -1);
+
+      // The label terminator changes as soon as the instruction is received
+      if (instruction.substring(0, 2).toUpperCase() === "DT") {
+        this._labelTerminator = instruction.length > 2 ? instruction[2] : LABEL_TERMINATOR;
+      }
+
+      this._pending.push({instruction: instruction, size: this._partial.length});
+      this._partial = "";
+
+    }
+
+  }
+
+  this._scheduleDrain();
+  this._handshake();
+
+  return i;
+
+};
+
+/**
+ * Accumulates and executes a device-control instruction (`ESC.` followed by a letter and, for some
+ * instructions, parameters terminated by a colon).
+ *
+ * @private
+ * @param {string} char The received character.
+ * @returns {Boolean} Whether the character was consumed. When `false`, the character terminated
+ * the instruction and must be processed as regular input.
+ */
+VirtualPlotter.prototype._receiveEscape = function(char) {
+
+  // The first character after ESC must be a period
+  if (this._escape.length === 0) {
+    if (char === ".") {
+      this._escape = char;
+    } else {
+      this._error = 11;
+      this._escape = undefined;
+    }
+    return true;
+  }
+
+  // Instructions without parameters are executed as soon as their letter is received
+  if (this._escape.length === 1) {
+
+    if ("@HIMN".includes(char)) {
+      this._escape += char;
+    } else {
+      this._escape = undefined;
+      this._executeEscape(char);
+    }
+    return true;
+
+  }
+
+  // Parameters are terminated by a colon (or by any character that cannot be a parameter)
+  if (char === ":") {
+    this._configure(this._escape[1], this._escape.substring(2));
+    this._escape = undefined;
+    return true;
+  } else if (/[\d;]/.test(char)) {
+    this._escape += char;
+    return true;
+  } else {
+    this._configure(this._escape[1], this._escape.substring(2));
+    this._escape = undefined;
+    return false;
+  }
+
+};
+
+/**
+ * Stores the parameters of a device-control instruction.
+ *
+ * @private
+ * @param {string} letter The instruction's letter.
+ * @param {string} parameters The semicolon-separated parameters.
+ */
+VirtualPlotter.prototype._configure = function(letter, parameters) {
+  this.configuration[letter] = parameters.length < 1 ? [] : parameters.split(";")
+    .map(p => p.length > 0 ? parseInt(p, 10) : undefined);
+};
+
+/**
+ * Executes a device-control instruction that does not take parameters.
+ *
+ * @private
+ * @param {string} letter The instruction's letter.
+ */
+VirtualPlotter.prototype._executeEscape = function(letter) {
+
+  switch (letter) {
+
+    case "A":   // Output identification
+      this._respond(this.characteristics.model + ",0");
+      break;
+
+    case "B":   // Output buffer space
+      this._respond(this.bufferSize - this._used);
+      break;
+
+    case "E":   // Output extended error
+      this._respond(this._error);
+      this._error = 0;
+      break;
+
+    case "L":   // Output buffer size
+      this._respond(this.bufferSize);
+      break;
+
+    case "O":   // Output extended status (bit 3: buffer empty)
+      this._respond(this._used === 0 ? 8 : 0);
+      break;
+
+    case "K":   // Abort graphics
+      this._reset();
+      break;
+
+    case "R":   // Reset handshake
+      delete this.configuration["@"];
+      delete this.configuration.H;
+      delete this.configuration.I;
+      delete this.configuration.N;
+      this._enquiry = false;
+      this._xoff = false;
+      break;
+
+    case "J":   // Abort device control
+    case "(":   // Plotter on
+    case ")":   // Plotter off
+    case "Y":   // Plotter on
+    case "Z":   // Plotter off
+      break;
+
+    default:
+      this._error = 11;
+
+  }
+
+};
+
+/**
+ * Sends a `\r`-terminated response back to the host.
+ *
+ * @private
+ * @param {*} response The response to send.
+ */
+VirtualPlotter.prototype._respond = function(response) {
+  this._transmit(response + "\r");
+};
+
+/**
+ * Sends characters back to the host.
+ *
+ * @private
+ * @param {string} data The characters to send.
+ * @param {Boolean} [immediate=false] Whether to send the characters right away instead of after
+ * the response delay (handshake characters are not delayed).
+ */
+VirtualPlotter.prototype._transmit = function(data, immediate = false) {
+
+  setTimeout(() => {
+
+    if (!this._open) return;
+
+    /**
+     * Event emitted when the emulated device sends data back to the host.
+     * @event VirtualPlotter#data
+     * @param {Buffer} data The data sent by the device.
+     */
+    this.emit("data", Buffer.from(data, "latin1"));
+
+  }, immediate ? 0 : this.responseDelay);
+
+};
+
+/**
+ * Returns whether the hardwire handshake is enabled (bit 0 of the configuration byte of `ESC.@`).
+ *
+ * @private
+ * @returns {Boolean}
+ */
+VirtualPlotter.prototype._isHardwired = function() {
+  let config = this.configuration["@"];
+  return !!config && (config[1] & 1) === 1;
+};
+
+/**
+ * Returns the enquiry character of the ENQ/ACK handshake (as set by `ESC.H` or `ESC.I`) or
+ * `undefined` if there is none.
+ *
+ * @private
+ * @returns {string|undefined}
+ */
+VirtualPlotter.prototype._getEnquiryCharacter = function() {
+
+  let code = ["H", "I"]
+    .map(letter => (this.configuration[letter] || [])[1])
+    .find(code => code > 0);
+
+  return code ? String.fromCharCode(code) : undefined;
+
+};
+
+/**
+ * Sends the characters of the software handshakes depending on the free buffer space: the
+ * acknowledgement of a pending enquiry (ENQ/ACK) and XOFF or XON (Xon/Xoff).
+ *
+ * @private
+ */
+VirtualPlotter.prototype._handshake = function() {
+
+  let free = this.bufferSize - this._used;
+  let toCharacters = codes => codes.map(code => String.fromCharCode(code)).join("");
+
+  // Both instructions start with a block size (80 bytes by default) and an enquiry character.
+  // ESC.H then lists the acknowledgement string while ESC.I lists the XON characters.
+  let enqack = this.configuration.H || [];
+  let xonxoff = this.configuration.I || [];
+
+  if (this._enquiry) {
+    let config = enqack[1] > 0 ? enqack : xonxoff;
+    if (free >= (config[0] || 80)) {
+      this._enquiry = false;
+      this._transmit(toCharacters(config.slice(2).filter(code => code >= 0)), true);
+    }
+  }
+
+  let xoff = (this.configuration.N || [])[1];
+
+  if (xoff) {
+    let threshold = xonxoff[0] || 80;
+    if (!this._xoff && free < threshold) {
+      this._xoff = true;
+      this._transmit(String.fromCharCode(xoff), true);
+    } else if (this._xoff && free >= threshold) {
+      this._xoff = false;
+      let xon = xonxoff.slice(2).filter(code => code >= 0);
+      this._transmit(toCharacters(xon.length > 0 ? xon : [17]), true);
+    }
+  }
+
+};
+
+/**
+ * Sets a timeout to drain the buffer (unless one is already set or the buffer is empty).
+ *
+ * @private
+ */
+VirtualPlotter.prototype._scheduleDrain = function() {
+
+  if (this._drainTimeoutId !== 0 || this._pending.length < 1) return;
+
+  this._drainTimeoutId = setTimeout(() => {
+    this._drainTimeoutId = 0;
+    this._drain();
+  }, this.DRAIN_INTERVAL);
+
+};
+
+/**
+ * Executes as many buffered instructions as the drain rate allows.
+ *
+ * @private
+ */
+VirtualPlotter.prototype._drain = function() {
+
+  this._budget += this.drainRate * this.DRAIN_INTERVAL / 1000;
+
+  while (this._pending.length > 0 && this._pending[0].size <= this._budget) {
+    let item = this._pending.shift();
+    this._budget -= item.size;
+    this._used -= item.size;
+    this._execute(item.instruction);
+  }
+
+  if (this._pending.length < 1) this._budget = 0;
+
+  this._scheduleDrain();
+  this._receiveIncoming();
+  this._handshake();
+
+};
+
+/**
+ * Executes a single HP-GL instruction taken out of the buffer.
+ *
+ * @private
+ * @param {string} instruction The instruction (unterminated).
+ */
+VirtualPlotter.prototype._execute = function(instruction) {
+
+  let parsed;
+
+  try {
+    parsed = this._parser.parse(instruction)[0];
+  } catch (err) {
+    this._hpglError = 1;
+    return;
+  }
+
+  if (!parsed) return;
+
+  let mnemonic = parsed.mnemonic;
+  let values = parsed.parameters;
+
+  // Like the device, we ignore unknown instructions and instructions with a wrong number of
+  // parameters and remember the error for OE.
+  let error = this._getHpglError(mnemonic, values);
+
+  if (error) {
+    this._hpglError = error;
+    mnemonic = undefined;
+  }
+
+  switch (mnemonic) {
+
+    case "IN":
+      this._hpglError = 0;
+      this.penDown = false;
+      this._absolute = true;
+      this._labelTerminator = LABEL_TERMINATOR;
+      break;
+
+    case "DF":
+      this._absolute = true;
+      this._labelTerminator = LABEL_TERMINATOR;
+      break;
+
+    case "PA":
+    case "PR":
+      this._absolute = (mnemonic === "PA");
+      this._moveThrough(values);
+      break;
+
+    case "PU":
+    case "PD":
+      this.penDown = (mnemonic === "PD");
+      this._moveThrough(values);
+      break;
+
+    case "AA":
+    case "AR":
+      if (values.length >= 3) {
+        let cx = values[0], cy = values[1];
+        if (mnemonic === "AR") {
+          cx += this.position.x;
+          cy += this.position.y;
+        }
+        let sweep = values[2] * Math.PI / 180;
+        let dx = this.position.x - cx, dy = this.position.y - cy;
+        this.position = {
+          x: cx + dx * Math.cos(sweep) - dy * Math.sin(sweep),
+          y: cy + dx * Math.sin(sweep) + dy * Math.cos(sweep)
+        };
+      }
+      break;
+
+    case "SP":
+      this.pen = values.length > 0 ? Math.trunc(values[0]) : 0;
+      if (this.pen === 0) this.penDown = false;
+      break;
+
+    case "OA":
+    case "OC":
+      this._respond(
+        Math.round(this.position.x) + "," + Math.round(this.position.y) + "," +
+        (this.penDown ? 1 : 0)
+      );
+      break;
+
+    case "OE":
+      this._respond(this._hpglError);
+      this._hpglError = 0;
+      break;
+
+    case "OI":
+      this._respond(this.characteristics.model);
+      break;
+
+  }
+
+  /**
+   * Event emitted when the emulated device executes an HP-GL instruction taken out of its buffer.
+   * @event VirtualPlotter#instruction
+   * @param {string} instruction The executed instruction (unterminated).
+   */
+  this.emit("instruction", instruction);
+
+};
+
+/**
+ * Returns the HP-GL error number that the emulated device reports for an instruction: `1` if the
+ * model does not recognize it, `2` if it has the wrong number of parameters, `3` if a parameter is
+ * out of range and `0` otherwise. Only the parameters of the instructions the emulator interprets
+ * (moves, arcs, pens, output and user-defined characters) are checked.
+ *
+ * @private
+ * @param {string} mnemonic The mnemonic of the instruction.
+ * @param {Array} values The parameters of the instruction.
+ * @returns {Number}
+ */
+VirtualPlotter.prototype._getHpglError = function(mnemonic, values) {
+
+  if (!this.characteristics.instructions.includes(mnemonic)) return 1;
+
+  switch (mnemonic) {
+
+    case "PA":
+    case "PR":
+    case "PU":
+    case "PD":
+      return values.length % 2 === 0 ? 0 : 2;
+
+    case "AA":
+    case "AR":
+      return values.length >= 3 && values.length <= 4 ? 0 : 2;
+
+    case "IN":
+    case "DF":
+    case "OA":
+    case "OC":
+    case "OE":
+    case "OI":
+      return values.length === 0 ? 0 : 2;
+
+    case "SP":
+      return values.length <= 1 ? 0 : 2;
+
+    // Pen moves of user-defined characters go up to 98 grid units, 99 and -99 lower and raise the
+    // pen
+    case "UC":
+      return values.every(value => Math.abs(value) <= 99) ? 0 : 3;
+
+  }
+
+  return 0;
+
+};
+
+/**
+ * Moves the pen through a list of `x, y` pairs using the current plotting mode (absolute or
+ * relative).
+ *
+ * @private
+ * @param {number[]} values An array of coordinates in the form `[x1, y1, x2, y2, ...]`.
+ */
+VirtualPlotter.prototype._moveThrough = function(values) {
+
+  for (let i = 0; i + 1 < values.length; i += 2) {
+    if (this._absolute) {
+      this.position = {x: values[i], y: values[i + 1]};
+    } else {
+      this.position = {x: this.position.x + values[i], y: this.position.y + values[i + 1]};
+    }
+  }
+
+};
+
+/**
+ * The `WebSerialTransport` class makes a serial port obtained through the browser's
+ * [Web Serial API](https://developer.mozilla.org/docs/Web/API/Web_Serial_API) usable by
+ * [Plotter.connect()]{@link Plotter#connect}. It implements the same interface as the
+ * [serialport](https://www.npmjs.com/package/serialport) module (`open()`, `close()`, `write()`,
+ * `drain()`, `isOpen` and the `data` and `error` events) on top of the port's readable and writable
+ * streams.
+ *
+ * The port must be requested by the user (this has to happen in response to a user gesture, such
+ * as a click):
+ *
+ * ```
+ * import {Plotter, WebSerialTransport} from "hpgl";
+ *
+ * let port = await navigator.serial.requestPort();
+ * let plotter = new Plotter();
+ * await plotter.connect(new WebSerialTransport(port));
+ * ```
+ *
+ * @param {SerialPort} port A serial port obtained with `navigator.serial.requestPort()` or
+ * `navigator.serial.getPorts()`. Any object implementing the same interface can be used (for
+ * example, a mock object in tests).
+ * @param {Object} [options={}] Options used to open the port. Their default values match the
+ * usual settings of plotters (9600 baud, 8-N-1).
+ * @param {number} [options.baudRate=9600] The line speed.
+ * @param {number} [options.dataBits=8] The number of data bits per frame (7 or 8).
+ * @param {number} [options.stopBits=1] The number of stop bits per frame (1 or 2).
+ * @param {string} [options.parity="none"] The parity mode: *none*, *even* or *odd*.
+ * @param {string} [options.flowControl="none"] The flow control: *none* or *hardware* (required by
+ * the *hardware* handshake of the [Plotter]{@link Plotter}).
+ * @param {number} [options.bufferSize=255] The size of the read and write buffers.
+ * @param {string} [options.path="web-serial"] A name for the port. It is used in error messages,
+ * just like the path of a serial port would.
+ *
+ * @class
+ * @fires WebSerialTransport#data
+ * @fires WebSerialTransport#error
+ */
+let WebSerialTransport = function(port, options = {}) {
+
+  EventEmitter.call(this);
+
+  /**
+   * The underlying Web Serial API port.
+   *
+   * @type {SerialPort}
+   * @readonly
+   */
+  this.port = port;
+
+  /**
+   * The name of the port.
+   *
+   * @type {String}
+   * @readonly
+   */
+  this.path = options.path || "web-serial";
+
+  /**
+   * The options passed to the port's `open()` method.
+   *
+   * @private
+   * @member {Object}
+   */
+  this._options = {
+    baudRate: parseInt(options.baudRate) || 9600,
+    dataBits: parseInt(options.dataBits) || 8,
+    stopBits: parseInt(options.stopBits) || 1,
+    parity: options.parity || "none",
+    flowControl: options.flowControl || "none",
+    bufferSize: parseInt(options.bufferSize) || 255
+  };
+
+  /**
+   * Whether the port is currently open.
+   *
+   * @private
+   * @member {Boolean}
+   */
+  this._open = false;
+
+  /**
+   * Reader locking the port's readable stream (while the port is open).
+   *
+   * @private
+   * @member {ReadableStreamDefaultReader}
+   */
+  this._reader = undefined;
+
+  /**
+   * Writer locking the port's writable stream (while the port is open).
+   *
+   * @private
+   * @member {WritableStreamDefaultWriter}
+   */
+  this._writer = undefined;
+
+  /**
+   * Promise fulfilled once the read loop is over.
+   *
+   * @private
+   * @member {Promise}
+   */
+  this._reading = Promise.resolve();
+
+  /**
+   * Promise fulfilled once all the data written so far has been handed to the port. Writes are
+   * chained so they are performed in order.
+   *
+   * @private
+   * @member {Promise}
+   */
+  this._writing = Promise.resolve();
+
+  /**
+   * Whether the port is currently open. This mimics the `isOpen` property of the
+   * [serialport](https://www.npmjs.com/package/serialport) module.
+   *
+   * @member {Boolean} WebSerialTransport#isOpen
+   * @readOnly
+   */
+  Object.defineProperty(this, 'isOpen', {
+    get: () => { return this._open; }
+  });
+
+};
+
+Object.setPrototypeOf(WebSerialTransport.prototype, EventEmitter.prototype);
+
+/**
+ * Opens the port and starts listening to incoming data.
+ *
+ * @param {Function} [callback] A function to call once the port is open. If the port could not be
+ * opened, it receives an `Error` object.
+ */
+WebSerialTransport.prototype.open = function(callback) {
+
+  let done = error => { if (typeof callback === "function") callback(error); };
+
+  if (this._open) {
+    Promise.resolve().then(() => done(new Error("Port is already open.")));
+    return;
+  }
+
+  let opened = this.port.open(this._options).then(() => {
+    this._open = true;
+    this._writer = this.port.writable.getWriter();
+    this._writing = Promise.resolve();
+    this._read();
+  });
+
+  opened.then(() => {
+    this.emit("open");
+    done();
+  }, error => done(this._toError(error)));
+
+};
+
+/**
+ * Reads the incoming data until the port is closed. The data is emitted as strings holding one
+ * character per byte (latin1).
+ *
+ * @private
+ */
+WebSerialTransport.prototype._read = function() {
+
+  let reader = this.port.readable.getReader();
+
+  let next = () => {
+
+    return reader.read().then(result => {
+
+      if (result.done) return;
+
+      /**
+       * Event emitted when data is received from the device.
+       * @event WebSerialTransport#data
+       * @param {string} data The data received.
+       */
+      let data = "";
+      for (let byte of result.value) data += String.fromCharCode(byte);
+      if (data.length > 0) this.emit("data", data);
+
+      return next();
+
+    });
+
+  };
+
+  let failed = false;
+
+  this._reader = reader;
+
+  // Read errors (for example, when the device is unplugged) are reported unless the port is being
+  // closed. The port is then closed since it cannot be used anymore.
+  this._reading = next()
+    .catch(error => {
+
+      if (!this._open) return;
+      failed = true;
+
+      /**
+       * Event emitted when the port fails.
+       * @event WebSerialTransport#error
+       * @param {Error} error The error.
+       */
+      this.emit("error", error);
+
+    })
+    .then(() => {
+      reader.releaseLock();
+      this._reader = undefined;
+      if (failed) this.close();
+    });
+
+};
+
+/**
+ * Closes the port. Data already written is transmitted before the port is closed.
+ *
+ * @param {Function} [callback] A function to call once the port is closed. If the port could not
+ * be closed, it receives an `Error` object.
+ */
+WebSerialTransport.prototype.close = function(callback) {
+
+  let done = error => { if (typeof callback === "function") callback(error); };
+
+  if (!this._open) {
+    Promise.resolve().then(() => done());
+    return;
+  }
+
+  this._open = false;
+
+  let reader = this._reader;
+  let writer = this._writer;
+
+  let closed = this._writing
+    .then(() => reader ? reader.cancel() : undefined)
+    .then(() => this._reading)
+    .then(() => {
+      writer.releaseLock();
+      this._writer = undefined;
+      return this.port.close();
+    });
+
+  closed.then(() => {
+    this.emit("close");
+    done();
+  }, error => done(this._toError(error)));
+
+};
+
+/**
+ * Writes data to the port.
+ *
+ * @param {string|Uint8Array} data The data to write. Strings are encoded as latin1 (each character
+ * code is written as a single byte) so that labels using alternate character sets arrive intact.
+ * @param {Function} [callback] A function to call once the data has been handed to the port. If
+ * the data could not be written, it receives an `Error` object.
+ */
+WebSerialTransport.prototype.write = function(data, callback) {
+
+  let done = error => {
+    if (typeof callback === "function") {
+      callback(error);
+    } else if (error) {
+      this.emit("error", error);
+    }
+  };
+
+  if (!this._open) {
+    Promise.resolve().then(() => done(new Error("Port is not open.")));
+    return;
+  }
+
+  let bytes = data;
+
+  if (typeof data === "string") {
+    bytes = new Uint8Array(data.length);
+    for (let i = 0; i < data.length; i++) bytes[i] = data.charCodeAt(i) & 255;
+  }
+
+  let writer = this._writer;
+
+  // A failed write does not prevent the following ones
+  let written = this._writing.then(() => writer.write(bytes));
+  this._writing = written.catch(() => undefined);
+
+  written.then(() => done(), error => done(this._toError(error)));
+
+};
+
+/**
+ * Returns the specified value as an `Error` object (streams can be rejected with any value).
+ *
+ * @private
+ * @param {*} error
+ * @returns {Error}
+ */
+WebSerialTransport.prototype._toError = function(error) {
+  return error instanceof Error ? error : new Error(String(error));
+};
+
+/**
+ * Waits until all the data written so far has been handed to the port.
+ *
+ * @param {Function} [callback] A function to call once the data has been handed to the port.
+ */
+WebSerialTransport.prototype.drain = function(callback) {
+  this._writing.then(() => { if (typeof callback === "function") callback(); });
+};
+
+/**
+ * The `TcpTransport` class connects to a device through a serial device server (a box that makes
+ * a serial port available on the network). It implements the same interface as the
+ * [serialport](https://www.npmjs.com/package/serialport) module (`open()`, `close()`, `write()`,
+ * `drain()`, `isOpen` and the `data` and `error` events) which means it can be passed to
+ * [Plotter.connect()]{@link Plotter#connect} in place of a local serial port:
+ *
+ * ```
+ * const {Plotter, TcpTransport} = require("hpgl");
+ *
+ * let transport = new TcpTransport("192.168.1.20:4001");
+ * let plotter = new Plotter();
+ * await plotter.connect(transport);
+ * ```
+ *
+ * By default, the data is exchanged as is (raw TCP). Device servers that implement
+ * [RFC 2217](https://tools.ietf.org/html/rfc2217) can also be asked to configure their serial
+ * port (line speed, frame format and flow control) by using the `rfc2217` option.
+ *
+ * If the connection is lost while the transport is open, new connection attempts are made with an
+ * increasing delay. Data written in the meantime is sent once the connection is reestablished
+ * (data that was in transit when the connection was lost cannot be recovered). When all attempts
+ * fail, an `error` event is emitted and the transport is closed.
+ *
+ * @param {string} address The address of the device server, in the form `host:port` (for example,
+ * `"192.168.1.20:4001"` or `"[fe80::1]:4001"`).
+ * @param {Object} [options={}] Options to configure the connection.
+ * @param {number} [options.timeout=5000] The maximum time (in milliseconds) to wait for the
+ * connection to be established.
+ * @param {Boolean} [options.rfc2217=false] Whether to configure the serial port of the device
+ * server through the Telnet Com Port Control Option (RFC 2217).
+ * @param {number} [options.baudRate=9600] The line speed (RFC 2217 only).
+ * @param {number} [options.dataBits=8] The number of data bits per frame (RFC 2217 only).
+ * @param {number} [options.stopBits=1] The number of stop bits per frame (RFC 2217 only).
+ * @param {string} [options.parity="none"] The parity mode: *none*, *odd*, *even*, *mark* or
+ * *space* (RFC 2217 only).
+ * @param {string} [options.flowControl="none"] The flow control: *none*, *xonxoff* or *hardware*
+ * (RFC 2217 only).
+ * @param {number} [options.reconnectAttempts=3] The number of connection attempts made when the
+ * connection is lost. Use `0` to close the transport right away.
+ * @param {number} [options.reconnectDelay=1000] The delay (in milliseconds) before the first
+ * attempt. It doubles after each failed attempt.
+ *
+ * @class
+ * @fires TcpTransport#data
+ * @fires TcpTransport#error
+ * @fires TcpTransport#reconnecting
+ * @fires TcpTransport#reconnect
+ */
+let TcpTransport = function(address, options = {}) {
+
+  EventEmitter.call(this);
+
+  address = String(address);
+  let separator = address.lastIndexOf(":");
+
+  if (separator < 1 || !(parseInt(address.substring(separator + 1)) > 0)) {
+    throw new TypeError("The address must be in the form 'host:port' (" + address + ").");
+  }
+
+  /**
+   * The host name or IP address of the device server.
+   *
+   * @type {String}
+   * @readonly
+   */
+  this.host = address.substring(0, separator).replace(/^\[(.*)\]$/, "$1");
+
+  /**
+   * The TCP port of the device server.
+   *
+   * @type {Number}
+   * @readonly
+   */
+  this.port = parseInt(address.substring(separator + 1));
+
+  /**
+   * The address of the device server (`host:port`). It is used in error messages, just like the
+   * path of a serial port would.
+   *
+   * @type {String}
+   * @readonly
+   */
+  this.path = address;
+
+  /**
+   * The options of the connection (with their default values assigned).
+   *
+   * @private
+   * @member {Object}
+   */
+  this._options = {
+    timeout: parseInt(options.timeout) > 0 ? parseInt(options.timeout) : 5000,
+    rfc2217: !!options.rfc2217,
+    baudRate: parseInt(options.baudRate) || 9600,
+    dataBits: parseInt(options.dataBits) || 8,
+    stopBits: parseInt(options.stopBits) || 1,
+    parity: options.parity || "none",
+    flowControl: options.flowControl || "none",
+    reconnectAttempts: parseInt(options.reconnectAttempts) >= 0 ?
+      parseInt(options.reconnectAttempts) :
+      3,
+    reconnectDelay: parseInt(options.reconnectDelay) >= 0 ? parseInt(options.reconnectDelay) : 1000
+  };
+
+  /**
+   * The current socket (`undefined` when there is none).
+   *
+   * @private
+   * @member {net.Socket}
+   */
+  this._socket = undefined;
+
+  /**
+   * Whether the transport is open (it stays open while reconnecting).
+   *
+   * @private
+   * @member {Boolean}
+   */
+  this._open = false;
+
+  /**
+   * Data written while the connection is being reestablished, in the form `{data, callback}`.
+   *
+   * @private
+   * @member {Array}
+   */
+  this._pending = [];
+
+  /**
+   * Number of writes not yet handed to the operating system.
+   *
+   * @private
+   * @member {Number}
+   */
+  this._writes = 0;
+
+  /**
+   * Functions waiting for all writes to be handed to the operating system.
+   *
+   * @private
+   * @member {Function[]}
+   */
+  this._drainCallbacks = [];
+
+  /**
+   * ID of the timeout used to schedule the next connection attempt.
+   *
+   * @private
+   * @member {Number}
+   */
+  this._reconnectTimeoutId = 0;
+
+  /**
+   * Telnet sequence being received, as an array of bytes (RFC 2217 only).
+   *
+   * @private
+   * @member {Number[]}
+   */
+  this._telnet = [];
+
+  /**
+   * Whether the transport is open. This mimics the `isOpen` property of the
+   * [serialport](https://www.npmjs.com/package/serialport) module.
+   *
+   * @member {Boolean} TcpTransport#isOpen
+   * @readOnly
+   */
+  Object.defineProperty(this, 'isOpen', {
+    get: () => { return this._open; }
+  });
+
+};
+
+Object.setPrototypeOf(TcpTransport.prototype, EventEmitter.prototype);
+
+/**
+ * Connects to the device server.
+ *
+ * @param {Function} [callback] A function to call once the connection is established. If it could
+ * not be established, it receives an `Error` object.
+ */
+TcpTransport.prototype.open = function(callback) {
+
+  let done = error => { if (typeof callback === "function") callback(error); };
+
+  if (this._open) {
+    setImmediate(() => done(new Error("Port is already open.")));
+    return;
+  }
+
+  this._connect(error => {
+
+    if (error) {
+      done(error);
+      return;
+    }
+
+    this._open = true;
+    this.emit("open");
+    done();
+
+  });
+
+};
+
+/**
+ * Opens a socket to the device server and, if requested, configures its serial port.
+ *
+ * @private
+ * @param {Function} callback A function to call once the socket is connected (or has failed). It
+ * receives an `Error` object if the connection failed.
+ */
+TcpTransport.prototype._connect = function(callback) {
+
+  let socket = require("net").connect({host: this.host, port: this.port});
+  let settled = false;
+
+  let settle = error => {
+    if (settled) return;
+    settled = true;
+    socket.setTimeout(0);
+    if (error) socket.destroy();
+    callback(error);
+  };
+
+  socket.setTimeout(this._options.timeout, () => {
+    settle(new Error("Connection to " + this.path + " timed out."));
+  });
+
+  socket.once("error", error => settle(error));
+
+  socket.once("connect", () => {
+
+    this._socket = socket;
+    this._telnet = [];
+
+    socket.setNoDelay(true);
+    socket.setKeepAlive(true);
+    socket.on("data", data => this._receive(data));
+    socket.on("error", () => {}); // the 'close' event follows
+    socket.on("close", () => this._onSocketClose(socket));
+
+    if (this._options.rfc2217) this._negotiate();
+
+    settle();
+
+  });
+
+};
+
+/**
+ * Asks the device server to use the binary mode and to configure its serial port (RFC 2217).
+ *
+ * @private
+ */
+TcpTransport.prototype._negotiate = function() {
+
+  let options = this._options;
+  let baud = [options.baudRate >>> 24, options.baudRate >>> 16 & 255, options.baudRate >>> 8 & 255,
+    options.baudRate & 255];
+  let parities = {none: 1, odd: 2, even: 3, mark: 4, space: 5};
+  let stopBits = {1: 1, 2: 2, 1.5: 3};
+  let flowControls = {none: 1, xonxoff: 2, hardware: 3};
+
+  // Values equal to IAC must be doubled
+  let subnegotiate = (command, ...values) => [
+    TELNET.IAC, TELNET.SB, TELNET.COM_PORT_OPTION, command,
+    ...[].concat(...values.map(value => value === TELNET.IAC ? [value, value] : [value])),
+    TELNET.IAC, TELNET.SE
+  ];
+
+  this._socket.write(Buffer.from([
+    TELNET.IAC, TELNET.WILL, TELNET.BINARY,
+    TELNET.IAC, TELNET.DO, TELNET.BINARY,
+    TELNET.IAC, TELNET.WILL, TELNET.SUPPRESS_GO_AHEAD,
+    TELNET.IAC, TELNET.DO, TELNET.SUPPRESS_GO_AHEAD,
+    TELNET.IAC, TELNET.WILL, TELNET.COM_PORT_OPTION,
+    ...subnegotiate(TELNET.SET_BAUDRATE, ...baud),
+    ...subnegotiate(TELNET.SET_DATASIZE, options.dataBits),
+    ...subnegotiate(TELNET.SET_PARITY, parities[options.parity] || 1),
+    ...subnegotiate(TELNET.SET_STOPSIZE, stopBits[options.stopBits] || 1),
+    ...subnegotiate(TELNET.SET_CONTROL, flowControls[options.flowControl] || 1)
+  ]));
+
+};
+
+/**
+ * Handles data received from the device server. With RFC 2217, Telnet sequences are removed from
+ * the data and answered.
+ *
+ * @private
+ * @param {Buffer} data
+ */
+TcpTransport.prototype._receive = function(data) {
+
+  if (!this._options.rfc2217) {
+    this._emitData(data);
+    return;
+  }
+
+  let bytes = [];
+
+  for (let byte of data) {
+
+    let sequence = this._telnet;
+
+    if (sequence.length === 0) {
+      if (byte === TELNET.IAC) sequence.push(byte); else bytes.push(byte);
+      continue;
+    }
+
+    sequence.push(byte);
+
+    if (sequence[1] === TELNET.IAC) {
+
+      // Escaped data byte
+      bytes.push(TELNET.IAC);
+      this._telnet = [];
+
+    } else if ([TELNET.WILL, TELNET.WONT, TELNET.DO, TELNET.DONT].includes(sequence[1])) {
+
+      if (sequence.length === 3) {
+        this._answerTelnet(sequence[1], sequence[2]);
+        this._telnet = [];
+      }
+
+    } else if (sequence[1] === TELNET.SB) {
+
+      // Subnegotiations (the server's answers to ours) end with an unescaped IAC SE
+      let escapes = 0;
+      while (sequence[sequence.length - 2 - escapes] === TELNET.IAC) escapes++;
+      if (byte === TELNET.SE && escapes % 2 === 1 && sequence.length > 4) this._telnet = [];
+
+    } else {
+
+      // Other commands (such as NOP or GA) carry no data
+      this._telnet = [];
+
+    }
+
+  }
+
+  if (bytes.length > 0) this._emitData(Buffer.from(bytes));
+
+};
+
+/**
+ * Emits the data received from the device.
+ *
+ * @private
+ * @param {Buffer} data
+ */
+TcpTransport.prototype._emitData = function(data) {
+
+  /**
+   * Event emitted when data is received from the device.
+   * @event TcpTransport#data
+   * @param {Buffer} data The data received.
+   */
+  this.emit("data", data);
+
+};
+
+/**
+ * Answers a Telnet option negotiation. Only the options requested by the transport are accepted.
+ *
+ * @private
+ * @param {Number} command The command (`WILL`, `WONT`, `DO` or `DONT`).
+ * @param {Number} option The option.
+ */
+TcpTransport.prototype._answerTelnet = function(command, option) {
+
+  let requested = [TELNET.BINARY, TELNET.SUPPRESS_GO_AHEAD, TELNET.COM_PORT_OPTION];
+  if (requested.includes(option) || !this._socket) return;
+
+  if (command === TELNET.DO) {
+    this._socket.write(Buffer.from([TELNET.IAC, TELNET.WONT, option]));
+  } else if (command === TELNET.WILL) {
+    this._socket.write(Buffer.from([TELNET.IAC, TELNET.DONT, option]));
+  }
+
+};
+
+/**
+ * Handles the closing of a socket. If the transport is still open, the connection is
+ * reestablished.
+ *
+ * @private
+ * @param {net.Socket} socket
+ */
+TcpTransport.prototype._onSocketClose = function(socket) {
+
+  if (socket !== this._socket) return;
+  this._socket = undefined;
+
+  if (!this._open) return;
+
+  if (this._options.reconnectAttempts > 0) {
+    this._reconnect(1);
+  } else {
+    this._fail(new Error("Connection to " + this.path + " was lost."));
+  }
+
+};
+
+/**
+ * Schedules an attempt to reestablish the connection.
+ *
+ * @private
+ * @param {Number} attempt The number of the attempt (starting at 1).
+ */
+TcpTransport.prototype._reconnect = function(attempt) {
+
+  /**
+   * Event emitted when the connection was lost and an attempt to reestablish it is scheduled.
+   * @event TcpTransport#reconnecting
+   * @param {Number} attempt The number of the attempt (starting at 1).
+   */
+  this.emit("reconnecting", attempt);
+
+  let delay = this._options.reconnectDelay * Math.pow(2, attempt - 1);
+
+  this._reconnectTimeoutId = setTimeout(() => {
+
+    this._reconnectTimeoutId = 0;
+
+    this._connect(error => {
+
+      // The transport may have been closed in the meantime
+      if (!this._open) {
+        if (!error) this._socket.destroy();
+        return;
+      }
+
+      if (error && attempt < this._options.reconnectAttempts) {
+        this._reconnect(attempt + 1);
+        return;
+      } else if (error) {
+        this._fail(new Error("Connection to " + this.path + " was lost (" + error.message + ")."));
+        return;
+      }
+
+      /**
+       * Event emitted when the connection has been reestablished. The data written in the
+       * meantime is then sent.
+       * @event TcpTransport#reconnect
+       */
+      this.emit("reconnect");
+
+      let pending = this._pending;
+      this._pending = [];
+      pending.forEach(write => this._send(write.data, write.callback));
+
+    });
+
+  }, delay);
+
+};
+
+/**
+ * Closes the transport after the connection was lost for good. Pending writes fail.
+ *
+ * @private
+ * @param {Error} error
+ */
+TcpTransport.prototype._fail = function(error) {
+
+  this._open = false;
+  this._rejectPending(error);
+
+  /**
+   * Event emitted when the connection is lost and cannot be reestablished.
+   * @event TcpTransport#error
+   * @param {Error} error The error.
+   */
+  this.emit("error", error);
+  this.emit("close");
+
+};
+
+/**
+ * Calls the callbacks of the writes waiting for the connection to be reestablished with an error.
+ *
+ * @private
+ * @param {Error} error
+ */
+TcpTransport.prototype._rejectPending = function(error) {
+
+  let pending = this._pending;
+  this._pending = [];
+
+  pending.forEach(write => this._onWritten(write.callback, error));
+
+};
+
+/**
+ * Closes the connection. Data already written is transmitted before the connection is closed.
+ *
+ * @param {Function} [callback] A function to call once the connection is closed.
+ */
+TcpTransport.prototype.close = function(callback) {
+
+  let done = () => {
+    this.emit("close");
+    if (typeof callback === "function") callback();
+  };
+
+  if (!this._open) {
+    setImmediate(() => { if (typeof callback === "function") callback(); });
+    return;
+  }
+
+  this._open = false;
+  clearTimeout(this._reconnectTimeoutId);
+  this._reconnectTimeoutId = 0;
+  this._rejectPending(new Error("Port is not open."));
+
+  let socket = this._socket;
+  this._socket = undefined;
+
+  if (!socket) {
+    setImmediate(done);
+    return;
+  }
+
+  socket.once("close", done);
+  socket.end(() => socket.destroy());
+
+};
+
+/**
+ * Writes data to the device server. While the connection is being reestablished, the data is
+ * kept until it can be sent.
+ *
+ * @param {string|Buffer} data The data to write. Strings are encoded as latin1 (each character
+ * code is written as a single byte) so that labels using alternate character sets arrive intact.
+ * @param {Function} [callback] A function to call once the data has been handed to the operating
+ * system. If the data could not be written, it receives an `Error` object.
+ */
+TcpTransport.prototype.write = function(data, callback) {
+
+  if (!this._open) {
+    setImmediate(() => {
+      let err = new Error("Port is not open.");
+      if (typeof callback === "function") {
+        callback(err);
+      } else {
+        this.emit("error", err);
+      }
+    });
+    return;
+  }
+
+  this._writes++;
+
+  if (this._socket) {
+    this._send(data, callback);
+  } else {
+    this._pending.push({data: data, callback: callback});
+  }
+
+};
+
+/**
+ * Sends data through the current socket. If the socket fails while the transport is open, the
+ * data is sent again once the connection is reestablished.
+ *
+ * @private
+ * @param {string|Buffer} data
+ * @param {Function} [callback]
+ */
+TcpTransport.prototype._send = function(data, callback) {
+
+  let bytes = typeof data === "string" ? Buffer.from(data, "latin1") : Buffer.from(data);
+
+  // Data bytes equal to IAC must be doubled
+  if (this._options.rfc2217 && bytes.includes(TELNET.IAC)) {
+    bytes = Buffer.from([].concat(...Array.from(bytes).map(byte => {
+      return byte === TELNET.IAC ? [byte, byte] : [byte];
+    })));
+  }
+
+  this._socket.write(bytes, error => {
+    if (error && this._open) {
+      this._pending.push({data: data, callback: callback});
+    } else {
+      this._onWritten(callback, error);
+    }
+  });
+
+};
+
+/**
+ * Reports the end of a write and calls the functions waiting for all writes to be done.
+ *
+ * @private
+ * @param {Function} [callback] The callback of the write.
+ * @param {Error} [error] The error that occured, if any.
+ */
+TcpTransport.prototype._onWritten = function(callback, error) {
+
+  this._writes--;
+
+  if (typeof callback === "function") {
+    callback(error);
+  } else if (error && this._open) {
+    this.emit("error", error);
+  }
+
+  if (this._writes === 0) {
+    let callbacks = this._drainCallbacks;
+    this._drainCallbacks = [];
+    callbacks.forEach(callback => callback());
+  }
+
+};
+
+/**
+ * Waits until all the data written so far has been handed to the operating system.
+ *
+ * @param {Function} [callback] A function to call once the data has been handed to the operating
+ * system.
+ */
+TcpTransport.prototype.drain = function(callback) {
+
+  if (typeof callback !== "function") return;
+
+  if (this._writes === 0) {
+    setImmediate(callback);
+  } else {
+    this._drainCallbacks.push(callback);
+  }
+
+};
+
+/**
+ * The `HpglRenderer` class converts HP-GL instructions into an SVG image. This makes it possible
+ * to preview a job (for example, a file produced with
+ * [Plotter.startCapturingToFile()]{@link Plotter#startCapturingToFile}) without sending it to a
+ * device:
+ *
+ * ```
+ * const HpglRenderer = require("hpgl").HpglRenderer;
+ * let renderer = new HpglRenderer({model: "7475A", paper: "A"});
+ * let svg = renderer.render("IN;SP1;PU1000,1000;PD2000,1000,2000,2000;PU;");
+ * ```
+ *
+ * The following instructions are honored: `PU`, `PD`, `PA`, `PR`, `CI`, `AA`, `AR`, `ER`, `EA`,
+ * `LB` (drawn with a single-stroke font), `CP`, `SI`, `SR`, `DI`, `DR`, `SL`, `CS`, `CA`, `SS`,
+ * `SA`, `SP`, `LT`, `IP`, `SC`, `RO`, `IN` and `DF`. Other instructions are ignored.
+ *
+ * The image covers the whole sheet of paper. It uses the same coordinate system as the
+ * [Plotter]{@link Plotter} (origin in the top-left corner of the sheet) and its units are plotter
+ * units.
+ *
+ * Instead of rendering a whole document, instructions can also be measured one at a time, which is
+ * how jobs are checked against the plottable area and estimated:
+ *
+ * ```
+ * renderer.startMeasuring();
+ * let {strokes, position} = renderer.measure(new HpglParser().parse("PD1000,1000;")[0]);
+ * ```
+ *
+ * @param {Object} [options={}] Options to control the rendering.
+ * @param {string} [options.model="7475A"] - The model whose characteristics (paper sizes,
+ * margins and scaling points) are used. This must be one of the entries found in
+ * [Models]{@link Models}.
+ * @param {string} [options.paper="A"] - The paper size.
+ * @param {string} [options.orientation] - The orientation of the paper: *landscape* or
+ * *portrait*. By default, the orientation is deduced from the first `RO` instruction (if any).
+ * @param {Object|string[]} [options.penColors] - The colors of the pens. Keys (or indices) are pen
+ * numbers. Pens that are not specified use a default palette (black, red, green, blue, etc.).
+ * @param {number} [options.penThickness=0.3] - The width of the pens' nib in millimeters.
+ * @param {string} [options.background="white"] - The color of the paper. Use `"none"` for a
+ * transparent background.
+ * @param {Boolean} [options.showPlottableArea=false] - Whether to outline the plottable area.
+ *
+ * @class
+ */
+let HpglRenderer = function(options = {}) {
+
+  let model = options.model || "7475A";
+
+  if (!Models[model] || !Models[model].papers) {
+    throw new Error("The specified model (" + model + ") cannot be used for rendering.");
+  }
+
+  /**
+   * @type {PlotterCharacteristics}
+   * @readonly
+   */
+  this.characteristics = Models[model];
+
+  /**
+   * The paper size used for rendering.
+   *
+   * @type {String}
+   * @readonly
+   */
+  this.paper = (options.paper || "A").toUpperCase();
+
+  if (!this.characteristics.papers.list.includes(this.paper)) {
+    throw new Error("The '" + this.paper + "' paper is not supported by the " + model + ".");
+  }
+
+  /**
+   * The paper orientation used for rendering (*landscape* or *portrait*). When `undefined`, it is
+   * deduced from the rendered instructions.
+   *
+   * @type {String}
+   */
+  this.orientation = undefined;
+
+  if (options.orientation && ORIENTATIONS.includes(options.orientation.toLowerCase())) {
+    this.orientation = options.orientation.toLowerCase();
+  }
+
+  /**
+   * The colors used for each pen.
+   *
+   * @type {Object}
+   */
+  this.penColors = Object.assign({}, RENDERER_PEN_COLORS, options.penColors);
+
+  /**
+   * The width of the pens' nib in millimeters.
+   *
+   * @type {Number}
+   */
+  this.penThickness = parseFloat(options.penThickness) || 0.3;
+
+  /**
+   * The color of the paper.
+   *
+   * @type {String}
+   */
+  this.background = options.background || "white";
+
+  /**
+   * Whether to outline the plottable area.
+   *
+   * @type {Boolean}
+   */
+  this.showPlottableArea = !!options.showPlottableArea;
+
+  /**
+   * The single-stroke font used to draw labels. It is the font [drawText()]{@link Plotter#drawText}
+   * falls back to so both draw characters the same way. It is loaded with the first label.
+   *
+   * @private
+   * @member {StrokeFont}
+   */
+  this._font = undefined;
+
+};
+
+/**
+ * Renders the specified HP-GL instructions to SVG.
+ *
+ * @param {string} hpgl - The HP-GL instructions to render.
+ * @returns {string} The SVG document.
+ * @throws {SyntaxError} The instructions cannot be parsed.
+ */
+HpglRenderer.prototype.render = function(hpgl) {
+
+  let instructions = new HpglParser().parse(hpgl);
+
+  this._reset(instructions);
+  instructions.forEach(instruction => this._renderInstruction(instruction));
+  this._flush();
+
+  return this._toSvg();
+
+};
+
+/**
+ * Clears the drawing and prepares the rendering of the specified instructions.
+ *
+ * @private
+ * @param {Instruction[]} instructions - The instructions about to be rendered.
+ */
+HpglRenderer.prototype._reset = function(instructions) {
+
+  // Deduce orientation from the first rotation instruction (if not forced)
+  let orientation = this.orientation;
+
+  if (!orientation) {
+    let ro = instructions.find(i => i.mnemonic === "RO");
+    let angle = ro && ro.parameters.length > 0 ? ro.parameters[0] : 0;
+    orientation = (angle === 90 || angle === 270) ? "portrait" : "landscape";
+  }
+
+  this._orientation = orientation;
+  this._paths = [];
+  this._current = undefined;
+  this._state = this._getDefaultState();
+
+};
+
+/**
+ * Reads an HP-GL file and renders it to SVG.
+ *
+ * @param {string} file - The path to the file to render.
+ * @param {Function} [callback] - A function to execute when the file has been rendered. It
+ * receives an `Error` object (or `undefined`) and the SVG document.
+ * @returns {Promise<string>} A promise fulfilled with the SVG document.
+ */
+HpglRenderer.prototype.renderFile = function(file, callback = null) {
+
+  let promise = new Promise((resolve, reject) => {
+
+    require("fs-extra").readFile(file, 'utf8', (err, data) => {
+
+      if (err) {
+        reject(new Error("Could not read requested file: " + file));
+        return;
+      }
+
+      try {
+        resolve(this.render(data));
+      } catch (error) {
+        reject(error);
+      }
+
+    });
+
+  });
+
+  if (typeof callback === "function") {
+    promise.then(svg => callback(undefined, svg), err => callback(err));
+  }
+
+  return promise;
+
+};
+
+/**
+ * Starts measuring instructions one at a time with [measure()]{@link HpglRenderer#measure}. The
+ * simulated device is in the state it has after initialization.
+ *
+ * @param {Instruction[]} [instructions=[]] - The instructions about to be measured. If the
+ * orientation was not specified, it is deduced from them (see
+ * [getOrientation()]{@link HpglRenderer#getOrientation}).
+ * @returns {HpglRenderer} Returns the `HpglRenderer` object to allow method chaining.
+ */
+HpglRenderer.prototype.startMeasuring = function(instructions = []) {
+  this._reset(instructions);
+  return this;
+};
+
+/**
+ * Simulates a single instruction and returns what it draws. The coordinates are those of the image
+ * (see [HpglRenderer]{@link HpglRenderer}).
+ *
+ * @param {Instruction} instruction - The instruction to measure.
+ * @returns {Object} An object with a `strokes` property (an array of objects with the `pen` number
+ * and the `points` of each line drawn) and a `position` property (the position of the pen
+ * afterwards).
+ */
+HpglRenderer.prototype.measure = function(instruction) {
+
+  this._renderInstruction(instruction);
+  this._flush();
+
+  let strokes = this._paths.map(path => ({pen: path.pen, points: path.points}));
+  this._paths = [];
+
+  return {strokes: strokes, position: this.getPosition()};
+
+};
+
+/**
+ * Returns the position of the pen in the image (see [HpglRenderer]{@link HpglRenderer}).
+ *
+ * @returns {Object} A point with `x` and `y` properties (in plotter units).
+ */
+HpglRenderer.prototype.getPosition = function() {
+  return this._toImageCoordinates(this._state.position);
+};
+
+/**
+ * Returns the orientation of the paper being rendered or measured: the one that was specified or
+ * the one deduced from the instructions.
+ *
+ * @returns {String} *landscape* or *portrait*
+ */
+HpglRenderer.prototype.getOrientation = function() {
+  return this._orientation;
+};
+
+/**
+ * Returns a copy of the state of the simulated device (pen, position, scaling, etc.). It can be
+ * restored with [setState()]{@link HpglRenderer#setState}.
+ *
+ * @returns {Object}
+ */
+HpglRenderer.prototype.getState = function() {
+  return JSON.parse(JSON.stringify(this._state));
+};
+
+/**
+ * Restores a state returned by [getState()]{@link HpglRenderer#getState}.
+ *
+ * @param {Object} state - The state to restore.
+ * @returns {HpglRenderer} Returns the `HpglRenderer` object to allow method chaining.
+ */
+HpglRenderer.prototype.setState = function(state) {
+  this._flush();
+  this._paths = [];
+  this._state = JSON.parse(JSON.stringify(state));
+  return this;
+};
+
+/**
+ * Converts a point of the image (see [HpglRenderer]{@link HpglRenderer}) to HP-GL coordinates.
+ *
+ * @param {Object} point - A point with `x` and `y` properties (in plotter units).
+ * @param {Number} [rotation] - The rotation of the HP-GL coordinate system (as set by `RO`). By
+ * default, the current one is used.
+ * @returns {Object} A point with `x` and `y` properties (in plotter units).
+ */
+HpglRenderer.prototype.toHpglCoordinates = function(point, rotation) {
+  return this._fromImageCoordinates(point, rotation);
+};
+
+/**
+ * Returns the rendering state a device has after initialization.
+ *
+ * @private
+ * @param {Number} [rotation=0] - The rotation (as set by `RO`) of the coordinate system.
+ * @returns {Object}
+ */
+HpglRenderer.prototype._getDefaultState = function(rotation = 0) {
+
+  let paper = this.characteristics.papers[this.paper];
+  let p1 = {x: 0, y: 0}, p2 = {x: paper.long, y: paper.short};
+
+  if (paper.scalingPoints) {
+    p1 = Object.assign({}, paper.scalingPoints.p1);
+    p2 = Object.assign({}, paper.scalingPoints.p2);
+  }
+
+  let state = {
+    rotation: rotation,
+    position: {x: 0, y: 0},
+    penDown: false,
+    absolute: true,
+    pen: 1,
+    lineType: undefined,
+    scaling: undefined,
+    characterSize: {width: 0.187, height: 0.269, relative: false},
+    direction: 0,
+    slant: 0,
+    charsets: {standard: 0, alternate: 0, useAlternate: false},
+    labelStart: {x: 0, y: 0}
+  };
+
+  // Scaling points are expressed in the rotated coordinate system
+  let corners = [
+    this._fromDeviceCoordinates(p1, rotation),
+    this._fromDeviceCoordinates(p2, rotation)
+  ];
+  state.p1 = {x: Math.min(corners[0].x, corners[1].x), y: Math.min(corners[0].y, corners[1].y)};
+  state.p2 = {x: Math.max(corners[0].x, corners[1].x), y: Math.max(corners[0].y, corners[1].y)};
+
+  return state;
+
+};
+
+/**
+ * Updates the rendering state (and the drawing) according to a single instruction.
+ *
+ * @private
+ * @param {Instruction} instruction
+ */
+HpglRenderer.prototype._renderInstruction = function(instruction) {
+
+  if (instruction.type !== "hpgl") return;
+
+  let state = this._state;
+  let values = instruction.parameters;
+
+  switch (instruction.mnemonic) {
+
+    case "IN":
+      this._flush();
+      this._state = this._getDefaultState(0);
+      this._state.pen = state.pen;
+      break;
+
+    case "DF":
+      this._flush();
+      Object.assign(state, this._getDefaultState(state.rotation), {
+        position: state.position,
+        pen: state.pen,
+        penDown: state.penDown,
+        rotation: state.rotation,
+        p1: state.p1,
+        p2: state.p2
+      });
+      break;
+
+    case "RO":
+      this._flush();
+      state.rotation = values.length > 0 ? values[0] : 0;
+      state.p1 = this._getDefaultState(state.rotation).p1;
+      state.p2 = this._getDefaultState(state.rotation).p2;
+      break;
+
+    case "IP":
+      if (values.length >= 2) {
+        if (values.length >= 4) {
+          state.p2 = {x: values[2], y: values[3]};
+        } else {
+          state.p2 = {
+            x: state.p2.x + values[0] - state.p1.x,
+            y: state.p2.y + values[1] - state.p1.y
+          };
+        }
+        state.p1 = {x: values[0], y: values[1]};
+      } else {
+        let defaults = this._getDefaultState(state.rotation);
+        state.p1 = defaults.p1;
+        state.p2 = defaults.p2;
+      }
+      break;
+
+    case "SC":
+      if (values.length >= 4) {
+        state.scaling = {xMin: values[0], xMax: values[1], yMin: values[2], yMax: values[3]};
+      } else {
+        state.scaling = undefined;
+      }
+      break;
+
+    case "SP":
+      this._flush();
+      state.pen = values.length > 0 ? Math.trunc(values[0]) : 0;
+      break;
+
+    case "LT":
+      this._flush();
+      if (values.length > 0) {
+        state.lineType = {pattern: Math.abs(values[0]), length: values.length > 1 ? values[1] : 4};
+      } else {
+        state.lineType = undefined;
+      }
+      break;
+
+    case "PA":
+    case "PR":
+      state.absolute = instruction.mnemonic === "PA";
+      this._moveThrough(values);
+      break;
+
+    case "PU":
+    case "PD":
+      if (instruction.mnemonic === "PU") this._flush();
+      state.penDown = instruction.mnemonic === "PD";
+      this._moveThrough(values);
+      break;
+
+    case "CI":
+      if (values.length > 0) {
+        let radius = values[0] * this._getScaleFactors().x;
+        let chord = values.length > 1 ? Math.abs(values[1]) : 5;
+        let points = this._getArcPoints(state.position, radius, 0, 360, chord);
+        this._stroke(points, true);
+      }
+      break;
+
+    case "AA":
+    case "AR":
+      if (values.length >= 3) {
+
+        let center = instruction.mnemonic === "AA" ?
+          this._toPlotterUnits(values[0], values[1]) :
+          this._toPlotterUnits(values[0], values[1], true);
+
+        if (instruction.mnemonic === "AR") {
+          center.x += state.position.x;
+          center.y += state.position.y;
+        }
+
+        let dx = state.position.x - center.x, dy = state.position.y - center.y;
+        let radius = Math.sqrt(dx * dx + dy * dy);
+        let start = Math.atan2(dy, dx) * 180 / Math.PI;
+        let chord = values.length > 3 ? Math.abs(values[3]) : 5;
+        let points = this._getArcPoints(center, radius, start, values[2], chord);
+
+        if (state.penDown) this._addToPath(points.slice(1));
+        state.position = points[points.length - 1];
+
+      }
+      break;
+
+    case "EA":
+    case "ER":
+      if (values.length >= 2) {
+
+        let corner = instruction.mnemonic === "EA" ?
+          this._toPlotterUnits(values[0], values[1]) :
+          this._toPlotterUnits(values[0], values[1], true);
+
+        if (instruction.mnemonic === "ER") {
+          corner.x += state.position.x;
+          corner.y += state.position.y;
+        }
+
+        let p = state.position;
+        this._stroke([
+          p, {x: corner.x, y: p.y}, corner, {x: p.x, y: corner.y}, p
+        ]);
+
+      }
+      break;
+
+    case "SI":
+      state.characterSize = values.length >= 2 ?
+        {width: values[0], height: values[1], relative: false} :
+        {width: 0.187, height: 0.269, relative: false};
+      break;
+
+    case "SR":
+      state.characterSize = values.length >= 2 ?
+        {width: values[0], height: values[1], relative: true} :
+        {width: 0.75, height: 1.5, relative: true};
+      break;
+
+    case "DI":
+    case "DR":
+      state.direction = values.length >= 2 ? Math.atan2(values[1], values[0]) : 0;
+      break;
+
+    case "SL":
+      state.slant = values.length > 0 ? values[0] : 0;
+      break;
+
+    case "CS":
+      state.charsets.standard = values.length > 0 ? values[0] : 0;
+      break;
+
+    case "CA":
+      state.charsets.alternate = values.length > 0 ? values[0] : 0;
+      break;
+
+    case "SS":
+      state.charsets.useAlternate = false;
+      break;
+
+    case "SA":
+      state.charsets.useAlternate = true;
+      break;
+
+    case "CP":
+      this._flush();
+      if (values.length >= 2) {
+        this._moveInCharacterCells(values[0], values[1]);
+      } else {
+        state.position = state.labelStart;
+        this._moveInCharacterCells(0, -1);
+      }
+      state.labelStart = state.position;
+      break;
+
+    case "LB":
+      this._flush();
+      this._drawLabel(instruction.text || "");
+      break;
+
+    case "UC":
+      this._flush();
+      this._drawUserCharacter(values);
+      break;
+
+  }
+
+};
+
+/**
+ * Converts coordinates from the rotated coordinate system (as affected by `RO`) to the device's
+ * native coordinate system.
+ *
+ * @private
+ * @param {Object} point - A point with `x` and `y` properties (in plotter units).
+ * @param {Number} [rotation] - The rotation (defaults to the current rotation).
+ * @returns {Object}
+ */
+HpglRenderer.prototype._toDeviceCoordinates = function(point, rotation = this._state.rotation) {
+
+  let paper = this.characteristics.papers[this.paper];
+
+  switch (rotation) {
+    case 90: return {x: paper.long - point.y, y: point.x};
+    case 180: return {x: paper.long - point.x, y: paper.short - point.y};
+    case 270: return {x: point.y, y: paper.short - point.x};
+    default: return {x: point.x, y: point.y};
+  }
+
+};
+
+/**
+ * Converts coordinates from the device's native coordinate system to the rotated coordinate
+ * system (as affected by `RO`).
+ *
+ * @private
+ * @param {Object} point - A point with `x` and `y` properties (in plotter units).
+ * @param {Number} rotation - The rotation.
+ * @returns {Object}
+ */
+HpglRenderer.prototype._fromDeviceCoordinates = function(point, rotation) {
+
+  let paper = this.characteristics.papers[this.paper];
+
+  switch (rotation) {
+    case 90: return {x: point.y, y: paper.long - point.x};
+    case 180: return {x: paper.long - point.x, y: paper.short - point.y};
+    case 270: return {x: paper.short - point.y, y: point.x};
+    default: return {x: point.x, y: point.y};
+  }
+
+};
+
+/**
+ * Converts a point from the rotated coordinate system to the image's coordinate system (origin in
+ * the top-left corner of the sheet, +y going down).
+ *
+ * @private
+ * @param {Object} point - A point with `x` and `y` properties (in plotter units).
+ * @returns {Object}
+ */
+HpglRenderer.prototype._toImageCoordinates = function(point) {
+
+  let paper = this.characteristics.papers[this.paper];
+  let margins = paper.margins ? paper.margins[this._orientation] : {};
+  let left = margins.left || 0, top = margins.top || 0;
+  let device = this._toDeviceCoordinates(point);
+
+  if (this._orientation === "portrait") {
+    return {x: paper.short - device.y + left, y: paper.long - device.x + top};
+  } else {
+    return {x: device.x + left, y: paper.short - device.y + top};
+  }
+
+};
+
+/**
+ * Converts a point from the image's coordinate system to the rotated coordinate system (the
+ * reverse of [_toImageCoordinates()]{@link HpglRenderer#_toImageCoordinates}).
+ *
+ * @private
+ * @param {Object} point - A point with `x` and `y` properties (in plotter units).
+ * @param {Number} [rotation] - The rotation (defaults to the current rotation).
+ * @returns {Object}
+ */
+HpglRenderer.prototype._fromImageCoordinates = function(point, rotation = this._state.rotation) {
+
+  let paper = this.characteristics.papers[this.paper];
+  let margins = paper.margins ? paper.margins[this._orientation] : {};
+  let x = point.x - (margins.left || 0), y = point.y - (margins.top || 0);
+
+  let device = this._orientation === "portrait" ?
+    {x: paper.long - y, y: paper.short - x} :
+    {x: x, y: paper.short - y};
+
+  return this._fromDeviceCoordinates(device, rotation);
+
+};
+
+/**
+ * Returns the number of plotter units per user unit along each axis (`1` when scaling is off).
+ *
+ * @private
+ * @returns {Object}
+ */
+HpglRenderer.prototype._getScaleFactors = function() {
+
+  let state = this._state;
+  if (!state.scaling) return {x: 1, y: 1};
+
+  return {
+    x: (state.p2.x - state.p1.x) / ((state.scaling.xMax - state.scaling.xMin) || 1),
+    y: (state.p2.y - state.p1.y) / ((state.scaling.yMax - state.scaling.yMin) || 1)
+  };
+
+};
+
+/**
+ * Converts user units (as affected by `SC`) to plotter units.
+ *
+ * @private
+ * @param {Number} x
+ * @param {Number} y
+ * @param {Boolean} [relative=false] - Whether the values are a displacement rather than a position.
+ * @returns {Object}
+ */
+HpglRenderer.prototype._toPlotterUnits = function(x, y, relative = false) {
+
+  let state = this._state;
+  let factors = this._getScaleFactors();
+
+  if (relative || !state.scaling) return {x: x * factors.x, y: y * factors.y};
+
+  return {
+    x: state.p1.x + (x - state.scaling.xMin) * factors.x,
+    y: state.p1.y + (y - state.scaling.yMin) * factors.y
+  };
+
+};
+
+/**
+ * Moves the pen through a list of `x, y` pairs, drawing if the pen is down.
+ *
+ * @private
+ * @param {number[]} values - Coordinates in the form `[x1, y1, x2, y2, ...]`.
+ */
+HpglRenderer.prototype._moveThrough = function(values) {
+
+  let state = this._state;
+
+  for (let i = 0; i + 1 < values.length; i += 2) {
+
+    let target = this._toPlotterUnits(values[i], values[i + 1], !state.absolute);
+
+    if (!state.absolute) {
+      target.x += state.position.x;
+      target.y += state.position.y;
+    }
+
+    if (state.penDown) this._addToPath([target]);
+    state.position = target;
+
+  }
+
+};
+
+/**
+ * Returns the points of an arc.
+ *
+ * @private
+ * @param {Object} center - The center of the arc (in plotter units).
+ * @param {Number} radius - The radius (in plotter units).
+ * @param {Number} start - The start angle (in degrees).
+ * @param {Number} sweep - The sweep angle (in degrees). Positive values are counterclockwise.
+ * @param {Number} [chord=5] - The chord angle (in degrees).
+ * @returns {Object[]}
+ */
+HpglRenderer.prototype._getArcPoints = function(center, radius, start, sweep, chord = 5) {
+
+  chord = Math.min(Math.max(chord, 0.5), 180);
+
+  let steps = Math.max(1, Math.ceil(Math.abs(sweep) / chord));
+  let points = [];
+
+  for (let i = 0; i <= steps; i++) {
+    let angle = (start + sweep * i / steps) * Math.PI / 180;
+    points.push({x: center.x + radius * Math.cos(angle), y: center.y + radius * Math.sin(angle)});
+  }
+
+  return points;
+
+};
+
+/**
+ * Adds points to the polyline currently being drawn. If no polyline is in progress, one is
+ * started at the current pen position.
+ *
+ * @private
+ * @param {Object[]} points - Points in plotter units (rotated coordinate system).
+ */
+HpglRenderer.prototype._addToPath = function(points) {
+
+  let state = this._state;
+  if (state.pen === 0) return;
+
+  if (!this._current) {
+    this._current = {
+      pen: state.pen,
+      dashes: this._getDashArray(state.lineType),
+      points: [this._toImageCoordinates(state.position)]
+    };
+  }
+
+  points.forEach(point => this._current.points.push(this._toImageCoordinates(point)));
+
+};
+
+/**
+ * Draws a standalone polyline (the pen state is not affected).
+ *
+ * @private
+ * @param {Object[]} points - Points in plotter units (rotated coordinate system).
+ * @param {Boolean} [solid=false] - Whether the current line type should be ignored.
+ */
+HpglRenderer.prototype._stroke = function(points, solid = false) {
+
+  let state = this._state;
+  if (state.pen === 0 || points.length < 2) return;
+
+  this._flush();
+
+  this._paths.push({
+    pen: state.pen,
+    dashes: solid ? undefined : this._getDashArray(state.lineType),
+    points: points.map(point => this._toImageCoordinates(point))
+  });
+
+};
+
+/**
+ * Terminates the polyline currently being drawn (if any).
+ *
+ * @private
+ */
+HpglRenderer.prototype._flush = function() {
+  if (this._current && this._current.points.length > 1) this._paths.push(this._current);
+  this._current = undefined;
+};
+
+/**
+ * Returns the size of a character (in plotter units) according to the current `SI` or `SR`
+ * setting.
+ *
+ * @private
+ * @returns {Object} An object with `width` and `height` properties.
+ */
+HpglRenderer.prototype._getCharacterSize = function() {
+
+  let state = this._state;
+  let size = state.characterSize;
+
+  if (size.relative) {
+    return {
+      width: Math.abs(state.p2.x - state.p1.x) * size.width / 100,
+      height: Math.abs(state.p2.y - state.p1.y) * size.height / 100
+    };
+  }
+
+  let resolution = this.characteristics.resolution.x * 10;
+  return {width: size.width * resolution, height: size.height * resolution};
+
+};
+
+/**
+ * Moves the pen by a number of character cells (as `CP` does). A cell is 1.5 times the character
+ * width and a line is 2 times the character height.
+ *
+ * @private
+ * @param {Number} spaces - Number of cells along the label direction.
+ * @param {Number} lines - Number of lines (positive values go up).
+ */
+HpglRenderer.prototype._moveInCharacterCells = function(spaces, lines) {
+
+  let state = this._state;
+  let size = this._getCharacterSize();
+  let dx = spaces * size.width * 1.5, dy = lines * size.height * 2;
+  let cos = Math.cos(state.direction), sin = Math.sin(state.direction);
+
+  state.position = {
+    x: state.position.x + dx * cos - dy * sin,
+    y: state.position.y + dx * sin + dy * cos
+  };
+
+};
+
+/**
+ * Converts a character code received in a label to a Unicode character according to the current
+ * character set.
+ *
+ * @private
+ * @param {string} char - The character found in the label.
+ * @returns {string}
+ */
+HpglRenderer.prototype._decodeCharacter = function(char) {
+
+  let charsets = this._state.charsets;
+  let set = charsets.useAlternate ? charsets.alternate : charsets.standard;
+  if (set === 0) return char;
+
+  let code = char.charCodeAt(0);
+  let found = Object.keys(CHARACTERS).find(key => {
+    return CHARACTERS[key].some(entry => entry.charset === set && entry.code === code);
+  });
+
+  return found || char;
+
+};
+
+/**
+ * Draws a label at the current pen position using the single-stroke font. The pen is left at the
+ * end of the label.
+ *
+ * @private
+ * @param {string} text - The label.
+ */
+HpglRenderer.prototype._drawLabel = function(text) {
+
+  let state = this._state;
+  let size = this._getCharacterSize();
+  let cos = Math.cos(state.direction), sin = Math.sin(state.direction);
+
+  state.labelStart = state.position;
+
+  text.split("").forEach(char => {
+
+    if (char === "\r") {
+      state.position = state.labelStart;
+      return;
+    } else if (char === "\n") {
+      this._moveInCharacterCells(0, -1);
+      state.labelStart = {
+        x: state.labelStart.x + size.height * 2 * sin,
+        y: state.labelStart.y - size.height * 2 * cos
+      };
+      return;
+    } else if (char === "\b") {
+      this._moveInCharacterCells(-1, 0);
+      return;
+    }
+
+    let glyph = this._getGlyph(this._decodeCharacter(char));
+
+    if (glyph) {
+
+      // As with the fallback font of drawText(), capital letters are as tall as the characters and
+      // glyphs are centered in their cell.
+      let sy = size.height / this._font.capHeight;
+      let sx = sy * size.width / size.height / CHARACTER_ASPECT_RATIO;
+      let offset = (size.width * 1.5 / sx - glyph.advance) / 2;
+
+      glyph.strokes.forEach(stroke => {
+
+        let points = stroke.map(p => {
+          let x = (p.x + offset) * sx;
+          let y = p.y * sy;
+          x += y * state.slant;
+          return {
+            x: state.position.x + x * cos - y * sin,
+            y: state.position.y + x * sin + y * cos
+          };
+        });
+
+        this._stroke(points, true);
+
+      });
+
+    }
+
+    this._moveInCharacterCells(1, 0);
+
+  });
+
+};
+
+/**
+ * Draws a user-defined character (`UC`) at the current pen position. The grid is 4 units wide and
+ * 8 units tall for a character. The pen is left at the start of the next character cell.
+ *
+ * @private
+ * @param {Number[]} values - The pen control values (99 and -99) and increments.
+ */
+HpglRenderer.prototype._drawUserCharacter = function(values) {
+
+  let state = this._state;
+  let size = this._getCharacterSize();
+  let cos = Math.cos(state.direction), sin = Math.sin(state.direction);
+  let x = 0, y = 0, down = false, stroke = [];
+
+  let toPoint = () => {
+    let u = x * size.width / 4, v = y * size.height / 8;
+    u += v * state.slant;
+    return {
+      x: state.position.x + u * cos - v * sin,
+      y: state.position.y + u * sin + v * cos
+    };
+  };
+
+  for (let i = 0; i < values.length; i++) {
+
+    if (values[i] >= 99 || values[i] <= -99) {
+      if (stroke.length > 0) this._stroke(stroke, true);
+      down = values[i] >= 99;
+      stroke = down ? [toPoint()] : [];
+      continue;
+    }
+
+    x += values[i];
+    y += values[++i] || 0;
+    if (down) stroke.push(toPoint());
+
+  }
+
+  if (stroke.length > 0) this._stroke(stroke, true);
+
+  this._moveInCharacterCells(1, 0);
+
+};
+
+/**
+ * Returns a glyph of the single-stroke font. Accented characters missing from the font are drawn
+ * using their base character.
+ *
+ * @private
+ * @param {string} char - The character.
+ * @returns {Object} The glyph (see [StrokeFont.getGlyph()]{@link StrokeFont#getGlyph}) or
+ * `undefined` if the character cannot be drawn.
+ */
+HpglRenderer.prototype._getGlyph = function(char) {
+
+  if (!this._font) this._font = StrokeFont.load(DEFAULT_STROKE_FONT);
+
+  let glyph = this._font.getGlyph(char);
+  let base = char.normalize("NFD")[0];
+
+  if (!glyph && base !== char) glyph = this._font.getGlyph(base);
+
+  return glyph;
+
+};
+
+/**
+ * Builds the SVG document from the drawn paths.
+ *
+ * @private
+ * @returns {string}
+ */
+HpglRenderer.prototype._toSvg = function() {
+
+  let dimensions = PAPER_SIZES[this.paper];
+  let resolution = this.characteristics.resolution.x * 10;
+  let width = this._orientation === "portrait" ? dimensions.short : dimensions.long;
+  let height = this._orientation === "portrait" ? dimensions.long : dimensions.short;
+  let strokeWidth = this.penThickness * this.characteristics.resolution.x;
+  let format = (n) => String(Math.round(n * 10) / 10);
+
+  let lines = [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}cm" height="${height}cm" ` +
+    `viewBox="0 0 ${format(width * resolution)} ${format(height * resolution)}">`
+  ];
+
+  if (this.background !== "none") {
+    lines.push(
+      `  <rect x="0" y="0" width="${format(width * resolution)}" ` +
+      `height="${format(height * resolution)}" fill="${this.background}"/>`
+    );
+  }
+
+  if (this.showPlottableArea) {
+    let paper = this.characteristics.papers[this.paper];
+    let margins = paper.margins ? paper.margins[this._orientation] : {};
+    let w = this._orientation === "portrait" ? paper.short : paper.long;
+    let h = this._orientation === "portrait" ? paper.long : paper.short;
+    lines.push(
+      `  <rect x="${margins.left || 0}" y="${margins.top || 0}" width="${w}" height="${h}" ` +
+      `fill="none" stroke="#ccc" stroke-width="${format(strokeWidth)}" stroke-dasharray="40 40"/>`
+    );
+  }
+
+  lines.push(
+    `  <g fill="none" stroke-width="${format(strokeWidth)}" stroke-linecap="round" ` +
+    `stroke-linejoin="round">`
+  );
+
+  this._paths.forEach(path => {
+
+    // Without a pattern, each point is a dot (a zero-length segment with round caps)
+    let dotted = path.dashes && path.dashes.length === 0;
+
+    let d = path.points
+      .map((p, i) => {
+        let point = format(p.x) + " " + format(p.y);
+        if (dotted) return "M" + point + " h0";
+        return (i === 0 ? "M" : "L") + point;
+      })
+      .join(" ");
+
+    let attributes = `d="${d}" stroke="${this.penColors[path.pen] || "black"}"`;
+    if (path.dashes && !dotted) {
+      attributes += ` stroke-dasharray="${path.dashes.map(format).join(" ")}"`;
+    }
+
+    lines.push(`    <path ${attributes}/>`);
+
+  });
+
+  lines.push("  </g>", "</svg>");
+
+  return lines.join("\n") + "\n";
+
+};
+
+/**
+ * Returns the dash array matching an `LT` line type.
+ *
+ * @private
+ * @param {Object} lineType - An object with `pattern` and `length` (percentage of the diagonal
+ * between P1 and P2) properties.
+ * @returns {number[]} The dash array (in plotter units), an empty array when only the points are
+ * dotted or `undefined` for solid lines.
+ */
+HpglRenderer.prototype._getDashArray = function(lineType) {
+
+  if (!lineType || !RENDERER_LINE_TYPES[lineType.pattern]) return undefined;
+
+  let state = this._state;
+  let diagonal = Math.sqrt(
+    Math.pow(state.p2.x - state.p1.x, 2) + Math.pow(state.p2.y - state.p1.y, 2)
+  );
+  let length = diagonal * lineType.length / 100;
+
+  return RENDERER_LINE_TYPES[lineType.pattern].map(percent => percent * length / 100);
+
+};
+
+/**
+ * The `SvgConverter` class turns an SVG document into polylines that can be drawn by a plotter. It
+ * is used by [Plotter.drawSvg()]{@link Plotter#drawSvg} but can also be used on its own, for
+ * example to feed [Plotter.drawLines()]{@link Plotter#drawLines} or to produce a file ahead of
+ * time:
+ *
+ * ```
+ * const SvgConverter = require("hpgl").SvgConverter;
+ * let converter = new SvgConverter({area: {x: 1, y: 1, width: 25, height: 18}});
+ * let result = converter.convert(svg);
+ * result.paths.forEach(path => console.log(path.pen, path.points));
+ * ```
+ *
+ * The following elements are supported: `path`, `line`, `polyline`, `polygon`, `rect`, `circle`,
+ * `ellipse`, `g` and nested `svg`. The `transform` attribute is honored on all of them. Styling
+ * can come from presentation attributes, the `style` attribute or class selectors found in a
+ * `<style>` element (as exported by Illustrator). Text elements are ignored (they must be converted
+ * to paths beforehand). Elements whose stroke is `none` are outlined
+ * using their fill color. Curves and arcs are flattened into line segments no longer deviating
+ * from the true curve than the device's resolution.
+ *
+ * Coordinates of the resulting polylines are in centimeters, relative to the top-left corner of
+ * the sheet of paper (just like the coordinates used by the [Plotter]{@link Plotter}).
+ *
+ * @param {Object} [options={}] Options to control the conversion.
+ * @param {string} [options.model="7475A"] - The model whose resolution is used to flatten curves.
+ * This must be one of the entries found in [Models]{@link Models}.
+ * @param {Object} [options.area] - The area (an object with `x`, `y`, `width` and `height`
+ * properties, in centimeters) in which to place the artwork. By default, the artwork is placed
+ * at the origin and keeps its natural size.
+ * @param {Boolean} [options.fit=true] - Whether to scale the artwork so it fits inside the area
+ * (preserving its aspect ratio and centering it). When `false`, the artwork keeps the physical
+ * size declared by the `width` and `height` attributes of the document (pixels are assumed to be
+ * 1/96th of an inch) and the document's origin is placed at the area's top-left corner.
+ * @param {Object} [options.pens={}] - An object mapping colors (for example, `"#ff0000"`,
+ * `"red"` or `"rgb(255,0,0)"`) to pen numbers. Colors that are not mapped are assigned the next
+ * unused pen number.
+ * @param {number} [options.penCount=8] - The number of pens available. When all pens have been
+ * assigned, additional colors are drawn with pen `1`.
+ * @param {number} [options.tolerance] - The maximum distance (in centimeters) between a curve and
+ * the segments approximating it. By default, this is the size of a single plotter unit.
+ *
+ * @class
+ */
+let SvgConverter = function(options = {}) {
+
+  let model = options.model || "7475A";
+
+  if (!Models[model]) {
+    throw new Error("The specified model (" + model + ") is not supported.");
+  }
+
+  /**
+   * @type {PlotterCharacteristics}
+   * @readonly
+   */
+  this.characteristics = Models[model];
+
+  /**
+   * The area (in centimeters) in which the artwork is placed.
+   *
+   * @type {Rectangle}
+   */
+  this.area = undefined;
+
+  if (options.area) {
+    this.area = new Rectangle(
+      options.area.x || 0, options.area.y || 0, options.area.width, options.area.height
+    );
+  }
+
+  /**
+   * Whether the artwork is scaled to fit inside the area.
+   *
+   * @type {Boolean}
+   */
+  this.fit = (options.fit !== false);
+
+  /**
+   * The color to pen number mapping.
+   *
+   * @type {Object}
+   */
+  this.pens = {};
+
+  Object.keys(options.pens || {}).forEach(color => {
+    this.pens[this._normalizeColor(color)] = parseInt(options.pens[color]);
+  });
+
+  /**
+   * The number of pens available.
+   *
+   * @type {Number}
+   */
+  this.penCount = parseInt(options.penCount) || 8;
+
+  /**
+   * The maximum distance (in centimeters) between a curve and its approximation.
+   *
+   * @type {Number}
+   */
+  this.tolerance = parseFloat(options.tolerance) || 1 / (10 * this.characteristics.resolution.x);
+
+};
+
+/**
+ * Converts an SVG document into polylines.
+ *
+ * @param {string} svg - The SVG document.
+ * @returns {{paths: Object[], bounds: Rectangle}} An object whose `paths` property is an array of
+ * polylines and whose `bounds` property is the area (in centimeters) covered by the artwork. Each
+ * polyline is an object with `points` (coordinates in the form `[x1, y1, x2, y2, ...]`), `color`
+ * and `pen` properties.
+ * @throws {SyntaxError} The document does not contain an `<svg>` element.
+ */
+SvgConverter.prototype.convert = function(svg) {
+
+  let shapes = this._parseDocument(String(svg));
+
+  // Compute the transform that brings document units (px) into centimeters on the paper
+  let bounds = this._getBounds(shapes.list);
+  let scale = 2.54 / 96, x = 0, y = 0;
+
+  if (this.fit && this.area && bounds) {
+    scale = Math.min(
+      bounds.width > 0 ? this.area.width / bounds.width : Infinity,
+      bounds.height > 0 ? this.area.height / bounds.height : Infinity
+    );
+    if (!isFinite(scale)) scale = 1;
+    x = this.area.x + (this.area.width - bounds.width * scale) / 2 - bounds.x * scale;
+    y = this.area.y + (this.area.height - bounds.height * scale) / 2 - bounds.y * scale;
+  } else if (this.area) {
+    x = this.area.x;
+    y = this.area.y;
+  }
+
+  // Flatten the shapes with a tolerance expressed in document units
+  let tolerance = this.tolerance / scale;
+  let paths = [];
+
+  shapes.list.forEach(shape => {
+
+    this._getPen(shape.color);
+
+    shape.subpaths.forEach(subpath => {
+
+      let points = [];
+
+      this._flatten(subpath, tolerance).forEach((p, i, all) => {
+        let previous = all[i - 1];
+        if (previous && previous.x === p.x && previous.y === p.y) return;
+        points.push(
+          Math.round((p.x * scale + x) * 10000) / 10000,
+          Math.round((p.y * scale + y) * 10000) / 10000
+        );
+      });
+
+      if (points.length >= 2) {
+        paths.push({points: points, color: shape.color, pen: this.pens[shape.color]});
+      }
+
+    });
+
+  });
+
+  let area = new Rectangle();
+
+  if (bounds) {
+    area = new Rectangle(
+      bounds.x * scale + x, bounds.y * scale + y, bounds.width * scale, bounds.height * scale
+    );
+  }
+
+  return {paths: paths, bounds: area};
+
+};
+
+/**
+ * Parses the SVG document and returns the drawable shapes it contains. Each shape has a `color`
+ * and a list of subpaths made of segments (already transformed to document coordinates).
+ *
+ * @private
+ * @param {string} svg - The SVG document.
+ * @returns {{list: Object[]}}
+ */
+SvgConverter.prototype._parseDocument = function(svg) {
+
+  // Remove comments, CDATA markers, processing instructions and doctype
+  svg = svg
+    .replace(/<!--[\s\S]*?-->/g, "")
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, "$1")
+    .replace(/<\?[\s\S]*?\?>/g, "")
+    .replace(/<!DOCTYPE[^>]*>/gi, "");
+
+  // Gather class rules from <style> elements
+  let classes = {};
+
+  svg.replace(/<style[^>]*>([\s\S]*?)<\/style>/gi, (match, css) => {
+    css.replace(/([^{}]+)\{([^}]*)\}/g, (rule, selectors, declarations) => {
+      selectors.split(",").map(s => s.trim()).forEach(selector => {
+        if (/^\.[\w-]+$/.test(selector)) {
+          classes[selector.substr(1)] = Object.assign(
+            classes[selector.substr(1)] || {}, this._parseStyle(declarations)
+          );
+        }
+      });
+    });
+    return "";
+  });
+
+  let ignored = ["defs", "clipPath", "mask", "symbol", "marker", "pattern", "style", "title",
+    "desc", "metadata", "text", "linearGradient", "radialGradient", "filter"];
+  let stack = [];
+  let skipping = 0;
+  let found = false;
+  let shapes = {list: []};
+  let tag = /<(\/?)([\w:.-]+)((?:[^>"']|"[^"]*"|'[^']*')*?)(\/?)>/g;
+  let match;
+
+  while ((match = tag.exec(svg)) !== null) {
+
+    let closing = match[1] === "/";
+    let name = match[2].replace(/^svg:/, "");
+    let selfClosing = match[4] === "/";
+
+    if (closing) {
+      if (skipping > 0) {
+        skipping--;
+      } else if (stack.length > 0) {
+        stack.pop();
+      }
+      continue;
+    }
+
+    if (skipping > 0) {
+      if (!selfClosing) skipping++;
+      continue;
+    }
+
+    let attributes = this._parseAttributes(match[3], classes);
+    let parent = stack[stack.length - 1] || {
+      matrix: [1, 0, 0, 1, 0, 0],
+      style: {stroke: "none", fill: "black", display: "inline", visibility: "visible"}
+    };
+
+    let style = Object.assign({}, parent.style);
+    ["stroke", "fill", "visibility"].forEach(property => {
+      if (attributes[property] !== undefined) style[property] = attributes[property];
+    });
+    style.display = attributes.display || "inline";
+
+    let matrix = parent.matrix;
+
+    if (name === "svg") {
+      if (!found) {
+        matrix = this._multiply(matrix, this._getViewBoxMatrix(attributes));
+        found = true;
+      } else {
+        matrix = this._multiply(matrix, [
+          1, 0, 0, 1, parseFloat(attributes.x) || 0, parseFloat(attributes.y) || 0
+        ]);
+      }
+    }
+
+    if (attributes.transform) {
+      matrix = this._multiply(matrix, this._parseTransform(attributes.transform));
+    }
+
+    if (ignored.includes(name) || style.display === "none") {
+      if (!selfClosing) skipping = 1;
+      continue;
+    }
+
+    let subpaths = this._getSubpaths(name, attributes);
+
+    if (subpaths && style.visibility !== "hidden") {
+
+      let color = style.stroke !== "none" ? style.stroke : style.fill;
+
+      if (color !== "none") {
+        shapes.list.push({
+          color: this._normalizeColor(color),
+          subpaths: subpaths.map(subpath => this._transformSubpath(subpath, matrix))
+        });
+      }
+
+    }
+
+    if (!selfClosing) stack.push({matrix: matrix, style: style});
+
+  }
+
+  if (!found) throw new SyntaxError("The document does not contain an <svg> element.");
+
+  return shapes;
+
+};
+
+/**
+ * Parses the attributes of an element. Declarations from the `class` and `style` attributes are
+ * merged (in that order) over presentation attributes.
+ *
+ * @private
+ * @param {string} text - The attributes as found in the tag.
+ * @param {Object} classes - Declarations of the known classes.
+ * @returns {Object}
+ */
+SvgConverter.prototype._parseAttributes = function(text, classes) {
+
+  let attributes = {};
+  let regex = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+  let match;
+
+  while ((match = regex.exec(text)) !== null) {
+    attributes[match[1]] = match[2] !== undefined ? match[2] : match[3];
+  }
+
+  (attributes.class || "").split(/\s+/).forEach(name => {
+    if (classes[name]) Object.assign(attributes, classes[name]);
+  });
+
+  if (attributes.style) Object.assign(attributes, this._parseStyle(attributes.style));
+
+  return attributes;
+
+};
+
+/**
+ * Parses CSS declarations (for example, `stroke:#000;fill:none`).
+ *
+ * @private
+ * @param {string} text
+ * @returns {Object}
+ */
+SvgConverter.prototype._parseStyle = function(text) {
+
+  let style = {};
+
+  text.split(";").forEach(declaration => {
+    let index = declaration.indexOf(":");
+    if (index < 0) return;
+    let value = declaration.substr(index + 1).replace(/!important/, "").trim();
+    style[declaration.substr(0, index).trim()] = value;
+  });
+
+  return style;
+
+};
+
+/**
+ * Returns the matrix that converts the coordinates of the root element (as affected by its
+ * `viewBox`) into pixels.
+ *
+ * @private
+ * @param {Object} attributes - The attributes of the root `svg` element.
+ * @returns {number[]}
+ */
+SvgConverter.prototype._getViewBoxMatrix = function(attributes) {
+
+  let box = this._parseNumbers(attributes.viewBox || "");
+  let width = this._toPixels(attributes.width);
+  let height = this._toPixels(attributes.height);
+
+  if (box.length < 4 || box[2] <= 0 || box[3] <= 0) return [1, 0, 0, 1, 0, 0];
+
+  if (width === undefined && height === undefined) {
+    width = box[2];
+    height = box[3];
+  } else if (width === undefined) {
+    width = height * box[2] / box[3];
+  } else if (height === undefined) {
+    height = width * box[3] / box[2];
+  }
+
+  // Uniform scaling, centered (the default "xMidYMid meet" behavior)
+  let scale = Math.min(width / box[2], height / box[3]);
+
+  return [
+    scale, 0, 0, scale,
+    (width - box[2] * scale) / 2 - box[0] * scale,
+    (height - box[3] * scale) / 2 - box[1] * scale
+  ];
+
+};
+
+/**
+ * Converts a length (with optional unit) to pixels (1/96th of an inch).
+ *
+ * @private
+ * @param {string} value
+ * @returns {number} The length in pixels or `undefined` if it cannot be determined.
+ */
+SvgConverter.prototype._toPixels = function(value) {
+
+  let match = /^\s*([+-]?[\d.]+(?:e[+-]?\d+)?)\s*(px|pt|pc|mm|cm|in)?\s*$/i.exec(value || "");
+  if (!match) return undefined;
+
+  let units = {px: 1, pt: 96 / 72, pc: 16, mm: 96 / 25.4, cm: 96 / 2.54, in: 96};
+  return parseFloat(match[1]) * units[(match[2] || "px").toLowerCase()];
+
+};
+
+/**
+ * Parses a list of numbers as found in SVG attributes.
+ *
+ * @private
+ * @param {string} text
+ * @returns {number[]}
+ */
+SvgConverter.prototype._parseNumbers = function(text) {
+  let numbers = String(text).match(/[+-]?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/g) || [];
+  return numbers.map(parseFloat);
+};
+
+/**
+ * Parses a `transform` attribute into a matrix in the form `[a, b, c, d, e, f]`.
+ *
+ * @private
+ * @param {string} text
+ * @returns {number[]}
+ */
+SvgConverter.prototype._parseTransform = function(text) {
+
+  let matrix = [1, 0, 0, 1, 0, 0];
+  let regex = /(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)/g;
+  let match;
+
+  while ((match = regex.exec(text)) !== null) {
+
+    let v = this._parseNumbers(match[2]);
+    let m;
+
+    switch (match[1]) {
+      case "matrix":
+        m = v.length >= 6 ? v.slice(0, 6) : [1, 0, 0, 1, 0, 0];
+        break;
+      case "translate":
+        m = [1, 0, 0, 1, v[0] || 0, v[1] || 0];
+        break;
+      case "scale":
+        m = [v[0] || 0, 0, 0, v.length > 1 ? v[1] : v[0] || 0, 0, 0];
+        break;
+      case "rotate": {
+        let a = (v[0] || 0) * Math.PI / 180;
+        let cx = v[1] || 0, cy = v[2] || 0;
+        let cos = Math.cos(a), sin = Math.sin(a);
+        m = [cos, sin, -sin, cos, cx - cos * cx + sin * cy, cy - sin * cx - cos * cy];
+        break;
+      }
+      case "skewX":
+        m = [1, 0, Math.tan((v[0] || 0) * Math.PI / 180), 1, 0, 0];
+        break;
+      case "skewY":
+        m = [1, Math.tan((v[0] || 0) * Math.PI / 180), 0, 1, 0, 0];
+        break;
+    }
+
+    matrix = this._multiply(matrix, m);
+
+  }
+
+  return matrix;
+
+};
+
+/**
+ * Multiplies two matrices in the form `[a, b, c, d, e, f]`.
+ *
+ * @private
+ * @param {number[]} m1
+ * @param {number[]} m2
+ * @returns {number[]}
+ */
+SvgConverter.prototype._multiply = function(m1, m2) {
+  return [
+    m1[0] * m2[0] + m1[2] * m2[1],
+    m1[1] * m2[0] + m1[3] * m2[1],
+    m1[0] * m2[2] + m1[2] * m2[3],
+    m1[1] * m2[2] + m1[3] * m2[3],
+    m1[0] * m2[4] + m1[2] * m2[5] + m1[4],
+    m1[1] * m2[4] + m1[3] * m2[5] + m1[5]
+  ];
+};
+
+/**
+ * Returns the subpaths of a drawable element. A subpath is an array of segments. The first
+ * segment is a move (`{type: "M", points: [p]}`), the others are lines (`"L"`, one point) or cubic
+ * Bézier curves (`"C"`, three points).
+ *
+ * @private
+ * @param {string} name - The element's name.
+ * @param {Object} a - The element's attributes.
+ * @returns {Array[]} The subpaths or `undefined` if the element is not drawable.
+ */
+SvgConverter.prototype._getSubpaths = function(name, a) {
+
+  let n = (value) => parseFloat(value) || 0;
+
+  switch (name) {
+
+    case "path":
+      return this._parsePathData(a.d || "");
+
+    case "line":
+      return this._parsePathData(`M${n(a.x1)},${n(a.y1)} L${n(a.x2)},${n(a.y2)}`);
+
+    case "polyline":
+    case "polygon": {
+      let v = this._parseNumbers(a.points || "");
+      if (v.length < 4) return undefined;
+      let d = "M" + v.slice(0, v.length - v.length % 2).join(" ");
+      return this._parsePathData(d + (name === "polygon" ? "Z" : ""));
+    }
+
+    case "rect": {
+      let x = n(a.x), y = n(a.y), w = n(a.width), h = n(a.height);
+      if (w <= 0 || h <= 0) return undefined;
+      let rx = a.rx !== undefined ? n(a.rx) : n(a.ry);
+      let ry = a.ry !== undefined ? n(a.ry) : rx;
+      rx = Math.min(Math.max(rx, 0), w / 2);
+      ry = Math.min(Math.max(ry, 0), h / 2);
+      if (rx === 0 || ry === 0) {
+        return this._parsePathData(`M${x},${y} H${x + w} V${y + h} H${x} Z`);
+      }
+      let arc = `A${rx},${ry} 0 0 1`;
+      return this._parsePathData(
+        `M${x + rx},${y} H${x + w - rx} ${arc} ${x + w},${y + ry} V${y + h - ry} ` +
+        `${arc} ${x + w - rx},${y + h} H${x + rx} ${arc} ${x},${y + h - ry} ` +
+        `V${y + ry} ${arc} ${x + rx},${y} Z`
+      );
+    }
+
+    case "circle":
+    case "ellipse": {
+      let cx = n(a.cx), cy = n(a.cy);
+      let rx = name === "circle" ? n(a.r) : n(a.rx);
+      let ry = name === "circle" ? n(a.r) : n(a.ry);
+      if (rx <= 0 || ry <= 0) return undefined;
+      let arc = `A${rx},${ry} 0 0 1`;
+      return this._parsePathData(
+        `M${cx + rx},${cy} ${arc} ${cx - rx},${cy} ${arc} ${cx + rx},${cy} Z`
+      );
+    }
+
+  }
+
+  return undefined;
+
+};
+
+/**
+ * Parses path data (the `d` attribute) into subpaths of absolute segments. Quadratic curves and
+ * elliptical arcs are converted to cubic Bézier curves. As in browsers, the path is drawn up to
+ * the first error: parsing stops at a segment whose parameters are missing or invalid.
+ *
+ * @private
+ * @param {string} d - The path data.
+ * @returns {Array[]}
+ */
+SvgConverter.prototype._parsePathData = function(d) {
+
+  let regex = /[MmLlHhVvCcSsQqTtAaZz]|[+-]?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/g;
+  let tokens = d.match(regex) || [];
+  let subpaths = [], subpath;
+  let current = {x: 0, y: 0}, start = {x: 0, y: 0};
+  let control, previousCommand;
+  let i = 0, command;
+
+  // Thrown when a segment is incomplete
+  let error = {};
+  let isCommand = token => /^[a-z]$/i.test(token);
+
+  let number = () => {
+    if (i >= tokens.length || isCommand(tokens[i])) throw error;
+    return parseFloat(tokens[i++]);
+  };
+  let flag = () => {
+    // Flags can be written without separators (e.g. "a1 1 0 01 1 1")
+    let token = tokens[i];
+    if (i >= tokens.length || !/^[01]/.test(token)) throw error;
+    if (token.length > 1) {
+      tokens[i] = token.substr(1);
+      return token[0] === "1";
+    }
+    i++;
+    return token === "1";
+  };
+  let point = (relative) => {
+    let x = number(), y = number();
+    return relative ? {x: current.x + x, y: current.y + y} : {x: x, y: y};
+  };
+  let cubic = (c1, c2, end) => {
+    subpath.push({type: "C", points: [c1, c2, end]});
+    current = end;
+  };
+
+  while (i < tokens.length) {
+
+    // Parameters cannot follow a closepath command
+    if (isCommand(tokens[i])) {
+      command = tokens[i++];
+    } else if (!command || command.toUpperCase() === "Z") {
+      break;
+    } else if (command === "M") {
+      command = "L";
+    } else if (command === "m") {
+      command = "l";
+    }
+
+    let relative = command === command.toLowerCase();
+    let type = command.toUpperCase();
+
+    if (type !== "Z" && i >= tokens.length) break;
+
+    if (type !== "M" && type !== "Z" && !subpath) {
+      subpath = [{type: "M", points: [current]}];
+      subpaths.push(subpath);
+    }
+
+    // The segment being parsed when an error occurs is dropped along with the rest of the path
+    try {
+
+      switch (type) {
+
+        case "M":
+          current = point(relative);
+          start = current;
+          subpath = [{type: "M", points: [current]}];
+          subpaths.push(subpath);
+          break;
+
+        case "L":
+          current = point(relative);
+          subpath.push({type: "L", points: [current]});
+          break;
+
+        case "H": {
+          let x = number();
+          current = {x: relative ? current.x + x : x, y: current.y};
+          subpath.push({type: "L", points: [current]});
+          break;
+        }
+
+        case "V": {
+          let y = number();
+          current = {x: current.x, y: relative ? current.y + y : y};
+          subpath.push({type: "L", points: [current]});
+          break;
+        }
+
+        case "C": {
+          let c1 = point(relative), c2 = point(relative), end = point(relative);
+          cubic(c1, c2, end);
+          control = c2;
+          break;
+        }
+
+        case "S": {
+          let c1 = /[CS]/.test(previousCommand) ?
+            {x: 2 * current.x - control.x, y: 2 * current.y - control.y} : current;
+          let c2 = point(relative), end = point(relative);
+          cubic(c1, c2, end);
+          control = c2;
+          break;
+        }
+
+        case "Q":
+        case "T": {
+          let q = type === "Q" ? point(relative) : (/[QT]/.test(previousCommand) ?
+            {x: 2 * current.x - control.x, y: 2 * current.y - control.y} : current);
+          let end = point(relative);
+          let from = current;
+          cubic(
+            {x: from.x + 2 / 3 * (q.x - from.x), y: from.y + 2 / 3 * (q.y - from.y)},
+            {x: end.x + 2 / 3 * (q.x - end.x), y: end.y + 2 / 3 * (q.y - end.y)},
+            end
+          );
+          control = q;
+          break;
+        }
+
+        case "A": {
+          let rx = Math.abs(number()), ry = Math.abs(number()), rotation = number();
+          let large = flag(), sweep = flag();
+          let end = point(relative);
+          this._arcToCubics(current, rx, ry, rotation, large, sweep, end).forEach(c => {
+            cubic(c[0], c[1], c[2]);
+          });
+          current = end;
+          break;
+        }
+
+        case "Z":
+          if (subpath) {
+            subpath.push({type: "L", points: [start]});
+            subpath = undefined;
+          }
+          current = start;
+          break;
+
+      }
+
+    } catch (e) {
+      if (e !== error) throw e;
+      break;
+    }
+
+    previousCommand = type;
+
+  }
+
+  return subpaths.filter(s => s.length > 1);
+
+};
+
+/**
+ * Converts an elliptical arc (in SVG's endpoint parameterization) to cubic Bézier curves spanning
+ * no more than 90° each.
+ *
+ * @private
+ * @param {Object} from - The current point.
+ * @param {number} rx - The radius along the `x` axis.
+ * @param {number} ry - The radius along the `y` axis.
+ * @param {number} rotation - The rotation of the ellipse (in degrees).
+ * @param {Boolean} large - The "large arc" flag.
+ * @param {Boolean} sweep - The "sweep" flag.
+ * @param {Object} to - The end point.
+ * @returns {Array[]} An array of `[control1, control2, end]` triplets.
+ */
+SvgConverter.prototype._arcToCubics = function(from, rx, ry, rotation, large, sweep, to) {
+
+  if (rx === 0 || ry === 0) return [[from, to, to]];
+  if (from.x === to.x && from.y === to.y) return [];
+
+  let phi = rotation * Math.PI / 180;
+  let cos = Math.cos(phi), sin = Math.sin(phi);
+
+  // Step 1: compute (x1', y1')
+  let dx = (from.x - to.x) / 2, dy = (from.y - to.y) / 2;
+  let x1 = cos * dx + sin * dy, y1 = -sin * dx + cos * dy;
+
+  // Correct out-of-range radii
+  let lambda = (x1 * x1) / (rx * rx) + (y1 * y1) / (ry * ry);
+  if (lambda > 1) {
+    rx *= Math.sqrt(lambda);
+    ry *= Math.sqrt(lambda);
+  }
+
+  // Step 2: compute the center (cx', cy')
+  let numerator = rx * rx * ry * ry - rx * rx * y1 * y1 - ry * ry * x1 * x1;
+  let denominator = rx * rx * y1 * y1 + ry * ry * x1 * x1;
+  let coefficient = Math.sqrt(Math.max(0, numerator / denominator));
+  if (large === sweep) coefficient = -coefficient;
+  let cxp = coefficient * rx * y1 / ry, cyp = -coefficient * ry * x1 / rx;
+
+  // Step 3: compute the center and the angles
+  let cx = cos * cxp - sin * cyp + (from.x + to.x) / 2;
+  let cy = sin * cxp + cos * cyp + (from.y + to.y) / 2;
+  let angle = (ux, uy, vx, vy) => {
+    let a = Math.atan2(uy, ux), b = Math.atan2(vy, vx);
+    return b - a;
+  };
+  let theta = angle(1, 0, (x1 - cxp) / rx, (y1 - cyp) / ry);
+  let delta = angle((x1 - cxp) / rx, (y1 - cyp) / ry, (-x1 - cxp) / rx, (-y1 - cyp) / ry);
+
+  if (sweep && delta < 0) delta += 2 * Math.PI;
+  if (!sweep && delta > 0) delta -= 2 * Math.PI;
+
+  // Approximate each section with a cubic curve
+  let count = Math.ceil(Math.abs(delta) / (Math.PI / 2) - 1e-9);
+  let step = delta / count;
+  let k = 4 / 3 * Math.tan(step / 4);
+  let map = (x, y) => {
+    return {x: cx + rx * x * cos - ry * y * sin, y: cy + rx * x * sin + ry * y * cos};
+  };
+  let curves = [];
+
+  for (let i = 0; i < count; i++) {
+    let a1 = theta + i * step, a2 = a1 + step;
+    let c1 = Math.cos(a1), s1 = Math.sin(a1), c2 = Math.cos(a2), s2 = Math.sin(a2);
+    curves.push([
+      map(c1 - k * s1, s1 + k * c1),
+      map(c2 + k * s2, s2 - k * c2),
+      i === count - 1 ? to : map(c2, s2)
+    ]);
+  }
+
+  return curves;
+
+};
+
+/**
+ * Applies a matrix to all the points of a subpath.
+ *
+ * @private
+ * @param {Object[]} subpath
+ * @param {number[]} m
+ * @returns {Object[]}
+ */
+SvgConverter.prototype._transformSubpath = function(subpath, m) {
+  return subpath.map(segment => ({
+    type: segment.type,
+    points: segment.points.map(p => ({
+      x: m[0] * p.x + m[2] * p.y + m[4],
+      y: m[1] * p.x + m[3] * p.y + m[5]
+    }))
+  }));
+};
+
+/**
+ * Flattens a subpath into a list of points.
+ *
+ * @private
+ * @param {Object[]} subpath
+ * @param {number} tolerance - The maximum distance between a curve and its approximation.
+ * @returns {Object[]}
+ */
+SvgConverter.prototype._flatten = function(subpath, tolerance) {
+
+  let points = [];
+
+  subpath.forEach(segment => {
+
+    if (segment.type === "C") {
+      let from = points[points.length - 1];
+      let [c1, c2, end] = segment.points;
+      flattenCubic(from, c1, c2, end, tolerance, points);
+    } else {
+      points.push(segment.points[0]);
+    }
+
+  });
+
+  return points;
+
+};
+
+/**
+ * Returns the area (in document units) covered by the shapes.
+ *
+ * @private
+ * @param {Object[]} shapes
+ * @returns {Rectangle} The area or `undefined` if there are no shapes.
+ */
+SvgConverter.prototype._getBounds = function(shapes) {
+
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+
+  shapes.forEach(shape => {
+    shape.subpaths.forEach(subpath => {
+
+      // A coarse approximation is used to find the extent of curves
+      let first = subpath[0].points[0];
+      let size = subpath.reduce((total, segment) => {
+        return segment.points.reduce((t, p) => {
+          return t + Math.abs(p.x - first.x) + Math.abs(p.y - first.y);
+        }, total);
+      }, 0);
+
+      this._flatten(subpath, size / 10000 || 1).forEach(p => {
+        minX = Math.min(minX, p.x);
+        minY = Math.min(minY, p.y);
+        maxX = Math.max(maxX, p.x);
+        maxY = Math.max(maxY, p.y);
+      });
+
+    });
+  });
+
+  if (minX === Infinity) return undefined;
+
+  return new Rectangle(minX, minY, maxX - minX, maxY - minY);
+
+};
+
+/**
+ * Returns the pen assigned to a (normalized) color. Colors that are not mapped yet are assigned the
+ * next unused pen number or, when all pens are used, pen `1`.
+ *
+ * @private
+ * @param {string} color
+ * @returns {number}
+ */
+SvgConverter.prototype._getPen = function(color) {
+
+  if (this.pens[color] === undefined) {
+    let usedPens = Object.keys(this.pens).map(key => this.pens[key]);
+    let pen = 1;
+    while (usedPens.includes(pen) && pen <= this.penCount) pen++;
+    if (pen > this.penCount) pen = 1;
+    this.pens[color] = pen;
+  }
+
+  return this.pens[color];
+
+};
+
+/**
+ * Normalizes a color to the `#rrggbb` form (when possible) so it can be matched to a pen.
+ *
+ * @private
+ * @param {string} color
+ * @returns {string}
+ */
+SvgConverter.prototype._normalizeColor = function(color) {
+
+  color = String(color).trim().toLowerCase();
+  if (SVG_COLORS[color]) color = SVG_COLORS[color];
+
+  let match = /^#([0-9a-f])([0-9a-f])([0-9a-f])$/.exec(color);
+  if (match) return "#" + match[1] + match[1] + match[2] + match[2] + match[3] + match[3];
+
+  match = /^rgba?\(\s*([\d.]+)(%?)\s*,\s*([\d.]+)(%?)\s*,\s*([\d.]+)(%?)/.exec(color);
+
+  if (match) {
+    return "#" + [1, 3, 5].map(i => {
+      let value = parseFloat(match[i]) * (match[i + 1] ? 2.55 : 1);
+      return ("0" + Math.min(255, Math.round(value)).toString(16)).substr(-2);
+    }).join("");
+  }
+
+  return color;
+
+};
+
+/**
+ * The `HpglOptimizer` class reorders the strokes of a job to reduce the distance travelled with
+ * the pen raised. Polylines drawn with `PU`, `PD`, `PA` and `PR` are reordered (each one starting
+ * near where the previous one ended), reversed when that helps, joined when their ends touch and
+ * grouped by pen so each pen is only selected once:
+ *
+ * ```
+ * const HpglOptimizer = require("hpgl").HpglOptimizer;
+ * let optimized = new HpglOptimizer().optimize(fs.readFileSync("job.hpgl", "utf8"));
+ * ```
+ *
+ * Other instructions (labels, circles, arcs, scaling, etc.) are kept in place. They act as
+ * boundaries: strokes are never moved from one side of such an instruction to the other and the
+ * pen state (selected pen, line type, position, etc.) they rely on is restored before they are
+ * executed.
+ *
+ * It is used by [Plotter.startOptimizing()]{@link Plotter#startOptimizing},
+ * [Plotter.plotFile()]{@link Plotter#plotFile} and [Plotter.drawSvg()]{@link Plotter#drawSvg} when
+ * optimization is requested.
+ *
+ * @param {Object} [options={}] Options to control the optimization.
+ * @param {Boolean} [options.reverse=true] - Whether polylines can be drawn in reverse.
+ * @param {Boolean} [options.join=true] - Whether polylines whose ends touch can be drawn without
+ * lifting the pen.
+ * @param {Boolean} [options.groupByPen=true] - Whether to draw everything that uses the same pen
+ * at once.
+ * @param {number} [options.maxLength=Infinity] - The maximum length of a generated instruction
+ * (for example, the device's buffer size minus one for the terminator). Longer polylines are split
+ * across several `PD` instructions.
+ *
+ * @class
+ */
+let HpglOptimizer = function(options = {}) {
+
+  /**
+   * Whether polylines can be drawn in reverse.
+   *
+   * @type {Boolean}
+   */
+  this.reverse = (options.reverse !== false);
+
+  /**
+   * Whether polylines whose ends touch can be drawn without lifting the pen.
+   *
+   * @type {Boolean}
+   */
+  this.join = (options.join !== false);
+
+  /**
+   * Whether to draw everything that uses the same pen at once.
+   *
+   * @type {Boolean}
+   */
+  this.groupByPen = (options.groupByPen !== false);
+
+  /**
+   * The maximum length of a generated instruction.
+   *
+   * @type {Number}
+   */
+  this.maxLength = parseInt(options.maxLength) || Infinity;
+
+};
+
+/**
+ * Optimizes HP-GL text.
+ *
+ * @param {string} hpgl - The HP-GL instructions to optimize.
+ * @returns {string} The optimized instructions (terminated and ready to be saved or sent).
+ * @throws {SyntaxError} The instructions cannot be parsed.
+ */
+HpglOptimizer.prototype.optimize = function(hpgl) {
+
+  let terminator = LABEL_TERMINATOR;
+
+  return this.optimizeInstructions(new HpglParser().parse(hpgl)).map(instruction => {
+
+    let str = instruction.toString();
+
+    if (instruction.type === "rs232") return str + ":";
+
+    if (["IN", "DF"].includes(instruction.mnemonic)) {
+      terminator = LABEL_TERMINATOR;
+    } else if (instruction.mnemonic === "DT") {
+      terminator = instruction.text || LABEL_TERMINATOR;
+    }
+
+    return str + (LABEL_INSTRUCTIONS.includes(instruction.mnemonic) ? terminator : ";");
+
+  }).join("");
+
+};
+
+/**
+ * Optimizes a list of instructions (as produced by [HpglParser]{@link HpglParser}).
+ *
+ * @param {Instruction[]} instructions - The instructions to optimize.
+ * @returns {Instruction[]} The optimized instructions.
+ */
+HpglOptimizer.prototype.optimizeInstructions = function(instructions) {
+
+  // The state described by the original instructions and the state resulting from the
+  // instructions emitted so far. A position of `null` means it is unknown.
+  let initial = {
+    pen: undefined, lineType: undefined, position: null, penDown: false, absolute: true,
+    parked: false
+  };
+  let state = Object.assign({}, initial);
+
+  this._output = [];
+  this._emitted = Object.assign({}, initial);
+  this._section = [];
+
+  let current;
+
+  let end = () => {
+    if (current) this._section.push(current);
+    current = undefined;
+  };
+
+  let barrier = (instruction) => {
+
+    end();
+    this._flushSection();
+    this._synchronize(state);
+    this._output.push(instruction);
+
+    if (instruction.type === "hpgl") {
+
+      let values = instruction.parameters;
+
+      if (["PU", "PD", "PA", "PR"].includes(instruction.mnemonic)) {
+
+        if (["PU", "PD"].includes(instruction.mnemonic)) {
+          state.penDown = instruction.mnemonic === "PD";
+        } else {
+          state.absolute = instruction.mnemonic === "PA";
+        }
+
+        // Absolute moves make the position known again
+        if (values.length >= 2) {
+          state.position = state.absolute ?
+            {x: values[values.length - 2], y: values[values.length - 1]} :
+            null;
+        }
+
+      } else if (["IN", "DF"].includes(instruction.mnemonic)) {
+        state.absolute = true;
+        state.lineType = "LT";
+        if (instruction.mnemonic === "IN") state.penDown = false;
+      }
+
+      if (UNPREDICTABLE_INSTRUCTIONS.includes(instruction.mnemonic)) state.position = null;
+
+    }
+
+    Object.assign(this._emitted, state);
+
+  };
+
+  instructions.forEach(instruction => {
+
+    if (instruction.type !== "hpgl") {
+      barrier(instruction);
+      return;
+    }
+
+    let values = instruction.parameters;
+
+    switch (instruction.mnemonic) {
+
+      case "PU":
+      case "PD":
+      case "PA":
+      case "PR": {
+
+        let absolute = state.absolute;
+        if (instruction.mnemonic === "PA") absolute = true;
+        if (instruction.mnemonic === "PR") absolute = false;
+
+        // Relative moves and drawing from an unknown position cannot be tracked
+        let draws = instruction.mnemonic === "PD" ||
+          (state.penDown && instruction.mnemonic !== "PU");
+
+        if (!state.position && (draws || !absolute || values.length < 2)) {
+          barrier(instruction);
+          break;
+        }
+
+        if (instruction.mnemonic === "PU") {
+          end();
+          state.penDown = false;
+        } else if (instruction.mnemonic === "PD") {
+          state.penDown = true;
+        } else {
+          state.absolute = absolute;
+        }
+
+        for (let i = 0; i + 1 < values.length; i += 2) {
+
+          let target = absolute ?
+            {x: values[i], y: values[i + 1]} :
+            {
+              x: Math.round((state.position.x + values[i]) * 10000) / 10000,
+              y: Math.round((state.position.y + values[i + 1]) * 10000) / 10000
+            };
+
+          if (state.penDown) {
+            if (!current) current = this._startPolyline(state);
+            current.points.push(target);
+          }
+
+          state.position = target;
+          state.parked = !state.penDown;
+
+        }
+
+        // Lowering the pen without moving makes a dot
+        if (instruction.mnemonic === "PD" && !current) {
+          current = this._startPolyline(state);
+          state.parked = false;
+        }
+
+        break;
+
+      }
+
+      case "SP":
+        end();
+        state.pen = values.length > 0 ? Math.trunc(values[0]) : 0;
+        break;
+
+      case "LT":
+        end();
+        state.lineType = instruction.toString();
+        break;
+
+      default:
+        barrier(instruction);
+
+    }
+
+  });
+
+  // The final position is only restored if the pen was explicitly moved after drawing (for
+  // example, to park it).
+  end();
+  this._flushSection();
+  this._synchronize(state, state.parked);
+
+  let output = this._output;
+  this._output = this._emitted = this._section = undefined;
+
+  return output;
+
+};
+
+/**
+ * Starts a polyline at the current position.
+ *
+ * @private
+ * @param {Object} state
+ * @returns {Object}
+ */
+HpglOptimizer.prototype._startPolyline = function(state) {
+  return {pen: state.pen, lineType: state.lineType, points: [state.position]};
+};
+
+/**
+ * Emits the instructions needed to bring the device from the emitted state to the specified
+ * state.
+ *
+ * @private
+ * @param {Object} state
+ * @param {Boolean} [restorePosition=true] - Whether to move the pen to the state's position.
+ */
+HpglOptimizer.prototype._synchronize = function(state, restorePosition = true) {
+
+  let emitted = this._emitted;
+
+  // The pen is lifted before changing pen or line type
+  let pen = state.pen !== undefined && state.pen !== emitted.pen;
+  let lineType = state.lineType !== undefined && state.lineType !== emitted.lineType;
+  if ((pen || lineType) && emitted.penDown) this._emit("PU");
+
+  if (pen) this._emit("SP", [state.pen]);
+  if (lineType) this._setLineType(state.lineType);
+
+  if (
+    restorePosition &&
+    state.position &&
+    (!emitted.position || emitted.position.x !== state.position.x ||
+      emitted.position.y !== state.position.y)
+  ) {
+    this._moveTo(state.position);
+  }
+
+  if (state.penDown !== emitted.penDown) this._emit(state.penDown ? "PD" : "PU");
+  if (state.absolute !== emitted.absolute) this._emit(state.absolute ? "PA" : "PR");
+
+};
+
+/**
+ * Emits an instruction and updates the emitted state accordingly.
+ *
+ * @private
+ * @param {string} mnemonic
+ * @param {number[]} [parameters=[]]
+ */
+HpglOptimizer.prototype._emit = function(mnemonic, parameters = []) {
+
+  let emitted = this._emitted;
+
+  this._output.push(new Instruction("hpgl", mnemonic, parameters));
+
+  if (mnemonic === "SP") emitted.pen = parameters[0];
+  if (mnemonic === "PU") emitted.penDown = false;
+  if (mnemonic === "PD") emitted.penDown = true;
+  if (mnemonic === "PA") emitted.absolute = true;
+  if (mnemonic === "PR") emitted.absolute = false;
+
+  if (parameters.length >= 2 && ["PU", "PD", "PA"].includes(mnemonic)) {
+    emitted.position = {
+      x: parameters[parameters.length - 2],
+      y: parameters[parameters.length - 1]
+    };
+  }
+
+};
+
+/**
+ * Selects a line type (if it is not already selected).
+ *
+ * @private
+ * @param {string} lineType - The `LT` instruction selecting the line type.
+ */
+HpglOptimizer.prototype._setLineType = function(lineType) {
+  if (lineType === undefined || lineType === this._emitted.lineType) return;
+  this._output.push(new HpglParser().parse(lineType)[0]);
+  this._emitted.lineType = lineType;
+};
+
+/**
+ * Lifts the pen and moves it to the specified position.
+ *
+ * @private
+ * @param {Object} position
+ */
+HpglOptimizer.prototype._moveTo = function(position) {
+  if (!this._emitted.absolute) this._emit("PA");
+  this._emit("PU", [position.x, position.y]);
+};
+
+/**
+ * Emits the polylines of the current section in an optimized order.
+ *
+ * @private
+ */
+HpglOptimizer.prototype._flushSection = function() {
+
+  let polylines = this._section;
+  this._section = [];
+  if (polylines.length < 1) return;
+
+  // Group polylines by pen, starting with the pen already selected
+  let groups = [polylines];
+
+  if (this.groupByPen) {
+
+    let pens = [];
+
+    polylines.forEach(polyline => {
+      if (!pens.includes(polyline.pen)) pens.push(polyline.pen);
+    });
+
+    let index = pens.indexOf(this._emitted.pen);
+    if (index > 0) pens.unshift(pens.splice(index, 1)[0]);
+
+    groups = pens.map(pen => polylines.filter(polyline => polyline.pen === pen));
+
+  }
+
+  groups.forEach(group => {
+
+    this._sort(group, this._emitted.position).forEach(polyline => {
+
+      let emitted = this._emitted;
+      let start = polyline.points[0];
+
+      if (polyline.pen !== undefined && polyline.pen !== emitted.pen) {
+        if (emitted.penDown) this._emit("PU");
+        this._emit("SP", [polyline.pen]);
+      }
+
+      // Polylines drawn before any line type was selected use the default (solid) one
+      if (polyline.lineType !== emitted.lineType) {
+        if (emitted.penDown) this._emit("PU");
+        this._setLineType(polyline.lineType || "LT");
+      }
+
+      let joined = this.join &&
+        emitted.penDown &&
+        emitted.position &&
+        emitted.position.x === start.x &&
+        emitted.position.y === start.y;
+
+      if (!joined) {
+        this._moveTo(start);
+        if (polyline.points.length === 1) this._emit("PD");
+      }
+
+      if (!emitted.absolute) this._emit("PA");
+
+      // Split the coordinates so that instructions do not exceed the maximum length
+      let chunk = [];
+
+      polyline.points.slice(1).forEach(point => {
+        let length = ("PD" + chunk.concat([point.x, point.y]).join(",")).length;
+        if (chunk.length > 0 && length > this.maxLength) {
+          this._emit("PD", chunk);
+          chunk = [];
+        }
+        chunk.push(point.x, point.y);
+      });
+
+      if (chunk.length > 0) this._emit("PD", chunk);
+
+    });
+
+  });
+
+};
+
+/**
+ * Orders polylines using a nearest-neighbor search: each polyline is the one whose start (or end,
+ * if it can be reversed) is nearest to the end of the previous one. A grid is used to speed up
+ * the search.
+ *
+ * @private
+ * @param {Object[]} polylines
+ * @param {Object} position - The position of the pen before the first polyline (may be `null`).
+ * @returns {Object[]} The ordered polylines (reversed ones are copies).
+ */
+HpglOptimizer.prototype._sort = function(polylines, position) {
+
+  let used = new Array(polylines.length).fill(false);
+  let remaining = polylines.length;
+  let ordered = [];
+  let grid;
+
+  let build = () => {
+
+    let ends = [];
+
+    polylines.forEach((polyline, index) => {
+      if (used[index]) return;
+      ends.push({index: index, reversed: false, point: polyline.points[0]});
+      if (this.reverse && polyline.points.length > 1) {
+        let last = polyline.points[polyline.points.length - 1];
+        ends.push({index: index, reversed: true, point: last});
+      }
+    });
+
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+
+    ends.forEach(end => {
+      minX = Math.min(minX, end.point.x);
+      minY = Math.min(minY, end.point.y);
+      maxX = Math.max(maxX, end.point.x);
+      maxY = Math.max(maxY, end.point.y);
+    });
+
+    let size = Math.max(maxX - minX, maxY - minY, 1) / Math.max(1, Math.sqrt(ends.length / 2));
+    let columns = Math.floor((maxX - minX) / size) + 1;
+    let rows = Math.floor((maxY - minY) / size) + 1;
+    let cells = new Array(columns * rows);
+
+    ends.forEach(end => {
+      let key = Math.floor((end.point.y - minY) / size) * columns +
+        Math.floor((end.point.x - minX) / size);
+      (cells[key] = cells[key] || []).push(end);
+    });
+
+    grid = {cells, columns, rows, size, minX, minY, built: remaining};
+
+  };
+
+  let nearest = (point) => {
+
+    let column = Math.floor((point.x - grid.minX) / grid.size);
+    let row = Math.floor((point.y - grid.minY) / grid.size);
+    column = Math.min(Math.max(column, 0), grid.columns - 1);
+    row = Math.min(Math.max(row, 0), grid.rows - 1);
+    let best, distance = Infinity;
+    let limit = Math.max(grid.columns, grid.rows);
+
+    for (let ring = 0; ring <= limit; ring++) {
+
+      // Cells in further rings cannot contain anything closer
+      if (best && distance <= (ring - 1) * grid.size) break;
+
+      for (let y = row - ring; y <= row + ring; y++) {
+        if (y < 0 || y >= grid.rows) continue;
+        let step = (y === row - ring || y === row + ring) ? 1 : 2 * ring;
+        for (let x = column - ring; x <= column + ring; x += Math.max(step, 1)) {
+          if (x < 0 || x >= grid.columns) continue;
+          (grid.cells[y * grid.columns + x] || []).forEach(end => {
+            if (used[end.index]) return;
+            let d = Math.pow(end.point.x - point.x, 2) + Math.pow(end.point.y - point.y, 2);
+            d = Math.sqrt(d);
+            if (d < distance) {
+              distance = d;
+              best = end;
+            }
+          });
+        }
+      }
+
+    }
+
+    return best;
+
+  };
+
+  while (remaining > 0) {
+
+    let end;
+
+    if (!position) {
+      end = {index: used.indexOf(false), reversed: false};
+    } else {
+      if (!grid || remaining * 4 < grid.built) build();
+      end = nearest(position);
+    }
+
+    let polyline = polylines[end.index];
+
+    if (end.reversed) {
+      polyline = Object.assign({}, polyline, {points: polyline.points.slice().reverse()});
+    }
+
+    used[end.index] = true;
+    remaining--;
+    ordered.push(polyline);
+    position = polyline.points[polyline.points.length - 1];
+
+  }
+
+  return ordered;
+
+};
+
+/**
+ * The `PlotterContext` class mimics the path and transform API of the browser's
+ * `CanvasRenderingContext2D`. Paths are built with [moveTo()]{@link PlotterContext#moveTo},
+ * [lineTo()]{@link PlotterContext#lineTo}, [arc()]{@link PlotterContext#arc}, etc. and are drawn
+ * on the [Plotter]{@link Plotter} when [stroke()]{@link PlotterContext#stroke} or
+ * [fill()]{@link PlotterContext#fill} is called. Curves are flattened into line segments no
+ * longer deviating from the true curve than the device's resolution.
+ *
+ * Coordinates are in centimeters, relative to the top-left corner of the sheet of paper (just like
+ * the coordinates used by the [Plotter]{@link Plotter}) and go through the current transform.
+ * Colors (`strokeStyle` and `fillStyle`) are mapped to pens the same way they are when drawing SVG
+ * artwork (see [drawSvg()]{@link Plotter#drawSvg}). A number can also be used to designate a pen
+ * directly. Properties such as `lineWidth` are accepted but have no effect.
+ *
+ * Instances are usually obtained with [Plotter.getContext()]{@link Plotter#getContext}.
+ *
+ * @param {Plotter} plotter The plotter to draw on.
+ * @param {Object} [options={}] Options to configure the context.
+ * @param {Object} [options.pens] An object mapping colors (for example, `"#ff0000"` or `"red"`) to
+ * pen numbers. Colors that are not mapped are assigned the next unused pen number.
+ * @param {number} [options.penCount=8] The number of pens available. When all pens have been
+ * assigned, additional colors are drawn with pen `1`.
+ * @param {Boolean} [options.selectPens=true] Whether to select the pen assigned to each color.
+ * When `false`, everything is drawn with the current pen.
+ *
+ * @class
+ */
+let PlotterContext = function(plotter, options = {}) {
+
+  /**
+   * The plotter this context draws on.
+   *
+   * @type {Plotter}
+   * @readonly
+   */
+  this.plotter = plotter;
+
+  /**
+   * The color (or pen number) used by [stroke()]{@link PlotterContext#stroke}.
+   *
+   * @type {string|number}
+   * @default "#000000"
+   */
+  this.strokeStyle = "#000000";
+
+  /**
+   * The color (or pen number) used by [fill()]{@link PlotterContext#fill}.
+   *
+   * @type {string|number}
+   * @default "#000000"
+   */
+  this.fillStyle = "#000000";
+
+  /**
+   * The line width. It is only kept for compatibility: the line width depends on the pen.
+   *
+   * @type {number}
+   * @default 1
+   */
+  this.lineWidth = 1;
+
+  /**
+   * Whether the pen assigned to each color is selected before drawing.
+   *
+   * @type {Boolean}
+   */
+  this.selectPens = (options.selectPens !== false);
+
+  /**
+   * Converter used to map colors to pens and to flatten curves.
+   *
+   * @private
+   * @member {SvgConverter}
+   */
+  this._converter = new SvgConverter({
+    model: plotter.characteristics.model,
+    pens: options.pens,
+    penCount: options.penCount,
+    tolerance: plotter._fromPlotterUnits(1)
+  });
+
+  /**
+   * The current transform in the form `[a, b, c, d, e, f]`.
+   *
+   * @private
+   * @member {number[]}
+   */
+  this._matrix = [1, 0, 0, 1, 0, 0];
 
-  }
+  /**
+   * States saved with `save()`.
+   *
+   * @private
+   * @member {Object[]}
+   */
+  this._states = [];
 
-  // Only queue if there is actual data in the array. We lower the pen, go through each chunk and
-  // then lift the pen up.
-  if (chunks[0].length > 0) {
+  /**
+   * Subpaths of the current path. Each one is an array of points (in centimeters, already
+   * transformed).
+   *
+   * @private
+   * @member {Array[]}
+   */
+  this._subpaths = [];
 
-    this.queue("PD");
+  /**
+   * Pen selected by the last drawing operation.
+   *
+   * @private
+   * @member {Number}
+   */
+  this._pen = undefined;
 
-    chunks.forEach((chunk) => {
-      this.queue("PA" + chunk.join(","));
-    });
+};
 
-    // We attach the callback to the very last instruction
-    this.queue("PU", callback);
+/**
+ * Saves the current transform and styles on a stack.
+ */
+PlotterContext.prototype.save = function() {
+  this._states.push({
+    matrix: this._matrix.slice(),
+    strokeStyle: this.strokeStyle,
+    fillStyle: this.fillStyle,
+    lineWidth: this.lineWidth
+  });
+};
 
-  }
+/**
+ * Restores the transform and styles most recently saved with [save()]{@link PlotterContext#save}.
+ * Does nothing if there is no saved state.
+ */
+PlotterContext.prototype.restore = function() {
 
-  return this;
+  let state = this._states.pop();
+  if (!state) return;
+
+  this._matrix = state.matrix;
+  this.strokeStyle = state.strokeStyle;
+  this.fillStyle = state.fillStyle;
+  this.lineWidth = state.lineWidth;
 
 };
-// Plotter.prototype.drawLines = function(positions = [], options = {}, callback) {
-//
-//   // Assign defaults
-//   options.penDown = (options.penDown !== false);
-//   options.penUp = (options.penUp !== false);
-//
-//   if (options.penDown) this.queue("PD");
-//
-//   // Draw all lines
-//   for (let i = 0; i < positions.length; i += 2) {
-//
-//     // We attach the callback to the last instruction (if no penUp has been specified)
-//     if (!options.penUp && i+1 >= positions.length) {
-//       this.drawLine(positions[i], positions[i+1], {penUp: false, penDown: false}, callback);
-//     } else {
-//       this.drawLine(positions[i], positions[i+1], {penUp: false, penDown: false});
-//     }
-//
-//   }
-//
-//   if (options.penUp) this.queue("PU", callback);
-//
-//
-//   return this;
-//
-// };
 
 /**
- * Draws a rectangle with the specified `width` and `height` starting at the current pen position.
- * When drawing is done, the pen is returned to the starting point.
- *
- * If no `height` is specified, the `height` will be equal to the `width`, thus drawing a square.
+ * Multiplies the current transform by the specified matrix.
  *
- * @todo Add 'fill' option with RR and FT
- *
- * @param {number} width The width of the rectangle (in cm).
- * @param {number} [height] The height of the rectangle (in cm).
- * @param {Object} [options={}] Additional options (none for now)
- * @param {Function} [callback] A function to execute when the instruction has been sent to the
- * device.
- * @returns {Plotter} Returns the `Plotter` object to allow method chaining.
+ * @param {number} a Horizontal scaling.
+ * @param {number} b Vertical skewing.
+ * @param {number} c Horizontal skewing.
+ * @param {number} d Vertical scaling.
+ * @param {number} e Horizontal translation.
+ * @param {number} f Vertical translation.
  */
-Plotter.prototype.drawRectangle = function(width, height, options = {}, callback) {
-
-  if ( parseFloat(width) ) {
-    if ( !parseFloat(height) ) { height = width; }
-  } else {
-    throw new Error ("The width must be specified.")
-  }
+PlotterContext.prototype.transform = function(a, b, c, d, e, f) {
+  this._matrix = this._converter._multiply(this._matrix, [a, b, c, d, e, f]);
+};
 
-  let target = this._toRelativeHpglCoordinates(
-    this._toPlotterUnits(width),
-    this._toPlotterUnits(height)
-  );
-  this.queue("ER" + target.x + "," + target.y, callback);
+/**
+ * Replaces the current transform with the specified matrix.
+ *
+ * @param {number} a Horizontal scaling.
+ * @param {number} b Vertical skewing.
+ * @param {number} c Horizontal skewing.
+ * @param {number} d Vertical scaling.
+ * @param {number} e Horizontal translation.
+ * @param {number} f Vertical translation.
+ */
+PlotterContext.prototype.setTransform = function(a = 1, b = 0, c = 0, d = 1, e = 0, f = 0) {
+  this._matrix = [a, b, c, d, e, f];
+};
 
-  return this;
+/**
+ * Resets the current transform to the identity matrix.
+ */
+PlotterContext.prototype.resetTransform = function() {
+  this.setTransform();
+};
 
+/**
+ * Adds a translation to the current transform.
+ *
+ * @param {number} x Horizontal distance.
+ * @param {number} y Vertical distance.
+ */
+PlotterContext.prototype.translate = function(x, y) {
+  this.transform(1, 0, 0, 1, x, y);
 };
 
 /**
- * Lifts the pen and moves it to the specified `x` and `y` coordinates.
+ * Adds a rotation to the current transform.
  *
- * @param x {number} - Position along the `x` axis
- * @param y {number} - Position along the `y` axis
- * @param metric {Boolean} - Whether the coordinates are in centimeters (default) or decimal inches.
- * @returns {Plotter} Returns the `Plotter` object to allow method chaining.
+ * @param {number} angle The clockwise rotation angle (in radians).
  */
-Plotter.prototype.moveTo = function(x = 0, y = 0, metric = true) {
+PlotterContext.prototype.rotate = function(angle) {
+  let cos = Math.cos(angle), sin = Math.sin(angle);
+  this.transform(cos, sin, -sin, cos, 0, 0);
+};
 
-  let point = this._toAbsoluteHpglCoordinates(
-    this._toPlotterUnits(x, metric),
-    this._toPlotterUnits(y, metric)
-  );
-  this.queue("PU" + point.x + "," + point.y);
-  return this;
+/**
+ * Adds a scaling to the current transform.
+ *
+ * @param {number} x Horizontal scaling factor.
+ * @param {number} y Vertical scaling factor.
+ */
+PlotterContext.prototype.scale = function(x, y) {
+  this.transform(x, 0, 0, y, 0, 0);
+};
 
+/**
+ * Empties the current path.
+ */
+PlotterContext.prototype.beginPath = function() {
+  this._subpaths = [];
 };
 
 /**
- * Sets the velocity of the plotting pen. When the velocity `parameter` is set to `1`, the velocity
- * will be at its maximum of 38.1cm/s (default). So, if you set the `velocity` parameter to `0.1`,
- * the actual velocity will be 3.81cm/s.
+ * Starts a new subpath at the specified point.
  *
- * Any value equal or lower than `0` and any value above `1` will trigger the use of the default
- * velocity.
+ * @param {number} x
+ * @param {number} y
+ */
+PlotterContext.prototype.moveTo = function(x, y) {
+  this._subpaths.push([this._transform(x, y)]);
+};
+
+/**
+ * Adds a straight line from the last point of the current subpath to the specified point. If
+ * there is no subpath, this is the same as [moveTo()]{@link PlotterContext#moveTo}.
  *
- * @param {number} [velocity=1.0] A decimal number between `0` and `1`.
- * @returns {Plotter} Returns the `Plotter` object to allow method chaining.
+ * @param {number} x
+ * @param {number} y
  */
-Plotter.prototype.setVelocity = function(velocity = 1.0) {
+PlotterContext.prototype.lineTo = function(x, y) {
 
-  velocity = parseFloat(velocity) * 38.1;
+  let subpath = this._subpaths[this._subpaths.length - 1];
 
-  if (isNaN(velocity) || velocity <= 0 || velocity > 38.1) {
-    velocity = 38.1;
+  if (subpath) {
+    subpath.push(this._transform(x, y));
+  } else {
+    this.moveTo(x, y);
   }
 
-  this.queue("VS" + this._toHpglDecimal(velocity));
-
-  return this;
-
 };
 
 /**
- * @param content {String}
- * @param [newline=true] {Boolean} Whether to add a newline after the content
- * @private
+ * Adds a straight line back to the start of the current subpath and starts a new subpath at that
+ * point.
  */
-Plotter.prototype._appendToOutputFile = function(content, newline = true) {
+PlotterContext.prototype.closePath = function() {
 
-  // If no output file has been defined, simply return.
-  if (!this._outputFile) { return; }
+  let subpath = this._subpaths[this._subpaths.length - 1];
+  if (!subpath) return;
 
-  try {
-    fs.ensureFileSync(this._outputFile);
-    fs.appendFileSync(this._outputFile, content + (newline ? "\n" : ""));
-  } catch (e) {
-    throw new Error("Could not append to specified output file (" + this._outputFile + ").");
-  }
+  let first = subpath[0];
+  if (subpath.length > 1) subpath.push(first);
+  this._subpaths.push([first]);
 
 };
 
 /**
- * Starts appending all sent HPGL commands to the specified file. Unless a device has been
- * previously connected, it is necessary to specify the device model, the paper size and the
- * orientation in the options object.
- *
- * If you want to both plot and save at the same time, you must wait for the device to be ready
- * before calling the `startCapturingToFile()` function:
- *
- * ```
- * plotter
- *   .on("ready", function() {
- *     this.startCapturingToFile("test.hpgl");
- *   })
- *
- *   .on("error", function (err) {
- *     console.log(err);
- *   })
- *   .connect(transport);
- *
- * ```
+ * Adds a closed rectangular subpath and starts a new subpath at its origin.
  *
- * @param [path="job.hpgl"] {String} - The path of the file to append to.
- * @param [options] {Object} - Options affecting how the commands are captured to file.
- * @param [options.model="GENERIC"] {String} - The target device's model.
- * @param [options.orientation="landscape"] {String} The orientation of the paper: *landscape* or
- * *portrait*.
- * @param [options.paper="A"] {String} - The targeted paper size. Choices vary depending on the
- * device. Typical choices are:
- *   - **A**: ANSI A (8.5"x11", a.k.a "letter")
- *   - **B**: ANSI B (11"x17", a.k.a "tabloid")
- *   - **A4**: ISO A4 (210mm × 297mm)
- *   - **A3**: ISO A3 (297mm × 420mm)
- * @returns {Plotter} Returns the `Plotter` object to allow method chaining.
+ * @param {number} x
+ * @param {number} y
+ * @param {number} width
+ * @param {number} height
  */
-Plotter.prototype.startCapturingToFile = function(path = "job.hpgl", options = {}) {
-
-  this._outputFile = path;
-
-  // Any specified model, paper and orientation parameters are ignored if a connection is already
-  // open.
-  if (!this.connected) {
+PlotterContext.prototype.rect = function(x, y, width, height) {
+  this.moveTo(x, y);
+  this.lineTo(x + width, y);
+  this.lineTo(x + width, y + height);
+  this.lineTo(x, y + height);
+  this.closePath();
+};
 
-    // Model
-    if (Models[options.model]) {
-      this.characteristics = Models[options.model];
-    } else {
-      this.characteristics = Models["GENERIC"];
-    }
+/**
+ * Adds a circular arc to the current subpath. A straight line connects the last point of the
+ * subpath (if any) to the start of the arc.
+ *
+ * @param {number} x The `x` coordinate of the arc's center.
+ * @param {number} y The `y` coordinate of the arc's center.
+ * @param {number} radius The arc's radius.
+ * @param {number} startAngle The angle (in radians) at which the arc starts, measured clockwise
+ * from the positive `x` axis.
+ * @param {number} endAngle The angle (in radians) at which the arc ends.
+ * @param {Boolean} [counterclockwise=false] Whether to draw the arc counterclockwise.
+ * @throws {RangeError} The radius is negative.
+ */
+PlotterContext.prototype.arc = function(
+  x, y, radius, startAngle, endAngle, counterclockwise = false
+) {
 
-    // Paper
-    if (
-      options.paper &&
-      this.characteristics.papers.list.includes(options.paper.toUpperCase())
-    ) {
-      this.paper = options.paper.toUpperCase();
-    }
+  if (radius < 0) throw new RangeError("The radius cannot be negative.");
 
-    // Orientation
-    if (
-      options.orientation &&
-      ORIENTATIONS.includes(options.orientation.toLowerCase())
-    ) {
-      this.orientation = options.orientation.toLowerCase();
-    }
+  let full = 2 * Math.PI;
+  let sweep = endAngle - startAngle;
 
+  // Same rules as the canvas: a sweep larger than a full turn draws a circle
+  if (!counterclockwise) {
+    sweep = sweep >= full ? full : ((sweep % full) + full) % full;
+  } else {
+    sweep = -sweep >= full ? -full : ((sweep % full) - full) % full;
   }
 
-  // Inform device of the paper size we wish to use. This is not necessary on devices that use the
-  // same orientation for all paper sizes. It should be noted that, on some devices, this affects
-  // orientation (see below).
-  if ( this.characteristics.papers[this.paper].hasOwnProperty("psCode") ) {
-    this._appendToOutputFile("PS" + this.characteristics.papers[this.paper].psCode + ";");
+  let count = Math.max(Math.ceil(Math.abs(sweep) / (Math.PI / 2) - 1e-9), 1);
+  let step = sweep / count;
+  let k = 4 / 3 * Math.tan(step / 4);
+  let point = (angle, scale = 0) => {
+    let cos = Math.cos(angle), sin = Math.sin(angle);
+    return {x: x + radius * (cos - scale * sin), y: y + radius * (sin + scale * cos)};
+  };
+
+  let start = point(startAngle);
+  this.lineTo(start.x, start.y);
+
+  // Each section (no more than a quarter turn) is approximated with a cubic curve
+  for (let i = 0; i < count; i++) {
+    let a1 = startAngle + i * step, a2 = a1 + step;
+    let c1 = point(a1, k), c2 = point(a2, -k), end = point(a2);
+    this.bezierCurveTo(c1.x, c1.y, c2.x, c2.y, end.x, end.y);
   }
 
-  // Orientation
-  if (this.orientation === "landscape") {
-
-    this._appendToOutputFile("RO0;");    // do not rotate (or rotate back to default)
+};
 
-  } else {
+/**
+ * Adds a cubic Bézier curve from the last point of the current subpath.
+ *
+ * @param {number} cp1x The `x` coordinate of the first control point.
+ * @param {number} cp1y The `y` coordinate of the first control point.
+ * @param {number} cp2x The `x` coordinate of the second control point.
+ * @param {number} cp2y The `y` coordinate of the second control point.
+ * @param {number} x The `x` coordinate of the end point.
+ * @param {number} y The `y` coordinate of the end point.
+ */
+PlotterContext.prototype.bezierCurveTo = function(cp1x, cp1y, cp2x, cp2y, x, y) {
 
-    // Check if the device supports the rotation (not all do)
-    if ( this.characteristics.instructions.includes("RO") ) {
-      this._appendToOutputFile("RO90;");   // rotate to other orientation
-    } else {
-      throw new Error("The device does not support the '" + this.orientation + "' orientation.");
-    }
+  let subpath = this._subpaths[this._subpaths.length - 1];
 
+  if (!subpath) {
+    this.moveTo(cp1x, cp1y);
+    subpath = this._subpaths[this._subpaths.length - 1];
   }
 
-  // Reassign P1 and P2 and reset plotting window
-  this._appendToOutputFile("IP;");
-  this._appendToOutputFile("IW;");
+  // Transforms are affine so they can be applied to the control points
+  flattenCubic(
+    subpath[subpath.length - 1],
+    this._transform(cp1x, cp1y),
+    this._transform(cp2x, cp2y),
+    this._transform(x, y),
+    this._converter.tolerance,
+    subpath
+  );
 
 };
 
 /**
- * Stops hpgl commands from being saved to file.
+ * Adds a quadratic Bézier curve from the last point of the current subpath.
  *
- * @returns {Plotter} Returns the `Plotter` object to allow method chaining.
+ * @param {number} cpx The `x` coordinate of the control point.
+ * @param {number} cpy The `y` coordinate of the control point.
+ * @param {number} x The `x` coordinate of the end point.
+ * @param {number} y The `y` coordinate of the end point.
  */
-Plotter.prototype.stopCapturingToFile = function() {
+PlotterContext.prototype.quadraticCurveTo = function(cpx, cpy, x, y) {
 
-  if (!this.connected) {
-    this.characteristics = undefined;
-    this.orientation = "landscape";
-    this.paper = "A";
+  let subpath = this._subpaths[this._subpaths.length - 1];
+
+  if (!subpath) {
+    this.moveTo(cpx, cpy);
+    subpath = this._subpaths[this._subpaths.length - 1];
   }
 
-  this._outputFile = undefined;
+  // The curve is converted to a cubic one (in untransformed coordinates)
+  let from = this._untransform(subpath[subpath.length - 1]);
+
+  this.bezierCurveTo(
+    from.x + 2 / 3 * (cpx - from.x), from.y + 2 / 3 * (cpy - from.y),
+    x + 2 / 3 * (cpx - x), y + 2 / 3 * (cpy - y),
+    x, y
+  );
 
 };
 
 /**
- * Returns the plottable area for the current paper and orientation.
- *
- * @param {Boolean} [metric=true] Whether to use metric (cm, default) or imperial values (inches).
- * @returns {Rectangle} A `Rectangle` object which contains information about the width, the height
- * and the position (x, y) of the plottable area.
+ * Draws the outline of the current path with the pen assigned to `strokeStyle`.
  */
-Plotter.prototype.getPlottableArea = function(metric = true) {
+PlotterContext.prototype.stroke = function() {
 
-  let paper = this.characteristics.papers[this.paper],
-    x = 0,
-    y = 0,
-    width = 0,
-    height = 0;
-
-  if (this.orientation === "portrait") {
-    width = this._fromPlotterUnits(paper.short, metric);
-    height = this._fromPlotterUnits(paper.long, metric);
-  } else {
-    width = this._fromPlotterUnits(paper.long, metric);
-    height = this._fromPlotterUnits(paper.short, metric);
-  }
+  let subpaths = this._subpaths.filter(subpath => subpath.length > 1);
+  if (subpaths.length < 1) return;
 
-  // If margins are defined
-  if (paper.margins) {
-    x = this._fromPlotterUnits(paper.margins[this.orientation].left);
-    y = this._fromPlotterUnits(paper.margins[this.orientation].top);
-  }
+  this._selectPen(this.strokeStyle);
 
-  return new Rectangle(x, y, width, height);
+  subpaths.forEach(subpath => {
+    let points = [].concat(...subpath.map(p => [p.x, p.y]));
+    this.plotter.moveTo(points[0], points[1]);
+    this.plotter.drawLines(points.slice(2));
+  });
 
 };
 
 /**
- * Returns an object with `top`, `right`, `bottom` and `left` properties each containing the size of
- * the corresponding margin. The device model, the paper size and the paper orientation must have
- * been defined before calling this function, otherwise the function will return `undefined`.
- *
- * @param metric {Boolean} Whether the margin values should be returned in cm (default) or decimal
- * inches.
- * @returns {Object} An object with `top`, `right`, `bottom` and `left` properties.
+ * Fills the current path with the pen assigned to `fillStyle` and the fill type selected with
+ * [Plotter.setFillType()]{@link Plotter#setFillType}. Subpaths are implicitly closed and areas
+ * covered by an odd number of subpaths are filled. The edges are drawn as well (see
+ * [Plotter.drawPolygon()]{@link Plotter#drawPolygon}).
  */
-Plotter.prototype.getMargins = function(metric = true) {
+PlotterContext.prototype.fill = function() {
 
-  let paper, margins = {};
+  let rings = this._subpaths
+    .filter(subpath => subpath.length > 2)
+    .map(subpath => [].concat(...subpath.map(p => [p.x, p.y])));
 
-  try {
-    paper = this.characteristics.papers[this.paper];
-    margins.top = this._fromPlotterUnits(paper.margins[this.orientation].top, metric);
-    margins.right = this._fromPlotterUnits(paper.margins[this.orientation].right, metric);
-    margins.bottom = this._fromPlotterUnits(paper.margins[this.orientation].bottom, metric);
-    margins.left = this._fromPlotterUnits(paper.margins[this.orientation].left, metric);
-  } catch (e) {
-    return undefined;
-  }
+  if (rings.length < 1) return;
 
-  return margins;
+  this._selectPen(this.fillStyle);
+  this.plotter.drawPolygon(rings, {fill: true});
 
 };
 
 /**
- * Fetches status information about the device. Once retrieved, the status information is packaged
- * in an object that is passed to the specified callback.
- *
- * The status request is not queued. It is being answered by the device in an immediate fashion. It
- * still takes a little while but does not wait for previous drawing instructions to complete. It
- * does not affect drawing in any way.
+ * Applies the current transform to a point.
  *
- * @param {Function} callback A function to call once the status data has been obtained from the
- * device. This function receives an object with various properties which are detailed below.
- * @param {Boolean} callback.rollPaper Whether roll paper or sheet paper is being used.
- * @param {Boolean} callback.cleanPaper Whether the paper is "clean" (set after being sensed). The
- * paper is considered to not be clean if:
- *  * No paper is loaded or advanced
- *  * The pen has touched the paper
- *  * No paper was sensed before or after paper advance (end of roll)
- * @param {Boolean} callback.paperAdvance Whether a paper advance instruction has been received
- * since the last time the status was retrieved.
- * @param {Boolean} callback.bufferEmpty Whether the buffer is currently empty or not.
- * @param {Boolean} callback.ready Whether the device is ready to receive instructions or not.
- * @param {Boolean} callback.viewEngaged Whether "view" mode is currently engaged.
- * @param {Boolean} callback.coverOpen Whether the cover is currently open.
- * @param {Boolean} callback.emulateMode Whether the device is in emulate or normal mode.
- * @param {Boolean} callback.expandMode Whether expand mode is activated or not.
+ * @private
+ * @param {number} x
+ * @param {number} y
+ * @returns {Object} The transformed point (an object with `x` and `y` properties).
+ */
+PlotterContext.prototype._transform = function(x, y) {
+  let m = this._matrix;
+  return {x: m[0] * x + m[2] * y + m[4], y: m[1] * x + m[3] * y + m[5]};
+};
+
+/**
+ * Applies the inverse of the current transform to a point.
  *
- * @returns {Plotter} Returns the `Plotter` object to allow method chaining.
+ * @private
+ * @param {Object} point An object with `x` and `y` properties.
+ * @returns {Object} The untransformed point.
  */
-Plotter.prototype.getStatus = function(callback) {
+PlotterContext.prototype._untransform = function(point) {
 
-  this.send(this.RS232_PREFIX + "O", (data) => {
+  let [a, b, c, d, e, f] = this._matrix;
+  let determinant = a * d - b * c;
+  let x = point.x - e, y = point.y - f;
 
-    let n = parseInt(data);
+  if (determinant === 0) return {x: 0, y: 0};
 
-    let status = {
-      rollPaper:    (n & 0b000000001) === 1,
-      cleanPaper:   (n & 0b000000010) !== 2,
-      paperAdvance: (n & 0b000000100) === 4,
-      bufferEmpty:  (n & 0b000001000) === 8,
-      ready:        (n & 0b000110000) === 0,
-      viewEngaged:  (n & 0b000110000) === 16,
-      coverOpen:    (n & 0b001000000) === 64,
-      emulateMode:  (n & 0b010000000) === 128,
-      expandMode:   (n & 0b100000000) === 256
-    };
+  return {x: (d * x - c * y) / determinant, y: (a * y - b * x) / determinant};
 
-    if (typeof callback === "function") callback(status);
+};
 
-  }, true);
+/**
+ * Selects the pen assigned to a color (or designated by a number) if it is not already selected.
+ *
+ * @private
+ * @param {string|number} style
+ */
+PlotterContext.prototype._selectPen = function(style) {
 
-  return this;
+  if (!this.selectPens) return;
+
+  let pen = typeof style === "number" ?
+    Math.trunc(style) :
+    this._converter._getPen(this._converter._normalizeColor(style));
+
+  if (pen !== this._pen) {
+    this._pen = pen;
+    this.plotter.selectPen(pen);
+  }
 
 };
 
 /**
- * Queues a single HPGL instruction, a series of HPGL instructions concatenated in a string or a
- * single RS-232-C device control command. The instructions will be sent as soon as the device's
- * buffer can accept them.
+ * The `StrokeFont` class holds the glyphs of a single-stroke font (such as the Hershey fonts) so
+ * text can be drawn with lines instead of the device's built-in character sets (see the `font`
+ * option of [drawText()]{@link Plotter#drawText}). Fonts are read from SVG font documents: glyph
+ * outlines are flattened into polylines while advance widths and kerning pairs (`<hkern>`
+ * elements) are kept so text can be laid out with the font's exact metrics.
  *
- * Unless you are very familiar with HPGL or RS-232-C, you should not use this method directly.
- * Instead, you can use friendlier methods such as: [drawLines()]{@link Plotter#drawLines},
- * [drawText()]{@link Plotter#drawText}, [drawCircle()]{@link Plotter#drawCircle}, etc.
+ * The faces bundled with the `hersheytext` module (`hershey_sans_1`, `hershey_serif_med`,
+ * `hershey_script_1`, `ems_readability`, etc.) are loaded by name with
+ * [StrokeFont.load()]{@link StrokeFont.load}. Other fonts can be added with
+ * [StrokeFont.register()]{@link StrokeFont.register}.
  *
- * @param {string} instruction - Any valid HPGL instruction(s) or RS-232-C command.
- * @param {Function} [callback=null] A function to call once the data has been sent to the device
- * (default) or when an answer has been received from the device (when `waitForResponse` is true).
- * Note that if `waitForResponse` is `true`, the callback function will receive a single parameter
- * containing the data received from the device. Also note that if the instruction string contains
- * multiple commands, the callback will be fired after each command.
- * @param {Object} [options=Object] Additional options
- * @param {Boolean} [options.waitForResponse=false] Whether to execute the callback function
- * after the data has been sent or only after an answer has been received from the device.
- * @param {Boolean} [options.executeCallbackOnAbort=false] Whether the specified callback (if any)
- * should be executed or simply ignored when `Plotter.abort()` is called.
- * @param {Boolean} [options.ignoreOutputInstructions=false] Whether to ignore HPGL output
- * instructions (instructions starting with "O"). This is useful when plotting a whole file.
- * @returns {Plotter} Returns the `Plotter` object to allow method chaining.
+ * All metrics are in font units. The baseline is at `y = 0` and `y` goes up.
+ *
+ * @param {string} svg An SVG document containing a `<font>` element.
+ * @throws {SyntaxError} The document does not contain a `<font>` element.
+ *
+ * @class
  */
-Plotter.prototype.queue = function(instruction, callback = null, options = {}) {
+let StrokeFont = function(svg) {
 
-  // Check if we are dealing with a single instruction or multiple instructions concatenated in one
-  // string. To do that, we build a regex that will break the string on semicolons, newlines or CTX
-  // characters (for label). Then we filter out empty elements.
-  let regex = new RegExp("[;\n" + LABEL_TERMINATOR + "]");
-  let commands = instruction.split(regex).filter(function(n) { return n.length >= 2; });
+  let converter = new SvgConverter();
+  let font = /<font\b([^>]*)>/.exec(svg);
 
-  // The callback is only added to the last element (if many instructions are concatenated together)
-  for (let i = 0; i < commands.length; i++) {
+  if (!font) throw new SyntaxError("The document does not contain a <font> element.");
 
-    if (commands[i].startsWith("O") && options.ignoreOutputInstructions) {
-      continue;
-    }
+  font = converter._parseAttributes(font[1], {});
+  let face = converter._parseAttributes((/<font-face\b([^>]*)>/.exec(svg) || [])[1] || "", {});
 
-    // Make sure a single instruction is not bigger than the device's buffer. This is also checked
-    // in send() but must be checked here because a command that is larger than the maximum buffer
-    // size will never make it to the send() function. Important: we must add 1 to the length
-    // because of the termination character that will be added by send().
-    if (
-      this.characteristics &&
-      this.characteristics.buffer &&
-      commands[i].length + 1 > this.characteristics.buffer
-    ) {
-      this._stopAndEmptyQueue();
-      throw new RangeError(
-        `Maximum HP-GL instruction length cannot be larger than device buffer. Instruction is ` +
-        `${(commands[i].length + 1)} characters long but buffer is only ${this.characteristics.buffer}.`
-      );
-    }
+  /**
+   * The name of the font.
+   *
+   * @type {string}
+   * @readonly
+   */
+  this.name = face["font-family"] || font.id || "";
 
-    let command = { instruction: commands[i] };
+  /**
+   * The size of the em square.
+   *
+   * @type {number}
+   * @readonly
+   */
+  this.unitsPerEm = parseFloat(face["units-per-em"]) || 1000;
 
-    if (i === commands.length - 1) {
-      command.callback = callback;
-      command.waitForResponse = options.waitForResponse;
-      command.executeCallbackOnAbort = options.executeCallbackOnAbort;
-    }
+  /**
+   * Glyphs by character. Each glyph is an object with an `advance` (the horizontal distance to
+   * the next glyph) and `strokes` (an array of polylines, each one an array of `{x, y}` points).
+   *
+   * @private
+   * @member {Object}
+   */
+  this._glyphs = {};
 
-    this._queue.push(command);
+  /**
+   * Kerning adjustments by pair of characters (for example, `"AV"`).
+   *
+   * @private
+   * @member {Object}
+   */
+  this._kerning = {};
 
-  }
+  /**
+   * Advance of the characters that have no glyph.
+   *
+   * @private
+   * @member {number}
+   */
+  this._defaultAdvance = parseFloat(font["horiz-adv-x"]) || this.unitsPerEm / 2;
 
-  // If the queue is not set for execution, set it.
-  if (this._queueTimeOutId === 0 && this._retryTimeoutId === 0) {
-    this._queueTimeOutId = setTimeout(this._processQueue.bind(this), this.QUEUE_DELAY);
+  let names = {};
+  let tolerance = this.unitsPerEm / 1000;
+  let regex = /<(glyph|missing-glyph|hkern)\b([^>]*)>/g;
+  let elements = [], match;
+
+  while ((match = regex.exec(svg)) !== null) {
+    elements.push({name: match[1], attributes: converter._parseAttributes(match[2], {})});
   }
 
-  return this;
+  elements.forEach(element => {
+
+    let a = element.attributes;
+
+    if (element.name === "missing-glyph") {
+      this._defaultAdvance = parseFloat(a["horiz-adv-x"]) || this._defaultAdvance;
+      return;
+    }
+
+    if (element.name !== "glyph" || a.unicode === undefined) return;
+
+    // Ligatures (glyphs for several characters) are not supported
+    let char = this._decodeEntities(a.unicode);
+    if (Array.from(char).length !== 1) return;
+
+    let strokes = [];
+    converter._parsePathData(a.d || "").forEach(subpath => {
+      let points = converter._flatten(subpath, tolerance);
+      if (points.length > 0) strokes.push(points);
+    });
+
+    this._glyphs[char] = {
+      advance: parseFloat(a["horiz-adv-x"]) || this._defaultAdvance,
+      strokes: strokes
+    };
+
+    if (a["glyph-name"]) names[a["glyph-name"]] = char;
+
+  });
+
+  // Kerning pairs designate characters by value (u1, u2) or by glyph name (g1, g2)
+  elements.filter(element => element.name === "hkern").forEach(element => {
+
+    let a = element.attributes;
+    let list = (unicode, glyphs) => {
+      let chars = this._decodeEntities(unicode || "").split(",").filter(c => c.length > 0);
+      (glyphs || "").split(",").forEach(name => {
+        if (names[name.trim()]) chars.push(names[name.trim()]);
+      });
+      return chars;
+    };
+
+    list(a.u1, a.g1).forEach(left => {
+      list(a.u2, a.g2).forEach(right => {
+        this._kerning[left + right] = -(parseFloat(a.k) || 0);
+      });
+    });
+
+  });
+
+  /**
+   * The height of capital letters (measured on the `H` glyph when there is one).
+   *
+   * @type {number}
+   * @readonly
+   */
+  this.capHeight = this._getTop("H") || parseFloat(face["cap-height"]) || this.unitsPerEm * .7;
+
+  /**
+   * The height of lowercase letters (measured on the `x` glyph when there is one).
+   *
+   * @type {number}
+   * @readonly
+   */
+  this.xHeight = this._getTop("x") || parseFloat(face["x-height"]) || this.capHeight * .7;
+
+  /**
+   * The distance from the baseline to the top of the tallest glyphs.
+   *
+   * @type {number}
+   * @readonly
+   */
+  this.ascent = parseFloat(face.ascent) || this.unitsPerEm * .8;
+
+  /**
+   * The distance (negative) from the baseline to the bottom of the lowest glyphs.
+   *
+   * @type {number}
+   * @readonly
+   */
+  this.descent = parseFloat(face.descent) || -this.unitsPerEm * .2;
 
 };
 
 /**
- * Processes the queue of pending instructions.
- *
- * The queue is comprised of objects:...
+ * Returns a font by name. The fonts bundled with the `hersheytext` module are loaded the first
+ * time they are requested.
  *
- * @private
+ * @param {string|StrokeFont} [font="hershey_sans_1"] The name of the font. If a `StrokeFont` is
+ * passed, it is returned as is.
+ * @returns {StrokeFont}
+ * @throws {Error} The font is not available.
  */
-Plotter.prototype._processQueue = function() {
+StrokeFont.load = function(font = DEFAULT_STROKE_FONT) {
 
-  // Make sure any pending timeout is cancelled. We will add a new one if necessary. Exit if no
-  // commands are pending.
-  clearTimeout(this._queueTimeOutId);
-  this._queueTimeOutId = 0;
-  if (this._queue.length < 1) { return; }
+  if (font instanceof StrokeFont) return font;
 
-  // Are we connected to a device? If not, simply save to file and move along
-  if (!this.connected && this._outputFile) {
+  let name = String(font);
 
-    // Since we are not limited by the device's buffer, exhaust all commands at once and empty
-    // queue when done.
-    this._queue.forEach((command) => {
-      this.send(command.instruction, command.callback);
-    });
-    this._queue = [];
+  if (!STROKE_FONTS[name]) {
 
-    // Make sure the queue continues to be processed.
-    this._queueTimeOutId = setTimeout(this._processQueue.bind(this), this.QUEUE_DELAY);
+    let entry = JSON.parse(StrokeFont._readBundledFile("index.json"))[name];
+    if (!entry) throw new Error("The '" + name + "' font is not available.");
 
-  } else {
+    STROKE_FONTS[name] = new StrokeFont(StrokeFont._readBundledFile(entry.file));
 
-    // Before sending the actual command, we first send a request to know the available buffer space
-    // on the device. Since the response can sometimes be lost, we setup a timer that will retry
-    // should the response never come in.
-    this._retryTimeoutId = setTimeout(() => {
+  }
 
-      // console.warn("Warning: Bad communication with the device. Attempting once more.");
+  return STROKE_FONTS[name];
 
-      // Dispatch fake event to prevent the previous callback from being executed and screwing
-      // things up.
-      this.emit("data", -1);
-      this._buffer = "";
-      this._queueTimeOutId = setTimeout(this._processQueue.bind(this), this.QUEUE_DELAY);
+};
 
-    }, this.DEVICE_RS232_DELAY);
+/**
+ * Returns the content of a file from the `svg_fonts` directory of the `hersheytext` module (the
+ * fonts and their index). The ES module build embeds these files instead of reading them.
+ *
+ * @private
+ * @param {string} file The name of the file.
+ * @returns {string}
+ */
+StrokeFont._readBundledFile = function(file) {
+  let path = require.resolve("hersheytext/svg_fonts/" + file);
+  return require("fs-extra").readFileSync(path, "utf8");
+};
+
+/**
+ * Makes a font available by name (to [StrokeFont.load()]{@link StrokeFont.load} and to the `font`
+ * option of [drawText()]{@link Plotter#drawText}). A registered font replaces any font already
+ * using that name.
+ *
+ * @param {string} name The name of the font.
+ * @param {string|StrokeFont} font An SVG font document or a `StrokeFont`.
+ * @returns {StrokeFont} The registered font.
+ */
+StrokeFont.register = function(name, font) {
+  STROKE_FONTS[name] = font instanceof StrokeFont ? font : new StrokeFont(font);
+  return STROKE_FONTS[name];
+};
 
-    this.send(this.RS232_PREFIX + "B", (data) => {
+/**
+ * Returns the names of the fonts that can be loaded (bundled and registered).
+ *
+ * @returns {string[]}
+ */
+StrokeFont.getNames = function() {
+  let bundled = Object.keys(JSON.parse(StrokeFont._readBundledFile("index.json")));
+  return bundled.concat(Object.keys(STROKE_FONTS).filter(name => !bundled.includes(name)));
+};
 
-      let freeSpace = parseInt(data);
+/**
+ * Indicates whether the font has a glyph for the specified character.
+ *
+ * @param {string} char A single character.
+ * @returns {Boolean}
+ */
+StrokeFont.prototype.hasGlyph = function(char) {
+  return this._glyphs.hasOwnProperty(char);
+};
 
-      // This is a special case when no data is received after a set amount of time and we fake it
-      // in order to start again.
-      if (freeSpace === -1) return;
+/**
+ * Returns the glyph of a character.
+ *
+ * @param {string} char A single character.
+ * @returns {Object} An object with an `advance` (the horizontal distance to the next glyph) and
+ * `strokes` (an array of polylines, each one an array of `{x, y}` points) or `undefined` if the
+ * font has no glyph for that character.
+ */
+StrokeFont.prototype.getGlyph = function(char) {
+  return this.hasGlyph(char) ? this._glyphs[char] : undefined;
+};
 
-      // Remove retry timeout
-      clearTimeout(this._retryTimeoutId);
-      this._retryTimeoutId = 0;
+/**
+ * Returns the adjustment to apply to the distance between two characters.
+ *
+ * @param {string} left The first character.
+ * @param {string} right The second character.
+ * @returns {number} The adjustment (negative values bring the characters closer).
+ */
+StrokeFont.prototype.getKerning = function(left, right) {
+  return this._kerning[left + right] || 0;
+};
 
-      // If there is enough buffer space, we send the instruction. Otherwise, we set a timeout to
-      // delay processing until later.
-      if (this._queue[0] && this._queue[0].instruction.length <= freeSpace) {
+/**
+ * Lays out text: glyphs are placed side by side on the baseline, starting at the origin. Each line
+ * feed (`\n`) starts a new line below the previous one.
+ *
+ * @param {string} text The text to lay out.
+ * @param {Object} [options={}] Options to control the layout (all distances are in font units).
+ * @param {Boolean} [options.kerning=true] Whether to apply the font's kerning pairs.
+ * @param {number} [options.letterSpacing=0] Additional space between characters.
+ * @param {number} [options.lineHeight] The distance between baselines. By default, this is the
+ * size of the em square.
+ * @param {number} [options.advance] When specified, all characters are given that advance and
+ * are centered in the space they are given (like a monospaced font).
+ * @returns {Object} An object with the `strokes` (an array of polylines), the `width` of the
+ * longest line, the `end` point (where the next character would go) and the characters that are
+ * `missing` from the font (they are left blank).
+ */
+StrokeFont.prototype.layout = function(text, options = {}) {
 
-        // Send oldest available instruction first (and keep it for later checks)
-        let command = this._queue.shift();
-        this.send(command.instruction, command.callback, command.waitForResponse);
+  let letterSpacing = parseFloat(options.letterSpacing) || 0;
+  let lineHeight = parseFloat(options.lineHeight) || this.unitsPerEm;
+  let fixed = parseFloat(options.advance);
+  let result = {strokes: [], width: 0, end: {x: 0, y: 0}, missing: []};
+  let x = 0, y = 0, previous;
 
-        // If the command must wait for a response, we have to hold the queue until then. Otherwise,
-        // if more commands are in the queue, process them.
-        if (command.waitForResponse) {
+  Array.from(String(text)).forEach(char => {
 
-          // console.info("Wait for response.");
+    if (char === "\n") {
+      x = 0;
+      y -= lineHeight;
+      previous = undefined;
+      return;
+    }
 
-          // Make sure the callback will be triggered if an abort call is made (if required)
-          let onAbort = () => {
-            if (
-              command.executeCallbackOnAbort &&
-              typeof command.callback === "function"
-            ) {
-              command.callback();
-            }
-          };
-          this.once("aborted", onAbort);
+    let glyph = this.getGlyph(char);
+    if (!glyph) result.missing.push(char);
 
-          this.once("data", () => {
-            this.removeListener("aborted", onAbort);
-            this._queueTimeOutId = setTimeout(this._processQueue.bind(this), this.QUEUE_DELAY);
-          })
+    let advance = glyph ? glyph.advance : this._defaultAdvance;
+    let offset = 0;
 
-        } else if (this._queue.length > 0) {
-          this._queueTimeOutId = setTimeout(this._processQueue.bind(this), this.QUEUE_DELAY);
-        }
+    if (fixed > 0) {
+      offset = (fixed - advance) / 2;
+      advance = fixed;
+    } else if (previous !== undefined && options.kerning !== false) {
+      x += this.getKerning(previous, char);
+    }
 
-      } else {
+    if (glyph) {
+      glyph.strokes.forEach(stroke => {
+        result.strokes.push(stroke.map(p => ({x: p.x + x + offset, y: p.y + y})));
+      });
+    }
 
-        this._queueTimeOutId = setTimeout(this._processQueue.bind(this), this.QUEUE_DELAY);
+    x += advance;
+    result.width = Math.max(result.width, x);
+    x += letterSpacing;
+    previous = char;
 
-      }
+  });
 
-    }, true);
+  result.end = {x: x, y: y};
 
-  }
+  return result;
+
+};
+
+/**
+ * Returns the top of a glyph (the highest point of its strokes).
+ *
+ * @private
+ * @param {string} char
+ * @returns {number} The top or `undefined` if the glyph is missing or blank.
+ */
+StrokeFont.prototype._getTop = function(char) {
+  let glyph = this.getGlyph(char);
+  if (!glyph || glyph.strokes.length < 1) return undefined;
+  return Math.max(...[].concat(...glyph.strokes).map(p => p.y));
+};
+
+/**
+ * Decodes the character references and predefined entities found in an XML attribute.
+ *
+ * @private
+ * @param {string} text
+ * @returns {string}
+ */
+StrokeFont.prototype._decodeEntities = function(text) {
+
+  let entities = {amp: "&", lt: "<", gt: ">", quot: '"', apos: "'"};
+
+  return text.replace(/&(#x[0-9a-f]+|#[0-9]+|amp|lt|gt|quot|apos);/gi, (match, entity) => {
+    entity = entity.toLowerCase();
+    if (entity[0] !== "#") return entities[entity];
+    if (entity[1] === "x") return String.fromCodePoint(parseInt(entity.substring(2), 16));
+    return String.fromCodePoint(parseInt(entity.substring(1), 10));
+  });
 
 };
 
 module.exports.Plotter = Plotter;
+module.exports.VirtualPlotter = VirtualPlotter;
+module.exports.WebSerialTransport = WebSerialTransport;
+module.exports.TcpTransport = TcpTransport;
+module.exports.HpglParser = HpglParser;
+module.exports.HpglRenderer = HpglRenderer;
+module.exports.SvgConverter = SvgConverter;
+module.exports.HpglOptimizer = HpglOptimizer;
+module.exports.PlotterContext = PlotterContext;
+module.exports.StrokeFont = StrokeFont;
@@ -0,0 +1,72 @@
+const test = require("node:test");
+const assert = require("assert");
+const {Plotter} = require("../src/hpgl.js");
+
+let plotter = new Plotter();
+
+test("ASCII text is drawn with the standard set", () => {
+
+  assert.strictEqual(plotter.utf8toHpgl("Hello, World!"), "CS0;LBHello, World!\x03");
+
+});
+
+test("the alternate set that can draw the most upcoming characters is designated", () => {
+
+  // Set 34 (ISO French) has the accented letters and the ASCII letters that follow them
+  assert.strictEqual(
+    plotter.utf8toHpgl("café crème"),
+    "CS0;LBcaf\x03CA34;SA;LB{ cr}me\x03SS"
+  );
+
+  // Set 33 (ISO German)
+  assert.strictEqual(plotter.utf8toHpgl("Grüße"), "CS0;LBGr\x03CA33;SA;LB}~e\x03SS");
+
+  // Set 7 (Roman Extensions) has no ASCII letters, so the standard set is selected again
+  assert.strictEqual(plotter.utf8toHpgl("½ ok"), "CS0;CA7;SA;LBx \x03SS;LBok\x03");
+
+  // Set 8 (Katakana), for half-width and full-width characters alike
+  assert.strictEqual(plotter.utf8toHpgl("ｱア"), "CS0;CA8;SA;LB11\x03SS");
+
+});
+
+test("a different alternate set is designated when the current one lacks a character", () => {
+
+  assert.strictEqual(
+    plotter.utf8toHpgl("Ç, ç et Ñ"),
+    "CS0;CA38;SA;LB\\, | et \x03CA7;SA;LB6\x03SS"
+  );
+
+});
+
+test("accented characters missing from all sets are composed with a backspace", () => {
+
+  assert.deepStrictEqual(plotter._encodeCharacter("Ǹ"), ["N", "\b", "`"]);
+  assert.strictEqual(plotter.utf8toHpgl("Ǹ"), "CS0;LBN\b`\x03");
+
+  // The katakana voicing marks are characters of their own
+  assert.deepStrictEqual(plotter._encodeCharacter("ガ"), ["カ", "゙"]);
+
+});
+
+test("characters that cannot be mapped are replaced by a question mark", () => {
+
+  assert.strictEqual(plotter._encodeCharacter("€"), undefined);
+  assert.strictEqual(plotter._encodeCharacter("日"), undefined);
+
+  assert.strictEqual(plotter.utf8toHpgl("日本"), "CS0;LB??\x03");
+
+  // The question mark is found in the ISO sets, so the set stays the same
+  assert.strictEqual(plotter.utf8toHpgl("é€"), "CS0;CA31;SA;LB`?\x03SS");
+
+  // Characters outside the Basic Multilingual Plane are replaced once, not per surrogate
+  assert.strictEqual(plotter.utf8toHpgl("a😀b"), "CS0;LBa?b\x03");
+
+  // Every character sent fits in a single byte
+  let hpgl = plotter.utf8toHpgl("Ça coûte 5 € 😀 日本");
+  assert.ok(Array.from(hpgl).every(char => char.charCodeAt(0) < 128), hpgl);
+
+  // Control characters can be used with any set
+  assert.deepStrictEqual(plotter._encodeCharacter("\r"), ["\r"]);
+  assert.strictEqual(plotter.utf8toHpgl("é\r\nè"), "CS0;CA7;SA;LBE\r\nI\x03SS");
+
+});
@@ -0,0 +1,181 @@
+const test = require("node:test");
+const assert = require("assert");
+const {connect, close, plot, getStrokes} = require("./helpers.js");
+
+// In the rendered strokes, the point at (5 cm, 5 cm) is at (2000, 2000) and y goes down the page
+
+// Returns the strokes drawn by the specified function on a context
+let draw = async function(callback, options) {
+  let hpgl = await plot(plotter => callback(plotter.getContext(options)));
+  return getStrokes(hpgl);
+};
+
+test("only 2d contexts are available", async () => {
+
+  let {plotter} = await connect();
+  assert.throws(() => plotter.getContext("webgl"), /'webgl' context type is not supported/);
+  assert.strictEqual(plotter.getContext({pens: {red: 2}}).plotter, plotter);
+  assert.strictEqual(plotter.getContext().strokeStyle, "#000000");
+  await close(plotter);
+
+});
+
+test("paths are drawn when they are stroked", async () => {
+
+  let strokes = await draw(ctx => {
+    ctx.beginPath();
+    ctx.moveTo(5, 5);
+    ctx.lineTo(7, 5);
+    ctx.lineTo(7, 6);
+    ctx.rect(1, 1, 1, 2);
+    ctx.moveTo(9, 9);
+    ctx.beginPath();
+    ctx.lineTo(3, 3);
+    ctx.lineTo(4, 3);
+    ctx.closePath();
+    ctx.stroke();
+  });
+
+  // The path emptied by beginPath() is not drawn and closed subpaths go back to their start
+  assert.deepStrictEqual(strokes.map(stroke => stroke.points), [
+    [[1200, 1200], [1600, 1200], [1200, 1200]]
+  ]);
+
+  strokes = await draw(ctx => {
+    ctx.moveTo(5, 5);
+    ctx.lineTo(7, 5);
+    ctx.lineTo(7, 6);
+    ctx.rect(1, 1, 1, 2);
+    ctx.stroke();
+  });
+
+  assert.deepStrictEqual(strokes.map(stroke => stroke.points), [
+    [[2000, 2000], [2800, 2000], [2800, 2400]],
+    [[400, 400], [800, 400], [800, 1200], [400, 1200], [400, 400]]
+  ]);
+
+});
+
+test("colors are drawn with the pens they are assigned", async () => {
+
+  let hpgl = await plot(plotter => {
+    let ctx = plotter.getContext({pens: {"#00ff00": 3}});
+    let line = (y, style) => {
+      ctx.strokeStyle = style;
+      ctx.beginPath();
+      ctx.moveTo(1, y);
+      ctx.lineTo(2, y);
+      ctx.stroke();
+    };
+    line(1, "lime");
+    line(2, "#0f0");
+    line(3, "black");
+    line(4, "blue");
+    line(5, 4);
+  });
+
+  // The same pen is not selected twice in a row and unmapped colors are given the lowest free pen
+  let pens = hpgl.match(/SP\d+/g);
+  assert.deepStrictEqual(pens.slice(pens.lastIndexOf("SP3")), ["SP3", "SP1", "SP2", "SP4"]);
+  assert.deepStrictEqual(getStrokes(hpgl).map(stroke => stroke.pen), [
+    "green", "green", "black", "red", "blue"
+  ]);
+
+  let unselected = await plot(plotter => {
+    let ctx = plotter.getContext({selectPens: false});
+    ctx.strokeStyle = "red";
+    ctx.rect(1, 1, 1, 1);
+    ctx.stroke();
+  });
+  assert.doesNotMatch(unselected, /SP[^0]/);
+
+});
+
+test("transforms apply to the points added after them", async () => {
+
+  let strokes = await draw(ctx => {
+    ctx.translate(5, 5);
+    ctx.save();
+    ctx.scale(2, 1);
+    ctx.rotate(Math.PI / 2);
+    ctx.moveTo(0, 0);
+    ctx.lineTo(1, 0);
+    ctx.restore();
+    ctx.lineTo(1, 0);
+    ctx.restore();
+    ctx.transform(1, 0, 0, 1, 0, 2);
+    ctx.lineTo(0, 0);
+    ctx.setTransform(1, 0, 0, 1, 1, 1);
+    ctx.lineTo(0, 0);
+    ctx.resetTransform();
+    ctx.lineTo(0, 0);
+    ctx.stroke();
+  });
+
+  // Rotations are clockwise (as seen on the paper)
+  assert.deepStrictEqual(strokes.map(stroke => stroke.points), [
+    [[2000, 2000], [2000, 2400], [2400, 2000], [2000, 2800], [400, 400], [0, 0]]
+  ]);
+
+});
+
+test("arcs and curves are flattened", async () => {
+
+  let [circle, curve] = await draw(ctx => {
+    ctx.arc(5, 5, 2, 0, 2 * Math.PI);
+    ctx.moveTo(1, 1);
+    ctx.quadraticCurveTo(2, 3, 3, 1);
+    ctx.stroke();
+  });
+
+  assert.ok(circle.points.length > 20);
+  assert.deepStrictEqual(circle.points[0], [2800, 2000]);
+  assert.deepStrictEqual(circle.points[circle.points.length - 1], [2800, 2000]);
+  circle.points.forEach(([x, y]) => {
+    assert.ok(Math.abs(Math.hypot(x - 2000, y - 2000) - 800) <= 1.5, `${x},${y}`);
+  });
+
+  // The apex of the curve is halfway between the ends and the control point
+  assert.deepStrictEqual(curve.points[0], [400, 400]);
+  assert.deepStrictEqual(curve.points[curve.points.length - 1], [1200, 400]);
+  assert.ok(Math.abs(Math.max(...curve.points.map(point => point[1])) - 800) <= 1);
+
+  let [half] = await draw(ctx => {
+    ctx.arc(5, 5, 2, 0, Math.PI, true);
+    ctx.stroke();
+  });
+
+  // Counterclockwise arcs go up the page
+  assert.deepStrictEqual(half.points[half.points.length - 1], [1200, 2000]);
+  half.points.forEach(point => assert.ok(point[1] <= 2000));
+
+  let {plotter} = await connect();
+  assert.throws(() => plotter.getContext().arc(0, 0, -1, 0, 1), RangeError);
+  await close(plotter);
+
+});
+
+test("filled paths are drawn as polygons with the fill style's pen", async () => {
+
+  let hpgl = await plot(plotter => {
+    plotter.setFillType("hatch", {spacing: 0.5});
+    let ctx = plotter.getContext({pens: {red: 2}});
+    ctx.fillStyle = "red";
+    ctx.rect(1, 1, 4, 4);
+    ctx.rect(2, 2, 2, 2);
+    ctx.fill();
+  });
+
+  let strokes = getStrokes(hpgl);
+  assert.ok(strokes.every(stroke => stroke.pen === "red"));
+
+  // The second rectangle is a hole
+  let [outer, hole] = strokes.splice(-2);
+  assert.deepStrictEqual(outer.points[0], [400, 400]);
+  assert.deepStrictEqual(hole.points[0], [800, 800]);
+  strokes.forEach(line => {
+    let [[x1, y], [x2]] = line.points;
+    if (y > 800 && y < 1600) assert.ok(Math.max(x1, x2) <= 800 || Math.min(x1, x2) >= 1600);
+  });
+
+});
@@ -0,0 +1,114 @@
+const test = require("node:test");
+const assert = require("assert");
+const {plot, getStrokes} = require("./helpers.js");
+
+// In the rendered strokes, a point at (x cm, y cm) is at (400x, 400y)
+
+// Returns the strokes drawn by the specified function
+let draw = async callback => getStrokes(await plot(plotter => callback(plotter.selectPen(1))));
+
+// Returns the point of a cubic Bézier curve (in cm) at t, in rendered units
+let getCubicPoint = function([x0, y0, x1, y1, x2, y2, x3, y3], t) {
+  let u = 1 - t;
+  let weights = [u * u * u, 3 * u * u * t, 3 * u * t * t, t * t * t];
+  return [
+    400 * (weights[0] * x0 + weights[1] * x1 + weights[2] * x2 + weights[3] * x3),
+    400 * (weights[0] * y0 + weights[1] * y1 + weights[2] * y2 + weights[3] * y3)
+  ];
+};
+
+// Returns the largest distance between the middle of the segments of a stroke and a curve
+let getDeviation = function(stroke, curve) {
+  let samples = [];
+  for (let i = 0; i <= 10000; i++) samples.push(getCubicPoint(curve, i / 10000));
+  let deviation = 0;
+  for (let i = 1; i < stroke.points.length; i++) {
+    let [a, b] = [stroke.points[i - 1], stroke.points[i]];
+    let middle = [(a[0] + b[0]) / 2, (a[1] + b[1]) / 2];
+    let distance = Math.min(...samples.map(p => Math.hypot(p[0] - middle[0], p[1] - middle[1])));
+    deviation = Math.max(deviation, distance);
+  }
+  return deviation;
+};
+
+let CURVE = [1, 5, 2, 1, 6, 1, 7, 5];
+
+test("Bézier curves are flattened within the tolerance", async () => {
+
+  let [precise] = await draw(plotter => plotter.drawBezier(CURVE));
+  let [coarse] = await draw(plotter => plotter.drawBezier(CURVE, {tolerance: 20}));
+
+  [precise, coarse].forEach(stroke => {
+    assert.deepStrictEqual(stroke.points[0], [400, 2000]);
+    assert.deepStrictEqual(stroke.points[stroke.points.length - 1], [2800, 2000]);
+  });
+
+  // The rounding to plotter units adds up to half a unit
+  assert.ok(getDeviation(precise, CURVE) <= 1.5, `${getDeviation(precise, CURVE)}`);
+  assert.ok(getDeviation(coarse, CURVE) <= 20.5, `${getDeviation(coarse, CURVE)}`);
+  assert.ok(coarse.points.length < precise.points.length / 2);
+
+});
+
+test("curves follow each other and incomplete curves are ignored", async () => {
+
+  let [stroke, ...others] = await draw(plotter => {
+    plotter.drawBezier(CURVE.concat([8, 9, 9, 9, 10, 5, 11]));
+  });
+
+  assert.strictEqual(others.length, 0);
+  assert.deepStrictEqual(stroke.points[stroke.points.length - 1], [4000, 2000]);
+
+});
+
+test("quadratic curves are drawn as cubic curves", async () => {
+
+  let [quadratic] = await draw(plotter => {
+    plotter.drawBezier([1, 5, 4, 1, 7, 5], {quadratic: true});
+  });
+  let cubic = [1, 5, 1 + 2 * 3 / 3, 5 - 2 * 4 / 3, 7 - 2 * 3 / 3, 5 - 2 * 4 / 3, 7, 5];
+
+  assert.deepStrictEqual(quadratic.points[quadratic.points.length - 1], [2800, 2000]);
+  assert.ok(getDeviation(quadratic, cubic) <= 1.5, `${getDeviation(quadratic, cubic)}`);
+
+});
+
+test("Catmull-Rom splines go through every point", async () => {
+
+  let points = [1, 5, 3, 2, 5, 5, 7, 2];
+  let [stroke] = await draw(plotter => plotter.drawCatmullRom(points));
+  let rendered = stroke.points.map(point => point.join(","));
+
+  for (let i = 0; i < points.length; i += 2) {
+    assert.ok(rendered.includes(`${points[i] * 400},${points[i + 1] * 400}`), `${points[i]}`);
+  }
+
+  // Without tension, the points are joined with straight lines
+  let [straight] = await draw(plotter => plotter.drawCatmullRom(points, {tension: 0}));
+  assert.deepStrictEqual(straight.points, [[400, 2000], [1200, 800], [2000, 2000], [2800, 800]]);
+
+  // Closed splines loop back to the first point
+  let [closed] = await draw(plotter => plotter.drawCatmullRom(points, {closed: true}));
+  assert.deepStrictEqual(closed.points[closed.points.length - 1], [400, 2000]);
+  assert.ok(closed.points.length > stroke.points.length);
+
+});
+
+test("B-splines start and end at the end points and stay within the control points", async () => {
+
+  let points = [1, 5, 3, 2, 5, 5, 7, 2];
+  let [stroke] = await draw(plotter => plotter.drawBSpline(points));
+
+  assert.deepStrictEqual(stroke.points[0], [400, 2000]);
+  assert.deepStrictEqual(stroke.points[stroke.points.length - 1], [2800, 800]);
+
+  // The curve is pulled towards the inner control points without reaching them
+  let rendered = stroke.points.map(point => point.join(","));
+  assert.ok(!rendered.includes("1200,800") && !rendered.includes("2000,2000"));
+  stroke.points.forEach(([x, y]) => assert.ok(x >= 400 && x <= 2800 && y >= 800 && y <= 2000));
+
+  let [closed] = await draw(plotter => plotter.drawBSpline(points, {closed: true}));
+  assert.deepStrictEqual(closed.points[0], closed.points[closed.points.length - 1]);
+  assert.notDeepStrictEqual(closed.points[0], [400, 2000]);
+
+});
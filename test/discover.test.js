@@ -0,0 +1,125 @@
+const test = require("node:test");
+const assert = require("assert");
+const {EventEmitter} = require("events");
+const {Plotter, VirtualPlotter} = require("../src/hpgl.js");
+
+// A port where nothing answers
+class SilentPort extends EventEmitter {
+
+  constructor(path, options = {}) {
+    super();
+    this.path = path;
+    this.isOpen = false;
+    this.failing = !!options.failing;
+    this.written = "";
+    this.closed = false;
+  }
+
+  open(callback) {
+    setImmediate(() => {
+      if (this.failing) {
+        callback(new Error("Cannot open " + this.path + "."));
+        return;
+      }
+      this.isOpen = true;
+      callback();
+    });
+  }
+
+  write(data, callback) {
+    this.written += data;
+    if (callback) setImmediate(callback);
+  }
+
+  close(callback) {
+    this.isOpen = false;
+    this.closed = true;
+    setImmediate(() => callback && callback());
+  }
+
+}
+
+// Lists a device, a port that does not answer and a port that cannot be opened
+let stub = function() {
+
+  let transports = {};
+
+  return {
+    transports: transports,
+    list: () => Promise.resolve(["/dev/silent", {path: "/dev/plotter"}, "/dev/busy"]),
+    transport: (path, port) => {
+      if (path === "/dev/plotter") {
+        assert.deepStrictEqual(port, {path: "/dev/plotter"});
+        transports[path] = new VirtualPlotter({model: "7475A", path: path});
+      } else {
+        transports[path] = new SilentPort(path, {failing: path === "/dev/busy"});
+      }
+      return transports[path];
+    }
+  };
+
+};
+
+test("the ports where a device answers are listed and every port is closed", async () => {
+
+  let ports = stub();
+  let executed = [];
+
+  let devices = await Plotter.discover({
+    list: ports.list,
+    transport: (path, port) => {
+      let transport = ports.transport(path, port);
+      transport.on("instruction", instruction => executed.push(instruction));
+      return transport;
+    },
+    timeout: 200
+  });
+
+  assert.deepStrictEqual(devices, [{path: "/dev/plotter", model: "7475A", bufferSize: 1024}]);
+
+  // The silent port was asked for the RS-232-C error before giving up
+  assert.ok(ports.transports["/dev/silent"].written.startsWith("\x1b.E"));
+  assert.strictEqual(ports.transports["/dev/silent"].closed, true);
+  assert.strictEqual(ports.transports["/dev/silent"].isOpen, false);
+  assert.strictEqual(ports.transports["/dev/plotter"].isOpen, false);
+  assert.strictEqual(ports.transports["/dev/busy"].closed, false);
+
+  // The device answered ESC.A, so no HP-GL instruction had to be executed
+  assert.deepStrictEqual(executed, []);
+
+});
+
+test("the devices found are passed to the callback", async () => {
+
+  let ports = stub();
+
+  let result = await new Promise(resolve => {
+    let returned = Plotter.discover(
+      {list: ports.list, transport: ports.transport, timeout: 200},
+      (error, devices) => resolve({returned, error, devices})
+    );
+  });
+
+  assert.strictEqual(result.returned, Plotter);
+  assert.strictEqual(result.error, null);
+  assert.deepStrictEqual(result.devices.map(device => device.path), ["/dev/plotter"]);
+
+});
+
+test("looking for devices can be aborted", async () => {
+
+  let ports = stub();
+  let controller = new AbortController();
+  let promise = Plotter.discover({
+    list: ports.list, transport: ports.transport, timeout: 5000, signal: controller.signal
+  });
+
+  setTimeout(() => controller.abort(), 50);
+  await assert.rejects(promise, {name: "AbortError"});
+
+  // The port being probed is closed
+  await new Promise(resolve => setTimeout(resolve, 20));
+  assert.strictEqual(ports.transports["/dev/silent"].closed, true);
+  assert.strictEqual(ports.transports["/dev/plotter"], undefined);
+
+});
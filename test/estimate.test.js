@@ -0,0 +1,60 @@
+const test = require("node:test");
+const assert = require("assert");
+const {Plotter} = require("../src/hpgl.js");
+
+test("jobs can be estimated on papers whose margins are not known", () => {
+
+  for (let paper of ["A", "A4"]) {
+    let estimate = Plotter.estimateJob(plotter => plotter.moveTo(5, 5).drawCircle(2), "7475A", {
+      paper: paper
+    });
+    assert.strictEqual(Math.round(estimate.penDown[1] * 10), Math.round(4 * Math.PI * 10));
+    assert.deepStrictEqual(
+      [estimate.bounds.x, estimate.bounds.y, estimate.bounds.width, estimate.bounds.height],
+      [3, 3, 4, 4]
+    );
+  }
+
+});
+
+test("pen-down and pen-up travel are measured per pen in centimeters", () => {
+
+  let estimate = Plotter.estimateJob(
+    "IN;SP1;PA0,0;PD4000,0;PU;PA4000,3000;SP2;PD4000,7000;PU;SP1;PD0,7000;PU;SP0;"
+  );
+
+  assert.deepStrictEqual(estimate.penDown, {1: 20, 2: 10});
+  assert.strictEqual(estimate.penUp, 7.5);
+
+});
+
+test("only changes to a different pen are counted", () => {
+
+  assert.strictEqual(Plotter.estimateJob("IN;SP1;SP1;SP2;SP1;SP0;").penChanges, 3);
+  assert.strictEqual(Plotter.estimateJob("IN;SP0;SP0;").penChanges, 0);
+
+});
+
+test("duration accounts for acceleration, velocity and pen changes", () => {
+
+  // A segment long enough to reach full speed takes its length over the velocity plus the time
+  // lost accelerating and decelerating. Each pen change takes 4 seconds.
+  let segment = (length, velocity = 38.1) => length / velocity + velocity / 2000;
+
+  let estimate = Plotter.estimateJob(
+    "IN;SP1;PA0,0;PD4000,0;PU;PA4000,3000;SP2;PD4000,7000;PU;SP1;PD0,7000;PU;SP0;"
+  );
+  let expected = 3 * segment(10) + segment(7.5) + 4 * 4;
+  assert.ok(Math.abs(estimate.duration - expected) < 1e-9);
+
+  // Short segments never reach full speed
+  estimate = Plotter.estimateJob("IN;SP1;PA0,0;PD200,0;");
+  assert.ok(Math.abs(estimate.duration - (2 * Math.sqrt(0.5 / 2000) + 4)) < 1e-9);
+
+  // VS slows down all pens or only the one it is given
+  estimate = Plotter.estimateJob("IN;SP1;VS10;PA0,0;PD4000,0;");
+  assert.ok(Math.abs(estimate.duration - (segment(10, 10) + 4)) < 1e-9);
+  estimate = Plotter.estimateJob("IN;SP1;VS10,2;PA0,0;PD4000,0;SP2;PD4000,4000;");
+  assert.ok(Math.abs(estimate.duration - (segment(10) + segment(10, 10) + 2 * 4)) < 1e-9);
+
+});
@@ -0,0 +1,132 @@
+const test = require("node:test");
+const assert = require("assert");
+const {plot, getStrokes} = require("./helpers.js");
+
+// In the rendered strokes, the point at (5 cm, 5 cm) is at (2000, 2000) and y goes down the page
+
+// Returns the sorted, distinct values of the specified coordinate (0 for x, 1 for y) of the
+// rendered fill lines that are horizontal (for y) or vertical (for x)
+let getLinePositions = function(lines, axis) {
+  let positions = lines
+    .filter(line => line.points[0][axis] === line.points[1][axis])
+    .map(line => line.points[0][axis]);
+  return [...new Set(positions)].sort((a, b) => a - b);
+};
+
+test("fill types are sent to the device", async () => {
+
+  let hpgl = await plot(plotter => {
+    plotter.selectPen(1).moveTo(5, 5)
+      .setFillType("hatch", {spacing: 0.5, angle: 45})
+      .drawRectangle(2, 1, {fill: true})
+      .setFillType("crosshatch", {spacing: 1})
+      .setFillType("unknown");
+  });
+
+  assert.match(hpgl, /FT3,200,45;RR800,-400;ER800,-400;/);
+  assert.match(hpgl, /FT4,400,0;FT1;/);
+
+});
+
+test("solid fills on the device are spaced according to the pen thickness", async () => {
+
+  let hpgl = await plot(plotter => {
+    plotter.penThickness = 0.5;
+    plotter.selectPen(1).moveTo(5, 5).drawRectangle(2, 1, {fill: true}).drawRectangle(1, 1);
+  });
+
+  // The thickness is only sent once
+  assert.match(hpgl, /PT0.5;RR800,-400;ER800,-400;ER400,-400;/);
+  assert.strictEqual(hpgl.match(/PT/g).length, 1);
+
+});
+
+test("fills are drawn with lines on devices that cannot fill shapes", async () => {
+
+  let draw = (type, options) => plot(plotter => {
+    plotter.penThickness = 1;
+    plotter.selectPen(1).moveTo(5, 5).setFillType(type, options).drawRectangle(2, 1, {fill: true});
+  }, {model: "7440A"});
+
+  // Solid fills are made of lines as far apart as the pen is thick
+  let solid = await draw("solid");
+  assert.doesNotMatch(solid, /FT|RR/);
+  let lines = getStrokes(solid, {model: "7440A"}).slice(0, -1);
+  assert.deepStrictEqual(getLinePositions(lines, 0), []);
+  let ys = getLinePositions(lines, 1);
+  assert.strictEqual(ys.length, 9);
+  ys.forEach((y, i) => assert.strictEqual(y, 2040 + i * 40));
+
+  // Hatches are made of lines as far apart as requested
+  let hatch = getStrokes(await draw("hatch", {spacing: 0.5, angle: 90}), {model: "7440A"});
+  assert.deepStrictEqual(getLinePositions(hatch.slice(0, -1), 0), [2200, 2400, 2600]);
+  assert.deepStrictEqual(getLinePositions(hatch.slice(0, -1), 1), []);
+
+  let crosshatch = getStrokes(await draw("crosshatch", {spacing: 0.5}), {model: "7440A"});
+  assert.deepStrictEqual(getLinePositions(crosshatch.slice(0, -1), 0), [2200, 2400, 2600]);
+  assert.deepStrictEqual(getLinePositions(crosshatch.slice(0, -1), 1), [2200]);
+
+  // Every line goes from one edge of the rectangle to the opposite one
+  crosshatch.slice(0, -1).forEach(line => {
+    let [a, b] = line.points;
+    assert.ok(a[0] === b[0] ? Math.abs(a[1] - b[1]) === 400 : Math.abs(a[0] - b[0]) === 800);
+  });
+
+  // The edges are drawn last
+  assert.deepStrictEqual(crosshatch[crosshatch.length - 1].points, [
+    [2000, 2000], [2800, 2000], [2800, 2400], [2000, 2400], [2000, 2000]
+  ]);
+
+});
+
+test("rotated rectangles are filled with lines", async () => {
+
+  let hpgl = await plot(plotter => {
+    plotter.selectPen(1).moveTo(5, 5).pushTransform({rotate: 30})
+      .setFillType("hatch", {spacing: 0.5})
+      .drawRectangle(2, 1, {fill: true});
+  });
+
+  assert.doesNotMatch(hpgl, /RR|ER/);
+  assert.ok(getStrokes(hpgl).length > 2);
+
+});
+
+test("polygons are filled in polygon mode when the device supports it", async () => {
+
+  let hpgl = await plot(plotter => {
+    plotter.selectPen(1).drawPolygon([[1, 1, 5, 1, 5, 5, 1, 5], [2, 2, 4, 2, 4, 4, 2, 4]], {
+      fill: true
+    });
+  }, {model: "7550A"});
+
+  // The second ring is a subpolygon and the pen is left at the first point
+  assert.match(hpgl, /PU(\d+,\d+);PM0;PD[\d,]+;PM1;PU[\d,]+;PD[\d,]+;PM2;(PT[\d.]+;)?FP;EP;PU\1;/);
+
+});
+
+test("polygons with holes are filled with lines on other devices", async () => {
+
+  let hpgl = await plot(plotter => {
+    plotter.selectPen(1).setFillType("hatch", {spacing: 0.5});
+    plotter.drawPolygon([[1, 1, 5, 1, 5, 5, 1, 5], [2, 2, 4, 2, 4, 4, 2, 4]], {fill: true});
+  });
+  assert.doesNotMatch(hpgl, /PM|FP|EP/);
+
+  let strokes = getStrokes(hpgl);
+  let [outer, hole] = strokes.splice(-2);
+  assert.deepStrictEqual(outer.points[0], [400, 400]);
+  assert.deepStrictEqual(hole.points[0], [800, 800]);
+
+  // No line goes through the hole and the lines cover the rest of the polygon
+  let length = 0;
+  strokes.forEach(line => {
+    let [[x1, y], [x2]] = line.points;
+    let [left, right] = [Math.min(x1, x2), Math.max(x1, x2)];
+    assert.ok(left >= 400 && right <= 2000);
+    if (y > 800 && y < 1600) assert.ok(right <= 800 || left >= 1600, `${line.points}`);
+    length += right - left;
+  });
+  assert.strictEqual(length, 1600 * 3 + 800 * 4);
+
+});
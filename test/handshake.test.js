@@ -0,0 +1,85 @@
+const test = require("node:test");
+const assert = require("assert");
+const {Plotter, VirtualPlotter} = require("../src/hpgl.js");
+const {connect, close} = require("./helpers.js");
+
+test("jobs are sent without overflowing the buffer with every handshake", async () => {
+
+  for (let handshake of ["polling", "xonxoff", "enqack", "hardware"]) {
+
+    let {plotter, device, executed} = await connect({handshake: handshake});
+    assert.strictEqual(plotter.handshake, handshake);
+    device.drainRate = 20000;
+
+    for (let i = 1; i <= 300; i++) plotter.queue("PA" + i + ",1000");
+    await plotter.wait();
+
+    let moves = executed.filter(instruction => /^PA\d+,1000$/.test(instruction));
+    assert.strictEqual(moves.length, 300, handshake);
+    assert.strictEqual((await plotter.getRs232Error()).code, 0, handshake);
+
+    await close(plotter);
+
+  }
+
+});
+
+test("waiting is rejected when the device does not acknowledge enquiries", async () => {
+
+  let {plotter, device, executed} = await connect({handshake: "enqack", acknowledgeTimeout: 50});
+  let errors = [];
+  plotter.on("error", error => errors.push(error));
+
+  // The device no longer sees the enquiries
+  let write = device.write.bind(device);
+  device.write = (data, callback) => write(data.toString().replace(/\x05/g, ""), callback);
+
+  plotter.queue("PA1234,1234");
+  await assert.rejects(plotter.wait(), /did not acknowledge/);
+  assert.strictEqual(errors.length, 1);
+
+  // The queued instructions were discarded
+  await new Promise(resolve => setTimeout(resolve, 100));
+  assert.ok(!executed.includes("PA1234,1234"));
+
+  // The enquiries are still not acknowledged, so waiting is rejected again
+  await assert.rejects(plotter.wait(), /did not acknowledge/);
+  assert.strictEqual(errors.length, 2);
+
+  await new Promise(resolve => device.close(resolve));
+
+});
+
+test("polling is used when the device rejects the handshake configuration", async () => {
+
+  for (let handshake of ["xonxoff", "enqack", "hardware"]) {
+
+    let device = new VirtualPlotter({model: "7475A", drainRate: 20000});
+    let executed = [];
+    device.on("instruction", instruction => executed.push(instruction));
+
+    // The device reports an error when the handshake mode is set (ESC.@)
+    let configure = device._configure.bind(device);
+    device._configure = (letter, parameters) => {
+      configure(letter, parameters);
+      if (letter === "@") device._error = 13;
+    };
+
+    let plotter = new Plotter();
+    await plotter.connect(device, {handshake: handshake});
+    assert.strictEqual(plotter.handshake, "polling", handshake);
+
+    for (let i = 1; i <= 300; i++) plotter.queue("PA" + i + ",1000");
+    await plotter.wait();
+
+    let moves = executed.filter(instruction => /^PA\d+,1000$/.test(instruction));
+    assert.strictEqual(moves.length, 300, handshake);
+
+    // Reading the error cleared it
+    assert.strictEqual((await plotter.getRs232Error()).code, 0, handshake);
+
+    await close(plotter);
+
+  }
+
+});
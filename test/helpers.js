@@ -0,0 +1,64 @@
+const {Plotter, VirtualPlotter, HpglRenderer} = require("../src/hpgl.js");
+
+// Instructions whose text is terminated by the label terminator
+const LABELS = ["LB", "BL", "WD"];
+
+// Connects a plotter to an emulated device. The instructions the device executes are recorded.
+let connect = async function(options = {}) {
+  let device = new VirtualPlotter({model: options.model || "7475A", drainRate: 100000});
+  let plotter = new Plotter();
+  let executed = [];
+  device.on("instruction", instruction => executed.push(instruction));
+  await plotter.connect(device, options);
+  return {plotter, device, executed};
+};
+
+// Terminates recorded instructions so they can be parsed or rendered again
+let toHpgl = function(instructions) {
+  let terminator = "\x03";
+  return instructions.map(instruction => {
+    let mnemonic = instruction.substring(0, 2).toUpperCase();
+    let end = LABELS.includes(mnemonic) ? terminator : ";";
+    if (mnemonic === "DT") terminator = instruction[2] || "\x03";
+    if (mnemonic === "IN" || mnemonic === "DF") terminator = "\x03";
+    return instruction + end;
+  }).join("");
+};
+
+// Returns the HP-GL executed by an emulated device (initialization included) while the specified
+// function draws
+let plot = async function(draw, options = {}) {
+  let {plotter, executed} = await connect(options);
+  await draw(plotter);
+  await plotter.wait();
+  let hpgl = toHpgl(executed);
+  await close(plotter);
+  return hpgl;
+};
+
+// Closes the emulated device once the plotter sent everything. Unlike disconnect(), the device is
+// not reset so there is no need to wait for it to settle.
+let close = async function(plotter) {
+  await plotter.wait();
+  await new Promise(resolve => plotter.transport.close(resolve));
+};
+
+// Returns the strokes an HP-GL job draws: the pen color and the points (in plotter units)
+let getStrokes = function(hpgl, options = {}) {
+  let svg = new HpglRenderer(Object.assign({model: "7475A"}, options)).render(hpgl);
+  return svg.split("\n").filter(line => line.includes("<path")).map(line => {
+    let values = line.match(/d="([^"]*)"/)[1].match(/-?[\d.]+/g).map(Number);
+    let points = [];
+    for (let i = 0; i < values.length; i += 2) points.push([values[i], values[i + 1]]);
+    return {pen: line.match(/stroke="([^"]*)"/)[1], points: points};
+  });
+};
+
+// Returns the bounding box of the specified strokes: [left, top, right, bottom]
+let getExtent = function(strokes) {
+  let points = strokes.flatMap(stroke => stroke.points);
+  let xs = points.map(point => point[0]), ys = points.map(point => point[1]);
+  return [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)];
+};
+
+module.exports = {connect, close, toHpgl, plot, getStrokes, getExtent};
@@ -0,0 +1,192 @@
+const test = require("node:test");
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {Plotter, HpglParser, VirtualPlotter} = require("../src/hpgl.js");
+const {close} = require("./helpers.js");
+
+// Returns the instructions restoring the state after `count` instructions and the rest of the job
+let restore = function(hpgl, count) {
+  let instructions = new HpglParser().parse(hpgl);
+  let restoring = new Plotter()._getRestoringInstructions(instructions, count);
+  return {
+    restoring: restoring.map(parsed => parsed.toString()).join(";"),
+    remaining: instructions.slice(count).map(parsed => parsed.toString()).join(";")
+  };
+};
+
+test("settings are restored in the order they last appeared", () => {
+  let result = restore("IN;SI0.2,0.3;DI1,0;SR1,2;DR0,1;SP1;PA10,10;", 7);
+  assert.strictEqual(result.restoring, "DF;IP;SI0.2,0.3;DI1,0;SR1,2;DR0,1;SP1;PU;PA10,10;PA");
+});
+
+test("the pen is lowered by the next move rather than on the spot", () => {
+
+  let result = restore("IN;PA0,0;PD100,100;PA200,200;PU;", 3);
+  assert.strictEqual(result.restoring, "DF;IP;PU;PA100,100;PA");
+  assert.strictEqual(result.remaining, "PD200,200;PU");
+
+  result = restore("IN;PA0,0;PD;PR100,100;LT2;PR50,50;", 4);
+  assert.strictEqual(result.restoring, "DF;IP;PU;PA100,100;PR");
+  assert.strictEqual(result.remaining, "LT2;PD50,50");
+
+  result = restore("IN;PA0,0;PD100,100;SP2;PA50,50;", 3);
+  assert.strictEqual(result.restoring, "DF;IP;PU;PA100,100;PA");
+  assert.strictEqual(result.remaining, "SP2;PA50,50");
+
+  result = restore("IN;PA0,0;PD100,100;AA0,0,90;", 3);
+  assert.strictEqual(result.restoring, "DF;IP;PU;PA100,100;PA;PD");
+
+});
+
+test("a job cannot be resumed once the file changed", async () => {
+
+  let file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "hpgl-")), "job.hpgl");
+  fs.writeFileSync(file, "IN;SP1;PA0,0;PD100,100;PU;SP0;");
+
+  let plotter = new Plotter();
+  let checkpoint;
+  plotter.on("checkpoint", saved => checkpoint = saved);
+  await plotter.connect(new VirtualPlotter({model: "7475A"}));
+  await plotter.plotFile(file);
+
+  // Same number of instructions, different coordinates
+  fs.writeFileSync(file, "IN;SP1;PA0,0;PD200,200;PU;SP0;");
+  await assert.rejects(plotter.resumeJob(file, checkpoint), /does not match the file/);
+
+  await plotter.disconnect();
+  fs.rmSync(path.dirname(file), {recursive: true});
+
+});
+
+test("progress is reported until the whole job has been plotted", async () => {
+
+  let file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "hpgl-")), "job.hpgl");
+  let moves = Array.from({length: 200}, (value, i) => "PA" + (i % 2 ? 4000 : 0) + "," + i * 10);
+  fs.writeFileSync(file, "IN;SP1;PA0,0;PD;" + moves.join(";") + ";PU;SP0;");
+
+  let plotter = new Plotter();
+  let events = [];
+  plotter.on("progress", progress => events.push(progress));
+  await plotter.connect(new VirtualPlotter({model: "7475A", drainRate: 100000}));
+  await plotter.plotFile(file);
+  await close(plotter);
+
+  // The file is sent in several portions
+  assert.ok(events.length > 2, events.length + " events");
+  events.forEach(progress => assert.strictEqual(progress.file, file));
+
+  let first = events[0], last = events[events.length - 1];
+  assert.strictEqual(last.total, 206);
+  assert.strictEqual(last.bytesTotal, fs.readFileSync(file, "utf8").length);
+  assert.ok(first.eta > 0);
+
+  for (let i = 1; i < events.length; i++) {
+    assert.ok(events[i].sent >= events[i - 1].sent);
+    assert.ok(events[i].distance >= events[i - 1].distance);
+  }
+
+  // The pen went back and forth 10 cm at a time (with a slight slope)
+  assert.ok(Math.abs(last.totalDistance - 1990) < 1, last.totalDistance);
+  assert.strictEqual(last.sent, last.total);
+  assert.strictEqual(last.bytesSent, last.bytesTotal);
+  assert.strictEqual(last.distance, last.totalDistance);
+  assert.strictEqual(last.eta, 0);
+
+  fs.rmSync(path.dirname(file), {recursive: true});
+
+});
+
+test("an interrupted job resumes with the remaining instructions and its state", async () => {
+
+  let folder = fs.mkdtempSync(path.join(os.tmpdir(), "hpgl-"));
+  let file = path.join(folder, "job.hpgl"), saved = path.join(folder, "job.json");
+  let moves = Array.from({length: 100}, (value, i) => "PA" + (i % 2 ? 4000 : 0) + "," + i * 10);
+  fs.writeFileSync(file, "IN;SP2;LT2;VS10;PA0,0;PD;" + moves.join(";") + ";PU;");
+  let instructions = new HpglParser().parse(fs.readFileSync(file, "utf8")).map(String);
+
+  let device = new VirtualPlotter({model: "7475A", drainRate: 100000});
+  let executed = [];
+  device.on("instruction", instruction => executed.push(instruction));
+
+  let plotter = new Plotter();
+  await plotter.connect(device);
+  await plotter.wait();
+  executed = [];
+
+  // The job is interrupted once the device confirmed executing 20 instructions
+  plotter.on("checkpoint", checkpoint => { if (checkpoint.finished === 20) plotter.abort(); });
+  await assert.rejects(plotter.plotFile(file, {checkpoint: saved, syncInterval: 20}), /aborted/);
+
+  // Syncs (OA) are left out
+  let plotted = () => executed.filter(instruction => instruction !== "OA");
+  assert.deepStrictEqual(plotted(), instructions.slice(0, 20));
+  assert.strictEqual(JSON.parse(fs.readFileSync(saved, "utf8")).finished, 20);
+
+  executed = [];
+  await plotter.resumeJob(file, saved);
+
+  // The settings and the position are restored, then the pen is lowered by the next move
+  assert.deepStrictEqual(plotted(), [
+    "DF", "IP", "SP2", "LT2", "VS10", "PU", "PA4000,130", "PA", "PD0,140",
+    ...instructions.slice(21)
+  ]);
+  assert.strictEqual(device.pen, 2);
+  assert.strictEqual(device.penDown, false);
+  assert.deepStrictEqual(device.position, {x: 4000, y: 990});
+
+  await close(plotter);
+  fs.rmSync(folder, {recursive: true});
+
+});
+
+test("the checkpoint file is written in the background, one write at a time", async () => {
+
+  let folder = fs.mkdtempSync(path.join(os.tmpdir(), "hpgl-"));
+  let file = path.join(folder, "job.hpgl"), saved = path.join(folder, "job.json");
+  let moves = Array.from({length: 100}, (value, i) => "PA" + i * 10 + ",0");
+  fs.writeFileSync(file, "IN;PD;" + moves.join(";") + ";PU;");
+
+  // Writes are slowed down to check that they do not overlap
+  let fsExtra = require("fs-extra");
+  let outputJson = fsExtra.outputJson;
+  let writing = 0, overlapping = false, written = [];
+  fsExtra.outputJson = (path, data, callback) => {
+    overlapping = overlapping || writing > 0;
+    writing++;
+    setTimeout(() => outputJson(path, data, err => {
+      writing--;
+      written.push(data.finished);
+      callback(err);
+    }), 100);
+  };
+
+  let plotter = new Plotter();
+  await plotter.connect(new VirtualPlotter({model: "7475A", drainRate: 100000}));
+
+  try {
+    await plotter.plotFile(file, {checkpoint: saved, syncInterval: 5});
+  } finally {
+    fsExtra.outputJson = outputJson;
+  }
+
+  // The progress is written in order and the file is up to date once the job is over
+  assert.strictEqual(overlapping, false);
+  assert.deepStrictEqual(written, written.slice().sort((a, b) => a - b));
+  assert.strictEqual(written[written.length - 1], 103);
+  assert.strictEqual(JSON.parse(fs.readFileSync(saved, "utf8")).finished, 103);
+
+  // Nothing is sent when the checkpoint file cannot be written
+  let executed = [];
+  plotter.transport.on("instruction", instruction => executed.push(instruction));
+  await assert.rejects(
+    plotter.plotFile(file, {checkpoint: path.join(file, "job.json")}),
+    /Could not save checkpoint/
+  );
+  assert.deepStrictEqual(executed, []);
+
+  await close(plotter);
+  fs.rmSync(folder, {recursive: true});
+
+});
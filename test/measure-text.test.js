@@ -0,0 +1,69 @@
+const test = require("node:test");
+const assert = require("assert");
+const {Plotter, StrokeFont} = require("../src/hpgl.js");
+
+let plotter = new Plotter();
+
+// Characters 0.2 cm wide in cells of 0.3 cm and 0.3 cm high
+let size = {characterWidth: 0.2, characterHeight: 0.3};
+
+// Compares sizes in cm (to the micrometer)
+let assertSize = function(measured, width, height) {
+  assert.strictEqual(Math.round(measured.width * 1e4) / 1e4, width);
+  assert.strictEqual(Math.round(measured.height * 1e4) / 1e4, height);
+};
+
+test("a line of text is as wide as its character cells, without the last gap", () => {
+
+  let measured = plotter.measureText("HELLO", size);
+
+  assertSize(measured, 1.35, 0.3);
+  assert.deepStrictEqual(measured.lines, [{text: "HELLO", width: 1.35}]);
+
+  // Characters composed by overstriking take a single cell
+  assertSize(plotter.measureText("Ǹé", size), 0.45, 0.3);
+
+});
+
+test("multiline text is as wide as its longest line and goes down to the last baseline", () => {
+
+  let measured = plotter.measureText("AB\nABCD", size);
+
+  assertSize(measured, 1.05, 0.9);
+  assert.deepStrictEqual(measured.lines.map(line => line.text), ["AB", "ABCD"]);
+
+  // Lines are twice the character height apart, times the line spacing
+  assertSize(plotter.measureText("AB\nABCD", Object.assign({lineSpacing: 1.5}, size)), 1.05, 1.2);
+  assertSize(plotter.measureText("AB\nABCD", Object.assign({scale: 2}, size)), 2.1, 1.8);
+
+  // The slant makes the top of the characters overhang
+  assertSize(plotter.measureText("AB", Object.assign({slant: 45}, size)), 0.75, 0.3);
+
+});
+
+test("lines longer than the maximum width are wrapped between words", () => {
+
+  let measured = plotter.measureText("one two three", Object.assign({maxWidth: 1.5}, size));
+
+  assert.deepStrictEqual(measured.lines.map(line => line.text), ["one", "two", "three"]);
+  assertSize(measured, 1.35, 1.5);
+
+});
+
+test("text drawn with a stroke font is measured with the font's metrics", () => {
+
+  let font = new StrokeFont(`<svg><font horiz-adv-x="500">
+    <font-face units-per-em="1000" cap-height="400"/>
+    <glyph unicode="I" horiz-adv-x="300" d="M 150 0 L 150 400"/>
+    <glyph unicode="L" horiz-adv-x="500" d="M 100 400 L 100 0 L 400 0"/>
+    <hkern u1="L" u2="I" k="50"/>
+  </font></svg>`);
+
+  // Capital letters are 1 cm high, so 400 font units make a centimeter
+  let options = {font: font, characterHeight: 1, characterWidth: .187 / .269};
+
+  assertSize(plotter.measureText("LI", options), 1.875, 1);
+  assertSize(plotter.measureText("LI", Object.assign({kerning: false}, options)), 2, 1);
+  assertSize(plotter.measureText("I\nLI", options), 1.875, 3);
+
+});
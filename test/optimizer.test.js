@@ -0,0 +1,101 @@
+const test = require("node:test");
+const assert = require("assert");
+const {HpglOptimizer} = require("../src/hpgl.js");
+const {plot, getStrokes} = require("./helpers.js");
+
+// Returns the segments drawn by a job, whatever their order and direction, keyed by pen color
+let getSegments = function(hpgl) {
+  let segments = [];
+  getStrokes(hpgl).forEach(stroke => {
+    for (let i = 1; i < stroke.points.length; i++) {
+      let ends = [stroke.points[i - 1], stroke.points[i]].map(point => point.join(",")).sort();
+      segments.push(stroke.pen + " " + ends.join(" "));
+    }
+  });
+  return segments.sort();
+};
+
+// Returns the distance travelled with the pen raised from one stroke to the next (in plotter
+// units)
+let getTravel = function(hpgl) {
+  let travel = 0, position = [0, 0];
+  getStrokes(hpgl).forEach(stroke => {
+    travel += Math.hypot(stroke.points[0][0] - position[0], stroke.points[0][1] - position[1]);
+    position = stroke.points[stroke.points.length - 1];
+  });
+  return travel;
+};
+
+// Returns a job made of short strokes scattered over the sheet, drawn with two pens
+let getScatteredJob = function() {
+  let seed = 1;
+  let random = () => (seed = seed * 16807 % 2147483647) / 2147483647;
+  let hpgl = "IN;";
+  for (let i = 0; i < 40; i++) {
+    let x = Math.round(random() * 9000), y = Math.round(random() * 7000);
+    hpgl += `SP${i % 3 ? 1 : 2};PU${x},${y};PD${x + 300},${y},${x + 300},${y + 200};`;
+  }
+  return hpgl + "PU;";
+};
+
+test("optimized jobs draw the same strokes with less pen-up travel", () => {
+  let job = getScatteredJob();
+  let optimized = new HpglOptimizer().optimize(job);
+  assert.deepStrictEqual(getSegments(optimized), getSegments(job));
+  assert.ok(getTravel(optimized) < getTravel(job) / 2, `${getTravel(optimized)} plotter units`);
+});
+
+test("polylines are reversed and joined when their ends touch", () => {
+
+  let job = "IN;SP1;PU0,0;PD100,0;PU200,0;PD100,0;PU;";
+
+  let [stroke, ...others] = getStrokes(new HpglOptimizer().optimize(job));
+  assert.strictEqual(others.length, 0);
+  assert.deepStrictEqual(stroke.points.map(point => point[0] - stroke.points[0][0]), [0, 100, 200]);
+
+  let separate = new HpglOptimizer({join: false}).optimize(job);
+  assert.strictEqual(getStrokes(separate).length, 2);
+  assert.deepStrictEqual(getSegments(separate), getSegments(job));
+
+  let forward = new HpglOptimizer({join: false, reverse: false}).optimize(job);
+  assert.ok(getTravel(separate) < getTravel(forward));
+
+});
+
+test("strokes are grouped by pen", () => {
+
+  let job = "IN;SP1;PU0,0;PD100,0;SP2;PU0,100;PD100,100;SP1;PU0,200;PD100,200;PU;";
+  let pens = hpgl => getStrokes(hpgl).map(stroke => stroke.pen);
+
+  assert.deepStrictEqual(pens(new HpglOptimizer().optimize(job)), ["black", "black", "red"]);
+  assert.deepStrictEqual(
+    pens(new HpglOptimizer({groupByPen: false}).optimize(job)),
+    ["black", "red", "black"]
+  );
+
+});
+
+test("strokes drawn while optimizing stay on their side of other instructions", async () => {
+
+  let draw = plotter => {
+    for (let x = 10; x >= 2; x -= 2) plotter.moveTo(x, 2).drawLines([x + 1, 2, x + 1, 3]);
+    plotter.moveTo(5, 10).drawCircle(1);
+    for (let x = 2; x <= 10; x += 4) plotter.moveTo(x, 12).drawLine(x, 13);
+  };
+
+  let plain = await plot(draw);
+  let optimized = await plot(plotter => {
+    plotter.startOptimizing();
+    draw(plotter);
+    plotter.stopOptimizing();
+  });
+
+  assert.deepStrictEqual(getSegments(optimized), getSegments(plain));
+  assert.ok(getTravel(optimized) < getTravel(plain));
+
+  // The circle still separates the strokes drawn before it from those drawn after it
+  let [before, after] = optimized.split(/CI[^;]*;/);
+  assert.strictEqual(getStrokes(before).length, 5);
+  assert.strictEqual(getStrokes(after).length, 3);
+
+});
@@ -0,0 +1,49 @@
+const test = require("node:test");
+const assert = require("assert");
+const {HpglParser, Plotter} = require("../src/hpgl.js");
+
+// Returns the instructions found in the specified text, as strings
+let parse = function(text, parser = new HpglParser()) {
+  return parser.parse(text).map(parsed => parsed.toString());
+};
+
+test("mnemonics, separators and parameters are normalized", () => {
+  assert.deepStrictEqual(parse("in;sp 1 pa10 20,30,-40.5;PU\nPD"), [
+    "IN", "SP1", "PA10,20,30,-40.5", "PU", "PD"
+  ]);
+});
+
+test("labels run until the terminator in effect", () => {
+
+  let parser = new HpglParser();
+  let [label] = parser.parse("LBA;B\x03");
+  assert.strictEqual(label.text, "A;B");
+
+  // The terminator set with DT remains in effect from one call to the next
+  assert.deepStrictEqual(parse("DT*;BLA;B*", parser), ["DT*", "BLA;B"]);
+  assert.strictEqual(parser.parse("WDC;D*PA1,1")[0].text, "C;D");
+
+  // Initialization restores the default one
+  assert.deepStrictEqual(parse("IN;LBA*B\x03", parser), ["IN", "LBA*B"]);
+
+});
+
+test("invalid input is reported with its offset", () => {
+  assert.throws(() => new HpglParser().parse("PA10,10;P"), {
+    name: "SyntaxError",
+    message: "Incomplete mnemonic 'P' (at offset 9)."
+  });
+});
+
+test("user-defined characters keep their pen moves", () => {
+
+  assert.deepStrictEqual(parse("uc 99 4 8 -99;UC;"), ["UC99,4,8,-99", "UC"]);
+
+  let plotter = new Plotter().defineCharacter("→", [[0, 4, 4, 4], [2, 6, 4, 4, 2, 2]]);
+  let defined = plotter._userCharacters["→"];
+  let [parsed] = new HpglParser().parse(defined + ";");
+
+  assert.deepStrictEqual(parsed.parameters, [0, 4, 99, 4, 0, -99, -2, 2, 99, 2, -2, -2, -2]);
+  assert.strictEqual(parsed.toString(), defined);
+
+});
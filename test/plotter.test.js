@@ -0,0 +1,154 @@
+const test = require("node:test");
+const assert = require("assert");
+const {spawnSync} = require("child_process");
+const {Plotter, VirtualPlotter} = require("../src/hpgl.js");
+const {connect, close} = require("./helpers.js");
+
+test("drawing methods can be chained and asynchronous methods return promises", async () => {
+
+  let plotter = new Plotter();
+  let connecting = plotter.connect(new VirtualPlotter({model: "7475A"}));
+  assert.ok(connecting instanceof Promise);
+  assert.strictEqual(await connecting, plotter);
+
+  let chained = plotter
+    .selectPen(1)
+    .setVelocity(20)
+    .moveTo(1, 1)
+    .drawLine(2, 2)
+    .drawCircle(1)
+    .drawRectangle(2, 1)
+    .drawText("HP")
+    .queue("PA0,0");
+  assert.strictEqual(chained, plotter);
+
+  for (let method of ["getStatus", "getRs232Error", "wait"]) {
+    let promise = plotter[method]();
+    assert.ok(promise instanceof Promise, method);
+    await promise;
+  }
+
+  let aborting = plotter.abort();
+  assert.ok(aborting instanceof Promise);
+  await aborting;
+
+  await plotter.disconnect();
+
+});
+
+test("asynchronous methods called with a callback return the plotter", async () => {
+
+  let plotter = new Plotter();
+  let ready = new Promise(resolve => {
+    plotter.connect(new VirtualPlotter({model: "7475A"}), {}, resolve).once("ready", resolve);
+  });
+  await ready;
+
+  let received = await new Promise(resolve => {
+    assert.strictEqual(plotter.getStatus((...args) => resolve(args)), plotter);
+  });
+  assert.strictEqual(received.length, 1);
+  assert.strictEqual(received[0].ready, true);
+
+  // Errors are passed to the callback
+  let controller = new AbortController();
+  controller.abort();
+  let [error] = await new Promise(resolve => plotter.wait((...args) => resolve(args), controller));
+  assert.strictEqual(error.name, "AbortError");
+
+  received = await new Promise(resolve => plotter.disconnect((...args) => resolve(args)));
+  assert.deepStrictEqual(received, [null, undefined]);
+
+  let rejection = await plotter.plotFile("test.hpgl").catch(error => error);
+  assert.ok(rejection instanceof Error);
+  [error] = await new Promise(resolve => plotter.plotFile("test.hpgl", (...args) => resolve(args)));
+  assert.strictEqual(error.message, rejection.message);
+
+});
+
+test("the methods that predate promises pass callbacks the value only", async () => {
+
+  let {plotter, device} = await connect();
+  plotter.moveTo(2, 3);
+
+  let call = method => new Promise(resolve => plotter[method]((...args) => resolve(args)));
+
+  assert.deepStrictEqual(await call("getModel"), ["7475A"]);
+  assert.deepStrictEqual(await call("getRs232Error"), [{code: 0, message: "No error."}]);
+
+  let [status, ...rest] = await call("getStatus");
+  assert.strictEqual(status.ready, true);
+  assert.deepStrictEqual(rest, []);
+
+  // The status holds the position reported by the device (in centimeters)
+  [status, ...rest] = await call("wait");
+  assert.deepStrictEqual(
+    [Math.round(status.x * 400), Math.round(status.y * 400), status.penDown],
+    [device.position.x, device.position.y, false]
+  );
+  assert.deepStrictEqual(rest, []);
+
+  // The callback is called with the plotter as its context
+  let context = await new Promise(resolve => plotter.getModel(function() { resolve(this); }));
+  assert.strictEqual(context, plotter);
+
+  await close(plotter);
+
+});
+
+test("a failed initialization closes the transport and removes the listeners", async () => {
+
+  let device = new VirtualPlotter({model: "7475A"});
+  let plotter = new Plotter();
+
+  // The device reports an error when the buffer size is about to be requested
+  let onData = data => {
+    if (data.toString().startsWith("7475A")) device._error = 13;
+  };
+  device.on("data", onData);
+
+  await assert.rejects(plotter.connect(device), /Parameter out-of-range/);
+  assert.strictEqual(device.isOpen, false);
+  assert.strictEqual(device.listenerCount("data"), 1);
+  assert.strictEqual(device.listenerCount("error"), 0);
+
+  device.removeListener("data", onData);
+  await plotter.connect(device);
+  assert.strictEqual(device.listenerCount("data"), 1);
+  assert.strictEqual(device.listenerCount("error"), 1);
+
+  await close(plotter);
+
+});
+
+test("an exception thrown by a callback is not swallowed", () => {
+
+  // The exception is uncaught, so it is observed from another process
+  let script = `
+    const {Plotter} = require(${JSON.stringify(require.resolve("../src/hpgl.js"))});
+    process.on("uncaughtException", error => console.log("uncaught: " + error.message));
+    new Plotter().disconnect(() => { throw new Error("boom"); });
+    console.log("returned");
+  `;
+  let result = spawnSync(process.execPath, ["-e", script], {encoding: "utf8", timeout: 10000});
+
+  assert.deepStrictEqual(result.stdout.trim().split("\n").sort(), ["returned", "uncaught: boom"]);
+
+});
+
+test("labels are parsed with the device's terminator after an abort", async () => {
+
+  let {plotter, executed} = await connect();
+
+  // The terminator is changed in the middle of a label that is never sent
+  plotter.queue("DT*;LBHELLO");
+  await plotter.abort();
+
+  plotter.queue("LBA*B");
+  await plotter.wait();
+  assert.ok(executed.includes("LBA*B"));
+  assert.ok(!executed.some(instruction => instruction.startsWith("DT")));
+
+  await close(plotter);
+
+});
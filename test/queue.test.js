@@ -0,0 +1,71 @@
+const test = require("node:test");
+const assert = require("assert");
+const {connect, close} = require("./helpers.js");
+
+// Records what is written to the emulated device
+let spy = function(device) {
+  let writes = [];
+  let write = device.write.bind(device);
+  device.write = (data, callback) => {
+    writes.push(data.toString());
+    return write(data, callback);
+  };
+  return writes;
+};
+
+test("queued instructions are packed into writes that fit in the free buffer space", async () => {
+
+  let {plotter, device, executed} = await connect();
+  let writes = spy(device);
+
+  let called = [];
+  for (let i = 1; i <= 200; i++) plotter.queue("PA" + i + ",0", () => called.push(i));
+  await plotter.wait();
+
+  let expected = Array.from({length: 200}, (value, i) => i + 1);
+  assert.deepStrictEqual(
+    executed.filter(instruction => /^PA\d+,0$/.test(instruction)),
+    expected.map(i => "PA" + i + ",0")
+  );
+  assert.deepStrictEqual(called, expected);
+
+  // A handful of buffer space requests instead of one per instruction
+  let polls = writes.filter(data => data.includes("\x1b.B")).length;
+  assert.ok(polls < 10, polls + " requests");
+  assert.ok(writes.every(data => data.length <= device.bufferSize));
+
+  await close(plotter);
+
+});
+
+test("an instruction waiting for a response gets the answer to that instruction", async () => {
+
+  let {plotter} = await connect();
+  let answers = [];
+
+  plotter.queue("PA50,0;PD;PA100,0");
+  plotter.queue("OA", data => answers.push(data), {waitForResponse: true});
+  plotter.queue("PU;PA200,300");
+  plotter.queue("OA", data => answers.push(data), {waitForResponse: true});
+  await plotter.wait();
+
+  assert.deepStrictEqual(answers, ["100,0,1", "200,300,0"]);
+
+  await close(plotter);
+
+});
+
+test("a slow device never has its buffer overflowed", async () => {
+
+  let {plotter, device} = await connect();
+  device.drainRate = 20000;
+
+  for (let i = 0; i < 500; i++) plotter.queue("PA" + (i * 10) + ",1000");
+  await plotter.wait();
+
+  let error = await plotter.getRs232Error();
+  assert.strictEqual(error.code, 0);
+
+  await close(plotter);
+
+});
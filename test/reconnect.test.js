@@ -0,0 +1,161 @@
+const test = require("node:test");
+const assert = require("assert");
+const {EventEmitter} = require("events");
+const {Plotter, VirtualPlotter} = require("../src/hpgl.js");
+
+// A link to an emulated device that can be cut while the device keeps running
+class Link extends EventEmitter {
+
+  constructor(device) {
+    super();
+    this.device = device;
+    this.path = "link";
+    this.isOpen = false;
+    this.broken = false;
+    device.open(() => {});
+    device.on("data", data => {
+      if (this.isOpen) this.emit("data", data);
+    });
+  }
+
+  // The link cannot be reopened while it is broken
+  open(callback) {
+    setTimeout(() => {
+      if (this.broken) {
+        callback(new Error("Link is broken."));
+        return;
+      }
+      this.isOpen = true;
+      this.emit("open");
+      callback();
+    }, 1);
+  }
+
+  close(callback) {
+    this.isOpen = false;
+    setImmediate(() => {
+      this.emit("close");
+      if (callback) callback();
+    });
+  }
+
+  write(data, callback) {
+    if (!this.isOpen) {
+      setImmediate(() => callback && callback(new Error("Link is down.")));
+      return;
+    }
+    this.device.write(data, () => callback && callback());
+  }
+
+  cut() {
+    this.isOpen = false;
+    this.emit("error", new Error("Link is down."));
+    this.emit("close");
+  }
+
+}
+
+test("only the instructions sent since the last sync are resent after a reconnection", async () => {
+
+  let device = new VirtualPlotter({model: "7475A", drainRate: 20000});
+  let link = new Link(device);
+  let plotter = new Plotter();
+  let received = [];
+  let cut = false;
+
+  device.on("instruction", instruction => {
+    if (instruction.startsWith("PA")) received.push(instruction);
+    if (received.length === 200 && !cut) {
+      cut = true;
+      link.cut();
+    }
+  });
+
+  let data = [];
+  plotter.on("error", () => {});
+  plotter.on("data", response => data.push(response));
+  await plotter.connect(link, {handshake: "xonxoff", reconnect: true, reconnectDelay: 10});
+
+  await new Promise(resolve => {
+    for (let i = 1; i <= 300; i++) plotter.queue("PA" + i + ",0");
+    plotter.queue("OA", resolve, {waitForResponse: true});
+  });
+
+  await plotter.disconnect();
+
+  // The instructions bringing the pen back to where it was are not counted
+  let sent = received.filter(instruction => /^PA\d+,0$/.test(instruction));
+  let resent = sent.length - new Set(sent).size;
+
+  assert.strictEqual(new Set(sent).size, 300);
+  assert.ok(resent > 0 && resent <= 60, `${resent} instructions were resent`);
+
+  // Only actual responses are emitted
+  assert.ok(data.every(response => typeof response === "string"));
+
+});
+
+test("waiting during an outage lasts until the held instructions have been sent", async () => {
+
+  let device = new VirtualPlotter({model: "7475A", drainRate: 20000});
+  let link = new Link(device);
+  let plotter = new Plotter();
+  let events = [];
+
+  plotter.on("error", () => {});
+  plotter.on("reconnected", () => events.push("reconnected"));
+  await plotter.connect(link, {reconnect: true, reconnectDelay: 10});
+
+  link.broken = true;
+  link.cut();
+  plotter.moveTo(2, 3);
+
+  let waiting = plotter.wait().then(status => events.push("waited") && status);
+  await new Promise(resolve => setTimeout(resolve, 100));
+  assert.deepStrictEqual(events, []);
+
+  link.broken = false;
+  let status = await waiting;
+
+  assert.deepStrictEqual(events, ["reconnected", "waited"]);
+  assert.deepStrictEqual(
+    [Math.round(status.x * 400), Math.round(status.y * 400)],
+    [device.position.x, device.position.y]
+  );
+
+  await plotter.disconnect();
+
+});
+
+test("waiting fails when the connection cannot be reestablished", async () => {
+
+  let device = new VirtualPlotter({model: "7475A", drainRate: 200});
+  let link = new Link(device);
+  let plotter = new Plotter();
+  let errors = [];
+
+  plotter.on("error", error => errors.push(error.message));
+  await plotter.connect(link, {reconnect: true, reconnectAttempts: 2, reconnectDelay: 10});
+
+  // The first wait is held back with the instructions not yet acknowledged, the second one is
+  // queued during the outage
+  for (let i = 1; i <= 20; i++) plotter.queue("PA" + i * 100 + ",0");
+  let held = plotter.wait();
+  await new Promise(resolve => setTimeout(resolve, 50));
+
+  link.broken = true;
+  link.cut();
+  let queued = plotter.wait();
+
+  let message = "The connection to the device could not be reestablished (link).";
+  await assert.rejects(held, {message: message});
+  await assert.rejects(queued, {message: message});
+  assert.strictEqual(errors[errors.length - 1], message);
+  assert.strictEqual(plotter._queue.length, 0);
+
+  // No more attempts are made
+  let attempts = errors.length;
+  await new Promise(resolve => setTimeout(resolve, 100));
+  assert.strictEqual(errors.length, attempts);
+
+});
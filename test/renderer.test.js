@@ -0,0 +1,128 @@
+const test = require("node:test");
+const assert = require("assert");
+const {HpglParser, HpglRenderer} = require("../src/hpgl.js");
+const {plot, getStrokes, getExtent} = require("./helpers.js");
+
+// Returns the path elements of the SVG document rendered from the specified instructions
+let render = function(hpgl) {
+  let svg = new HpglRenderer({model: "7475A"}).render(hpgl);
+  return svg.split("\n").filter(line => line.includes("<path"));
+};
+
+// Returns the displacements between the successive points of a stroke
+let getMoves = function(stroke) {
+  return stroke.points.slice(1).map((point, i) => {
+    return [point[0] - stroke.points[i][0], point[1] - stroke.points[i][1]];
+  });
+};
+
+test("lines are drawn with the color of the selected pen", () => {
+
+  let strokes = getStrokes("IN;SP2;PA100,100;PD200,100;PR0,100;PU;SP3;PA500,500;PD600,500;");
+
+  assert.deepStrictEqual(strokes.map(stroke => stroke.pen), ["red", "green"]);
+
+  // The image's y axis points down
+  assert.deepStrictEqual(getMoves(strokes[0]), [[100, 0], [0, -100]]);
+  assert.deepStrictEqual(getMoves(strokes[1]), [[100, 0]]);
+
+});
+
+test("circles, arcs and rectangles are drawn around the pen position", () => {
+
+  let [circle] = getStrokes("IN;SP1;PA500,500;CI100;");
+  let [left, top, right, bottom] = getExtent([circle]);
+  assert.deepStrictEqual([right - left, bottom - top], [200, 200]);
+
+  // A quarter turn counter-clockwise around 1000,500 starting from 1000,1000
+  let [arc] = getStrokes("IN;SP1;PA1000,1000;PD;AA1000,500,90;");
+  let first = arc.points[0], last = arc.points[arc.points.length - 1];
+  assert.deepStrictEqual([last[0] - first[0], last[1] - first[1]], [-500, 500]);
+
+  let [edged, filled] = getStrokes("IN;SP1;PA1000,1000;ER200,100;EA500,500;");
+  assert.deepStrictEqual(getMoves(edged), [[200, 0], [0, -100], [-200, 0], [0, 100]]);
+  assert.deepStrictEqual(getMoves(filled), [[-500, 0], [0, 500], [500, 0], [0, -500]]);
+
+});
+
+test("user units set with SC map to the scaling points", () => {
+  assert.deepStrictEqual(
+    getStrokes("IN;SP1;SC0,100,0,100;PA0,0;PD100,100;"),
+    getStrokes("IN;SP1;PA250,596;PD10250,7796;")
+  );
+});
+
+test("the sheet is rotated by RO", () => {
+  let size = hpgl => new HpglRenderer().render(hpgl).match(/width="(\S+)" height="(\S+)"/).slice(1);
+  assert.deepStrictEqual(size("IN;"), ["27.94cm", "21.59cm"]);
+  assert.deepStrictEqual(size("IN;RO90;IP;"), ["21.59cm", "27.94cm"]);
+});
+
+test("line type 0 only dots the points the pen goes through", () => {
+  let [path] = render("IN;SP1;LT0;PA100,100;PD500,100,500,500;");
+  assert.ok(!path.includes("stroke-dasharray"));
+  assert.strictEqual(path.match(/h0/g).length, 3);
+});
+
+test("line type 1 is a dotted line", () => {
+  let [path] = render("IN;SP1;LT1;PA100,100;PD500,100;");
+  assert.match(path, /L\S+ \S+" .*stroke-dasharray="0 /);
+});
+
+test("labels are drawn like the fallback characters of drawText()", async () => {
+
+  // The device has no copyright sign, so drawText() draws it with lines
+  let hpgl = await plot(plotter => plotter.moveTo(3, 3).drawText("©"));
+  let label = hpgl.slice(0, hpgl.indexOf("PR;")) + "LB©\x03";
+
+  assert.deepStrictEqual(
+    getExtent(getStrokes(hpgl)).map(Math.round),
+    getExtent(getStrokes(label)).map(Math.round)
+  );
+
+});
+
+test("user-defined characters are drawn on the character grid", async () => {
+
+  // Characters 0.4 cm wide and 0.8 cm high make a grid unit 40 plotter units wide and high
+  let hpgl = await plot(plotter => {
+    plotter.defineCharacter("→", [[0, 4, 4, 4], [2, 6, 4, 4, 2, 2]]).moveTo(3, 3);
+    plotter.drawText("A→", {characterWidth: 0.4, characterHeight: 0.8});
+  });
+
+  let strokes = getStrokes(hpgl);
+  let [shaft, head] = strokes.slice(-2);
+  let baseline = getExtent(strokes.slice(0, -2))[3];
+
+  assert.ok(hpgl.includes("UC0,4,99,4,0,-99,-2,2,99,2,-2,-2,-2;"));
+  assert.strictEqual(shaft.points[0][1], baseline - 160);
+  assert.deepStrictEqual(getMoves(shaft), [[160, 0]]);
+  assert.deepStrictEqual(getMoves(head), [[80, 80], [-80, 80]]);
+
+});
+
+test("instructions can be measured one at a time", () => {
+
+  let [rotate, draw, move] = new HpglParser().parse("RO90;PD100,0;PU200,300;");
+  let renderer = new HpglRenderer({model: "7475A"}).startMeasuring([rotate, draw, move]);
+  assert.strictEqual(renderer.getOrientation(), "portrait");
+
+  renderer.measure(rotate);
+  let start = renderer.getPosition();
+  let state = renderer.getState();
+
+  let drawn = renderer.measure(draw);
+  assert.strictEqual(drawn.strokes.length, 1);
+  assert.strictEqual(drawn.strokes[0].pen, 1);
+  assert.deepStrictEqual(drawn.strokes[0].points, [start, drawn.position]);
+  assert.deepStrictEqual(renderer.toHpglCoordinates(drawn.position), {x: 100, y: 0});
+
+  let moved = renderer.measure(move);
+  assert.deepStrictEqual(moved.strokes, []);
+  assert.deepStrictEqual(renderer.toHpglCoordinates(moved.position), {x: 200, y: 300});
+
+  // The simulation can go back to a previous state
+  renderer.setState(state);
+  assert.deepStrictEqual(renderer.getPosition(), start);
+
+});
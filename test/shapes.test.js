@@ -0,0 +1,152 @@
+const test = require("node:test");
+const assert = require("assert");
+const {connect, close, plot, getStrokes, getExtent} = require("./helpers.js");
+
+// Returns the distance between two points
+let distance = (a, b) => Math.hypot(a[0] - b[0], a[1] - b[1]);
+
+// Returns the single stroke drawn by a job
+let getStroke = function(hpgl, model) {
+  let strokes = getStrokes(hpgl, {model: model});
+  assert.strictEqual(strokes.length, 1);
+  return strokes[0];
+};
+
+// In the rendered strokes, the point at (5 cm, 5 cm) is at (2000, 2000) and y goes down the page
+
+test("arcs go counterclockwise around their center and end where the pen stops", async () => {
+
+  let hpgl = await plot(plotter => plotter.selectPen(1).moveTo(5, 5).drawArc(7, 5, 90));
+  assert.match(hpgl, /PD;AA\d+,\d+,90,5;PU;/);
+
+  let stroke = getStroke(hpgl);
+  assert.deepStrictEqual(stroke.points[0], [2000, 2000]);
+  assert.deepStrictEqual(stroke.points[stroke.points.length - 1], [2800, 2800]);
+  stroke.points.forEach(point => assert.ok(Math.abs(distance(point, [2800, 2000]) - 800) < 1));
+
+  let relative = await plot(plotter => plotter.selectPen(1).moveTo(5, 5).drawArcRelative(2, 0, 90));
+  assert.match(relative, /PD;AR800,0,90,5;PU;/);
+  assert.deepStrictEqual(getStroke(relative).points, stroke.points);
+
+});
+
+test("arcs are drawn with line segments when the device cannot draw them", async () => {
+
+  let draw = plotter => plotter.selectPen(1).moveTo(5, 5).drawArc(7, 5, 90).drawLine(9, 9);
+  let [native] = getStrokes(await plot(draw));
+  let hpgl = await plot(draw, {model: "7440A"});
+  assert.doesNotMatch(hpgl, /AA|AR/);
+
+  // The segments follow the arc and the line starts where the arc ends
+  let [arc, line] = getStrokes(hpgl, {model: "7440A"});
+  assert.strictEqual(arc.points.length, native.points.length);
+  arc.points.forEach((point, i) => {
+    assert.ok(distance(point, native.points[i]) <= 1, `${point} ${native.points[i]}`);
+  });
+  assert.deepStrictEqual(line.points, [[2800, 2800], [3600, 3600]]);
+
+});
+
+test("the line segments of arcs stay within the tolerance", async () => {
+
+  let count = async options => {
+    let draw = plotter => plotter.selectPen(1).moveTo(5, 5).drawArc(7, 5, 90, options);
+    let stroke = getStroke(await plot(draw, {model: "7440A"}), "7440A");
+
+    // The middle of each segment is the point which is the furthest from the arc
+    for (let i = 1; i < stroke.points.length; i++) {
+      let [a, b] = [stroke.points[i - 1], stroke.points[i]];
+      let middle = [(a[0] + b[0]) / 2, (a[1] + b[1]) / 2];
+      let error = 800 - distance(middle, [2800, 2000]);
+      if (options.tolerance) assert.ok(error <= options.tolerance * 400 + 2, `${error}`);
+    }
+
+    return stroke.points.length - 1;
+  };
+
+  assert.strictEqual(await count({chordAngle: 30}), 3);
+  assert.strictEqual(await count({chordAngle: 10}), 9);
+  assert.ok(await count({tolerance: 0.005}) > await count({tolerance: 0.05}));
+
+});
+
+test("arcs drawn with line segments need a known pen position", async () => {
+
+  let {plotter} = await connect({model: "7440A"});
+  assert.throws(() => plotter.drawArc(7, 5, 90), /pen position is unknown/);
+  assert.doesNotThrow(() => plotter.drawArcRelative(2, 0, 90));
+  plotter.moveTo(5, 5).drawText("A");
+  assert.throws(() => plotter.drawArc(7, 5, 90), /pen position is unknown/);
+  await close(plotter);
+
+});
+
+test("arcs are drawn with line segments when the transform is not conformal", async () => {
+
+  let hpgl = await plot(plotter => {
+    plotter.selectPen(1).pushTransform({scale: [2, 1]}).moveTo(5, 5).drawArc(7, 5, 90);
+  });
+  assert.doesNotMatch(hpgl, /AA|AR/);
+
+  // The arc is a quarter of an ellipse which is twice as wide as it is tall
+  let stroke = getStroke(hpgl);
+  assert.deepStrictEqual(stroke.points[0], [4000, 2000]);
+  assert.deepStrictEqual(stroke.points[stroke.points.length - 1], [5600, 2800]);
+  stroke.points.forEach(([x, y]) => {
+    let value = ((x - 5600) / 1600) ** 2 + ((y - 2000) / 800) ** 2;
+    assert.ok(Math.abs(value - 1) < 0.01, `${x},${y}`);
+  });
+
+});
+
+test("wedges are drawn and filled by the device when it can", async () => {
+
+  let hpgl = await plot(plotter => plotter.selectPen(1).moveTo(5, 5).drawWedge(2, 0, 90));
+  assert.match(hpgl, /EW800,0,90,5;/);
+  assert.doesNotMatch(hpgl, /WG/);
+
+  let filled = await plot(plotter => {
+    plotter.selectPen(1).moveTo(5, 5).drawWedge(2, 0, 90, {fill: true, chordAngle: 10});
+  });
+  assert.match(filled, /WG800,0,90,10;EW800,0,90,10;/);
+
+});
+
+test("wedges are drawn with line segments and filled with lines on other devices", async () => {
+
+  let hpgl = await plot(plotter => {
+    plotter.selectPen(1).moveTo(5, 5).drawWedge(2, 0, 90, {fill: true});
+  }, {model: "7440A"});
+  assert.doesNotMatch(hpgl, /EW|WG/);
+
+  // The outline goes from the tip to the right, along the arc up to the top and back to the tip
+  let strokes = getStrokes(hpgl, {model: "7440A"});
+  let outline = strokes.pop();
+  assert.deepStrictEqual(outline.points[0], [2000, 2000]);
+  assert.deepStrictEqual(outline.points[1], [2800, 2000]);
+  assert.deepStrictEqual(outline.points[outline.points.length - 2], [2000, 1200]);
+  assert.deepStrictEqual(outline.points[outline.points.length - 1], [2000, 2000]);
+
+  // The fill lines are drawn first and stay inside the wedge
+  assert.ok(strokes.length > 10);
+  strokes.flatMap(stroke => stroke.points).forEach(point => {
+    assert.ok(point[0] >= 2000 && point[1] <= 2000 && distance(point, [2000, 2000]) <= 801);
+  });
+
+});
+
+test("ellipses are drawn around the pen which then returns to the center", async () => {
+
+  let draw = rotation => plot(plotter => {
+    plotter.selectPen(1).moveTo(5, 5).drawEllipse(3, 1, rotation).drawLine(5, 9);
+  });
+
+  let [ellipse, line] = getStrokes(await draw(0));
+  assert.deepStrictEqual(getExtent([ellipse]), [800, 1600, 3200, 2400]);
+  assert.deepStrictEqual(ellipse.points[0], ellipse.points[ellipse.points.length - 1]);
+  assert.deepStrictEqual(line.points, [[2000, 2000], [2000, 3600]]);
+
+  let [rotated] = getStrokes(await draw(90));
+  assert.deepStrictEqual(getExtent([rotated]), [1600, 800, 2400, 3200]);
+
+});
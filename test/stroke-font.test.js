@@ -0,0 +1,79 @@
+const test = require("node:test");
+const assert = require("assert");
+const {StrokeFont} = require("../src/hpgl.js");
+const {plot} = require("./helpers.js");
+
+// A font whose capital letters are 400 units high: drawn 1 cm high, a font unit is a plotter unit
+const FONT = `<svg><defs><font id="test" horiz-adv-x="500">
+  <font-face font-family="Test" units-per-em="1000" cap-height="400"/>
+  <missing-glyph horiz-adv-x="400"/>
+  <glyph unicode="I" glyph-name="I" horiz-adv-x="300" d="M 150 0 L 150 400"/>
+  <glyph unicode="L" glyph-name="L" horiz-adv-x="500" d="M 100 400 L 100 0 L 400 0"/>
+  <glyph unicode="&amp;" horiz-adv-x="600" d="M 0 0 L 600 400"/>
+  <glyph unicode="ff" horiz-adv-x="600" d="M 0 0 L 0 400"/>
+  <hkern u1="L" g2="I" k="50"/>
+</font></defs></svg>`;
+
+let font = StrokeFont.register("test", FONT);
+
+test("glyphs are looked up by character", () => {
+
+  assert.strictEqual(font.name, "Test");
+  assert.strictEqual(font.capHeight, 400);
+
+  assert.deepStrictEqual(font.getGlyph("I"), {
+    advance: 300,
+    strokes: [[{x: 150, y: 0}, {x: 150, y: 400}]]
+  });
+  assert.strictEqual(font.hasGlyph("&"), true);
+  assert.strictEqual(font.getGlyph("x"), undefined);
+
+  // Ligatures are ignored
+  assert.strictEqual(font.hasGlyph("ff"), false);
+
+  // Kerning pairs can designate glyphs by name
+  assert.strictEqual(font.getKerning("L", "I"), -50);
+  assert.strictEqual(font.getKerning("I", "L"), 0);
+
+});
+
+test("missing glyphs are left blank and take the advance of the missing glyph", () => {
+
+  let layout = font.layout("IxI");
+
+  assert.deepStrictEqual(layout.missing, ["x"]);
+  assert.strictEqual(layout.width, 1000);
+  assert.deepStrictEqual(layout.strokes, [
+    [{x: 150, y: 0}, {x: 150, y: 400}],
+    [{x: 850, y: 0}, {x: 850, y: 400}]
+  ]);
+
+});
+
+test("fonts are loaded by name", () => {
+
+  assert.strictEqual(StrokeFont.load("test"), font);
+  assert.strictEqual(StrokeFont.load(font), font);
+  assert.strictEqual(StrokeFont.load().hasGlyph("A"), true);
+  assert.ok(StrokeFont.getNames().includes("hershey_serif_med"));
+  assert.ok(StrokeFont.getNames().includes("test"));
+  assert.throws(() => StrokeFont.load("nope"), /'nope' font is not available/);
+  assert.throws(() => new StrokeFont("<svg></svg>"), SyntaxError);
+
+});
+
+test("text is drawn with the strokes of the font", async () => {
+
+  let hpgl = await plot(plotter => plotter.moveTo(5, 5).drawText("LIx", {
+    font: "test",
+    characterHeight: 1,
+    characterWidth: .187 / .269
+  }));
+
+  // The pen is raised between strokes and left where the next character would go. The I is
+  // brought closer to the L by the kerning pair.
+  assert.ok(hpgl.includes(
+    "PR;PU100,400;PD0,-400,300,0;PU200,0;PD0,400;PU550,-400;PU;PA;"
+  ), hpgl);
+
+});
@@ -0,0 +1,89 @@
+const test = require("node:test");
+const assert = require("assert");
+const {SvgConverter} = require("../src/hpgl.js");
+const {plot, getStrokes} = require("./helpers.js");
+
+// Returns the polylines obtained from the specified path data (in document units)
+let convert = function(d) {
+  let converter = new SvgConverter({tolerance: 0.001});
+  let svg = `<svg xmlns="http://www.w3.org/2000/svg"><path d="${d}" stroke="black"/></svg>`;
+  return converter.convert(svg).paths.map(path => path.points.map(v => Math.round(v * 96 / 2.54)));
+};
+
+test("parameters following a closepath command end the path", () => {
+  assert.deepStrictEqual(convert("M0 0 L 10 10 z 20 20"), [[0, 0, 10, 10, 0, 0]]);
+  assert.deepStrictEqual(convert("M0 0 L 10 0 L 10 10 Z 5"), [[0, 0, 10, 0, 10, 10, 0, 0]]);
+});
+
+test("truncated segments are dropped along with the rest of the path", () => {
+  assert.deepStrictEqual(convert("M0 0 L 10 10 A 1 1"), [[0, 0, 10, 10]]);
+  assert.deepStrictEqual(convert("M0 0 L 10 10 A 1 1 0 0"), [[0, 0, 10, 10]]);
+  assert.deepStrictEqual(convert("M0 0 L 10 10 L 5"), [[0, 0, 10, 10]]);
+  assert.deepStrictEqual(convert("M0 0 L 10 10 C 1 1 2 2 L 20 20"), [[0, 0, 10, 10]]);
+  assert.deepStrictEqual(convert("M0 0 A 1 1"), []);
+  assert.deepStrictEqual(convert("M 5"), []);
+});
+
+test("numbers with exponents are not mistaken for commands", () => {
+  assert.deepStrictEqual(convert("M0 0 L 1e1 0 2E1 0"), [[0, 0, 10, 0, 20, 0]]);
+});
+
+// A document using the supported shapes, styles and transforms
+const DOCUMENT = `
+  <svg xmlns="http://www.w3.org/2000/svg" width="100" height="50" viewBox="0 0 100 50">
+    <style>.blue { stroke: blue; }</style>
+    <line x1="0" y1="0" x2="100" y2="0" stroke="red"/>
+    <rect class="blue" x="10" y="10" width="20" height="10" fill="none"/>
+    <g transform="translate(50, 25)"><circle r="10" stroke="red" fill="none"/></g>
+    <text>Ignored</text>
+  </svg>
+`;
+
+test("shapes are scaled to fit the area and assigned a pen per color", () => {
+
+  let converter = new SvgConverter({area: {x: 1, y: 1, width: 10, height: 10}});
+  let [line, rect, circle] = converter.convert(DOCUMENT).paths;
+  let round = values => values.map(v => Math.round(v * 1000) / 1000);
+
+  assert.deepStrictEqual([line.pen, rect.pen, circle.pen], [1, 2, 1]);
+
+  // The artwork is 100 units wide: each unit is a millimeter
+  let y = line.points[1];
+  assert.deepStrictEqual(round(line.points), [1, y, 11, y]);
+  assert.deepStrictEqual(
+    round(rect.points),
+    round([2, y + 1, 4, y + 1, 4, y + 2, 2, y + 2, 2, y + 1])
+  );
+
+  for (let i = 0; i < circle.points.length; i += 2) {
+    let distance = Math.hypot(circle.points[i] - 6, circle.points[i + 1] - (y + 2.5));
+    assert.ok(Math.abs(distance - 1) < 0.01, distance + " cm from the center");
+  }
+
+});
+
+test("the artwork keeps its physical size when it is not fitted", () => {
+  let converter = new SvgConverter({area: {x: 0, y: 0, width: 10, height: 10}, fit: false});
+  let [line] = converter.convert(DOCUMENT).paths;
+  assert.deepStrictEqual(line.points, [0, 0, 2.6458, 0]);
+});
+
+test("drawSvg() selects the pen assigned to each color", async () => {
+
+  let hpgl = await plot(plotter => plotter.drawSvg(`
+    <svg xmlns="http://www.w3.org/2000/svg" width="10" height="10">
+      <line x1="0" y1="0" x2="10" y2="10" stroke="red"/>
+      <line x1="0" y1="10" x2="10" y2="0" stroke="blue"/>
+    </svg>
+  `));
+
+  // Pens 1 and 2 are rendered in black and red
+  let strokes = getStrokes(hpgl);
+  assert.deepStrictEqual(strokes.map(stroke => stroke.pen), ["black", "red"]);
+
+  // The lines cross each other
+  let [a, b] = strokes.map(stroke => stroke.points);
+  assert.deepStrictEqual([a[0][0], a[1][0]], [b[0][0], b[1][0]]);
+  assert.deepStrictEqual([a[0][1], a[1][1]], [b[1][1], b[0][1]]);
+
+});
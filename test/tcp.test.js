@@ -0,0 +1,158 @@
+const test = require("node:test");
+const assert = require("assert");
+const net = require("net");
+const {Plotter, VirtualPlotter, TcpTransport} = require("../src/hpgl.js");
+const {close} = require("./helpers.js");
+
+const IAC = 255, SB = 250, SE = 240, WILL = 251, WONT = 252, DO = 253;
+
+// Starts a device server on a free local port. Each connection is handed to the function.
+let listen = async function(onConnection) {
+  let server = net.createServer(onConnection);
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  server.address = "127.0.0.1:" + server.address().port;
+  return server;
+};
+
+let stop = function(server) {
+  return new Promise(resolve => server.close(resolve));
+};
+
+let open = function(transport) {
+  return new Promise((resolve, reject) => transport.open(err => err ? reject(err) : resolve()));
+};
+
+// Waits until the condition is met (or gives up after a second)
+let until = async function(condition) {
+  for (let i = 0; i < 200 && !condition(); i++) {
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+};
+
+test("a plotter drives an emulated device through a raw TCP connection", async () => {
+
+  let executed = [];
+
+  let server = await listen(socket => {
+    let device = new VirtualPlotter({model: "7475A", drainRate: 100000});
+    device.on("instruction", instruction => executed.push(instruction));
+    device.on("data", data => socket.write(data));
+    device.open(() => socket.on("data", data => device.write(data)));
+    socket.on("close", () => device.close());
+  });
+
+  let transport = new TcpTransport(server.address);
+  let plotter = new Plotter();
+
+  await plotter.connect(transport);
+  assert.strictEqual(plotter.characteristics.model, "7475A");
+
+  plotter.moveTo(1, 1).drawLine(2, 2);
+  await plotter.wait();
+  await new Promise(resolve => transport.write("LB\xA3\x03", resolve));
+  await until(() => executed[executed.length - 1] === "LB\xA3");
+
+  assert.deepStrictEqual(
+    executed.slice(-7),
+    ["PU52,8124", "LT", "PD", "PA452,7724", "PU", "OA", "LB\xA3"]
+  );
+
+  await close(plotter);
+  await stop(server);
+  assert.strictEqual(transport.isOpen, false);
+
+});
+
+test("the serial port of the device server is configured through RFC 2217", async () => {
+
+  let received = [];
+
+  // The server asks for an option that was not requested and sends data holding an IAC byte
+  let server = await listen(socket => {
+    socket.on("data", data => received.push(...data));
+    socket.write(Buffer.from([IAC, DO, 1, 0x37, IAC, IAC, 0x0D]));
+  });
+
+  let transport = new TcpTransport(server.address, {rfc2217: true, baudRate: 255, parity: "even"});
+  let data = [];
+  transport.on("data", chunk => data.push(...chunk));
+
+  await open(transport);
+  await until(() => data.length === 3);
+  await new Promise(resolve => transport.write("LB\xA3\xFF\x03", resolve));
+  await until(() => received[received.length - 1] === 0x03);
+
+  assert.deepStrictEqual(data, [0x37, 0xFF, 0x0D]);
+
+  assert.deepStrictEqual(received, [
+    IAC, WILL, 0, IAC, DO, 0, IAC, WILL, 3, IAC, DO, 3, IAC, WILL, 44,
+    IAC, SB, 44, 1, 0, 0, 0, IAC, IAC, IAC, SE,
+    IAC, SB, 44, 2, 8, IAC, SE,
+    IAC, SB, 44, 3, 3, IAC, SE,
+    IAC, SB, 44, 4, 1, IAC, SE,
+    IAC, SB, 44, 5, 1, IAC, SE,
+    IAC, WONT, 1,
+    0x4C, 0x42, 0xA3, IAC, IAC, 0x03
+  ]);
+
+  await new Promise(resolve => transport.close(resolve));
+  await stop(server);
+
+});
+
+test("data written while the connection is lost is sent once it is reestablished", async () => {
+
+  let connections = 0;
+  let received = "";
+
+  // The first connection is dropped by the server
+  let server = await listen(socket => {
+    if (++connections === 1) {
+      socket.destroy();
+    } else {
+      socket.on("data", data => received += data.toString("latin1"));
+    }
+  });
+
+  let transport = new TcpTransport(server.address, {reconnectDelay: 10});
+  let events = [];
+  transport.on("reconnecting", attempt => events.push("reconnecting " + attempt));
+  transport.on("reconnect", () => events.push("reconnect"));
+
+  await open(transport);
+  await until(() => events.length > 0);
+  transport.write("IN;");
+  await until(() => received === "IN;");
+
+  assert.deepStrictEqual(events, ["reconnecting 1", "reconnect"]);
+  assert.strictEqual(received, "IN;");
+  assert.strictEqual(transport.isOpen, true);
+
+  await new Promise(resolve => transport.close(resolve));
+  await stop(server);
+
+});
+
+test("a connection lost for good is reported and the transport is closed", async () => {
+
+  let server = await listen(socket => socket.destroy());
+  let transport = new TcpTransport(server.address, {reconnectAttempts: 0});
+  let errors = [];
+
+  transport.on("error", error => errors.push(error.message));
+  let closed = new Promise(resolve => transport.on("close", resolve));
+
+  await open(transport);
+  await closed;
+  await stop(server);
+
+  assert.deepStrictEqual(errors, ["Connection to " + server.address + " was lost."]);
+  assert.strictEqual(transport.isOpen, false);
+
+  let error = await new Promise(resolve => transport.write("IN;", resolve));
+  assert.strictEqual(error.message, "Port is not open.");
+
+  // Nothing listens anymore
+  await assert.rejects(open(transport), {code: "ECONNREFUSED"});
+
+});
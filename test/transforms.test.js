@@ -0,0 +1,81 @@
+const test = require("node:test");
+const assert = require("assert");
+const {Plotter} = require("../src/hpgl.js");
+const {plot} = require("./helpers.js");
+
+// Returns the pen moves and circles of an HP-GL job
+let getMoves = function(hpgl) {
+  return hpgl.split(";").filter(instruction => /^(PU|PD|PA|PR|CI)/.test(instruction));
+};
+
+test("transforms are combined in the order of the SVG transform attribute", async () => {
+
+  let transformed = await plot(plotter => {
+    plotter.pushTransform({translate: [5, 5], rotate: 90, scale: 2});
+    plotter.moveTo(1, 0).moveTo(0, 1);
+  });
+
+  // Scaled first, then rotated counterclockwise (as seen on the paper) and translated last
+  let expected = await plot(plotter => plotter.moveTo(5, 3).moveTo(7, 5));
+
+  assert.deepStrictEqual(getMoves(transformed), getMoves(expected));
+
+});
+
+test("pushed transforms compose and popped transforms are restored", async () => {
+
+  let transformed = await plot(plotter => {
+    plotter.pushTransform({translate: [5, 5]}).pushTransform({scale: 2}).moveTo(1, 1);
+    plotter.popTransform().moveTo(1, 1);
+    plotter.popTransform().moveTo(1, 1);
+  });
+
+  let expected = await plot(plotter => plotter.moveTo(7, 7).moveTo(6, 6).moveTo(1, 1));
+
+  assert.deepStrictEqual(getMoves(transformed), getMoves(expected));
+
+});
+
+test("a matrix moves x, y to a * x + c * y + e, b * x + d * y + f", async () => {
+
+  let transformed = await plot(plotter => {
+    plotter.pushTransform([1, 0, 0.5, 1, 2, 3]).moveTo(2, 4);
+  });
+
+  let expected = await plot(plotter => plotter.moveTo(6, 7));
+
+  assert.deepStrictEqual(getMoves(transformed), getMoves(expected));
+
+});
+
+test("circles are drawn natively unless the transform distorts them", async () => {
+
+  let scaled = await plot(plotter => {
+    plotter.pushTransform({translate: [6, 6], rotate: 30, scale: 2}).moveTo(0, 0).drawCircle(1);
+  });
+
+  let expected = await plot(plotter => plotter.moveTo(6, 6).drawCircle(2));
+
+  assert.deepStrictEqual(getMoves(scaled), getMoves(expected));
+  assert.ok(getMoves(scaled).includes("CI800,5"));
+
+  let stretched = await plot(plotter => {
+    plotter.pushTransform({scale: [2, 1]}).moveTo(3, 6).drawCircle(1);
+  });
+
+  assert.ok(!getMoves(stretched).some(instruction => instruction.startsWith("CI")));
+
+});
+
+test("transforms that cannot be inverted or restored are rejected", () => {
+
+  let plotter = new Plotter();
+
+  assert.throws(() => plotter.pushTransform({scale: 0}), RangeError);
+  assert.throws(() => plotter.pushTransform({translate: [Infinity, 0]}), RangeError);
+  assert.throws(() => plotter.popTransform(), /no transform to restore/);
+
+  // A rejected transform leaves the current one in place
+  assert.deepStrictEqual(plotter._transform, [1, 0, 0, 1, 0, 0]);
+
+});
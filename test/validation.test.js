@@ -0,0 +1,102 @@
+const test = require("node:test");
+const assert = require("assert");
+const {Plotter, VirtualPlotter} = require("../src/hpgl.js");
+const {close} = require("./helpers.js");
+
+// Returns a plotter connected to an emulated device
+let connect = async function(options = {}) {
+  let plotter = new Plotter();
+  await plotter.connect(new VirtualPlotter({model: "7475A"}), options);
+  return plotter;
+};
+
+test("a drawing method that throws leaves nothing in the queue", async () => {
+
+  let plotter = await connect();
+  plotter.startValidating({policy: "throw"});
+  plotter.moveTo(5, 5);
+
+  let length = plotter._queue.length;
+
+  let text = {characterWidth: 2, characterHeight: 3};
+  assert.throws(() => plotter.drawText("HELLO WORLD", text), RangeError);
+  assert.strictEqual(plotter._queue.length, length);
+
+  assert.throws(() => plotter.drawRectangle(40, 2, {fill: true}), RangeError);
+  assert.strictEqual(plotter._queue.length, length);
+
+  plotter.pushTransform([1, 0, 0.5, 1, 0, 0]);
+  assert.throws(() => plotter.drawCircle(30), RangeError);
+  assert.strictEqual(plotter._queue.length, length);
+  plotter.popTransform();
+
+  // The simulation still starts from where the pen was
+  plotter.drawCircle(2);
+  assert.ok(plotter._queue.length > length);
+
+  await close(plotter);
+
+});
+
+test("clipping limits drawing to the plottable area", async () => {
+
+  for (let orientation of ["landscape", "portrait"]) {
+
+    let plotter = await connect({orientation: orientation});
+    let area = plotter.getPlottableArea();
+
+    plotter.startValidating({policy: "clip"});
+    let window = plotter._queue[plotter._queue.length - 1].parsed.parameters;
+
+    plotter.moveTo(area.x, area.y);
+    plotter.moveTo(area.x + area.width, area.y + area.height);
+    let corners = plotter._queue.slice(-2).map(command => command.parsed.parameters);
+    let xs = corners.map(corner => corner[0]), ys = corners.map(corner => corner[1]);
+
+    assert.deepStrictEqual(
+      window,
+      [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)]
+    );
+
+    await close(plotter);
+
+  }
+
+});
+
+test("validateJob() reports the offending calls without a device", () => {
+
+  let issues = Plotter.validateJob(plotter => {
+    plotter.moveTo(5, 5).drawCircle(1);
+    plotter.drawCircle(100);
+    plotter.queue("PM");
+  });
+
+  assert.deepStrictEqual(issues.map(issue => issue.method), ["drawCircle", "queue"]);
+  issues.forEach(issue => assert.match(issue.source, /validation\.test\.js:\d+:\d+$/));
+  assert.strictEqual(issues[0].instruction, "CI40000,5");
+  assert.ok(issues[0].extent.x < 0);
+  assert.deepStrictEqual([issues[1].instruction, issues[1].unsupported], ["PM", true]);
+
+  assert.deepStrictEqual(Plotter.validateJob(plotter => plotter.moveTo(5, 5).drawCircle(1)), []);
+
+});
+
+test("validateJob() reports the offending HP-GL instructions by offset", () => {
+
+  let hpgl = "IN;SP1;PA100,100;PD;PA100000,100;PU;PM0;";
+  let issues = Plotter.validateJob(hpgl, "7475A");
+
+  assert.deepStrictEqual(issues.map(issue => [issue.instruction, issue.offset]), [
+    ["PA100000,100", hpgl.indexOf("PA100000")],
+    ["PU", hpgl.indexOf("PU")],
+    ["PM0", hpgl.indexOf("PM")]
+  ]);
+  assert.ok(issues[0].extent.x + issues[0].extent.width > 250);
+  assert.strictEqual(issues[2].unsupported, true);
+  assert.ok(issues.every(issue => issue.method === undefined));
+
+  // The 7550A supports polygons
+  assert.deepStrictEqual(Plotter.validateJob("IN;SP1;PA100,100;PM0;PD200,200;PM2;", "7550A"), []);
+
+});
@@ -0,0 +1,153 @@
+const test = require("node:test");
+const assert = require("assert");
+const {Plotter, VirtualPlotter} = require("../src/hpgl.js");
+
+// Writes data to an emulated device and returns the instructions it executes
+let execute = async function(data, count) {
+  let device = new VirtualPlotter({model: "7475A", drainRate: 100000});
+  let executed = [];
+  device.on("instruction", instruction => executed.push(instruction));
+  await new Promise(resolve => device.open(resolve));
+  await new Promise(resolve => device.write(data, resolve));
+  for (let i = 0; i < 100 && executed.length < count; i++) {
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+  await new Promise(resolve => device.close(resolve));
+  return executed;
+};
+
+// Opens an emulated device and collects the answers it sends
+let open = async function(options = {}) {
+  let device = new VirtualPlotter(Object.assign({model: "7475A"}, options));
+  let answers = [];
+  device.on("data", data => answers.push(...data.toString().split("\r").filter(Boolean)));
+  await new Promise(resolve => device.open(resolve));
+  return {device, answers};
+};
+
+// Waits until the specified number of answers have been received
+let receive = async function(answers, count) {
+  for (let i = 0; i < 200 && answers.length < count; i++) {
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+  return answers.splice(0, count);
+};
+
+test("device-control and output instructions are answered like the emulated model", async () => {
+
+  let {device, answers} = await open();
+
+  device.write("\x1b.A\x1b.B\x1b.LOI;");
+  assert.deepStrictEqual(await receive(answers, 4), ["7475A,0", "1024", "1024", "7475A"]);
+
+  // A malformed device-control instruction is reported (and cleared) by ESC.E
+  device.write("\x1bX\x1b.E\x1b.E");
+  assert.deepStrictEqual(await receive(answers, 2), ["11", "0"]);
+
+  await new Promise(resolve => device.close(resolve));
+
+});
+
+test("HP-GL errors are reported (and cleared) by OE", async () => {
+
+  let {device, answers} = await open();
+
+  device.write("OE;ZZ;OE;OE;PA10,20,30;OE;PA10,20;OE;");
+  assert.deepStrictEqual(await receive(answers, 5), ["0", "1", "0", "2", "0"]);
+  assert.deepStrictEqual(device.position, {x: 10, y: 20});
+
+  // The instructions of other models are not recognized and the error is cleared by IN
+  device.write("PM;OE;PM;IN;OE;");
+  assert.deepStrictEqual(await receive(answers, 2), ["1", "0"]);
+
+  await new Promise(resolve => device.close(resolve));
+
+});
+
+test("the pen moves of user-defined characters are checked", async () => {
+
+  let {device, answers} = await open();
+
+  device.write("UC99,4,8,-99;OE;UC99,150,0;OE;");
+  assert.deepStrictEqual(await receive(answers, 2), ["0", "3"]);
+
+  await new Promise(resolve => device.close(resolve));
+
+  let plotter = new Plotter().defineCharacter("→", [[0, 4, 4, 4], [2, 6, 4, 4, 2, 2]]);
+  await plotter.connect(new VirtualPlotter({model: "7475A"}));
+  let executed = [];
+  plotter.transport.on("instruction", instruction => executed.push(instruction));
+
+  await plotter.drawText("→").wait();
+  assert.ok(executed.includes("UC0,4,99,4,0,-99,-2,2,99,2,-2,-2,-2"));
+
+  // The device accepted it
+  let error = await new Promise(resolve => plotter.queue("OE", resolve, {waitForResponse: true}));
+  assert.strictEqual(String(error).trim(), "0");
+
+  await new Promise(resolve => plotter.transport.close(resolve));
+
+});
+
+test("the pen is tracked and reported by OA", async () => {
+
+  let {device, answers} = await open();
+
+  device.write("SP2;PA100,200;PD;PR10,10;OA;");
+  assert.deepStrictEqual(await receive(answers, 1), ["110,210,1"]);
+  assert.deepStrictEqual(device.position, {x: 110, y: 210});
+  assert.strictEqual(device.pen, 2);
+  assert.strictEqual(device.penDown, true);
+
+  device.write("PU;PA0,0;OA;");
+  assert.deepStrictEqual(await receive(answers, 1), ["0,0,0"]);
+
+  await new Promise(resolve => device.close(resolve));
+
+});
+
+test("the buffer fills up and drains at the specified rate", async () => {
+
+  let {device, answers} = await open({drainRate: 500});
+
+  device.write("PA1000,1000;".repeat(20) + "\x1b.B");
+  let [free] = await receive(answers, 1);
+  assert.ok(parseInt(free) <= 1024 - 200, free + " bytes free");
+
+  await new Promise(resolve => setTimeout(resolve, 600));
+  device.write("\x1b.B");
+  assert.deepStrictEqual(await receive(answers, 1), ["1024"]);
+
+  await new Promise(resolve => device.close(resolve));
+
+});
+
+test("a plotter can use the emulator as its transport", async () => {
+
+  let plotter = new Plotter();
+  await plotter.connect(new VirtualPlotter({model: "7475A"}));
+  assert.strictEqual(plotter.characteristics.model, "7475A");
+
+  // The status is in centimeters (the 7475A has 400 plotter units per centimeter)
+  let device = plotter.transport;
+  let status = await plotter.moveTo(2, 3).wait();
+  assert.deepStrictEqual(
+    [Math.round(status.x * 400), Math.round(status.y * 400)],
+    [device.position.x, device.position.y]
+  );
+  assert.strictEqual(status.penDown, false);
+
+  await plotter.disconnect();
+
+});
+
+test("every label instruction runs until the label terminator", async () => {
+  assert.deepStrictEqual(
+    await execute("BLA;B\x03WDC;D\x03LBE;F\x03PA10,10;", 4),
+    ["BLA;B", "WDC;D", "LBE;F", "PA10,10"]
+  );
+  assert.deepStrictEqual(
+    await execute("DT*;BLA;B*PA10,10;", 3),
+    ["DT*", "BLA;B", "PA10,10"]
+  );
+});
@@ -0,0 +1,149 @@
+const test = require("node:test");
+const assert = require("assert");
+const {Plotter, VirtualPlotter, WebSerialTransport} = require("../src/hpgl.js");
+const {close} = require("./helpers.js");
+
+// A port of the Web Serial API whose streams are connected to an emulated device
+class MockPort {
+
+  constructor(device) {
+    this.device = device;
+    this.options = undefined;
+    this.closed = false;
+    this.written = [];
+    this.readable = undefined;
+    this.writable = undefined;
+  }
+
+  open(options) {
+
+    this.options = options;
+
+    this.readable = new ReadableStream({
+      start: controller => {
+        this._controller = controller;
+        this.device.on("data", data => controller.enqueue(new Uint8Array(data)));
+      }
+    });
+
+    this.writable = new WritableStream({
+      write: chunk => {
+        this.written.push(chunk);
+        return new Promise(resolve => this.device.write(Buffer.from(chunk), resolve));
+      }
+    });
+
+    return new Promise(resolve => this.device.open(resolve));
+
+  }
+
+  close() {
+    assert.ok(!this.readable.locked && !this.writable.locked, "streams are still locked");
+    this.closed = true;
+    return new Promise(resolve => this.device.close(resolve));
+  }
+
+  // Fails the readable stream, as happens when the device is unplugged
+  disconnect() {
+    this._controller.error(new Error("The device has been lost."));
+  }
+
+}
+
+// Creates a transport for a mocked port. The instructions the device executes are recorded.
+let create = function(options) {
+  let device = new VirtualPlotter({model: "7475A", drainRate: 100000});
+  let port = new MockPort(device);
+  let transport = new WebSerialTransport(port, options);
+  let executed = [];
+  device.on("instruction", instruction => executed.push(instruction));
+  return {device, port, transport, executed};
+};
+
+let open = async function(options) {
+  let created = create(options);
+  await new Promise((resolve, reject) => {
+    created.transport.open(err => err ? reject(err) : resolve());
+  });
+  return created;
+};
+
+test("the port is opened with the settings of plotters unless others are specified", async () => {
+
+  let {port, transport} = await open();
+  assert.deepStrictEqual(port.options, {
+    baudRate: 9600, dataBits: 8, stopBits: 1, parity: "none", flowControl: "none", bufferSize: 255
+  });
+  assert.strictEqual(transport.isOpen, true);
+  await new Promise(resolve => transport.close(resolve));
+
+  ({port, transport} = await open({baudRate: 2400, flowControl: "hardware"}));
+  assert.strictEqual(port.options.baudRate, 2400);
+  assert.strictEqual(port.options.flowControl, "hardware");
+  await new Promise(resolve => transport.close(resolve));
+
+});
+
+test("a plotter drives an emulated device through a Web Serial port", async () => {
+
+  let {port, transport, executed} = create();
+  let plotter = new Plotter();
+
+  await plotter.connect(transport);
+  assert.strictEqual(plotter.characteristics.model, "7475A");
+
+  plotter.moveTo(1, 1).drawLine(2, 2);
+  await close(plotter);
+
+  assert.deepStrictEqual(executed.slice(-6), ["PU52,8124", "LT", "PD", "PA452,7724", "PU", "OA"]);
+  assert.strictEqual(port.closed, true);
+  assert.strictEqual(transport.isOpen, false);
+
+});
+
+test("characters are written and read as single bytes", async () => {
+
+  let {device, port, transport, executed} = await open();
+  let received = "";
+  transport.on("data", data => received += data);
+
+  await new Promise(resolve => transport.write("LB\xA3\xFF\x03OI;", resolve));
+
+  for (let i = 0; i < 100 && !received.endsWith("\r"); i++) {
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+
+  assert.deepStrictEqual(Array.from(port.written[0]), [
+    0x4C, 0x42, 0xA3, 0xFF, 0x03, 0x4F, 0x49, 0x3B
+  ]);
+  assert.deepStrictEqual(executed, ["LB\xA3\xFF", "OI"]);
+  assert.strictEqual(received, "7475A\r");
+
+  // Bytes sent by the device are not decoded as UTF-8
+  device._transmit("\xE9\r", true);
+  await new Promise(resolve => setTimeout(resolve, 20));
+  assert.strictEqual(received, "7475A\r\xE9\r");
+
+  await new Promise(resolve => transport.close(resolve));
+
+});
+
+test("a lost device is reported and the port is closed", async () => {
+
+  let {port, transport} = await open();
+  let errors = [];
+
+  transport.on("error", error => errors.push(error.message));
+  let closed = new Promise(resolve => transport.on("close", resolve));
+
+  port.disconnect();
+  await closed;
+
+  assert.deepStrictEqual(errors, ["The device has been lost."]);
+  assert.strictEqual(port.closed, true);
+  assert.strictEqual(transport.isOpen, false);
+
+  let error = await new Promise(resolve => transport.write("IN;", resolve));
+  assert.strictEqual(error.message, "Port is not open.");
+
+});